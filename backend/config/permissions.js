@@ -0,0 +1,21 @@
+// ============================================
+// config/permissions.js
+// ============================================
+// Role -> permission mapping used by requirePermission().
+const ROLES = ["admin", "analyst", "viewer"];
+
+const VIEWER = ["threats:read", "reports:read"];
+const ANALYST = [...VIEWER, "threats:write", "threats:verify", "alerts:manage", "reports:write"];
+const ADMIN = [...ANALYST, "users:manage", "feeds:manage", "settings:manage"];
+
+const PERMISSIONS = {
+  viewer: VIEWER,
+  analyst: ANALYST,
+  admin: ADMIN,
+};
+
+const permissionsFor = (role) => PERMISSIONS[role] || [];
+
+const hasPermission = (user, permission) => permissionsFor(user?.role).includes(permission);
+
+module.exports = { ROLES, PERMISSIONS, permissionsFor, hasPermission };
@@ -0,0 +1,39 @@
+// ============================================
+// config/tiers.js
+// ============================================
+// Subscription tier limits. `null` means unlimited.
+const ALL_FEEDS = ["AlienVault", "PhishTank", "AbuseIPDB", "URLhaus", "MalwareBazaar", "MISP", "Manual"];
+
+const TIERS = {
+  Free: {
+    maxAlerts: 3,
+    bulkLookupSize: 100,
+    requestsPerMinute: 60,
+    reportRetentionDays: 7,
+    feeds: ["URLhaus", "PhishTank", "Manual"],
+  },
+  Pro: {
+    maxAlerts: 10,
+    bulkLookupSize: 1000,
+    requestsPerMinute: 300,
+    reportRetentionDays: 90,
+    feeds: ["URLhaus", "PhishTank", "AbuseIPDB", "MalwareBazaar", "MISP", "Manual"],
+  },
+  Business: {
+    maxAlerts: null,
+    bulkLookupSize: 10000,
+    requestsPerMinute: 1200,
+    reportRetentionDays: 365,
+    feeds: ALL_FEEDS,
+  },
+};
+
+const TIER_NAMES = Object.keys(TIERS);
+
+const tierLimits = (tier) => TIERS[tier] || TIERS.Free;
+
+// Oldest report date the user's tier still keeps
+const retentionCutoff = (user) =>
+  new Date(Date.now() - tierLimits(user.tier).reportRetentionDays * 24 * 60 * 60 * 1000);
+
+module.exports = { TIERS, TIER_NAMES, tierLimits, retentionCutoff };
@@ -0,0 +1,44 @@
+// ============================================
+// ingestion/connectors/abuseipdb.js
+// ============================================
+// AbuseIPDB blacklist endpoint (requires ABUSEIPDB_API_KEY).
+const { severityFromScore, toDate } = require("../helpers.js");
+
+const MIN_CONFIDENCE = Number(process.env.ABUSEIPDB_MIN_CONFIDENCE) || 90;
+
+const parse = (raw) => {
+  const body = typeof raw === "string" ? JSON.parse(raw) : raw;
+
+  return (body.data || [])
+    .filter((entry) => entry.ipAddress)
+    .map((entry) => ({
+      source: "AbuseIPDB",
+      sourceId: entry.ipAddress,
+      type: "IP",
+      value: entry.ipAddress,
+      severity: severityFromScore(entry.abuseConfidenceScore),
+      confidence: entry.abuseConfidenceScore,
+      category: "Scanning",
+      tags: ["abuseipdb-blacklist"],
+      country: entry.countryCode || undefined,
+      dateDetected: toDate(entry.lastReportedAt),
+      lastSeen: toDate(entry.lastReportedAt),
+      description: `Reported to AbuseIPDB with ${entry.abuseConfidenceScore}% abuse confidence`,
+      references: [{ url: `https://www.abuseipdb.com/check/${entry.ipAddress}`, title: "AbuseIPDB" }],
+      rawData: entry,
+    }));
+};
+
+module.exports = {
+  name: "abuseipdb",
+  source: "AbuseIPDB",
+  intervalMinutes: 360,
+  isEnabled: () => Boolean(process.env.ABUSEIPDB_API_KEY || process.env.ABUSEIPDB_FEED_URL),
+  request: () => ({
+    method: "get",
+    url: process.env.ABUSEIPDB_FEED_URL || "https://api.abuseipdb.com/api/v2/blacklist",
+    params: { confidenceMinimum: MIN_CONFIDENCE },
+    headers: { Key: process.env.ABUSEIPDB_API_KEY, Accept: "application/json" },
+  }),
+  parse,
+};
@@ -0,0 +1,110 @@
+// ============================================
+// ingestion/connectors/alienvault.js
+// ============================================
+// AlienVault OTX subscribed pulses (requires OTX_API_KEY). Each pulse holds
+// many indicators; every supported indicator becomes its own Threat.
+const { guessCategory, toDate } = require("../helpers.js");
+
+// OTX indicator type -> Threat type
+const TYPE_MAP = {
+  IPv4: "IP",
+  IPv6: "IP",
+  domain: "Domain",
+  hostname: "Domain",
+  URL: "URL",
+  URI: "URL",
+  email: "Email",
+  "FileHash-MD5": "FileHash",
+  "FileHash-SHA1": "FileHash",
+  "FileHash-SHA256": "FileHash",
+};
+
+// Pulses larger than this are usually indicator dumps, not one campaign, so
+// their indicators aren't linked to each other
+const MAX_LINKED_INDICATORS = 50;
+
+// Links between indicators of the same pulse: URLs download its file hashes,
+// and file hashes communicate with its IPs and domains
+const pulseRelationships = (type, indicators) => {
+  if (indicators.length > MAX_LINKED_INDICATORS) return [];
+
+  const targets = {
+    URL: { relationship: "downloads", types: ["FileHash"] },
+    FileHash: { relationship: "communicates-with", types: ["IP", "Domain"] },
+  }[type];
+  if (!targets) return [];
+
+  return indicators
+    .filter((other) => targets.types.includes(other.type))
+    .map((other) => ({ type: targets.relationship, to: other }));
+};
+
+// OTX returns malware families either as strings or { id, display_name }
+const familyName = (family) =>
+  typeof family === "string" ? family : family && (family.display_name || family.id);
+
+const parse = (raw) => {
+  const body = typeof raw === "string" ? JSON.parse(raw) : raw;
+  const threats = [];
+
+  for (const pulse of body.results || []) {
+    const family = familyName((pulse.malware_families || [])[0]);
+    const labels = [...(pulse.tags || []), pulse.adversary ? "apt" : null];
+    const category = guessCategory(labels, family ? "Malware" : "Other");
+    const references = (pulse.references || [])
+      .filter((ref) => /^https?:\/\//.test(ref))
+      .map((url) => ({ url, title: pulse.name }));
+    references.push({ url: `https://otx.alienvault.com/pulse/${pulse.id}`, title: "AlienVault OTX" });
+
+    const supported = (pulse.indicators || [])
+      .filter((indicator) => TYPE_MAP[indicator.type] && indicator.indicator)
+      .map((indicator) => ({ type: TYPE_MAP[indicator.type], value: indicator.indicator }));
+
+    for (const indicator of pulse.indicators || []) {
+      const type = TYPE_MAP[indicator.type];
+      if (!type || !indicator.indicator) continue;
+
+      threats.push({
+        source: "AlienVault",
+        sourceId: `${pulse.id}:${indicator.id}`,
+        type,
+        value: indicator.indicator,
+        severity: pulse.adversary ? "High" : "Medium",
+        confidence: 70,
+        category,
+        malwareFamily: family,
+        tags: pulse.tags || [],
+        dateDetected: toDate(indicator.created) || toDate(pulse.created),
+        firstSeen: toDate(indicator.created) || toDate(pulse.created),
+        lastSeen: toDate(pulse.modified) || toDate(indicator.created),
+        isActive: indicator.is_active !== 0,
+        description: indicator.description || pulse.name,
+        references,
+        rawData: {
+          pulse: { id: pulse.id, name: pulse.name, adversary: pulse.adversary, tags: pulse.tags },
+          indicator,
+        },
+        relationships: pulseRelationships(type, supported),
+      });
+    }
+  }
+
+  return threats;
+};
+
+module.exports = {
+  name: "alienvault",
+  source: "AlienVault",
+  intervalMinutes: 60,
+  isEnabled: () => Boolean(process.env.OTX_API_KEY || process.env.OTX_FEED_URL),
+  request: () => ({
+    method: "get",
+    url: process.env.OTX_FEED_URL || "https://otx.alienvault.com/api/v1/pulses/subscribed",
+    params: {
+      limit: 50,
+      modified_since: new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString(),
+    },
+    headers: { "X-OTX-API-KEY": process.env.OTX_API_KEY },
+  }),
+  parse,
+};
@@ -0,0 +1,54 @@
+// ============================================
+// ingestion/connectors/malwarebazaar.js
+// ============================================
+// MalwareBazaar recent samples API (requires ABUSECH_AUTH_KEY).
+const { guessCategory, toDate } = require("../helpers.js");
+
+const parse = (raw) => {
+  const body = typeof raw === "string" ? JSON.parse(raw) : raw;
+  if (body.query_status && body.query_status !== "ok") return [];
+
+  return (body.data || [])
+    .filter((sample) => sample.sha256_hash)
+    .map((sample) => {
+      const tags = sample.tags || [];
+
+      return {
+        source: "MalwareBazaar",
+        sourceId: sample.sha256_hash,
+        type: "FileHash",
+        value: sample.sha256_hash,
+        severity: sample.signature ? "High" : "Medium",
+        confidence: 95,
+        category: guessCategory([sample.signature, ...tags], "Malware"),
+        malwareFamily: sample.signature || undefined,
+        tags,
+        country: sample.origin_country || undefined,
+        dateDetected: toDate(sample.first_seen),
+        firstSeen: toDate(sample.first_seen),
+        lastSeen: toDate(sample.last_seen) || toDate(sample.first_seen),
+        description: `${sample.file_type || "file"} sample ${sample.file_name || ""}`.trim(),
+        references: [
+          { url: `https://bazaar.abuse.ch/sample/${sample.sha256_hash}/`, title: "MalwareBazaar" },
+        ],
+        rawData: sample,
+      };
+    });
+};
+
+module.exports = {
+  name: "malwarebazaar",
+  source: "MalwareBazaar",
+  intervalMinutes: 60,
+  isEnabled: () => Boolean(process.env.ABUSECH_AUTH_KEY || process.env.MALWAREBAZAAR_FEED_URL),
+  request: () => ({
+    method: "post",
+    url: process.env.MALWAREBAZAAR_FEED_URL || "https://mb-api.abuse.ch/api/v1/",
+    data: new URLSearchParams({ query: "get_recent", selector: "time" }).toString(),
+    headers: {
+      "Auth-Key": process.env.ABUSECH_AUTH_KEY,
+      "Content-Type": "application/x-www-form-urlencoded",
+    },
+  }),
+  parse,
+};
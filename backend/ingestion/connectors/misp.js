@@ -0,0 +1,25 @@
+// ============================================
+// ingestion/connectors/misp.js
+// ============================================
+// A partner MISP instance (requires MISP_URL and MISP_API_KEY). Pulls the
+// events published in the last day via restSearch; parsing is shared with
+// the MISP file import in services/misp.js.
+const { parseMispEvents } = require("../../services/misp.js");
+
+module.exports = {
+  name: "misp",
+  source: "MISP",
+  intervalMinutes: 60,
+  isEnabled: () => Boolean(process.env.MISP_URL && process.env.MISP_API_KEY),
+  request: () => ({
+    method: "post",
+    url: `${String(process.env.MISP_URL).replace(/\/$/, "")}/events/restSearch`,
+    data: { returnFormat: "json", published: true, last: "1d", includeSightings: true },
+    headers: {
+      Authorization: process.env.MISP_API_KEY,
+      Accept: "application/json",
+      "Content-Type": "application/json",
+    },
+  }),
+  parse: parseMispEvents,
+};
@@ -0,0 +1,77 @@
+// ============================================
+// ingestion/connectors/phishtank.js
+// ============================================
+// PhishTank "online-valid" JSON dump. An application key is optional but
+// raises the download rate limit.
+const { toDate, urlHost } = require("../helpers.js");
+
+// The phishing URL (and its domain) resolved to the IPs PhishTank recorded
+const hostingRelationships = (entry) => {
+  const host = urlHost(entry.url);
+  const ips = [...new Set((entry.details || []).map((d) => d.ip_address).filter(Boolean))];
+
+  return ips.flatMap((ip) => {
+    const to = { type: "IP", value: ip };
+    return host?.type === "Domain"
+      ? [{ type: "resolves-to", to }, { from: host, type: "resolves-to", to }]
+      : [{ type: "resolves-to", to }];
+  });
+};
+
+const feedUrl = () => {
+  if (process.env.PHISHTANK_FEED_URL) return process.env.PHISHTANK_FEED_URL;
+
+  const key = process.env.PHISHTANK_API_KEY;
+  return key
+    ? `https://data.phishtank.com/data/${key}/online-valid.json`
+    : "https://data.phishtank.com/data/online-valid.json";
+};
+
+const parse = (raw) => {
+  const entries = typeof raw === "string" ? JSON.parse(raw) : raw;
+
+  return entries
+    .filter((entry) => entry.url && entry.phish_id)
+    .map((entry) => {
+      const detail = (entry.details || [])[0] || {};
+      const target = entry.target && entry.target !== "Other" ? entry.target : undefined;
+
+      return {
+        source: "PhishTank",
+        sourceId: String(entry.phish_id),
+        type: "URL",
+        value: entry.url,
+        severity: entry.verified === "yes" ? "High" : "Medium",
+        confidence: entry.verified === "yes" ? 90 : 60,
+        category: "Phishing",
+        tags: target ? ["phishing", target] : ["phishing"],
+        country: detail.country || undefined,
+        asn: detail.announcing_network || undefined,
+        dateDetected: toDate(entry.submission_time),
+        firstSeen: toDate(entry.submission_time),
+        lastSeen: toDate(entry.verification_time) || toDate(entry.submission_time),
+        isActive: entry.online !== "no",
+        verified: entry.verified === "yes",
+        description: target ? `Phishing page targeting ${target}` : "Phishing page",
+        references: entry.phish_detail_url
+          ? [{ url: entry.phish_detail_url, title: "PhishTank" }]
+          : [],
+        rawData: entry,
+        relationships: hostingRelationships(entry),
+      };
+    });
+};
+
+module.exports = {
+  name: "phishtank",
+  source: "PhishTank",
+  intervalMinutes: 60,
+  isEnabled: () => true,
+  request: () => ({
+    method: "get",
+    url: feedUrl(),
+    responseType: "text",
+    headers: { "User-Agent": "phishtank/threatview" },
+  }),
+  parse,
+};
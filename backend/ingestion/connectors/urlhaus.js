@@ -0,0 +1,56 @@
+// ============================================
+// ingestion/connectors/urlhaus.js
+// ============================================
+// URLhaus "recent URLs" CSV dump (no API key required).
+// Columns: id, dateadded, url, url_status, last_online, threat, tags, urlhaus_link, reporter
+const { parseCsv, guessCategory, toDate, splitTags, urlHost } = require("../helpers.js");
+
+// Tags that describe the payload rather than the malware family
+const GENERIC_TAGS = [
+  "elf", "exe", "dll", "doc", "docx", "xls", "zip", "rar", "js", "vbs", "ps1", "sh", "apk", "msi",
+  "32-bit", "64-bit", "arm", "arm7", "mips", "mipsel", "x86", "x86-64", "powerpc", "sparc",
+  "ascii", "encrypted", "opendir", "geofenced", "malware_download",
+];
+
+const parse = (raw) =>
+  parseCsv(raw)
+    .filter((row) => row.length >= 9 && /^\d+$/.test(row[0]))
+    .map(([id, dateadded, url, urlStatus, lastOnline, threat, tags, urlhausLink, reporter]) => {
+      const tagList = splitTags(tags);
+      const family = tagList.find((t) => !GENERIC_TAGS.includes(t.toLowerCase()));
+      const host = urlHost(url);
+
+      return {
+        source: "URLhaus",
+        sourceId: id,
+        type: "URL",
+        value: url,
+        severity: urlStatus === "online" ? "High" : "Medium",
+        confidence: 90,
+        category: guessCategory([threat, ...tagList], "Malware"),
+        malwareFamily: family,
+        tags: tagList,
+        dateDetected: toDate(dateadded),
+        firstSeen: toDate(dateadded),
+        lastSeen: toDate(lastOnline) || toDate(dateadded),
+        isActive: urlStatus === "online",
+        description: `URLhaus: ${threat || "malicious URL"} reported by ${reporter}`,
+        references: urlhausLink ? [{ url: urlhausLink, title: "URLhaus" }] : [],
+        rawData: { id, dateadded, url, urlStatus, lastOnline, threat, tags, urlhausLink, reporter },
+        // Payload URLs are often served straight from an IP
+        relationships: host?.type === "IP" ? [{ type: "resolves-to", to: host }] : [],
+      };
+    });
+
+module.exports = {
+  name: "urlhaus",
+  source: "URLhaus",
+  intervalMinutes: 30,
+  isEnabled: () => true,
+  request: () => ({
+    method: "get",
+    url: process.env.URLHAUS_FEED_URL || "https://urlhaus.abuse.ch/downloads/csv_recent/",
+    responseType: "text",
+  }),
+  parse,
+};
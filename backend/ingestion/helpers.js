@@ -0,0 +1,118 @@
+// ============================================
+// ingestion/helpers.js
+// ============================================
+// Small parsing helpers shared by the feed connectors.
+const net = require("net");
+
+// Parse CSV text into an array of rows (arrays of strings).
+// Handles quoted fields, escaped quotes ("") and skips "#" comment lines.
+const parseCsv = (text) => {
+  const rows = [];
+
+  for (const line of text.split(/\r?\n/)) {
+    if (!line.trim() || line.startsWith("#")) continue;
+
+    const fields = [];
+    let field = "";
+    let quoted = false;
+
+    for (let i = 0; i < line.length; i++) {
+      const ch = line[i];
+
+      if (quoted) {
+        if (ch === '"' && line[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (ch === '"') {
+          quoted = false;
+        } else {
+          field += ch;
+        }
+      } else if (ch === '"') {
+        quoted = true;
+      } else if (ch === ",") {
+        fields.push(field);
+        field = "";
+      } else {
+        field += ch;
+      }
+    }
+
+    fields.push(field);
+    rows.push(fields);
+  }
+
+  return rows;
+};
+
+// Map a 0-100 score onto the Threat severity enum
+const severityFromScore = (score) => {
+  if (score >= 90) return "Critical";
+  if (score >= 75) return "High";
+  if (score >= 50) return "Medium";
+  if (score >= 25) return "Low";
+  return "Info";
+};
+
+// Keyword -> category, checked in order (most specific first)
+const CATEGORY_KEYWORDS = [
+  ["Ransomware", ["ransomware", "ransom"]],
+  ["Phishing", ["phishing", "phish", "credential"]],
+  ["C2", ["c2", "c&c", "cnc", "command and control", "rat"]],
+  ["Botnet", ["botnet", "mirai", "mozi", "bot"]],
+  ["APT", ["apt"]],
+  ["Spam", ["spam"]],
+  ["Scanning", ["scanner", "scanning", "brute-force", "bruteforce", "ssh"]],
+  ["Malware", ["malware", "trojan", "stealer", "loader", "payload", "malware_download"]],
+];
+
+// Guess a Threat category from free-form tags / labels
+const guessCategory = (labels = [], fallback = "Other") => {
+  const words = labels.filter(Boolean).map((l) => String(l).toLowerCase());
+
+  for (const [category, keywords] of CATEGORY_KEYWORDS) {
+    if (words.some((w) => keywords.includes(w))) return category;
+  }
+
+  return fallback;
+};
+
+// Parse a date string, returning undefined for empty/invalid input
+const toDate = (value) => {
+  if (!value) return undefined;
+
+  // abuse.ch feeds use "YYYY-MM-DD HH:MM:SS" (UTC) instead of ISO 8601
+  const iso = String(value)
+    .trim()
+    .replace(/^(\d{4}-\d{2}-\d{2}) (\d{2}:\d{2}:\d{2})( UTC)?$/, "$1T$2Z");
+
+  const date = new Date(iso);
+  return isNaN(date) ? undefined : date;
+};
+
+// Split a comma separated tag string into a clean array
+const splitTags = (value) =>
+  (value || "")
+    .split(",")
+    .map((t) => t.trim())
+    .filter((t) => t && t !== "None");
+
+// The host part of a URL as an indicator ({ type: "IP" | "Domain", value }),
+// or undefined when the URL can't be parsed
+const urlHost = (url) => {
+  try {
+    const host = new URL(url).hostname.replace(/^\[|\]$/g, "");
+    return host ? { type: net.isIP(host) ? "IP" : "Domain", value: host } : undefined;
+  } catch {
+    return undefined;
+  }
+};
+
+module.exports = {
+  parseCsv,
+  severityFromScore,
+  guessCategory,
+  toDate,
+  splitTags,
+  urlHost,
+};
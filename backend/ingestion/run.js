@@ -0,0 +1,31 @@
+// ============================================
+// ingestion/run.js
+// ============================================
+// One-off ingestion from the command line:
+//   node ingestion/run.js                      -> all enabled feeds
+//   node ingestion/run.js urlhaus               -> a single feed
+//   node ingestion/run.js urlhaus --file x.csv -> a single feed from a local file
+const mongoose = require("mongoose");
+require("dotenv").config();
+const { getConnector, runConnector, runAll } = require("./index.js");
+
+const main = async () => {
+  const [name, flag, file] = process.argv.slice(2);
+
+  await mongoose.connect(process.env.MONGO_URI);
+
+  if (name) {
+    const connector = getConnector(name);
+    if (!connector) throw new Error(`Unknown connector "${name}"`);
+    console.log(await runConnector(connector, flag === "--file" ? { file } : {}));
+  } else {
+    console.log(await runAll());
+  }
+};
+
+main()
+  .catch((err) => {
+    console.error("❌ Ingestion failed:", err.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,42 @@
+// ============================================
+// ingestion/scheduler.js
+// ============================================
+// Runs each enabled connector on its own interval. The interval can be
+// overridden per feed with e.g. INGEST_URLHAUS_INTERVAL_MINUTES=15.
+const { connectors, runConnector } = require("./index.js");
+
+const timers = [];
+const running = new Set();
+
+const intervalFor = (connector) => {
+  const override = Number(process.env[`INGEST_${connector.name.toUpperCase()}_INTERVAL_MINUTES`]);
+  return (override || connector.intervalMinutes) * 60000;
+};
+
+const tick = async (connector) => {
+  // Skip a run if the previous one for this feed is still in progress
+  if (running.has(connector.name)) return;
+  running.add(connector.name);
+
+  try {
+    const result = await runConnector(connector);
+    console.log(`📥 [${connector.name}] parsed ${result.parsed}, new ${result.created}, merged ${result.merged}`);
+  } catch (err) {
+    console.log(`❌ [${connector.name}] ingestion failed:`, err.message);
+  } finally {
+    running.delete(connector.name);
+  }
+};
+
+const startScheduler = () => {
+  for (const connector of connectors.filter((c) => c.isEnabled())) {
+    tick(connector);
+    timers.push(setInterval(() => tick(connector), intervalFor(connector)));
+  }
+};
+
+const stopScheduler = () => {
+  timers.splice(0).forEach(clearInterval);
+};
+
+module.exports = { startScheduler, stopScheduler };
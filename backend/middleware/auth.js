@@ -0,0 +1,163 @@
+// ============================================
+// middleware/auth.js
+// ============================================
+const mongoose = require("mongoose");
+const User = require("../models/user.js");
+const ApiKey = require("../models/apiKey.js");
+const { verifyAccessToken, isSessionActive } = require("../services/authTokens.js");
+const { hasPermission } = require("../config/permissions.js");
+const { hashToken } = require("../utils/tokens.js");
+const { getSetting } = require("../services/settings.js");
+
+// lastUsedAt is only written once per interval to avoid a write per request
+const KEY_TOUCH_INTERVAL_MS = 60 * 1000;
+
+// Authenticate an "X-API-Key" header. Resolves to { user, apiKey } or null.
+const authenticateApiKey = async (key) => {
+  const apiKey = await ApiKey.findOne({ keyHash: hashToken(key) });
+  if (!apiKey || !apiKey.isUsable()) return null;
+
+  const user = await User.findById(apiKey.userId).select("-password");
+  if (!user) return null;
+
+  if (!apiKey.lastUsedAt || Date.now() - apiKey.lastUsedAt > KEY_TOUCH_INTERVAL_MS) {
+    ApiKey.updateOne({ _id: apiKey._id }, { lastUsedAt: new Date() }).catch(() => {});
+  }
+
+  return { user, apiKey };
+};
+
+// Require a valid "Authorization: Bearer <jwt>" or "X-API-Key: <key>" header
+// and load req.user (plus req.apiKey for key-authenticated requests)
+const requireAuth = async (req, res, next) => {
+  try {
+    const key = req.headers["x-api-key"];
+    if (key) {
+      const auth = await authenticateApiKey(key);
+      if (!auth) return res.status(401).json({ message: "Invalid API key" });
+      if (auth.user.disabled) return res.status(403).json({ message: "Account disabled" });
+
+      req.user = auth.user;
+      req.apiKey = auth.apiKey;
+      return next();
+    }
+
+    const token = req.headers.authorization?.split(" ")[1];
+    if (!token) return res.status(401).json({ message: "Not authorized" });
+
+    const decoded = verifyAccessToken(token);
+
+    // Logging out revokes the session, which invalidates its access tokens too
+    if (!decoded.sid || !(await isSessionActive(decoded.sid))) {
+      return res.status(401).json({ message: "Session expired" });
+    }
+
+    const user = await User.findById(decoded.id).select("-password");
+    if (!user) return res.status(401).json({ message: "Unauthorized" });
+    if (user.disabled) return res.status(403).json({ message: "Account disabled" });
+
+    req.user = user;
+    req.sessionId = decoded.sid;
+    next();
+  } catch (err) {
+    res.status(401).json({ message: "Unauthorized" });
+  }
+};
+
+// Load the document for req.params.id into req.resource, answering 404 if it
+// doesn't exist (or the id is malformed) and 403 if it belongs to someone else.
+const requireOwnership = (Model, ownerField = "userId") => async (req, res, next) => {
+  try {
+    const doc = mongoose.isValidObjectId(req.params.id) && (await Model.findById(req.params.id));
+    if (!doc) return res.status(404).json({ message: `${Model.modelName} not found` });
+
+    if (!doc[ownerField] || !doc[ownerField].equals(req.user._id)) {
+      return res.status(403).json({ message: "Forbidden" });
+    }
+
+    req.resource = doc;
+    next();
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+};
+
+// Require a role permission (see config/permissions.js). Must run after requireAuth.
+// API keys are read-only and limited to their scopes: "alerts:read" allows
+// "alerts:read" routes (e.g. POST lookups) and GETs guarded by other alerts
+// permissions, but never a ":write" permission.
+const requirePermission = (permission) => (req, res, next) => {
+  if (!hasPermission(req.user, permission)) {
+    return res.status(403).json({ message: `Missing permission: ${permission}` });
+  }
+
+  if (req.apiKey) {
+    const scope = `${permission.split(":")[0]}:read`;
+    const isRead = permission === scope || (req.method === "GET" && !permission.endsWith(":write"));
+    if (!isRead || !req.apiKey.scopes.includes(scope)) {
+      return res.status(403).json({ message: `API key lacks scope: ${scope}` });
+    }
+  }
+  next();
+};
+
+// When admins require 2FA, users who haven't enrolled can only reach /api/auth
+// (to set it up). API keys are exempt: creating one already needed a session.
+const requireTwoFactor = async (req, res, next) => {
+  try {
+    if (req.apiKey || req.user.twoFactor?.enabled || !(await getSetting("require2FA"))) return next();
+    res.status(403).json({
+      message: "Two-factor authentication must be enabled for this account",
+      code: "2FA_SETUP_REQUIRED",
+    });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+};
+
+// The password of an "Authorization: Basic" header (the username is ignored)
+const basicPassword = (header = "") => {
+  if (!/^Basic /i.test(header)) return undefined;
+  const credentials = Buffer.from(header.slice(6), "base64").toString();
+  return credentials.slice(credentials.indexOf(":") + 1) || undefined;
+};
+
+// For feed-style endpoints polled by firewalls, sensors and TAXII clients:
+// only an API key is accepted, from the "X-API-Key" header, as the HTTP
+// Basic password, or as a "key" query parameter for tools that can only be
+// given a URL. A key in the URL is written to proxy and web server access
+// logs, so the header or Basic auth should be used wherever possible.
+const requireApiKey = async (req, res, next) => {
+  try {
+    const key = req.headers["x-api-key"] || basicPassword(req.headers.authorization) || req.query.key;
+    if (!key) {
+      res.set("WWW-Authenticate", 'Basic realm="ThreatView"');
+      return res.status(401).json({ message: "API key required" });
+    }
+
+    const auth = await authenticateApiKey(String(key));
+    if (!auth) return res.status(401).json({ message: "Invalid API key" });
+    if (auth.user.disabled) return res.status(403).json({ message: "Account disabled" });
+
+    req.user = auth.user;
+    req.apiKey = auth.apiKey;
+    next();
+  } catch (err) {
+    res.status(401).json({ message: "Unauthorized" });
+  }
+};
+
+// For account-management routes that must not be reachable with an API key
+const requireSession = (req, res, next) => {
+  if (req.apiKey) return res.status(403).json({ message: "Not available with an API key" });
+  next();
+};
+
+module.exports = {
+  requireApiKey,
+  requireAuth,
+  requireOwnership,
+  requirePermission,
+  requireSession,
+  requireTwoFactor,
+};
@@ -0,0 +1,52 @@
+// ============================================
+// middleware/rateLimit.js
+// ============================================
+// Per-user request quota over a fixed one-minute window, sized by the
+// user's subscription tier. Counters live in memory, so each server process
+// enforces its own window.
+const { tierLimits } = require("../config/tiers.js");
+
+const WINDOW_MS = 60 * 1000;
+const windows = new Map();
+
+const currentWindow = (userId) => {
+  const now = Date.now();
+  let entry = windows.get(userId);
+
+  if (!entry || now - entry.start >= WINDOW_MS) {
+    entry = { start: now, count: 0 };
+    windows.set(userId, entry);
+  }
+  return entry;
+};
+
+// Requests made by a user in the current window (for the usage endpoint)
+const requestsThisWindow = (userId) => currentWindow(String(userId)).count;
+
+// Must run after requireAuth
+const rateLimit = (req, res, next) => {
+  const limit = tierLimits(req.user.tier).requestsPerMinute;
+  const entry = currentWindow(String(req.user._id));
+  entry.count += 1;
+
+  const resetSeconds = Math.ceil((entry.start + WINDOW_MS - Date.now()) / 1000);
+  res.set("X-RateLimit-Limit", String(limit));
+  res.set("X-RateLimit-Remaining", String(Math.max(limit - entry.count, 0)));
+  res.set("X-RateLimit-Reset", String(resetSeconds));
+
+  if (entry.count > limit) {
+    res.set("Retry-After", String(resetSeconds));
+    return res.status(429).json({ message: `Rate limit of ${limit} requests per minute exceeded` });
+  }
+  next();
+};
+
+// Drop expired windows so the map doesn't grow with every user ever seen
+setInterval(() => {
+  const now = Date.now();
+  for (const [userId, entry] of windows) {
+    if (now - entry.start >= WINDOW_MS) windows.delete(userId);
+  }
+}, WINDOW_MS).unref();
+
+module.exports = { rateLimit, requestsThisWindow };
@@ -2,7 +2,9 @@
 // ============================================
 // models/Alert.js
 // ============================================
+const crypto = require('crypto');
 const mongoose = require('mongoose');
+const { normalizeIoC } = require('../utils/ioc.js');
 
 const alertSchema = new mongoose.Schema({
   // User who owns this alert
@@ -33,7 +35,7 @@ const alertSchema = new mongoose.Schema({
     }],
     sources: [{
       type: String,
-      enum: ['AlienVault', 'PhishTank', 'AbuseIPDB', 'URLhaus', 'MalwareBazaar', 'Manual']
+      enum: ['AlienVault', 'PhishTank', 'AbuseIPDB', 'URLhaus', 'MalwareBazaar', 'MISP', 'Manual']
     }],
     categories: [{
       type: String,
@@ -41,7 +43,13 @@ const alertSchema = new mongoose.Schema({
     }],
     countries: [String],
     malwareFamilies: [String],
-    keywords: [String] // Match in description or tags
+    keywords: [String], // Match in description or tags
+    // Only threats scoring at least this (see services/riskScore.js)
+    minRiskScore: {
+      type: Number,
+      min: 0,
+      max: 100
+    }
   },
   // Alert delivery
   deliveryMethod: {
@@ -49,7 +57,14 @@ const alertSchema = new mongoose.Schema({
     enum: ['email', 'webhook', 'both'],
     default: 'email'
   },
-  webhookUrl: String,
+  webhookUrl: String, // https only, public hosts (see services/notifications/webhook.js)
+  // HMAC key used to sign webhook payloads. Only returned when the alert is
+  // created or the secret is rotated.
+  webhookSecret: {
+    type: String,
+    default: () => crypto.randomBytes(32).toString('hex'),
+    select: false
+  },
   // Status and tracking
   isActive: {
     type: Boolean,
@@ -68,7 +83,14 @@ const alertSchema = new mongoose.Schema({
       ref: 'Threat'
     },
     matchedAt: Date,
-    notified: Boolean
+    notified: Boolean,
+    deliveryStatus: {
+      type: String,
+      enum: ['pending', 'delivered', 'failed'],
+      default: 'pending'
+    },
+    deliveredAt: Date,
+    deliveryError: String
   }],
   // Rate limiting
   cooldownMinutes: {
@@ -98,14 +120,17 @@ alertSchema.methods.shouldTrigger = function(threat) {
   // Check type match
   if (cond.type !== 'Any' && cond.type !== threat.type) return false;
   
-  // Check specific value match
-  if (cond.value && cond.value !== threat.value) return false;
+  // Check specific value match (threat values are stored normalized)
+  if (cond.value && normalizeIoC(threat.type, cond.value) !== threat.value) return false;
   
   // Check severity
   if (cond.severity.length > 0 && !cond.severity.includes(threat.severity)) return false;
   
-  // Check source
-  if (cond.sources.length > 0 && !cond.sources.includes(threat.source)) return false;
+  // Check source: the one that first reported the threat or any later sighting
+  if (cond.sources.length > 0) {
+    const sources = [threat.source, ...(threat.sightings || []).map(s => s.source)];
+    if (!sources.some(source => cond.sources.includes(source))) return false;
+  }
   
   // Check category
   if (cond.categories.length > 0 && !cond.categories.includes(threat.category)) return false;
@@ -119,6 +144,9 @@ alertSchema.methods.shouldTrigger = function(threat) {
     return false;
   }
   
+  // Check risk score
+  if (cond.minRiskScore && (threat.riskScore || 0) < cond.minRiskScore) return false;
+  
   // Check keywords
   if (cond.keywords.length > 0) {
     const searchText = `${threat.description} ${threat.tags.join(' ')} ${threat.value}`.toLowerCase();
@@ -129,28 +157,42 @@ alertSchema.methods.shouldTrigger = function(threat) {
   return true;
 };
 
-// Record a trigger
-alertSchema.methods.recordTrigger = function(threatId) {
-  this.lastTriggered = new Date();
-  this.triggerCount += 1;
-  
-  // Add to recent matches (keep last 10)
-  this.recentMatches.unshift({
-    threatId,
-    matchedAt: new Date(),
-    notified: false
-  });
-  
-  if (this.recentMatches.length > 10) {
-    this.recentMatches = this.recentMatches.slice(0, 10);
-  }
+// Record a trigger. A single atomic update, so it can't overwrite delivery
+// results being written to other recentMatches entries (see
+// services/notifications), and it only matches while the alert is out of
+// cooldown and the threat isn't already in recentMatches, so concurrent
+// evaluations fire once. Resolves to false if it was suppressed.
+alertSchema.methods.recordTrigger = async function(threatId) {
+  const now = new Date();
+  const $set = { lastTriggered: now };
   
   // Set cooldown
   if (this.cooldownMinutes > 0) {
-    this.nextTriggerAllowed = new Date(Date.now() + this.cooldownMinutes * 60000);
+    $set.nextTriggerAllowed = new Date(now.getTime() + this.cooldownMinutes * 60000);
   }
   
-  return this.save();
+  const result = await this.constructor.updateOne(
+    {
+      _id: this._id,
+      'recentMatches.threatId': { $ne: threatId },
+      $or: [{ nextTriggerAllowed: null }, { nextTriggerAllowed: { $lte: now } }]
+    },
+    {
+      $set,
+      $inc: { triggerCount: 1 },
+      // Add to recent matches (newest first, keep last 10)
+      $push: {
+        recentMatches: {
+          $each: [{ threatId, matchedAt: now, notified: false, deliveryStatus: 'pending' }],
+          $position: 0,
+          $slice: 10
+        }
+      }
+    }
+  );
+  
+  // No match: already recorded, in cooldown or deleted
+  return result.matchedCount > 0;
 };
 
 module.exports = mongoose.model('Alert', alertSchema);
\ No newline at end of file
@@ -0,0 +1,48 @@
+// ============================================
+// models/ApiKey.js
+// ============================================
+// Personal API keys for machine access. Only the key's SHA-256 hash is
+// stored; the plaintext is shown once, at creation.
+const mongoose = require('mongoose');
+
+const API_KEY_SCOPES = ['threats:read', 'alerts:read', 'reports:read'];
+
+const apiKeySchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // First characters of the key, so users can tell keys apart
+  prefix: String,
+  keyHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  scopes: [{
+    type: String,
+    enum: API_KEY_SCOPES
+  }],
+  expiresAt: Date, // unset = never expires
+  lastUsedAt: Date,
+  revokedAt: Date
+}, {
+  timestamps: true
+});
+
+apiKeySchema.methods.isUsable = function() {
+  if (this.revokedAt) return false;
+  return !this.expiresAt || this.expiresAt > new Date();
+};
+
+apiKeySchema.statics.SCOPES = API_KEY_SCOPES;
+
+module.exports = mongoose.model('ApiKey', apiKeySchema);
@@ -0,0 +1,28 @@
+// ============================================
+// models/DeadLetter.js
+// ============================================
+// Alert notifications that still failed after every retry
+const mongoose = require('mongoose');
+
+const deadLetterSchema = new mongoose.Schema({
+  alertId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Alert',
+    index: true
+  },
+  threatId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Threat'
+  },
+  channel: {
+    type: String,
+    enum: ['email', 'webhook']
+  },
+  payload: mongoose.Schema.Types.Mixed,
+  attempts: Number,
+  lastError: String
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('DeadLetter', deadLetterSchema);
@@ -0,0 +1,67 @@
+// ============================================
+// models/LifecycleRun.js
+// ============================================
+// Audit record of one threat lifecycle run (see services/lifecycle.js):
+// the policy it applied, what it counted and the threats it changed.
+const mongoose = require('mongoose');
+
+const lifecycleRunSchema = new mongoose.Schema({
+  trigger: {
+    type: String,
+    enum: ['schedule', 'manual'],
+    default: 'schedule'
+  },
+  // Admin who started a manual run
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  startedAt: {
+    type: Date,
+    index: true
+  },
+  finishedAt: Date,
+  policy: mongoose.Schema.Types.Mixed,
+  scanned: {
+    type: Number,
+    default: 0
+  },
+  decayed: {
+    type: Number,
+    default: 0
+  },
+  deactivated: {
+    type: Number,
+    default: 0
+  },
+  // Threats whose risk score changed (not listed in `changes`)
+  rescored: {
+    type: Number,
+    default: 0
+  },
+  // First MAX_AUDIT_CHANGES changes; `truncated` when there were more
+  changes: [{
+    threatId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Threat'
+    },
+    type: { type: String },
+    value: String,
+    action: {
+      type: String,
+      enum: ['decayed', 'deactivated']
+    },
+    from: mongoose.Schema.Types.Mixed,
+    to: mongoose.Schema.Types.Mixed,
+    _id: false
+  }],
+  truncated: {
+    type: Boolean,
+    default: false
+  },
+  error: String
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('LifecycleRun', lifecycleRunSchema);
@@ -0,0 +1,47 @@
+// ============================================
+// models/Relationship.js
+// ============================================
+// A directed link between two indicators, or between an indicator and a
+// malware family. Endpoints are { type, value } pairs rather than Threat ids
+// so a relationship can point at something that isn't a Threat (yet), such
+// as the IP a phishing URL resolved to.
+const mongoose = require('mongoose');
+
+const RELATIONSHIP_TYPES = ['resolves-to', 'downloads', 'communicates-with', 'belongs-to-family'];
+const NODE_TYPES = ['IP', 'Domain', 'URL', 'Email', 'FileHash', 'MalwareFamily'];
+
+const endpointSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: NODE_TYPES,
+    required: true
+  },
+  value: {
+    type: String,
+    required: true
+  }
+}, { _id: false });
+
+const relationshipSchema = new mongoose.Schema({
+  from: endpointSchema,
+  to: endpointSchema,
+  type: {
+    type: String,
+    enum: RELATIONSHIP_TYPES,
+    required: true
+  },
+  // Feeds (Threat sources) that reported the link
+  sources: [String],
+  firstSeen: Date,
+  lastSeen: Date
+}, {
+  timestamps: true
+});
+
+relationshipSchema.index({ 'from.type': 1, 'from.value': 1, type: 1, 'to.type': 1, 'to.value': 1 }, { unique: true });
+relationshipSchema.index({ 'to.type': 1, 'to.value': 1 });
+
+relationshipSchema.statics.TYPES = RELATIONSHIP_TYPES;
+relationshipSchema.statics.NODE_TYPES = NODE_TYPES;
+
+module.exports = mongoose.model('Relationship', relationshipSchema);
@@ -2,6 +2,11 @@ const mongoose = require("mongoose");
 
 const reportSchema = new mongoose.Schema(
   {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      index: true,
+    },
     title: {
       type: String,
       default: "Threat Intelligence Report",
@@ -12,6 +17,9 @@ const reportSchema = new mongoose.Schema(
       totalAlerts: Number,
       criticalAlerts: Number,
     },
+    // The active critical threats at generation time (newest first); these
+    // are the indicators a STIX export of the report refers to
+    threatIds: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Threat' }],
   },
   { timestamps: true }
 );
@@ -0,0 +1,44 @@
+// ============================================
+// models/Session.js
+// ============================================
+// A login session, identified to the client by a rotating refresh token.
+// Only hashes of the refresh tokens are stored.
+const mongoose = require('mongoose');
+
+const sessionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  tokenHash: {
+    type: String,
+    required: true
+  },
+  // Hash of the token this one replaced; presenting it again means the old
+  // token was stolen, so the whole session is revoked
+  previousTokenHash: String,
+  userAgent: String,
+  ip: String,
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: Date
+}, {
+  timestamps: true
+});
+
+// Let MongoDB drop sessions once they expire
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+sessionSchema.methods.isUsable = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -2,13 +2,15 @@
 // models/Threat.js
 // ============================================
 const mongoose = require('mongoose');
+const { scoreThreat } = require('../services/riskScore.js');
+const { iocKey } = require('../utils/ioc.js');
 
 const threatSchema = new mongoose.Schema({
   // Source information
   source: {
     type: String,
     required: true,
-    enum: ['AlienVault', 'PhishTank', 'AbuseIPDB', 'URLhaus', 'MalwareBazaar', 'Manual'],
+    enum: ['AlienVault', 'PhishTank', 'AbuseIPDB', 'URLhaus', 'MalwareBazaar', 'MISP', 'Manual'],
     index: true
   },
   sourceId: {
@@ -27,6 +29,13 @@ const threatSchema = new mongoose.Schema({
     required: true,
     index: true
   },
+  // "<type>:<value>" with hash types merged (see utils/ioc.js iocKey); set on
+  // validate. Sparse so documents written before the key existed don't clash.
+  iocKey: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
   // Classification
   severity: {
     type: String,
@@ -40,6 +49,29 @@ const threatSchema = new mongoose.Schema({
     max: 100,
     default: 50
   },
+  // Confidence before aging decayed it (unset while it hasn't decayed);
+  // restored when the IoC is reported again
+  baseConfidence: {
+    type: Number,
+    min: 0,
+    max: 100
+  },
+  // Composite 0-100 risk score and the factors it was computed from
+  // (see services/riskScore.js); recomputed on every save
+  riskScore: {
+    type: Number,
+    min: 0,
+    max: 100,
+    default: 0,
+    index: true
+  },
+  riskFactors: [{
+    factor: String,
+    points: Number,
+    max: Number,
+    detail: String,
+    _id: false
+  }],
   // Threat details
   malwareFamily: {
     type: String,
@@ -99,6 +131,16 @@ const threatSchema = new mongoose.Schema({
     type: Number,
     default: 1
   },
+  // One entry per feed record that reported this IoC
+  sightings: [{
+    source: {
+      type: String,
+      enum: ['AlienVault', 'PhishTank', 'AbuseIPDB', 'URLhaus', 'MalwareBazaar', 'MISP', 'Manual']
+    },
+    sourceId: String,
+    firstSeen: Date,
+    lastSeen: Date
+  }],
   reportedBy: [{
     userId: {
       type: mongoose.Schema.Types.ObjectId,
@@ -126,18 +168,33 @@ threatSchema.index({
   tags: 'text'
 });
 
+threatSchema.pre('validate', function(next) {
+  this.iocKey = iocKey(this.type, this.value);
+  next();
+});
+
+// Keep the risk score in step with the sightings, votes and status it's built from.
+// Only assigned when it changed, so a no-op save stays a no-op.
+threatSchema.pre('save', function(next) {
+  const { riskScore, riskFactors } = scoreThreat(this);
+  const current = (this.riskFactors || []).map(({ factor, points, max, detail }) => ({ factor, points, max, detail }));
+  if (riskScore !== this.riskScore) this.riskScore = riskScore;
+  if (JSON.stringify(riskFactors) !== JSON.stringify(current)) this.riskFactors = riskFactors;
+  next();
+});
+
 // Update lastSeen when threat is observed again
-threatSchema.methods.markAsSeen = function() {
-  this.lastSeen = new Date();
+threatSchema.methods.markAsSeen = function(seenAt = new Date()) {
+  if (!this.lastSeen || seenAt > this.lastSeen) {
+    this.lastSeen = seenAt;
+  }
   this.hitCount += 1;
   return this.save();
 };
 
-// Check if threat is stale (not seen in 30 days)
-threatSchema.methods.isStale = function() {
-  const thirtyDaysAgo = new Date();
-  thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
-  return this.lastSeen < thirtyDaysAgo;
+// Check if threat is stale (not seen in `ttlDays`, see services/lifecycle.js)
+threatSchema.methods.isStale = function(ttlDays = 30, now = new Date()) {
+  return this.lastSeen < new Date(now.getTime() - ttlDays * 24 * 60 * 60 * 1000);
 };
 
 module.exports = mongoose.model('Threat', threatSchema);
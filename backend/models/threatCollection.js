@@ -0,0 +1,37 @@
+// ============================================
+// models/ThreatCollection.js
+// ============================================
+// A saved threat filter published as a TAXII collection (e.g. "Critical
+// phishing"). `filter` holds GET /api/threats query params, so a collection
+// matches exactly what the threats list shows for the same filter.
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+const threatCollectionSchema = new mongoose.Schema({
+  // TAXII collection ids must be UUIDs
+  taxiiId: {
+    type: String,
+    required: true,
+    unique: true,
+    default: () => crypto.randomUUID()
+  },
+  title: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: String,
+  filter: {
+    type: Map,
+    of: String,
+    default: {}
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('ThreatCollection', threatCollectionSchema);
@@ -22,6 +22,62 @@ const userSchema = new mongoose.Schema(
       type: String,
       required: true,
     },
+    tier: {
+      type: String,
+      enum: ["Free", "Pro", "Business"],
+      default: "Free",
+    },
+    role: {
+      type: String,
+      enum: ["admin", "analyst", "viewer"],
+      default: "analyst",
+    },
+    // Disabled accounts can't log in or use existing tokens
+    disabled: {
+      type: Boolean,
+      default: false,
+    },
+    // Pending invitation (hashed token); cleared once accepted
+    inviteTokenHash: {
+      type: String,
+      select: false,
+    },
+    inviteExpires: Date,
+    // false until the emailed link is followed; unset for accounts that
+    // predate verification and for invited users
+    emailVerified: Boolean,
+    // Failed logins since the last success; reaching the limit sets lockedUntil
+    failedLogins: {
+      type: Number,
+      default: 0,
+    },
+    lockedUntil: Date,
+    // TOTP two-factor authentication (see services/twoFactor.js)
+    twoFactor: {
+      enabled: {
+        type: Boolean,
+        default: false,
+      },
+      enabledAt: Date,
+      secret: {
+        type: String,
+        select: false,
+      },
+      // Set during enrollment until the first code is confirmed
+      pendingSecret: {
+        type: String,
+        select: false,
+      },
+      recoveryCodeHashes: {
+        type: [String],
+        select: false,
+      },
+      // Last accepted time step, so a code can't be replayed
+      lastUsedStep: {
+        type: Number,
+        select: false,
+      },
+    },
   },
   { timestamps: true }
 );
@@ -38,4 +94,20 @@ userSchema.methods.comparePassword = async function (password) {
   return bcrypt.compare(password, this.password);
 };
 
+userSchema.methods.isLocked = function () {
+  return Boolean(this.lockedUntil && this.lockedUntil > new Date());
+};
+
+// Count a failed login. Resolves to true when this attempt locked the account.
+userSchema.methods.recordFailedLogin = async function (maxAttempts, lockoutMs) {
+  this.failedLogins = (this.failedLogins || 0) + 1;
+  const locked = this.failedLogins >= maxAttempts;
+  if (locked) {
+    this.lockedUntil = new Date(Date.now() + lockoutMs);
+    this.failedLogins = 0;
+  }
+  await this.save();
+  return locked;
+};
+
 module.exports = mongoose.model("User", userSchema);
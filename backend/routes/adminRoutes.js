@@ -0,0 +1,316 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const User = require("../models/user.js");
+const ThreatCollection = require("../models/threatCollection.js");
+const LifecycleRun = require("../models/lifecycleRun.js");
+const { TIER_NAMES } = require("../config/tiers.js");
+const { ROLES } = require("../config/permissions.js");
+const { requirePermission } = require("../middleware/auth.js");
+const { sendMail } = require("../services/mailer.js");
+const { connectors, runConnector } = require("../ingestion/index.js");
+const { SettingsError, getSettings, updateSettings } = require("../services/settings.js");
+const { QueryError } = require("../services/threatQuery.js");
+const { cleanCollectionFilter } = require("../services/taxii.js");
+const { getLifecyclePolicy, updateLifecyclePolicy, runLifecycle } = require("../services/lifecycle.js");
+const { randomToken, hashToken } = require("../utils/tokens.js");
+
+const router = express.Router();
+
+const INVITE_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+const canManageUsers = requirePermission("users:manage");
+const canManageFeeds = requirePermission("feeds:manage");
+const canManageSettings = requirePermission("settings:manage");
+
+// A malformed :id can't name a user
+const validUserId = (req, res, next) => {
+  if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ message: "User not found" });
+  next();
+};
+
+// Admins can't lock themselves out by demoting or disabling their own account
+const notSelf = (req, res, next) => {
+  if (req.user._id.equals(req.params.id)) {
+    return res.status(400).json({ message: "You can't change your own role or status" });
+  }
+  next();
+};
+
+// ✅ List users
+router.get("/users", canManageUsers, async (req, res) => {
+  try {
+    const users = await User.find().select("-password").sort({ createdAt: -1 });
+    res.json(users);
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// ✅ Invite a user
+// POST /api/admin/users/invite  { email, name, role }
+// The invitee sets their password via POST /api/auth/accept-invite
+router.post("/users/invite", canManageUsers, async (req, res) => {
+  try {
+    const { email, name, role = "viewer" } = req.body;
+    if (!email || !name) return res.status(400).json({ message: "email and name are required" });
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({ message: `role must be one of: ${ROLES.join(", ")}` });
+    }
+
+    const exists = await User.findOne({ email });
+    if (exists) return res.status(400).json({ message: "User already exists" });
+
+    const token = randomToken();
+    const user = await User.create({
+      email,
+      name,
+      role,
+      // Unusable until the invitation is accepted
+      password: randomToken(),
+      inviteTokenHash: hashToken(token),
+      inviteExpires: new Date(Date.now() + INVITE_TTL_MS),
+    });
+
+    const acceptUrl = `${process.env.APP_URL || "http://localhost:5173"}/accept-invite?token=${token}`;
+    try {
+      await sendMail({
+        to: email,
+        subject: "You've been invited to ThreatView",
+        text: `${req.user.name} invited you to ThreatView as ${role}.\n\nSet your password here (valid for 7 days):\n${acceptUrl}`,
+      });
+    } catch (err) {
+      console.log("❌ Invite email failed:", err.message);
+    }
+
+    res.json({ message: "User invited", user: { _id: user._id, email, name, role } });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// ✅ Change a user's role
+// PUT /api/admin/users/:id/role  { role: "admin" | "analyst" | "viewer" }
+router.put("/users/:id/role", canManageUsers, validUserId, notSelf, async (req, res) => {
+  try {
+    const { role } = req.body;
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({ message: `role must be one of: ${ROLES.join(", ")}` });
+    }
+
+    const user = await User.findByIdAndUpdate(req.params.id, { role }, { new: true }).select("-password");
+    if (!user) return res.status(404).json({ message: "User not found" });
+
+    res.json({ message: "Role updated", user });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// ✅ Disable / re-enable a user
+// PUT /api/admin/users/:id/status  { disabled: true | false }
+router.put("/users/:id/status", canManageUsers, validUserId, notSelf, async (req, res) => {
+  try {
+    const disabled = req.body.disabled === true;
+
+    const user = await User.findByIdAndUpdate(req.params.id, { disabled }, { new: true }).select("-password");
+    if (!user) return res.status(404).json({ message: "User not found" });
+
+    res.json({ message: disabled ? "User disabled" : "User enabled", user });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// ✅ Change a user's subscription tier
+// PUT /api/admin/users/:id/tier  { tier: "Free" | "Pro" | "Business" }
+router.put("/users/:id/tier", canManageUsers, validUserId, async (req, res) => {
+  try {
+    const { tier } = req.body;
+    if (!TIER_NAMES.includes(tier)) {
+      return res.status(400).json({ message: `tier must be one of: ${TIER_NAMES.join(", ")}` });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.params.id,
+      { tier },
+      { new: true, runValidators: true }
+    ).select("-password");
+    if (!user) return res.status(404).json({ message: "User not found" });
+
+    res.json({ message: "Tier updated", user });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// ✅ List feed connectors
+router.get("/feeds", canManageFeeds, (req, res) => {
+  res.json(
+    connectors.map((c) => ({
+      name: c.name,
+      source: c.source,
+      enabled: c.isEnabled(),
+      intervalMinutes: c.intervalMinutes,
+    }))
+  );
+});
+
+// ✅ Run a feed now
+router.post("/feeds/:name/run", canManageFeeds, async (req, res) => {
+  try {
+    const connector = connectors.find((c) => c.name === req.params.name);
+    if (!connector) return res.status(404).json({ message: "Feed not found" });
+    if (!connector.isEnabled()) return res.status(400).json({ message: "Feed is not configured" });
+
+    res.json(await runConnector(connector));
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// ✅ List TAXII collections
+router.get("/collections", canManageFeeds, async (req, res) => {
+  try {
+    res.json(await ThreatCollection.find().sort({ title: 1 }));
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// ✅ Publish a saved threat filter as a TAXII collection
+// POST /api/admin/collections  { title, description, filter: { severity: "Critical", category: "Phishing" } }
+router.post("/collections", canManageFeeds, async (req, res) => {
+  try {
+    const { title, description } = req.body;
+    if (!title || !String(title).trim()) return res.status(400).json({ message: "title is required" });
+
+    const collection = await ThreatCollection.create({
+      title,
+      description,
+      filter: cleanCollectionFilter(req.body.filter),
+      createdBy: req.user._id,
+    });
+    res.status(201).json({ message: "Collection created", collection });
+  } catch (err) {
+    const status = err instanceof QueryError ? 400 : 500;
+    res.status(status).json({ message: err.message });
+  }
+});
+
+// ✅ Update a collection's title, description or filter
+router.put("/collections/:id", canManageFeeds, async (req, res) => {
+  try {
+    const collection = mongoose.isValidObjectId(req.params.id) && (await ThreatCollection.findById(req.params.id));
+    if (!collection) return res.status(404).json({ message: "Collection not found" });
+
+    if (req.body.title !== undefined) {
+      if (!String(req.body.title).trim()) return res.status(400).json({ message: "title is required" });
+      collection.title = req.body.title;
+    }
+    if (req.body.description !== undefined) collection.description = req.body.description;
+    if (req.body.filter !== undefined) collection.filter = cleanCollectionFilter(req.body.filter);
+
+    await collection.save();
+    res.json({ message: "Collection updated", collection });
+  } catch (err) {
+    const status = err instanceof QueryError ? 400 : 500;
+    res.status(status).json({ message: err.message });
+  }
+});
+
+// ✅ Delete a collection (TAXII clients polling it get a 404)
+router.delete("/collections/:id", canManageFeeds, async (req, res) => {
+  try {
+    const collection = mongoose.isValidObjectId(req.params.id) && (await ThreatCollection.findById(req.params.id));
+    if (!collection) return res.status(404).json({ message: "Collection not found" });
+
+    await collection.deleteOne();
+    res.json({ message: "Collection deleted" });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// ✅ Instance settings
+router.get("/settings", canManageSettings, async (req, res) => {
+  try {
+    res.json(await getSettings());
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// ✅ Update instance settings
+// PUT /api/admin/settings  { require2FA: true }
+router.put("/settings", canManageSettings, async (req, res) => {
+  try {
+    // Turning on required 2FA without it would lock the admin out of this page
+    if (req.body.require2FA === true && !req.user.twoFactor?.enabled) {
+      return res.status(400).json({ message: "Enable two-factor authentication on your own account first" });
+    }
+
+    res.json({ message: "Settings updated", settings: await updateSettings(req.body, req.user._id) });
+  } catch (err) {
+    const status = err instanceof SettingsError ? 400 : 500;
+    res.status(status).json({ message: err.message });
+  }
+});
+
+// ✅ Threat lifecycle policy and the latest run
+router.get("/lifecycle", canManageSettings, async (req, res) => {
+  try {
+    const [policy, lastRun] = await Promise.all([
+      getLifecyclePolicy(),
+      LifecycleRun.findOne().sort({ startedAt: -1 }).select("-changes"),
+    ]);
+    res.json({ policy, lastRun });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// ✅ Update the lifecycle policy (partial; maps are merged per key)
+// PUT /api/admin/lifecycle  { ttlDays: { IP: 7 }, sourceTtlDays: { AbuseIPDB: 3 }, halfLifeDays: { Domain: 45 } }
+router.put("/lifecycle", canManageSettings, async (req, res) => {
+  try {
+    res.json({ message: "Lifecycle policy updated", policy: await updateLifecyclePolicy(req.body, req.user._id) });
+  } catch (err) {
+    const status = err instanceof SettingsError ? 400 : 500;
+    res.status(status).json({ message: err.message });
+  }
+});
+
+// ✅ Run the lifecycle job now
+router.post("/lifecycle/run", canManageSettings, async (req, res) => {
+  try {
+    const run = await runLifecycle({ trigger: "manual", userId: req.user._id });
+    if (!run) return res.status(409).json({ message: "A lifecycle run is already in progress" });
+
+    res.json({ message: "Lifecycle run finished", run });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// ✅ Lifecycle audit: recent runs (GET /lifecycle/runs/:id for the changes)
+router.get("/lifecycle/runs", canManageSettings, async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+    res.json(await LifecycleRun.find().sort({ startedAt: -1 }).limit(limit).select("-changes"));
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+router.get("/lifecycle/runs/:id", canManageSettings, async (req, res) => {
+  try {
+    const run = mongoose.isValidObjectId(req.params.id) && (await LifecycleRun.findById(req.params.id));
+    if (!run) return res.status(404).json({ message: "Run not found" });
+
+    res.json(run);
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+module.exports = router;
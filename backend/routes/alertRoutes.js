@@ -1,12 +1,35 @@
+const crypto = require("crypto");
 const express = require("express");
 const Alert = require("../models/alert.js");
+const { replayAlert } = require("../services/alertEngine.js");
+const { WebhookError, checkWebhookUrl } = require("../services/notifications/webhook.js");
+const { requireOwnership, requirePermission } = require("../middleware/auth.js");
+const { tierLimits } = require("../config/tiers.js");
 
 const router = express.Router();
 
-// ✅ Get all alerts
+// Fields a client may never set directly
+const PROTECTED_FIELDS = [
+  "_id", "userId", "triggerCount", "lastTriggered", "recentMatches", "nextTriggerAllowed", "webhookSecret",
+];
+
+const ownAlert = requireOwnership(Alert);
+
+// Webhook delivery needs a URL the server is allowed to call. Throws WebhookError.
+const checkDelivery = async (alert) => {
+  if (alert.deliveryMethod === "email") return;
+  if (!alert.webhookUrl) throw new WebhookError("webhookUrl is required for webhook delivery");
+  await checkWebhookUrl(alert.webhookUrl);
+};
+
+const errorStatus = (err) => (err instanceof WebhookError ? 400 : 500);
+
+router.use(requirePermission("alerts:manage"));
+
+// ✅ Get the current user's alerts
 router.get("/", async (req, res) => {
   try {
-    const alerts = await Alert.find().sort({ createdAt: -1 });
+    const alerts = await Alert.find({ userId: req.user._id }).sort({ createdAt: -1 });
     res.json(alerts);
   } catch (err) {
     res.status(500).json({ message: err.message });
@@ -16,8 +39,15 @@ router.get("/", async (req, res) => {
 // ✅ Create alert
 router.post("/", async (req, res) => {
   try {
-    const alert = await Alert.create({
-      userId: req.body.userId || null,
+    const { maxAlerts } = tierLimits(req.user.tier);
+    if (maxAlerts !== null && (await Alert.countDocuments({ userId: req.user._id })) >= maxAlerts) {
+      return res.status(403).json({
+        message: `Alert limit reached: the ${req.user.tier} plan allows ${maxAlerts} alerts`,
+      });
+    }
+
+    const alert = new Alert({
+      userId: req.user._id,
       name: req.body.name || req.body.title,  // UI sends 'title'
       description: req.body.description,
       conditions: req.body.conditions || {
@@ -25,31 +55,72 @@ router.post("/", async (req, res) => {
         value: ""
       },
       severity: req.body.severity || "Medium",
-      sources: req.body.sources || ["Manual"]
+      sources: req.body.sources || ["Manual"],
+      deliveryMethod: req.body.deliveryMethod,
+      webhookUrl: req.body.webhookUrl,
+      cooldownMinutes: req.body.cooldownMinutes
     });
+    await checkDelivery(alert);
+    await alert.save();
 
-    res.json({ message: "Alert created", alert });
+    // The webhook secret is only shown here and when it is rotated
+    const { webhookSecret, ...safe } = alert.toObject();
+    res.json({ message: "Alert created", alert: safe, webhookSecret });
   } catch (err) {
-    res.status(500).json({ message: err.message });
+    res.status(errorStatus(err)).json({ message: err.message });
   }
 });
 
 // ✅ Update alert
-router.put("/:id", async (req, res) => {
+router.put("/:id", ownAlert, async (req, res) => {
   try {
-    const updated = await Alert.findByIdAndUpdate(req.params.id, req.body, {
-      new: true,
-    });
+    const updates = { ...req.body };
+    PROTECTED_FIELDS.forEach((field) => delete updates[field]);
+
+    req.resource.set(updates);
+    await checkDelivery(req.resource);
+    const updated = await req.resource.save();
     res.json({ message: "Alert updated", updated });
+  } catch (err) {
+    res.status(errorStatus(err)).json({ message: err.message });
+  }
+});
+
+// ✅ Replace the webhook signing secret; the new one is only returned here
+router.post("/:id/rotate-secret", ownAlert, async (req, res) => {
+  try {
+    req.resource.webhookSecret = crypto.randomBytes(32).toString("hex");
+    await req.resource.save();
+    res.json({ message: "Webhook secret rotated", webhookSecret: req.resource.webhookSecret });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// ✅ Replay historical threats against an alert
+// Body: { from, to } (ISO dates) or { days } to look back from now
+router.post("/:id/replay", ownAlert, async (req, res) => {
+  try {
+    const alert = req.resource;
+    const days = Number(req.body.days) || 7;
+    const from = req.body.from ? new Date(req.body.from) : new Date(Date.now() - days * 86400000);
+    const to = req.body.to ? new Date(req.body.to) : new Date();
+
+    if (isNaN(from) || isNaN(to)) {
+      return res.status(400).json({ message: "Invalid replay window" });
+    }
+
+    const result = await replayAlert(alert, { from, to });
+    res.json({ from, to, ...result });
   } catch (err) {
     res.status(500).json({ message: err.message });
   }
 });
 
 // ✅ Delete alert
-router.delete("/:id", async (req, res) => {
+router.delete("/:id", ownAlert, async (req, res) => {
   try {
-    await Alert.findByIdAndDelete(req.params.id);
+    await req.resource.deleteOne();
     res.json({ message: "Alert deleted" });
   } catch (err) {
     res.status(500).json({ message: err.message });
@@ -0,0 +1,63 @@
+const express = require("express");
+const ApiKey = require("../models/apiKey.js");
+const { requireOwnership, requireSession } = require("../middleware/auth.js");
+const { randomToken, hashToken } = require("../utils/tokens.js");
+
+const router = express.Router();
+
+// Keys can only be managed from a logged-in session, never with another key
+router.use(requireSession);
+
+// ✅ List the current user's keys (hashes are never returned)
+router.get("/", async (req, res) => {
+  try {
+    const keys = await ApiKey.find({ userId: req.user._id, revokedAt: null }).sort({ createdAt: -1 });
+    res.json(keys);
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// ✅ Create a key
+// POST /api/keys  { name, scopes: ["threats:read", ...], expiresInDays }
+// The plaintext key is only ever returned here.
+router.post("/", async (req, res) => {
+  try {
+    const { name, scopes = ["threats:read"], expiresInDays } = req.body;
+
+    if (!name) return res.status(400).json({ message: "name is required" });
+    if (!Array.isArray(scopes) || scopes.length === 0 || scopes.some((s) => !ApiKey.SCOPES.includes(s))) {
+      return res.status(400).json({ message: `scopes must be a subset of: ${ApiKey.SCOPES.join(", ")}` });
+    }
+
+    const key = `tv_${randomToken(24)}`;
+    const apiKey = await ApiKey.create({
+      userId: req.user._id,
+      name,
+      scopes,
+      prefix: key.slice(0, 10),
+      keyHash: hashToken(key),
+      expiresAt: Number(expiresInDays) > 0
+        ? new Date(Date.now() + Number(expiresInDays) * 24 * 60 * 60 * 1000)
+        : undefined,
+    });
+
+    const { keyHash, ...safe } = apiKey.toObject();
+    res.json({ message: "API key created", key, apiKey: safe });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// ✅ Revoke a key
+router.delete("/:id", requireOwnership(ApiKey), async (req, res) => {
+  try {
+    req.resource.revokedAt = new Date();
+    await req.resource.save();
+    res.json({ message: "API key revoked" });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+module.exports = router;
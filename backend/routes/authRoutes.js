@@ -1,14 +1,84 @@
 const express = require("express");
+const mongoose = require("mongoose");
+const bcrypt = require("bcryptjs");
 const User = require("../models/user.js");
-const jwt = require("jsonwebtoken");
+const Alert = require("../models/alert.js");
+const Session = require("../models/session.js");
+const { requireAuth, requireSession } = require("../middleware/auth.js");
+const { rateLimit, requestsThisWindow } = require("../middleware/rateLimit.js");
+const { tierLimits } = require("../config/tiers.js");
+const { permissionsFor } = require("../config/permissions.js");
+const { hashToken } = require("../utils/tokens.js");
+const {
+  TokenError,
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeAllSessions,
+  signActionToken,
+  verifyActionToken,
+} = require("../services/authTokens.js");
+const twoFactor = require("../services/twoFactor.js");
+const { getSetting } = require("../services/settings.js");
+const {
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+  sendLockoutEmail,
+} = require("../services/accountEmails.js");
 
 const router = express.Router();
 
-// Generate token
-const createToken = (id) => {
-  return jwt.sign({ id }, "SECRET_KEY", { expiresIn: "7d" });
+// Emails listed in ADMIN_EMAILS (comma separated) register as admins,
+// which is how the first admin of a fresh install is created
+const isBootstrapAdmin = (email) =>
+  (process.env.ADMIN_EMAILS || "")
+    .split(",")
+    .map((e) => e.trim().toLowerCase())
+    .includes(String(email).toLowerCase());
+
+// Same answer for unknown emails, wrong passwords and locked accounts, so
+// login can't be used to discover which emails have accounts
+const LOGIN_ERROR = "Invalid email or password";
+const MAX_FAILED_LOGINS = Number(process.env.LOGIN_MAX_ATTEMPTS) || 5;
+const LOCKOUT_MS = (Number(process.env.LOGIN_LOCKOUT_MINUTES) || 15) * 60 * 1000;
+
+// Compared against when the email is unknown so that path takes as long as a real check
+const DUMMY_HASH = bcrypt.hashSync("threatview-unknown-user", 10);
+
+const logMailError = (label) => (err) => console.log(`❌ ${label} email failed:`, err.message);
+
+// The account fields a login response carries; never the whole document,
+// which holds the password hash, lockout state and 2FA secrets
+const publicUser = (user) => ({
+  _id: user._id,
+  email: user.email,
+  name: user.name,
+  role: user.role,
+  tier: user.tier,
+});
+
+// Last step of every successful login: clear failed attempts and start a session
+const completeLogin = async (user, req, res) => {
+  if (user.failedLogins || user.lockedUntil) {
+    user.failedLogins = 0;
+    user.lockedUntil = undefined;
+    await user.save();
+  }
+
+  const { token, refreshToken } = await createSession(user._id, req);
+
+  res.json({ message: "Login successful", token, refreshToken, user: publicUser(user) });
+};
+
+// Count a failed password or second-factor attempt towards lockout
+const recordFailure = async (user) => {
+  const locked = await user.recordFailedLogin(MAX_FAILED_LOGINS, LOCKOUT_MS);
+  if (locked) sendLockoutEmail(user, user.lockedUntil).catch(logMailError("Lockout"));
 };
 
+const twoFactorStatus = (err) => (err instanceof twoFactor.TwoFactorError ? 400 : 500);
+
+
 // REGISTER ✅
 router.post("/register", async (req, res) => {
   try {
@@ -18,11 +88,21 @@ router.post("/register", async (req, res) => {
     const exists = await User.findOne({ email });
     if (exists) return res.status(400).json({ message: "User already exists" });
 
-    const user = await User.create({ email, password, name });
+    const user = await User.create({
+      email,
+      password,
+      name,
+      // Write access is granted by an admin, not by signing up
+      role: isBootstrapAdmin(email) ? "admin" : "viewer",
+      emailVerified: false,
+    });
 
-    const token = createToken(user._id);
+    sendVerificationEmail(user).catch(logMailError("Verification"));
 
-    res.json({ message: "User registered successfully", token, user });
+    res.json({
+      message: "Account created. Check your email to verify your address before logging in.",
+      user: { _id: user._id, email: user.email, name: user.name },
+    });
   } catch (err) {
     res.status(500).json({ message: err.message });
   }
@@ -30,32 +110,301 @@ router.post("/register", async (req, res) => {
 
 // LOGIN ✅
 router.post("/login", async (req, res) => {
-  const { email, password } = req.body;
+  try {
+    const { email, password } = req.body;
+    if (!email || !password) return res.status(400).json({ message: LOGIN_ERROR });
+
+    const user = await User.findOne({ email: String(email) });
+    if (!user) {
+      await bcrypt.compare(String(password), DUMMY_HASH);
+      return res.status(400).json({ message: LOGIN_ERROR });
+    }
+
+    const isMatch = await user.comparePassword(String(password));
+    if (user.isLocked()) return res.status(400).json({ message: LOGIN_ERROR });
+
+    if (!isMatch) {
+      await recordFailure(user);
+      return res.status(400).json({ message: LOGIN_ERROR });
+    }
+
+    if (user.emailVerified === false) {
+      return res.status(403).json({ message: "Please verify your email address first", code: "EMAIL_NOT_VERIFIED" });
+    }
+    if (user.disabled) return res.status(403).json({ message: "Account disabled" });
+
+    // Two-step login: the client exchanges challengeToken + code at /login/2fa
+    if (user.twoFactor?.enabled) {
+      return res.json({
+        message: "Enter your authentication code",
+        twoFactorRequired: true,
+        challengeToken: signActionToken(user, "2fa-login"),
+      });
+    }
+
+    await completeLogin(user, req, res);
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// LOGIN STEP 2 ✅  { challengeToken, code } or { challengeToken, recoveryCode }
+router.post("/login/2fa", async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+    const user = await verifyActionToken(challengeToken, "2fa-login");
+    if (user.isLocked()) return res.status(400).json({ message: LOGIN_ERROR });
+
+    if (!(await twoFactor.checkSecondFactor(user._id, { code, recoveryCode }))) {
+      await recordFailure(user);
+      return res.status(400).json({ message: "Invalid authentication code" });
+    }
+    if (user.disabled) return res.status(403).json({ message: "Account disabled" });
+
+    await completeLogin(user, req, res);
+  } catch (err) {
+    const status = err instanceof TokenError ? 401 : 500;
+    res.status(status).json({ message: err.message });
+  }
+});
+
+// VERIFY EMAIL ✅  { token } from the emailed link
+router.post("/verify-email", async (req, res) => {
+  try {
+    const user = await verifyActionToken(req.body.token, "verify-email");
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      await user.save();
+    }
+    res.json({ message: "Email verified. You can now log in." });
+  } catch (err) {
+    const status = err instanceof TokenError ? 400 : 500;
+    res.status(status).json({ message: err.message });
+  }
+});
+
+// RESEND VERIFICATION ✅  { email }  (same answer whether or not the account exists)
+router.post("/resend-verification", async (req, res) => {
+  try {
+    const user = await User.findOne({ email: String(req.body.email || "") });
+    if (user && user.emailVerified === false) {
+      sendVerificationEmail(user).catch(logMailError("Verification"));
+    }
+    res.json({ message: "If that account needs verifying, a new link is on its way." });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// FORGOT PASSWORD ✅  { email }  (same answer whether or not the account exists)
+router.post("/forgot-password", async (req, res) => {
+  try {
+    const user = await User.findOne({ email: String(req.body.email || "") });
+    if (user && !user.disabled) {
+      sendPasswordResetEmail(user).catch(logMailError("Password reset"));
+    }
+    res.json({ message: "If that email has an account, a reset link is on its way." });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// RESET PASSWORD ✅  { token, password }  ends every existing session
+router.post("/reset-password", async (req, res) => {
+  try {
+    const { token, password } = req.body;
+    if (!password || String(password).length < 6) {
+      return res.status(400).json({ message: "Password must be at least 6 characters" });
+    }
+
+    const user = await verifyActionToken(token, "reset-password");
+    user.password = password;
+    // Following the emailed link proves the address, and clears any lockout
+    user.emailVerified = true;
+    user.failedLogins = 0;
+    user.lockedUntil = undefined;
+    await user.save();
+    await revokeAllSessions(user._id);
+
+    res.json({ message: "Password updated. You can now log in." });
+  } catch (err) {
+    const status = err instanceof TokenError ? 400 : 500;
+    res.status(status).json({ message: err.message });
+  }
+});
+
+// REFRESH ✅  { refreshToken } -> new access + refresh token (the old one stops working)
+router.post("/refresh", async (req, res) => {
+  try {
+    const { token, refreshToken } = await rotateSession(req.body.refreshToken);
+    res.json({ token, refreshToken });
+  } catch (err) {
+    const status = err instanceof TokenError ? 401 : 500;
+    res.status(status).json({ message: err.message });
+  }
+});
 
-  const user = await User.findOne({ email });
-  if (!user) return res.status(400).json({ message: "User does not exist" });
+// LOGOUT ✅  revokes the current session
+router.post("/logout", requireAuth, requireSession, async (req, res) => {
+  try {
+    await revokeSession(req.user._id, req.sessionId);
+    res.json({ message: "Logged out" });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
 
-  const isMatch = await user.comparePassword(password);
-  if (!isMatch) return res.status(400).json({ message: "Invalid email/password" });
+// LOGOUT EVERYWHERE ✅  revokes every session of the current user
+router.post("/logout-all", requireAuth, requireSession, async (req, res) => {
+  try {
+    const result = await revokeAllSessions(req.user._id);
+    res.json({ message: "Logged out of all sessions", revoked: result.modifiedCount });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// ACTIVE SESSIONS ✅
+router.get("/sessions", requireAuth, requireSession, async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      userId: req.user._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    })
+      .select("userAgent ip createdAt lastUsedAt expiresAt")
+      .sort({ lastUsedAt: -1 });
 
-  const token = createToken(user._id);
+    res.json(
+      sessions.map((s) => ({ ...s.toObject(), current: s._id.equals(req.sessionId) }))
+    );
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
 
-  res.json({ message: "Login successful", token, user });
+// REVOKE ONE SESSION ✅
+router.delete("/sessions/:id", requireAuth, requireSession, async (req, res) => {
+  try {
+    const result = mongoose.isValidObjectId(req.params.id) && (await revokeSession(req.user._id, req.params.id));
+    if (!result || result.matchedCount === 0) return res.status(404).json({ message: "Session not found" });
+    res.json({ message: "Session revoked" });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
 });
 
 // GET CURRENT USER ✅
-router.get("/me", async (req, res) => {
+router.get("/me", requireAuth, async (req, res) => {
+  try {
+    const require2FA = await getSetting("require2FA");
+    res.json({
+      ...req.user.toObject(),
+      permissions: permissionsFor(req.user.role),
+      twoFactorSetupRequired: require2FA && !req.user.twoFactor?.enabled,
+    });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// 2FA SETUP ✅  step 1: returns { secret, otpauthUrl, qrCode } for an authenticator app
+router.post("/2fa/setup", requireAuth, requireSession, async (req, res) => {
+  try {
+    res.json(await twoFactor.beginSetup(req.user._id));
+  } catch (err) {
+    res.status(twoFactorStatus(err)).json({ message: err.message });
+  }
+});
+
+// 2FA ENABLE ✅  step 2: { code } -> one-time recovery codes (shown once)
+router.post("/2fa/enable", requireAuth, requireSession, async (req, res) => {
+  try {
+    const recoveryCodes = await twoFactor.confirmSetup(req.user._id, req.body.code);
+    res.json({ message: "Two-factor authentication enabled", recoveryCodes });
+  } catch (err) {
+    res.status(twoFactorStatus(err)).json({ message: err.message });
+  }
+});
+
+// NEW RECOVERY CODES ✅  { code } (old codes stop working)
+router.post("/2fa/recovery-codes", requireAuth, requireSession, async (req, res) => {
+  try {
+    if (!(await twoFactor.checkSecondFactor(req.user._id, { code: req.body.code }))) {
+      return res.status(400).json({ message: "Invalid authentication code" });
+    }
+    res.json({ recoveryCodes: await twoFactor.regenerateRecoveryCodes(req.user._id) });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// 2FA DISABLE ✅  { password, code }  (not allowed while admins require 2FA)
+router.post("/2fa/disable", requireAuth, requireSession, async (req, res) => {
+  try {
+    if (await getSetting("require2FA")) {
+      return res.status(400).json({ message: "Two-factor authentication is required for all users" });
+    }
+
+    const { password, code, recoveryCode } = req.body;
+    const user = await User.findById(req.user._id);
+    const passwordOk = await user.comparePassword(String(password || ""));
+    if (!passwordOk || !(await twoFactor.checkSecondFactor(user._id, { code, recoveryCode }))) {
+      return res.status(400).json({ message: "Invalid password or authentication code" });
+    }
+
+    await twoFactor.disable(user._id);
+    res.json({ message: "Two-factor authentication disabled" });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// ACCEPT INVITE ✅  { token, password }
+router.post("/accept-invite", async (req, res) => {
   try {
-    const token = req.headers.authorization?.split(" ")[1];
-    if (!token) return res.status(401).json({ message: "Not authorized" });
+    const { token, password } = req.body;
+    if (!token || !password) {
+      return res.status(400).json({ message: "token and password are required" });
+    }
+
+    const user = await User.findOne({
+      inviteTokenHash: hashToken(token),
+      inviteExpires: { $gt: new Date() },
+    });
+    if (!user) return res.status(400).json({ message: "Invitation is invalid or has expired" });
+    if (user.disabled) return res.status(403).json({ message: "Account disabled" });
 
-    const decoded = jwt.verify(token, "SECRET_KEY");
+    user.password = password;
+    user.inviteTokenHash = undefined;
+    user.inviteExpires = undefined;
+    user.emailVerified = true;
+    await user.save();
 
-    const user = await User.findById(decoded.id).select("-password");
+    const { token: accessToken, refreshToken } = await createSession(user._id, req);
 
-    res.json(user);
-  } catch (error) {
-    res.status(401).json({ message: "Unauthorized" });
+    res.json({ message: "Invitation accepted", token: accessToken, refreshToken, user: publicUser(user) });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// USAGE vs TIER LIMITS ✅
+router.get("/usage", requireAuth, rateLimit, async (req, res) => {
+  try {
+    const limits = tierLimits(req.user.tier);
+    const alerts = await Alert.countDocuments({ userId: req.user._id });
+
+    res.json({
+      tier: req.user.tier,
+      limits,
+      usage: {
+        alerts,
+        requestsThisMinute: requestsThisWindow(req.user._id),
+      },
+    });
+  } catch (err) {
+    res.status(500).json({ message: err.message });
   }
 });
 
@@ -0,0 +1,51 @@
+const express = require("express");
+const { QueryError } = require("../services/threatQuery.js");
+const {
+  FORMATS,
+  FORMAT_NAMES,
+  buildBlocklistFilter,
+  getBlocklistVersion,
+  renderBlocklist,
+} = require("../services/blocklist.js");
+const { tierLimits } = require("../config/tiers.js");
+const { requirePermission } = require("../middleware/auth.js");
+
+const router = express.Router();
+
+/**
+ * GET /api/blocklists/:format
+ * Formats: ip.txt, domain.txt, url.txt, csv, hosts, rpz, suricata.rules, snort.rules
+ * Filters: severity, minSeverity, minConfidence, category, source, isActive
+ *          (default true; "any" for all) plus the other GET /api/threats filters
+ * Needs an API key with the threats:read scope. Responses carry ETag and
+ * Last-Modified, so pollers get a 304 while the list is unchanged. Lists
+ * are capped at BLOCKLIST_LIMIT entries; a capped list has an
+ * X-ThreatView-Truncated header and, except CSV, a comment saying so.
+ */
+router.get("/:format", requirePermission("threats:read"), async (req, res) => {
+  try {
+    const { format } = req.params;
+    if (!FORMATS[format]) {
+      return res.status(404).json({ message: `Unknown format. Use one of: ${FORMAT_NAMES.join(", ")}` });
+    }
+
+    const filter = buildBlocklistFilter(format, req.query, { feeds: tierLimits(req.user.tier).feeds });
+    const { etag, lastModified } = await getBlocklistVersion(format, filter);
+
+    res.set("Content-Type", `${FORMATS[format].contentType}; charset=utf-8`);
+    res.set("Cache-Control", "private, no-cache");
+    res.set("ETag", etag);
+    if (lastModified) res.set("Last-Modified", lastModified.toUTCString());
+
+    if (req.fresh) return res.status(304).end();
+
+    const { body, truncated } = await renderBlocklist(format, filter);
+    if (truncated) res.set("X-ThreatView-Truncated", "true");
+    res.send(body);
+  } catch (err) {
+    const status = err instanceof QueryError ? 400 : 500;
+    res.status(status).json({ message: err.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,78 @@
+const express = require("express");
+const { searchIoC, bulkLookup } = require("../services/iocSearch.js");
+const { enrich } = require("../services/enrichment.js");
+const { tierLimits } = require("../config/tiers.js");
+const { requirePermission } = require("../middleware/auth.js");
+
+const router = express.Router();
+
+router.use(requirePermission("threats:read"));
+
+/**
+ * GET /api/ioc/search?value=<ioc>&enrich=true
+ * Look an indicator up in the local threat database. The IoC type is
+ * detected automatically (IP, CIDR, domain, URL, email, MD5/SHA1/SHA256).
+ * enrich=true adds cached third-party context (failures don't fail the search).
+ */
+router.get("/search", async (req, res) => {
+  try {
+    const { value } = req.query;
+
+    if (!value || !String(value).trim()) {
+      return res.status(400).json({ message: "IOC value is required" });
+    }
+
+    const result = await searchIoC(value, { feeds: tierLimits(req.user.tier).feeds });
+
+    if (req.query.enrich === "true" && result.type && result.kind !== "cidr") {
+      try {
+        result.enrichment = await enrich(result.type, result.query);
+      } catch (err) {
+        result.enrichment = { error: err.message };
+      }
+    }
+
+    res.json(result);
+  } catch (err) {
+    res.status(500).json({ message: "IOC lookup failed", error: err.message });
+  }
+});
+
+/**
+ * POST /api/ioc/bulk
+ * Look up a list of indicators in one request. The body is either
+ *   - text/plain or text/csv (a pasted list or an uploaded file's contents), or
+ *   - JSON { text } / { indicators: [...] }
+ * Defanged forms (hxxp://, [.], [at]) are refanged before lookup.
+ * The number of indicators checked is capped by the user's tier.
+ */
+router.post(
+  "/bulk",
+  express.text({ type: ["text/plain", "text/csv"], limit: "5mb" }),
+  async (req, res) => {
+    try {
+      let text = req.body;
+      if (typeof text !== "string") {
+        const { text: pasted, indicators } = req.body || {};
+        if (pasted !== undefined && typeof pasted !== "string") {
+          return res.status(400).json({ message: "text must be a string" });
+        }
+        if (indicators !== undefined && !(Array.isArray(indicators) && indicators.every((i) => typeof i === "string"))) {
+          return res.status(400).json({ message: "indicators must be an array of strings" });
+        }
+        text = pasted || (indicators || []).join("\n");
+      }
+
+      if (!text || !text.trim()) {
+        return res.status(400).json({ message: "No indicators provided" });
+      }
+
+      const { feeds, bulkLookupSize } = tierLimits(req.user.tier);
+      res.json(await bulkLookup(text, { feeds, maxIndicators: bulkLookupSize }));
+    } catch (err) {
+      res.status(500).json({ message: "Bulk lookup failed", error: err.message });
+    }
+  }
+);
+
+module.exports = router;
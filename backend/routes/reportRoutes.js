@@ -2,24 +2,38 @@ const express = require("express");
 const Threat = require("../models/threat.js");
 const Alert = require("../models/alert.js");
 const Report = require("../models/report.js");
+const { requireOwnership, requirePermission } = require("../middleware/auth.js");
+const { retentionCutoff } = require("../config/tiers.js");
 
 const router = express.Router();
 
+const REPORT_THREAT_LIMIT = 500;
+
 // ✅ Generate report (dashboard analytics)
-router.get("/generate", async (req, res) => {
+router.get("/generate", requirePermission("reports:write"), async (req, res) => {
   try {
     const totalThreats = await Threat.countDocuments();
     const activeThreats = await Threat.countDocuments({ status: "active" });
-    const totalAlerts = await Alert.countDocuments();
-    const criticalAlerts = await Alert.countDocuments({ severity: "Critical" });
+    const totalAlerts = await Alert.countDocuments({ userId: req.user._id });
+    const criticalAlerts = await Alert.countDocuments({
+      userId: req.user._id,
+      "conditions.severity": "Critical",
+    });
+
+    const critical = await Threat.find({ isActive: true, severity: "Critical" })
+      .select("_id")
+      .sort({ dateDetected: -1 })
+      .limit(REPORT_THREAT_LIMIT);
 
     const report = await Report.create({
+      userId: req.user._id,
       summary: {
         totalThreats,
         activeThreats,
         totalAlerts,
         criticalAlerts,
       },
+      threatIds: critical.map((t) => t._id),
     });
 
     res.json({ message: "Report generated", report });
@@ -28,10 +42,13 @@ router.get("/generate", async (req, res) => {
   }
 });
 
-// ✅ Get latest reports
-router.get("/", async (req, res) => {
+// ✅ Get the current user's latest reports
+router.get("/", requirePermission("reports:read"), async (req, res) => {
   try {
-    const reports = await Report.find().sort({ createdAt: -1 }).limit(10);
+    const reports = await Report.find({
+      userId: req.user._id,
+      createdAt: { $gte: retentionCutoff(req.user) },
+    }).sort({ createdAt: -1 }).limit(10);
     res.json(reports);
   } catch (err) {
     res.status(500).json({ message: err.message });
@@ -45,11 +62,13 @@ module.exports = router;
 // ✅ EXPORT REPORT TO PDF
 // GET /api/reports/export/:id
 // ---------------------------------------------------------------
-router.get("/export/:id", async (req, res) => {
+router.get("/export/:id", requirePermission("reports:read"), requireOwnership(Report), async (req, res) => {
   try {
-    const report = await Report.findById(req.params.id);
+    const report = req.resource;
 
-    if (!report) return res.status(404).json({ message: "Report not found" });
+    if (report.createdAt < retentionCutoff(req.user)) {
+      return res.status(404).json({ message: "Report not found" });
+    }
 
     const PDFDocument = require("pdfkit");
     const doc = new PDFDocument();
@@ -0,0 +1,146 @@
+const express = require("express");
+const ThreatCollection = require("../models/threatCollection.js");
+const { QueryError } = require("../services/threatQuery.js");
+const {
+  TAXII_MEDIA_TYPE,
+  STIX_MEDIA_TYPE,
+  TaxiiError,
+  toCollectionResource,
+  listCollectionObjects,
+} = require("../services/taxii.js");
+const { tierLimits } = require("../config/tiers.js");
+const { requirePermission } = require("../middleware/auth.js");
+
+const router = express.Router();
+
+const send = (res, body) => res.set("Content-Type", TAXII_MEDIA_TYPE).json(body);
+
+// TAXII error message resource
+const sendError = (res, status, title, description) =>
+  res.status(status).set("Content-Type", TAXII_MEDIA_TYPE).json({ title, description, http_status: String(status) });
+
+const sendFailure = (res, err) => {
+  const status = err instanceof TaxiiError || err instanceof QueryError ? 400 : 500;
+  sendError(res, status, status === 400 ? "Invalid request" : "Server error", err.message);
+};
+
+// Clients must accept TAXII 2.1 responses
+router.use((req, res, next) => {
+  const accept = req.headers.accept || "*/*";
+  if (/application\/taxii\+json|application\/\*|\*\/\*/.test(accept)) return next();
+  sendError(res, 406, "Not Acceptable", `Responses are ${TAXII_MEDIA_TYPE}`);
+});
+
+router.use(requirePermission("threats:read"));
+
+// Load the collection for req.params.id into req.collection
+const loadCollection = async (req, res, next) => {
+  try {
+    const collection = await ThreatCollection.findOne({ taxiiId: req.params.id });
+    if (!collection) return sendError(res, 404, "Collection not found", `No collection with id ${req.params.id}`);
+
+    req.collection = collection;
+    next();
+  } catch (err) {
+    sendFailure(res, err);
+  }
+};
+
+// X-TAXII-Date-Added-First / -Last for a page of objects
+const setDateHeaders = (res, entries) => {
+  if (entries.length === 0) return;
+  res.set("X-TAXII-Date-Added-First", entries[0].dateAdded.toISOString());
+  res.set("X-TAXII-Date-Added-Last", entries[entries.length - 1].dateAdded.toISOString());
+};
+
+/**
+ * GET /taxii2/
+ * Server discovery
+ */
+router.get("/", (req, res) => {
+  const apiRoot = `${req.protocol}://${req.get("host")}${req.baseUrl}/api/`;
+  send(res, {
+    title: "ThreatView TAXII Server",
+    description: "Threat intelligence collections from ThreatView",
+    default: apiRoot,
+    api_roots: [apiRoot],
+  });
+});
+
+/**
+ * GET /taxii2/api/
+ * API root information
+ */
+router.get("/api", (req, res) => {
+  send(res, {
+    title: "ThreatView",
+    description: "Read-only collections defined by saved threat filters",
+    versions: [TAXII_MEDIA_TYPE],
+    max_content_length: 10 * 1024 * 1024,
+  });
+});
+
+/**
+ * GET /taxii2/api/collections/
+ */
+router.get("/api/collections", async (req, res) => {
+  try {
+    const collections = await ThreatCollection.find().sort({ title: 1 });
+    send(res, { collections: collections.map(toCollectionResource) });
+  } catch (err) {
+    sendFailure(res, err);
+  }
+});
+
+/**
+ * GET /taxii2/api/collections/:id/
+ */
+router.get("/api/collections/:id", loadCollection, (req, res) => {
+  send(res, toCollectionResource(req.collection));
+});
+
+/**
+ * GET /taxii2/api/collections/:id/objects/
+ * Envelope of STIX objects. Paging: added_after, limit, next; filtering:
+ * match[type], match[id]. Only sources in the key owner's tier are included.
+ */
+router.get("/api/collections/:id/objects", loadCollection, async (req, res) => {
+  try {
+    const { entries, more, next } = await listCollectionObjects(req.collection, req.query, {
+      feeds: tierLimits(req.user.tier).feeds,
+    });
+
+    setDateHeaders(res, entries);
+    send(res, { more, ...(next && { next }), objects: entries.map((e) => e.object) });
+  } catch (err) {
+    sendFailure(res, err);
+  }
+});
+
+/**
+ * GET /taxii2/api/collections/:id/manifest/
+ * Same paging and filters as objects, returning manifest records
+ */
+router.get("/api/collections/:id/manifest", loadCollection, async (req, res) => {
+  try {
+    const { entries, more, next } = await listCollectionObjects(req.collection, req.query, {
+      feeds: tierLimits(req.user.tier).feeds,
+    });
+
+    setDateHeaders(res, entries);
+    send(res, {
+      more,
+      ...(next && { next }),
+      objects: entries.map(({ object, dateAdded }) => ({
+        id: object.id,
+        date_added: dateAdded.toISOString(),
+        version: object.modified,
+        media_type: STIX_MEDIA_TYPE,
+      })),
+    });
+  } catch (err) {
+    sendFailure(res, err);
+  }
+});
+
+module.exports = router;
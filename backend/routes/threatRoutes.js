@@ -1,59 +1,269 @@
 const express = require("express");
+const mongoose = require("mongoose");
 const Threat = require("../models/threat.js");
-const axios = require("axios");   // for external API lookup
+const Report = require("../models/report.js");
+const { buildThreatFilter, listThreats, isReportedByAny, QueryError } = require("../services/threatQuery.js");
+const { getDashboardStats, getThreatTrends } = require("../services/threatStats.js");
+const { SubmissionError, editableFields, submitThreat } = require("../services/threatSubmission.js");
+const { getNeighborhood } = require("../services/relationships.js");
+const { evaluateRiskIncrease } = require("../services/alertEngine.js");
+const Relationship = require("../models/relationship.js");
+const { HASH_TYPES } = require("../utils/ioc.js");
+const { buildStixBundle } = require("../services/stix.js");
+const { MispError, parseMispEvents, buildMispEvent } = require("../services/misp.js");
+const { saveThreats } = require("../ingestion/index.js");
+const { hasPermission } = require("../config/permissions.js");
+const { tierLimits, retentionCutoff } = require("../config/tiers.js");
+const { requirePermission } = require("../middleware/auth.js");
 
 const router = express.Router();
 
+const EXPORT_LIMIT = 10000;
+
+const canRead = requirePermission("threats:read");
+const canWrite = requirePermission("threats:write");
+const canVerify = requirePermission("threats:verify");
+
+const submissionStatus = (err) => (err instanceof SubmissionError ? 400 : 500);
+
+// Load the threat for req.params.id into req.threat (404 if it doesn't exist)
+const loadThreat = async (req, res, next) => {
+  try {
+    const threat = mongoose.isValidObjectId(req.params.id) && (await Threat.findById(req.params.id));
+    if (!threat) return res.status(404).json({ message: "Threat not found" });
+
+    req.threat = threat;
+    next();
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+};
+
+// After loadThreat: hide threats no feed in the user's tier reported
+const requireVisible = (req, res, next) => {
+  if (!isReportedByAny(req.threat, tierLimits(req.user.tier).feeds)) {
+    return res.status(404).json({ message: "Threat not found" });
+  }
+  next();
+};
+
 /**
  * GET /api/threats
- * Fetch all threats stored in DB
+ * Filtered, cursor-paginated threat list (rawData is left out).
+ * Filters: type, severity, source, category, country, malwareFamily, tags,
+ *          isActive, from, to, q
+ * Paging:  limit (max 500), cursor (nextCursor from the previous page)
+ * Sorting: sort=<field> or sort=-<field>, default -dateDetected
+ * Only sources included in the user's tier are returned.
  */
-router.get("/", async (req, res) => {
+router.get("/", canRead, async (req, res) => {
   try {
-    const threats = await Threat.find().sort({ createdAt: -1 });
-    res.json(threats);
+    res.json(await listThreats(req.query, { feeds: tierLimits(req.user.tier).feeds }));
+  } catch (err) {
+    const status = err instanceof QueryError ? 400 : 500;
+    res.status(status).json({ message: err.message });
+  }
+});
+
+/**
+ * GET /api/threats/stats
+ * Dashboard stats: totals, breakdowns by severity / category / source,
+ * top malware families and countries, week-over-week and "new today" counts,
+ * and the user's own alert counts
+ */
+router.get("/stats", canRead, async (req, res) => {
+  try {
+    res.json(await getDashboardStats({ userId: req.user._id, feeds: tierLimits(req.user.tier).feeds }));
   } catch (err) {
     res.status(500).json({ message: err.message });
   }
 });
 
 /**
- * GET /api/ioc/search?value=<ioc>
- * Search IOC via 3rd party threat intel API (VirusTotal / AbuseIPDB etc.)
+ * GET /api/threats/trends
+ * Threat volume over time.
+ * interval=hour|day|week, from, to, groupBy=severity|source|category|malwareFamily
+ * plus any GET /api/threats filter
+ */
+router.get("/trends", canRead, async (req, res) => {
+  try {
+    res.json(await getThreatTrends(req.query, { feeds: tierLimits(req.user.tier).feeds }));
+  } catch (err) {
+    const status = err instanceof QueryError ? 400 : 500;
+    res.status(status).json({ message: err.message });
+  }
+});
+
+/**
+ * GET /api/threats/export/stix
+ * STIX 2.1 bundle of the threats matching the GET /api/threats filters
+ * (newest first, at most EXPORT_LIMIT). includeReports=true adds the user's
+ * saved reports whose threats are in the bundle as STIX report objects.
+ */
+router.get("/export/stix", canRead, async (req, res) => {
+  try {
+    const filter = buildThreatFilter(req.query, { feeds: tierLimits(req.user.tier).feeds });
+    const threats = await Threat.find(filter).select("-rawData").sort({ dateDetected: -1 }).limit(EXPORT_LIMIT);
+
+    const reports =
+      req.query.includeReports === "true" && hasPermission(req.user, "reports:read")
+        ? await Report.find({ userId: req.user._id, createdAt: { $gte: retentionCutoff(req.user) } })
+            .sort({ createdAt: -1 })
+        : [];
+
+    res.setHeader("Content-Disposition", `attachment; filename="threatview-stix-${Date.now()}.json"`);
+    res.json(await buildStixBundle(threats, { reports }));
+  } catch (err) {
+    const status = err instanceof QueryError ? 400 : 500;
+    res.status(status).json({ message: err.message });
+  }
+});
+
+/**
+ * GET /api/threats/export/misp
+ * The threats matching the GET /api/threats filters as one MISP event
+ * (newest first, at most EXPORT_LIMIT). The event uuid is stable per user and
+ * filter, so MISP updates the same event when an export is pulled again.
+ */
+router.get("/export/misp", canRead, async (req, res) => {
+  try {
+    const filter = buildThreatFilter(req.query, { feeds: tierLimits(req.user.tier).feeds });
+    const threats = await Threat.find(filter).select("-rawData").sort({ dateDetected: -1 }).limit(EXPORT_LIMIT);
+
+    const query = Object.keys(req.query)
+      .sort()
+      .map((key) => `${key}=${req.query[key]}`)
+      .join("&");
+
+    res.setHeader("Content-Disposition", `attachment; filename="threatview-misp-${Date.now()}.json"`);
+    res.json(buildMispEvent(threats, { key: `${req.user._id}?${query}` }));
+  } catch (err) {
+    const status = err instanceof QueryError ? 400 : 500;
+    res.status(status).json({ message: err.message });
+  }
+});
+
+/**
+ * POST /api/threats/import/misp
+ * Import MISP event JSON ({ Event }, a list of events or a restSearch
+ * response) through the dedup pipeline. Re-importing an event refreshes the
+ * threats it created instead of duplicating them.
  */
-router.get("/ioc/search", async (req, res) => {
+router.post("/import/misp", canWrite, async (req, res) => {
   try {
-    const { value } = req.query;
+    const threats = parseMispEvents(req.body);
+    res.json({ message: "MISP import finished", parsed: threats.length, ...(await saveThreats(threats)) });
+  } catch (err) {
+    const status = err instanceof MispError ? 400 : 500;
+    res.status(status).json({ message: err.message });
+  }
+});
 
-    if (!value) {
-      return res.status(400).json({ message: "IOC value is required" });
+/**
+ * GET /api/threats/graph?type=Domain&value=evil.com&depth=2
+ * Relationship graph around any indicator or malware family
+ * (type=MalwareFamily), up to 3 hops out: { nodes, edges, truncated }
+ */
+router.get("/graph", canRead, async (req, res) => {
+  try {
+    const { type, value, depth } = req.query;
+    if (!(Relationship.NODE_TYPES.includes(type) || HASH_TYPES.includes(type)) || !value) {
+      return res.status(400).json({ message: `type (${Relationship.NODE_TYPES.join(", ")}) and value are required` });
     }
 
-    // External Threat API (placeholder — replace with your API key later)
-    const result = await axios.get(`https://ipinfo.io/${value}/json`);
+    res.json(await getNeighborhood({ type, value }, { depth, feeds: tierLimits(req.user.tier).feeds }));
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
 
-    res.json({
-      input: value,
-      result: result.data,
-    });
+/**
+ * GET /api/threats/:id/graph?depth=1
+ * Relationship graph around one threat (see GET /api/threats/graph)
+ */
+router.get("/:id/graph", canRead, loadThreat, requireVisible, async (req, res) => {
+  try {
+    res.json(
+      await getNeighborhood(req.threat, { depth: req.query.depth, feeds: tierLimits(req.user.tier).feeds })
+    );
   } catch (err) {
-    res.status(500).json({ message: "IOC lookup failed", error: err.message });
+    res.status(500).json({ message: err.message });
   }
 });
 
 /**
- * GET /api/threats/stats
- * Dashboard stats (counts, trends)
+ * GET /api/threats/:id
+ * One threat with every field, including rawData, sightings and the analysts
+ * in reportedBy. Threats from sources outside the user's tier are a 404.
  */
-router.get("/stats", async (req, res) => {
+router.get("/:id", canRead, loadThreat, requireVisible, async (req, res) => {
   try {
-    const total = await Threat.countDocuments();
-    const active = await Threat.countDocuments({ status: "active" });
+    await req.threat.populate("reportedBy.userId", "name email");
+    res.json(req.threat);
+  } catch (err) {
+    res.status(500).json({ message: err.message });
+  }
+});
 
-    res.json({
-      totalThreats: total,
-      activeThreats: active,
+/**
+ * POST /api/threats
+ * Report an IoC: { value, type?, severity, confidence, category, malwareFamily,
+ * tags, references, description, notes }. A known indicator gets a new
+ * reportedBy entry rather than a duplicate (200 instead of 201).
+ */
+router.post("/", canWrite, async (req, res) => {
+  try {
+    const { threat, status } = await submitThreat(req.body, req.user);
+    res.status(status === "created" ? 201 : 200).json({
+      message: status === "created" ? "Threat reported" : "Added your report to the existing threat",
+      status,
+      threat,
     });
+  } catch (err) {
+    res.status(submissionStatus(err)).json({ message: err.message });
+  }
+});
+
+/**
+ * PUT /api/threats/:id
+ * Edit analyst fields: severity, confidence, category, malwareFamily, tags,
+ * references, description, country
+ */
+router.put("/:id", canWrite, loadThreat, requireVisible, async (req, res) => {
+  try {
+    const fields = editableFields(req.body);
+    req.threat.set(fields);
+    // An analyst's confidence replaces any aging decay
+    if (fields.confidence !== undefined) req.threat.baseConfidence = undefined;
+
+    const previousScore = req.threat.riskScore;
+    await req.threat.save();
+    await evaluateRiskIncrease(req.threat, previousScore);
+    res.json({ message: "Threat updated", threat: req.threat });
+  } catch (err) {
+    res.status(submissionStatus(err)).json({ message: err.message });
+  }
+});
+
+/**
+ * PUT /api/threats/:id/status
+ * Verify or deactivate a threat: { verified, isActive }
+ */
+router.put("/:id/status", canVerify, loadThreat, requireVisible, async (req, res) => {
+  try {
+    for (const field of ["verified", "isActive"]) {
+      if (req.body[field] === undefined) continue;
+      if (typeof req.body[field] !== "boolean") {
+        return res.status(400).json({ message: `${field} must be true or false` });
+      }
+      req.threat[field] = req.body[field];
+    }
+
+    // Verifying adds to the risk score
+    const previousScore = req.threat.riskScore;
+    await req.threat.save();
+    await evaluateRiskIncrease(req.threat, previousScore);
+    res.json({ message: "Threat status updated", threat: req.threat });
   } catch (err) {
     res.status(500).json({ message: err.message });
   }
@@ -0,0 +1,54 @@
+// ============================================
+// scripts/backfillThreats.js
+// ============================================
+// One-off migration for threats stored before the unique iocKey index or
+// the risk score:
+//   node scripts/backfillThreats.js
+// Re-saves every threat without an iocKey or a stored riskScore, active or
+// not, so both are filled in (the lifecycle job only rescores active
+// threats). Existing duplicates of an IoC can't all take the same key; they
+// are listed so they can be merged or deleted by hand. updatedAt is left
+// alone so the re-save doesn't re-publish threats to TAXII and blocklist
+// pollers.
+const mongoose = require("mongoose");
+require("dotenv").config();
+const Threat = require("../models/threat.js");
+
+const DUPLICATE_KEY = 11000;
+
+const main = async () => {
+  await mongoose.connect(process.env.MONGO_URI);
+  // Build the unique index first so keys are checked as they are written
+  await Threat.init();
+
+  const counts = { updated: 0, duplicates: 0, failed: 0 };
+  const cursor = Threat.find({ $or: [{ iocKey: { $exists: false } }, { riskScore: { $exists: false } }] }).cursor();
+
+  for await (const threat of cursor) {
+    try {
+      // The schema default makes a missing score read as 0, which the save
+      // hook wouldn't see as a change when the real score is also 0
+      threat.markModified("riskScore");
+      threat.markModified("riskFactors");
+      await threat.save({ timestamps: false });
+      counts.updated += 1;
+    } catch (err) {
+      if (err.code === DUPLICATE_KEY) {
+        counts.duplicates += 1;
+        console.log(`⚠️  Duplicate of ${threat.iocKey}: ${threat._id}`);
+      } else {
+        counts.failed += 1;
+        console.log(`❌ ${threat._id}:`, err.message);
+      }
+    }
+  }
+
+  console.log(counts);
+};
+
+main()
+  .catch((err) => {
+    console.error("❌ Backfill failed:", err.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
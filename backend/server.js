@@ -12,24 +12,57 @@ const authRoutes = require("./routes/authRoutes.js");
 const threatRoutes = require("./routes/threatRoutes");
 const alertRoutes = require("./routes/alertRoutes");
 const reportRoutes = require("./routes/reportRoutes");
+const iocRoutes = require("./routes/iocRoutes");
+const adminRoutes = require("./routes/adminRoutes");
+const apiKeyRoutes = require("./routes/apiKeyRoutes");
+const blocklistRoutes = require("./routes/blocklistRoutes");
+const taxiiRoutes = require("./routes/taxiiRoutes");
+const { startScheduler } = require("./ingestion/scheduler");
+const { startLifecycleJob } = require("./services/lifecycle");
+const { requireApiKey, requireAuth, requireSession, requireTwoFactor } = require("./middleware/auth");
+const { rateLimit } = require("./middleware/rateLimit");
 
 
 
+// Tokens can't be signed safely without a real secret
+if (!process.env.JWT_SECRET) {
+  console.log("❌ JWT_SECRET is not set");
+  process.exit(1);
+}
+
 const app = express();
+// MISP event files are often larger than the default 100kb body limit
+app.use("/api/threats/import", express.json({ limit: "10mb" }));
 app.use(express.json());
 app.use(cors());
 
 // Database connect ✅
 mongoose
   .connect(process.env.MONGO_URI)
-  .then(() => console.log("✅ MongoDB Connected"))
+  .then(() => {
+    console.log("✅ MongoDB Connected");
+
+    // Feed ingestion ✅ (set INGESTION_ENABLED=false to turn off)
+    if (process.env.INGESTION_ENABLED !== "false") startScheduler();
+
+    // Threat aging ✅ (set LIFECYCLE_ENABLED=false to turn off; policy via /api/admin/lifecycle)
+    if (process.env.LIFECYCLE_ENABLED !== "false") startLifecycleJob();
+  })
   .catch((err) => console.log("❌ MongoDB error:", err));
 
 // Register routes ✅
+// Everything except /api/auth requires a logged-in user or API key, rate limited by tier
 app.use("/api/auth", authRoutes);
-app.use("/api/threats", threatRoutes);
-app.use("/api/alerts", alertRoutes);
-app.use("/api/reports", reportRoutes);
+app.use("/api/threats", requireAuth, requireTwoFactor, rateLimit, threatRoutes);
+app.use("/api/alerts", requireAuth, requireTwoFactor, rateLimit, alertRoutes);
+app.use("/api/reports", requireAuth, requireTwoFactor, rateLimit, reportRoutes);
+app.use("/api/ioc", requireAuth, requireTwoFactor, rateLimit, iocRoutes);
+app.use("/api/keys", requireAuth, requireTwoFactor, apiKeyRoutes);
+app.use("/api/admin", requireAuth, requireSession, requireTwoFactor, adminRoutes);
+// Blocklist feeds are polled by firewalls and sensors, so they take API keys only
+app.use("/api/blocklists", requireApiKey, rateLimit, blocklistRoutes);
+// TAXII 2.1 server for SIEMs and intel platforms (API keys only)
+app.use("/taxii2", requireApiKey, rateLimit, taxiiRoutes);
 
 // Test route ✅
 app.get("/", (req, res) => {
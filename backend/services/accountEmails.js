@@ -0,0 +1,42 @@
+// ============================================
+// services/accountEmails.js
+// ============================================
+// Account lifecycle emails. Links point at the React app (APP_URL).
+const { sendMail } = require("./mailer.js");
+const { signActionToken } = require("./authTokens.js");
+
+const appUrl = (path) => `${process.env.APP_URL || "http://localhost:5173"}${path}`;
+
+const sendVerificationEmail = async (user) =>
+  sendMail({
+    to: user.email,
+    subject: "Verify your ThreatView email address",
+    text:
+      `Hi ${user.name},\n\nConfirm your email address to finish setting up ThreatView (link valid for 24 hours):\n` +
+      appUrl(`/verify-email?token=${signActionToken(user, "verify-email")}`),
+  });
+
+const sendPasswordResetEmail = async (user) =>
+  sendMail({
+    to: user.email,
+    subject: "Reset your ThreatView password",
+    text:
+      `Hi ${user.name},\n\nSomeone asked to reset your ThreatView password. Choose a new one here (link valid for 1 hour):\n` +
+      appUrl(`/reset-password?token=${signActionToken(user, "reset-password")}`) +
+      "\n\nIf this wasn't you, you can ignore this email.",
+  });
+
+const sendLockoutEmail = async (user, until) =>
+  sendMail({
+    to: user.email,
+    subject: "Your ThreatView account was temporarily locked",
+    text:
+      `Hi ${user.name},\n\nAfter several failed login attempts your account is locked until ${until.toISOString()}.\n` +
+      `If this wasn't you, reset your password:\n${appUrl("/forgot-password")}`,
+  });
+
+module.exports = {
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+  sendLockoutEmail,
+};
@@ -0,0 +1,120 @@
+// ============================================
+// services/alertEngine.js
+// ============================================
+// Runs user alerts against threats as they are ingested, and replays
+// historical threats against a single alert.
+const Alert = require("../models/alert.js");
+const Threat = require("../models/threat.js");
+const { normalizeIoC } = require("../utils/ioc.js");
+const { dispatchAlert } = require("./notifications/index.js");
+const { reportedByAny } = require("./threatQuery.js");
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Active alerts that could match this threat, narrowed by `scope`. The
+// severity clause lets Mongo use the { isActive, conditions.severity } index:
+// an alert matches when it lists the threat's severity or has no severity
+// filter at all.
+const candidateAlerts = (threat, scope = {}) =>
+  Alert.find({
+    isActive: true,
+    "conditions.severity": { $in: [threat.severity, []] },
+    $or: [{ nextTriggerAllowed: null }, { nextTriggerAllowed: { $lte: new Date() } }],
+    ...scope,
+  }).select("+webhookSecret"); // needed to sign webhook deliveries
+
+/**
+ * Evaluate every active alert (or those matching the Alert filter `scope`)
+ * against a new or updated threat. Resolves to the alerts that fired;
+ * notifications are sent in the background so retries never hold up
+ * ingestion.
+ */
+const evaluateThreat = async (threat, scope) => {
+  const alerts = await candidateAlerts(threat, scope);
+  const triggered = [];
+
+  for (const alert of alerts) {
+    if (!alert.shouldTrigger(threat)) continue;
+
+    // Don't fire twice for the same threat while it's still in recent matches
+    const alreadyMatched = alert.recentMatches.some((m) => m.threatId?.equals(threat._id));
+    if (alreadyMatched) continue;
+
+    // Another evaluation of the same threat may have recorded it meanwhile
+    if (!(await alert.recordTrigger(threat._id))) continue;
+    triggered.push(alert);
+
+    dispatchAlert(alert, threat).catch((err) =>
+      console.log(`❌ Delivery failed for alert ${alert._id}:`, err.message)
+    );
+  }
+
+  return triggered;
+};
+
+/**
+ * Re-run alerts for a stored threat whose riskScore went up from
+ * `previousScore`: only alerts whose minRiskScore it has just reached, since
+ * the rest already saw the threat when it was ingested. Failures are logged,
+ * never thrown, so they can't fail the rescoring write.
+ */
+const evaluateRiskIncrease = async (threat, previousScore = 0) => {
+  if (!(threat.riskScore > previousScore) || threat.isActive === false) return [];
+
+  try {
+    return await evaluateThreat(threat, {
+      "conditions.minRiskScore": { $gt: previousScore, $lte: threat.riskScore },
+    });
+  } catch (err) {
+    console.log("❌ Alert evaluation failed:", err.message);
+    return [];
+  }
+};
+
+// Translate alert conditions into a Threat query (mirrors Alert.shouldTrigger)
+const conditionsFilter = (conditions) => {
+  const filter = {};
+
+  if (conditions.type && conditions.type !== "Any") filter.type = conditions.type;
+  if (conditions.value) filter.value = normalizeIoC(conditions.type, conditions.value);
+  if (conditions.severity?.length) filter.severity = { $in: conditions.severity };
+  if (conditions.sources?.length) {
+    filter.$and = [reportedByAny(conditions.sources)];
+  }
+  if (conditions.categories?.length) filter.category = { $in: conditions.categories };
+  if (conditions.countries?.length) filter.country = { $in: conditions.countries };
+  if (conditions.malwareFamilies?.length) filter.malwareFamily = { $in: conditions.malwareFamilies };
+  if (conditions.minRiskScore) filter.riskScore = { $gte: conditions.minRiskScore };
+
+  if (conditions.keywords?.length) {
+    const pattern = new RegExp(conditions.keywords.map(escapeRegex).join("|"), "i");
+    filter.$or = [{ description: pattern }, { tags: pattern }, { value: pattern }];
+  }
+
+  return filter;
+};
+
+/**
+ * Find historical threats detected in [from, to] that match an alert.
+ * Read-only: the alert's trigger history and cooldown are not touched.
+ */
+const replayAlert = async (alert, { from, to = new Date(), limit = 100 } = {}) => {
+  const filter = {
+    ...conditionsFilter(alert.conditions),
+    dateDetected: { $gte: from, $lte: to },
+  };
+
+  const [total, threats] = await Promise.all([
+    Threat.countDocuments(filter),
+    Threat.find(filter).select("-rawData").sort({ dateDetected: -1 }).limit(limit),
+  ]);
+
+  return { total, threats };
+};
+
+module.exports = {
+  evaluateThreat,
+  evaluateRiskIncrease,
+  replayAlert,
+  conditionsFilter,
+};
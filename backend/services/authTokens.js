@@ -0,0 +1,128 @@
+// ============================================
+// services/authTokens.js
+// ============================================
+// Short-lived JWT access tokens plus rotating, server-side refresh tokens.
+//   access token:  JWT { id, sid } signed with JWT_SECRET, JWT_ACCESS_TTL (default 15m)
+//   refresh token: "<sessionId>.<random>", valid JWT_REFRESH_TTL_DAYS (default 30)
+// plus single-purpose JWTs for emailed links (email verification, password reset)
+// and for the second step of a two-factor login.
+const jwt = require("jsonwebtoken");
+const Session = require("../models/session.js");
+const User = require("../models/user.js");
+const { randomToken, hashToken } = require("../utils/tokens.js");
+
+const ACCESS_TTL = process.env.JWT_ACCESS_TTL || "15m";
+const REFRESH_TTL_MS = (Number(process.env.JWT_REFRESH_TTL_DAYS) || 30) * 24 * 60 * 60 * 1000;
+
+// Thrown for any refresh or action token that can't be used
+class TokenError extends Error {}
+
+const jwtSecret = () => {
+  if (!process.env.JWT_SECRET) throw new Error("JWT_SECRET is not configured");
+  return process.env.JWT_SECRET;
+};
+
+const signAccessToken = (userId, sessionId) =>
+  jwt.sign({ id: userId, sid: sessionId }, jwtSecret(), { expiresIn: ACCESS_TTL });
+
+const verifyAccessToken = (token) => jwt.verify(token, jwtSecret());
+
+const issueTokens = (session, secret) => ({
+  token: signAccessToken(session.userId, session._id),
+  refreshToken: `${session._id}.${secret}`,
+});
+
+// Start a new session for a user who just authenticated
+const createSession = async (userId, req) => {
+  const secret = randomToken();
+  const session = await Session.create({
+    userId,
+    tokenHash: hashToken(secret),
+    userAgent: req.headers["user-agent"],
+    ip: req.ip,
+    expiresAt: new Date(Date.now() + REFRESH_TTL_MS),
+  });
+
+  return { session, ...issueTokens(session, secret) };
+};
+
+// Exchange a refresh token for a new access + refresh token pair
+const rotateSession = async (refreshToken) => {
+  const [sessionId, secret] = String(refreshToken || "").split(".");
+  const session = sessionId && secret && (await Session.findById(sessionId).catch(() => null));
+
+  if (!session || !session.isUsable()) throw new TokenError("Session expired");
+
+  const presented = hashToken(secret);
+  if (presented === session.previousTokenHash) {
+    // An already-rotated token came back: assume theft and end the session
+    session.revokedAt = new Date();
+    await session.save();
+    throw new TokenError("Refresh token reuse detected");
+  }
+  if (presented !== session.tokenHash) throw new TokenError("Invalid refresh token");
+
+  const next = randomToken();
+  session.previousTokenHash = session.tokenHash;
+  session.tokenHash = hashToken(next);
+  session.lastUsedAt = new Date();
+  await session.save();
+
+  return { session, ...issueTokens(session, next) };
+};
+
+const revokeSession = (userId, sessionId) =>
+  Session.updateOne({ _id: sessionId, userId, revokedAt: null }, { revokedAt: new Date() });
+
+const revokeAllSessions = (userId) =>
+  Session.updateMany({ userId, revokedAt: null }, { revokedAt: new Date() });
+
+const isSessionActive = async (sessionId) => {
+  const session = await Session.findById(sessionId).select("revokedAt expiresAt");
+  return Boolean(session && session.isUsable());
+};
+
+// Single-purpose tokens. Reset tokens carry a fingerprint of the current password
+// hash, so they stop working as soon as the password changes.
+const ACTION_TTL = { "verify-email": "24h", "reset-password": "1h", "2fa-login": "5m" };
+
+const passwordFingerprint = (user) => hashToken(user.password).slice(0, 16);
+
+const signActionToken = (user, purpose) =>
+  jwt.sign(
+    {
+      id: user._id,
+      purpose,
+      ...(purpose === "reset-password" && { pwd: passwordFingerprint(user) }),
+    },
+    jwtSecret(),
+    { expiresIn: ACTION_TTL[purpose] }
+  );
+
+// Resolves to the token's user, or throws TokenError
+const verifyActionToken = async (token, purpose) => {
+  let payload;
+  try {
+    payload = jwt.verify(String(token || ""), jwtSecret());
+  } catch {
+    throw new TokenError("Link is invalid or has expired");
+  }
+
+  const user = payload.purpose === purpose ? await User.findById(payload.id) : null;
+  if (!user || (payload.pwd && payload.pwd !== passwordFingerprint(user))) {
+    throw new TokenError("Link is invalid or has expired");
+  }
+  return user;
+};
+
+module.exports = {
+  TokenError,
+  verifyAccessToken,
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeAllSessions,
+  isSessionActive,
+  signActionToken,
+  verifyActionToken,
+};
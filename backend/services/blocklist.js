@@ -0,0 +1,268 @@
+// ============================================
+// services/blocklist.js
+// ============================================
+// Blocklist feeds for firewalls, DNS resolvers and IDS sensors. Each format
+// renders the matching threats as plain text; getBlocklistVersion() is the
+// ETag / Last-Modified check that lets pollers skip unchanged lists.
+const crypto = require("crypto");
+const Threat = require("../models/threat.js");
+const { buildThreatFilter, QueryError } = require("./threatQuery.js");
+const { detectIoCType } = require("../utils/ioc.js");
+
+const BLOCKLIST_LIMIT = 100000;
+
+const SEVERITY_ORDER = ["Info", "Low", "Medium", "High", "Critical"];
+
+// Sensor rule ids: SID_BASE + a hash of the indicator, so a rule keeps its
+// sid across polls
+const SID_BASE = 1000000000;
+
+// `truncated`: more threats matched than BLOCKLIST_LIMIT, so the list is incomplete
+const header = (title, threats, { truncated = false, comment = "#" } = {}) =>
+  [
+    `${comment} ThreatView ${title}`,
+    `${comment} Generated: ${new Date().toISOString()}`,
+    `${comment} Entries: ${threats.length}`,
+    ...(truncated
+      ? [`${comment} Truncated: only the first ${BLOCKLIST_LIMIT} matching entries are listed; narrow the filters for a complete list`]
+      : []),
+  ].join("\n");
+
+const lines = (head, body) => [head, ...body, ""].join("\n");
+
+const csvField = (value) => {
+  const text = value instanceof Date ? value.toISOString() : String(value ?? "");
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const CSV_COLUMNS = ["type", "value", "severity", "confidence", "category", "malwareFamily", "source", "firstSeen", "lastSeen"];
+
+// Hex-escape the bytes that would end or break a rule's content:"..." string
+const ruleContent = (text) =>
+  text.replace(/[\x00-\x1f\x7f";\\|]/g, (ch) => `|${ch.charCodeAt(0).toString(16).padStart(2, "0")}|`);
+
+// "evil.com" -> "|04|evil|03|com|00|" (DNS wire format, for Snort content matches)
+const dnsLabels = (domain) =>
+  `${domain
+    .split(".")
+    .map((label) => `|${label.length.toString(16).padStart(2, "0")}|${ruleContent(label)}`)
+    .join("")}|00|`;
+
+// RFC 5952 form of an IPv6 address: lowercase, "::" for the longest zero run
+const canonicalIPv6 = (ip) => new URL(`http://[${ip}]`).hostname.slice(1, -1);
+
+// The eight 16-bit groups of an IPv6 address
+const ipv6Groups = (ip) => {
+  const [head, tail] = canonicalIPv6(ip).split("::");
+  const left = head ? head.split(":") : [];
+  if (tail === undefined) return left.map((g) => parseInt(g, 16));
+
+  const right = tail ? tail.split(":") : [];
+  return [...left, ...Array(8 - left.length - right.length).fill("0"), ...right].map((g) => parseInt(g, 16));
+};
+
+// RPZ trigger owner name for an IP or CIDR: the prefix length, then the
+// network address reversed. 1.2.3.4 -> 32.4.3.2.1.rpz-ip,
+// 10.20.0.0/16 -> 16.0.0.20.10.rpz-ip
+const rpzIp = (value) => {
+  const [ip, prefix] = value.split("/");
+
+  if (!ip.includes(":")) {
+    const bits = Number(prefix ?? 32);
+    const address = ip.split(".").reduce((n, octet) => n * 256 + Number(octet), 0);
+    const network = address - (address % 2 ** (32 - bits));
+    const octets = [3, 2, 1, 0].map((i) => Math.floor(network / 256 ** i) % 256);
+    return `${bits}.${octets.reverse().join(".")}.rpz-ip`;
+  }
+
+  const bits = Number(prefix ?? 128);
+  const network = ipv6Groups(ip).map((group, i) => {
+    const kept = Math.max(0, Math.min(16, bits - 16 * i));
+    return (group & ((0xffff << (16 - kept)) & 0xffff)).toString(16);
+  });
+
+  // IPv6 uses "zz" for the longest run of zero groups
+  const groups = canonicalIPv6(network.join(":")).replace("::", ":zz:").split(":").filter(Boolean);
+  return `${bits}.${groups.reverse().join(".")}.rpz-ip`;
+};
+
+const ruleMessage = (threat) =>
+  `ThreatView ${threat.severity} ${threat.category || "Other"}${threat.malwareFamily ? ` ${threat.malwareFamily}` : ""} ${threat.value}`
+    .replace(/[\x00-\x1f\x7f";\\]/g, "");
+
+// Stable sids; a collision within one file moves to the next free id
+const sidAllocator = () => {
+  const used = new Set();
+  return (key) => {
+    let sid = SID_BASE + (crypto.createHash("sha1").update(key).digest().readUInt32BE(0) % SID_BASE);
+    while (used.has(sid)) sid += 1;
+    used.add(sid);
+    return sid;
+  };
+};
+
+// An IP rule puts the value in its header unquoted, so only real addresses
+// and CIDRs are turned into rules
+const ruleable = (threats) => threats.filter((t) => t.type !== "IP" || detectIoCType(t.value)?.type === "IP");
+
+// Suricata and Snort share the IP rule syntax: one rule per direction
+const ipRules = (threat, nextSid) =>
+  [
+    `alert ip [${threat.value}] any -> $HOME_NET any (msg:"${ruleMessage(threat)} inbound"; classtype:trojan-activity; sid:${nextSid(`IP:${threat.value}:in`)}; rev:1;)`,
+    `alert ip $HOME_NET any -> [${threat.value}] any (msg:"${ruleMessage(threat)} outbound"; classtype:trojan-activity; sid:${nextSid(`IP:${threat.value}:out`)}; rev:1;)`,
+  ].join("\n");
+
+const listOf = (title) => (threats, meta) => lines(header(title, threats, meta), threats.map((t) => t.value));
+
+/**
+ * Output formats. `types` are the Threat types a format can express;
+ * `render(threats, { truncated })` returns the file body.
+ */
+const FORMATS = {
+  "ip.txt": { types: ["IP"], contentType: "text/plain", render: listOf("IP blocklist") },
+  "domain.txt": { types: ["Domain"], contentType: "text/plain", render: listOf("domain blocklist") },
+  "url.txt": { types: ["URL"], contentType: "text/plain", render: listOf("URL blocklist") },
+  csv: {
+    types: ["IP", "Domain", "URL", "Email", "Hash", "FileHash"],
+    contentType: "text/csv",
+    render: (threats) =>
+      lines(
+        CSV_COLUMNS.join(","),
+        threats.map((t) => CSV_COLUMNS.map((column) => csvField(t[column])).join(","))
+      ),
+  },
+  hosts: {
+    types: ["Domain"],
+    contentType: "text/plain",
+    render: (threats, meta) =>
+      lines(header("hosts blocklist", threats, meta), threats.map((t) => `0.0.0.0 ${t.value}`)),
+  },
+  rpz: {
+    types: ["Domain", "IP"],
+    contentType: "text/dns",
+    render: (threats, meta) =>
+      lines(
+        [
+          header("response policy zone", threats, { ...meta, comment: ";" }),
+          "$TTL 300",
+          `@ SOA localhost. hostmaster.localhost. ${Math.floor(Date.now() / 1000)} 3600 600 86400 300`,
+          "@ NS localhost.",
+        ].join("\n"),
+        threats.flatMap((t) =>
+          t.type === "IP" ? [`${rpzIp(t.value)} CNAME .`] : [`${t.value} CNAME .`, `*.${t.value} CNAME .`]
+        )
+      ),
+  },
+  "suricata.rules": {
+    types: ["IP", "Domain"],
+    contentType: "text/plain",
+    render: (threats, meta) => {
+      const nextSid = sidAllocator();
+      const rules = ruleable(threats);
+      return lines(
+        header("Suricata rules", rules, meta),
+        rules.map((t) =>
+          t.type === "IP"
+            ? ipRules(t, nextSid)
+            : `alert dns $HOME_NET any -> any any (msg:"${ruleMessage(t)}"; dns.query; content:"${ruleContent(t.value)}"; nocase; isdataat:!1,relative; classtype:trojan-activity; sid:${nextSid(`Domain:${t.value}`)}; rev:1;)`
+        )
+      );
+    },
+  },
+  "snort.rules": {
+    types: ["IP", "Domain"],
+    contentType: "text/plain",
+    render: (threats, meta) => {
+      const nextSid = sidAllocator();
+      const rules = ruleable(threats);
+      return lines(
+        header("Snort rules", rules, meta),
+        rules.map((t) =>
+          t.type === "IP"
+            ? ipRules(t, nextSid)
+            : `alert udp $HOME_NET any -> any 53 (msg:"${ruleMessage(t)}"; content:"${dnsLabels(t.value)}"; nocase; classtype:trojan-activity; sid:${nextSid(`Domain:${t.value}`)}; rev:1;)`
+        )
+      );
+    },
+  },
+};
+
+const FORMAT_NAMES = Object.keys(FORMATS);
+
+/**
+ * Mongo filter for a blocklist. Takes the GET /api/threats filters plus
+ * minSeverity and minConfidence; the type always comes from the format.
+ * Only active threats are listed unless isActive=false or isActive=any.
+ */
+const buildBlocklistFilter = (format, query = {}, options = {}) => {
+  const filter = buildThreatFilter({ isActive: "true", ...query, type: undefined }, options);
+  filter.type = { $in: FORMATS[format].types };
+
+  if (query.minSeverity) {
+    const index = SEVERITY_ORDER.indexOf(query.minSeverity);
+    if (index === -1) throw new QueryError(`minSeverity must be one of: ${SEVERITY_ORDER.join(", ")}`);
+
+    const allowed = SEVERITY_ORDER.slice(index);
+    const requested = filter.severity ? [].concat(filter.severity.$in || filter.severity) : allowed;
+    filter.severity = { $in: requested.filter((s) => allowed.includes(s)) };
+  }
+
+  if (query.minConfidence !== undefined && query.minConfidence !== "") {
+    const confidence = Number(query.minConfidence);
+    if (!Number.isFinite(confidence) || confidence < 0 || confidence > 100) {
+      throw new QueryError("minConfidence must be between 0 and 100");
+    }
+    filter.confidence = { $gte: confidence };
+  }
+
+  return filter;
+};
+
+/**
+ * Summary of a blocklist's content: { etag, lastModified }. The ETag hashes
+ * the ids of the listed threats in list order plus the newest updatedAt, so
+ * any new, changed or removed entry changes it, even when one entry expires
+ * as another is added. Only ids and timestamps are read, not the entries.
+ */
+const getBlocklistVersion = async (format, filter) => {
+  const threats = await Threat.find(filter)
+    .select("_id updatedAt")
+    .sort({ type: 1, value: 1 })
+    .limit(BLOCKLIST_LIMIT + 1)
+    .lean();
+
+  const hash = crypto.createHash("sha1").update(JSON.stringify([format, filter]));
+  let lastModified = null;
+  for (const threat of threats) {
+    hash.update(String(threat._id));
+    if (threat.updatedAt && (!lastModified || threat.updatedAt > lastModified)) lastModified = threat.updatedAt;
+  }
+  hash.update(String(lastModified?.getTime()));
+
+  return { etag: `"${hash.digest("base64url")}"`, lastModified };
+};
+
+/**
+ * Render the blocklist, sorted so unchanged entries keep their position.
+ * Resolves to { body, truncated }; truncated lists (more than
+ * BLOCKLIST_LIMIT matches) say so in their comment header.
+ */
+const renderBlocklist = async (format, filter) => {
+  const threats = await Threat.find(filter)
+    .select(CSV_COLUMNS.join(" "))
+    .sort({ type: 1, value: 1 })
+    .limit(BLOCKLIST_LIMIT + 1)
+    .lean();
+
+  const truncated = threats.length > BLOCKLIST_LIMIT;
+  return { body: FORMATS[format].render(threats.slice(0, BLOCKLIST_LIMIT), { truncated }), truncated };
+};
+
+module.exports = {
+  BLOCKLIST_LIMIT,
+  FORMATS,
+  FORMAT_NAMES,
+  buildBlocklistFilter,
+  getBlocklistVersion,
+  renderBlocklist,
+};
@@ -0,0 +1,41 @@
+// ============================================
+// services/enrichment.js
+// ============================================
+// Optional third-party context for an indicator, cached in memory so repeated
+// searches don't spend API quota. Only IPs are enriched today (ipinfo.io,
+// token in IPINFO_TOKEN); other types resolve to null.
+const axios = require("axios");
+
+const CACHE_TTL_MS = (Number(process.env.ENRICHMENT_CACHE_MINUTES) || 60) * 60000;
+const CACHE_MAX_ENTRIES = 1000;
+
+const cache = new Map();
+
+const providers = {
+  IP: async (value) => {
+    const response = await axios.get(`https://ipinfo.io/${encodeURIComponent(value)}/json`, {
+      timeout: 5000,
+      params: process.env.IPINFO_TOKEN ? { token: process.env.IPINFO_TOKEN } : undefined,
+    });
+    return { provider: "ipinfo.io", data: response.data };
+  },
+};
+
+const enrich = async (type, value) => {
+  const provider = providers[type];
+  if (!provider) return null;
+
+  const key = `${type}:${value}`;
+  const hit = cache.get(key);
+  if (hit && hit.expiresAt > Date.now()) return { ...hit.result, cached: true };
+
+  const result = await provider(value);
+
+  // Map keeps insertion order, so the first key is the oldest entry
+  if (cache.size >= CACHE_MAX_ENTRIES) cache.delete(cache.keys().next().value);
+  cache.set(key, { result, expiresAt: Date.now() + CACHE_TTL_MS });
+
+  return { ...result, cached: false };
+};
+
+module.exports = { enrich };
@@ -0,0 +1,148 @@
+// ============================================
+// services/iocSearch.js
+// ============================================
+// Looks indicators up in the local Threat collection.
+const net = require("net");
+const Threat = require("../models/threat.js");
+const { detectIoCType, normalizeIoC, iocFilter, extractIoCs, HASH_TYPES } = require("../utils/ioc.js");
+const { feedScope } = require("./threatQuery.js");
+
+const TEXT_MATCH_LIMIT = 20;
+const CIDR_SCAN_LIMIT = 5000;
+const BULK_BATCH_SIZE = 1000;
+
+const SEVERITY_RANK = { Info: 0, Low: 1, Medium: 2, High: 3, Critical: 4 };
+
+// Search results carry sightings but not the (large) raw feed payload
+const RESULT_FIELDS = "-rawData";
+
+// Stored IPs inside a CIDR range. IPv4 candidates are narrowed with an
+// anchored prefix regex on the whole octets the mask covers.
+const findInCidr = async (cidr, scope) => {
+  const [address, prefix] = cidr.split("/");
+  const version = net.isIP(address);
+  const blockList = new net.BlockList();
+  blockList.addSubnet(address, Number(prefix), `ipv${version}`);
+
+  let valueFilter = /:/;
+  if (version === 4) {
+    const fixedOctets = address.split(".").slice(0, Math.floor(Number(prefix) / 8));
+    valueFilter = new RegExp(`^${fixedOctets.map((o) => `${Number(o)}\\.`).join("")}`);
+  }
+
+  const candidates = await Threat.find({ ...scope, type: "IP", value: valueFilter })
+    .select(RESULT_FIELDS)
+    .limit(CIDR_SCAN_LIMIT);
+
+  return candidates.filter(
+    (t) => net.isIP(t.value) === version && blockList.check(t.value, `ipv${version}`)
+  );
+};
+
+/**
+ * Look up one indicator. Resolves to
+ *   { query, type, kind, results }
+ * where results are exact matches first, then full-text matches, each
+ * tagged with matchType "exact" | "cidr" | "text".
+ * `options.feeds` limits results to sources the caller may see.
+ */
+const searchIoC = async (raw, { feeds } = {}) => {
+  const scope = feedScope(feeds);
+  const query = String(raw).trim();
+  const detected = detectIoCType(query);
+
+  let exact = [];
+  if (detected?.kind === "cidr") {
+    exact = (await findInCidr(query, scope)).map((t) => ({ ...t.toObject(), matchType: "cidr" }));
+  } else if (detected) {
+    const found = await Threat.find({ ...scope, ...iocFilter(detected.type, query) }).select(RESULT_FIELDS);
+    exact = found.map((t) => ({ ...t.toObject(), matchType: "exact" }));
+  }
+
+  // Full-text fallback catches the value inside descriptions, tags and URLs
+  const exactIds = exact.map((t) => t._id);
+  const text = await Threat.find(
+    { ...scope, $text: { $search: `"${query.replace(/"/g, "")}"` }, _id: { $nin: exactIds } },
+    { score: { $meta: "textScore" } }
+  )
+    .select(RESULT_FIELDS)
+    .sort({ score: { $meta: "textScore" } })
+    .limit(TEXT_MATCH_LIMIT);
+
+  return {
+    query: detected && detected.kind !== "cidr" ? normalizeIoC(detected.type, query) : query,
+    type: detected?.type || null,
+    kind: detected?.kind || null,
+    results: [...exact, ...text.map((t) => ({ ...t.toObject(), matchType: "text" }))],
+  };
+};
+
+// Verdict for one indicator from the threats that matched it
+const verdictFor = (threats) => {
+  if (threats.length === 0) return { verdict: "unknown" };
+
+  const worst = threats.reduce((a, b) => (SEVERITY_RANK[b.severity] > SEVERITY_RANK[a.severity] ? b : a));
+  const active = threats.some((t) => t.isActive);
+
+  return {
+    verdict: active && SEVERITY_RANK[worst.severity] >= SEVERITY_RANK.High ? "malicious" : "suspicious",
+    severity: worst.severity,
+    category: worst.category,
+    malwareFamily: threats.find((t) => t.malwareFamily)?.malwareFamily,
+    sources: [...new Set(threats.flatMap((t) => [t.source, ...t.sightings.map((s) => s.source)]))],
+    hitCount: threats.reduce((sum, t) => sum + t.hitCount, 0),
+    lastSeen: threats.reduce((max, t) => (t.lastSeen > max ? t.lastSeen : max), threats[0].lastSeen),
+    isActive: active,
+    threatIds: threats.map((t) => t._id),
+  };
+};
+
+// Hash types share one lookup key, like iocFilter()
+const lookupKey = (type, value) => `${HASH_TYPES.includes(type) ? "Hash" : type}:${value}`;
+
+/**
+ * Look up every indicator found in a block of text (newline list, CSV,
+ * pasted report). Resolves to { total, hits, misses, truncated, limit, results }
+ * with one verdict row per unique indicator. Only the first
+ * `options.maxIndicators` indicators are checked.
+ */
+const bulkLookup = async (text, { feeds, maxIndicators } = {}) => {
+  const scope = feedScope(feeds);
+  const extracted = extractIoCs(text);
+  const indicators = maxIndicators ? extracted.slice(0, maxIndicators) : extracted;
+  const matches = new Map();
+
+  for (let i = 0; i < indicators.length; i += BULK_BATCH_SIZE) {
+    const batch = indicators.slice(i, i + BULK_BATCH_SIZE);
+    const threats = await Threat.find({ ...scope, value: { $in: batch.map((ioc) => ioc.value) } })
+      .select("type value severity category malwareFamily source sightings hitCount lastSeen isActive");
+
+    for (const threat of threats) {
+      const key = lookupKey(threat.type, threat.value);
+      matches.set(key, [...(matches.get(key) || []), threat]);
+    }
+  }
+
+  const results = indicators.map((ioc) => ({
+    indicator: ioc.value,
+    input: ioc.input,
+    type: ioc.type,
+    kind: ioc.kind,
+    ...verdictFor(matches.get(lookupKey(ioc.type, ioc.value)) || []),
+  }));
+  const hits = results.filter((r) => r.verdict !== "unknown").length;
+
+  return {
+    total: results.length,
+    hits,
+    misses: results.length - hits,
+    truncated: extracted.length > indicators.length,
+    limit: maxIndicators || null,
+    results,
+  };
+};
+
+module.exports = {
+  searchIoC,
+  bulkLookup,
+};
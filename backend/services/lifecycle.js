@@ -0,0 +1,286 @@
+// ============================================
+// services/lifecycle.js
+// ============================================
+// Threat aging. A scheduled run decays the confidence of active threats by
+// how long ago they were last seen, and deactivates threats that haven't
+// been seen within their TTL. TTLs and half-lives are set per type (IPs
+// churn fast, file hashes never expire), TTLs can be overridden per source,
+// and every run is recorded as a LifecycleRun. Seeing a threat again
+// restores its confidence and reactivates it (see services/threatPipeline.js).
+// Runs also refresh risk scores, whose recency factor fades with time.
+const Threat = require("../models/threat.js");
+const Setting = require("../models/setting.js");
+const LifecycleRun = require("../models/lifecycleRun.js");
+const { SettingsError } = require("./settings.js");
+const { scoreThreat } = require("./riskScore.js");
+const { evaluateRiskIncrease } = require("./alertEngine.js");
+
+const TYPES = Threat.schema.path("type").enumValues;
+const SOURCES = Threat.schema.path("source").enumValues;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const POLICY_KEY = "lifecyclePolicy";
+
+// Confidence is only rewritten once it has moved this far, so aging doesn't
+// touch (and re-publish) every threat on every run
+const CONFIDENCE_STEP = 5;
+const MAX_AUDIT_CHANGES = 500;
+
+// Threats seen more recently than this aren't aged at all
+const MIN_AGE_MS = DAY_MS;
+
+const DEFAULT_POLICY = {
+  enabled: true,
+  intervalMinutes: 60,
+  // Days without a sighting before a threat is deactivated (null = never)
+  ttlDays: { IP: 14, Domain: 60, URL: 30, Email: 90, Hash: null, FileHash: null },
+  // Per-source TTLs used instead of the type's, e.g. { AbuseIPDB: 7 }.
+  // Types with a null TTL never expire, whatever the source.
+  sourceTtlDays: {},
+  // Confidence halves every this many days since lastSeen (null = no decay)
+  halfLifeDays: { IP: 7, Domain: 30, URL: 14, Email: 30, Hash: null, FileHash: null },
+  // Decay never takes confidence below this
+  minConfidence: 10,
+  // Analyst-verified threats are decayed but never deactivated
+  keepVerified: true,
+};
+
+let timer = null;
+let running = false;
+
+const isDays = (value) => value === null || (typeof value === "number" && value > 0);
+
+// Merge a { key: days } map, checking keys and values
+const mergeDays = (current, changes, keys, name) => {
+  if (typeof changes !== "object" || changes === null || Array.isArray(changes)) {
+    throw new SettingsError(`${name} must be an object`);
+  }
+
+  const merged = { ...current };
+  for (const [key, days] of Object.entries(changes)) {
+    if (!keys.includes(key)) throw new SettingsError(`${name}: unknown key "${key}"`);
+    if (!isDays(days)) throw new SettingsError(`${name}.${key} must be a positive number of days or null`);
+    merged[key] = days;
+  }
+  return merged;
+};
+
+const getLifecyclePolicy = async () => {
+  const saved = await Setting.findOne({ key: POLICY_KEY });
+  const value = saved?.value || {};
+
+  return {
+    ...DEFAULT_POLICY,
+    ...value,
+    ttlDays: { ...DEFAULT_POLICY.ttlDays, ...value.ttlDays },
+    halfLifeDays: { ...DEFAULT_POLICY.halfLifeDays, ...value.halfLifeDays },
+    sourceTtlDays: { ...value.sourceTtlDays },
+  };
+};
+
+/**
+ * Apply a partial policy update, e.g. { ttlDays: { IP: 7 }, sourceTtlDays:
+ * { AbuseIPDB: 3 } }. Maps are merged key by key; a null source TTL removes
+ * the override. Throws SettingsError; resolves to the full policy.
+ */
+const updateLifecyclePolicy = async (changes = {}, userId) => {
+  const policy = await getLifecyclePolicy();
+
+  for (const key of ["enabled", "keepVerified"]) {
+    if (changes[key] === undefined) continue;
+    if (typeof changes[key] !== "boolean") throw new SettingsError(`${key} must be a boolean`);
+    policy[key] = changes[key];
+  }
+  if (changes.minConfidence !== undefined) {
+    const value = changes.minConfidence;
+    if (typeof value !== "number" || value < 0 || value > 100) {
+      throw new SettingsError("minConfidence must be between 0 and 100");
+    }
+    policy.minConfidence = value;
+  }
+  if (changes.intervalMinutes !== undefined) {
+    const value = changes.intervalMinutes;
+    if (!Number.isInteger(value) || value < 5) throw new SettingsError("intervalMinutes must be at least 5");
+    policy.intervalMinutes = value;
+  }
+  if (changes.ttlDays !== undefined) {
+    policy.ttlDays = mergeDays(policy.ttlDays, changes.ttlDays, TYPES, "ttlDays");
+  }
+  if (changes.halfLifeDays !== undefined) {
+    policy.halfLifeDays = mergeDays(policy.halfLifeDays, changes.halfLifeDays, TYPES, "halfLifeDays");
+  }
+  if (changes.sourceTtlDays !== undefined) {
+    const merged = mergeDays(policy.sourceTtlDays, changes.sourceTtlDays, SOURCES, "sourceTtlDays");
+    policy.sourceTtlDays = Object.fromEntries(Object.entries(merged).filter(([, days]) => days !== null));
+  }
+
+  await Setting.updateOne({ key: POLICY_KEY }, { value: policy, updatedBy: userId }, { upsert: true });
+
+  // A new interval takes effect right away
+  if (timer && changes.intervalMinutes !== undefined) scheduleNext(policy.intervalMinutes);
+  return policy;
+};
+
+/**
+ * Days a threat stays active without a sighting, or null if it never
+ * expires. With several reporting sources the most lenient TTL applies.
+ */
+const ttlFor = (threat, policy) => {
+  const typeTtl = policy.ttlDays[threat.type];
+  if (typeTtl === null || typeTtl === undefined) return null;
+
+  const sources = new Set([threat.source, ...(threat.sightings || []).map((s) => s.source)]);
+  return Math.max(...[...sources].map((source) => policy.sourceTtlDays[source] ?? typeTtl));
+};
+
+/**
+ * What the policy does to one threat at `now`: { confidence, baseConfidence,
+ * deactivate }. Confidence decays exponentially from baseConfidence (or the
+ * current confidence if it hasn't decayed yet).
+ */
+const ageThreat = (threat, policy, now = new Date()) => {
+  const base = threat.baseConfidence ?? threat.confidence;
+  const halfLife = policy.halfLifeDays[threat.type];
+  const ageDays = (now - threat.lastSeen) / DAY_MS;
+
+  let confidence = threat.confidence;
+  if (halfLife) {
+    const decayed = Math.round(base * 0.5 ** (ageDays / halfLife));
+    const floored = Math.min(base, Math.max(decayed, policy.minConfidence));
+    // Small moves wait for the next step, except the last one down to the floor
+    if (Math.abs(floored - threat.confidence) >= CONFIDENCE_STEP || floored === policy.minConfidence) {
+      confidence = floored;
+    }
+  }
+
+  const ttl = ttlFor(threat, policy);
+  const deactivate = ttl !== null && threat.isStale(ttl, now) && !(policy.keepVerified && threat.verified);
+
+  return { confidence, baseConfidence: base, deactivate };
+};
+
+// One pass over the threats old enough to age, recording each change
+const ageAll = async (trigger, userId) => {
+  const policy = await getLifecyclePolicy();
+  const now = new Date();
+  const run = new LifecycleRun({ trigger, userId, startedAt: now, policy });
+
+  // Every type is scanned so risk scores stay current, even for types that never age
+  const cursor = Threat.find({
+    isActive: true,
+    lastSeen: { $lt: new Date(now.getTime() - MIN_AGE_MS) },
+  })
+    .select("type value source sightings.source lastSeen confidence baseConfidence verified hitCount category reportedBy.userId riskScore")
+    .cursor();
+
+  const audit = (threat, action, from, to) => {
+    if (run.changes.length < MAX_AUDIT_CHANGES) {
+      run.changes.push({ threatId: threat._id, type: threat.type, value: threat.value, action, from, to });
+    } else {
+      run.truncated = true;
+    }
+  };
+
+  try {
+    for await (const threat of cursor) {
+      run.scanned += 1;
+
+      const { confidence, baseConfidence, deactivate } = ageThreat(threat, policy, now);
+      const update = {};
+
+      if (confidence !== threat.confidence) {
+        update.confidence = confidence;
+        update.baseConfidence = baseConfidence;
+        run.decayed += 1;
+        audit(threat, "decayed", threat.confidence, confidence);
+      }
+      if (deactivate) {
+        update.isActive = false;
+        run.deactivated += 1;
+        audit(threat, "deactivated", true, false);
+      }
+
+      const { riskScore, riskFactors } = scoreThreat(threat, now);
+      const rescored = riskScore !== threat.riskScore;
+      if (rescored) run.rescored += 1;
+
+      if (Object.keys(update).length > 0) {
+        await Threat.updateOne({ _id: threat._id }, { ...update, riskScore, riskFactors });
+      } else if (rescored) {
+        // The score isn't published in feeds, so don't bump updatedAt for it
+        await Threat.updateOne({ _id: threat._id }, { riskScore, riskFactors }, { timestamps: false });
+      }
+
+      // A higher score can bring the threat over an alert's minRiskScore
+      if (riskScore > (threat.riskScore || 0) && !deactivate) {
+        const updated = await Threat.findById(threat._id);
+        if (updated) await evaluateRiskIncrease(updated, threat.riskScore || 0);
+      }
+    }
+  } catch (err) {
+    run.error = err.message;
+  }
+
+  run.finishedAt = new Date();
+  return run.save();
+};
+
+/**
+ * Age every active threat once. Resolves to the saved LifecycleRun, or null
+ * if another run is still in progress. `trigger` is "schedule" or "manual"
+ * (with the admin's `userId`).
+ */
+const runLifecycle = async ({ trigger = "schedule", userId } = {}) => {
+  if (running) return null;
+  running = true;
+
+  try {
+    return await ageAll(trigger, userId);
+  } finally {
+    running = false;
+  }
+};
+
+const scheduleNext = (minutes) => {
+  clearTimeout(timer);
+  timer = setTimeout(tick, minutes * 60000);
+};
+
+const tick = async () => {
+  let minutes = DEFAULT_POLICY.intervalMinutes;
+
+  try {
+    const policy = await getLifecyclePolicy();
+    minutes = policy.intervalMinutes;
+
+    const run = policy.enabled && (await runLifecycle());
+    if (run) {
+      console.log(`⏳ [lifecycle] scanned ${run.scanned}, decayed ${run.decayed}, deactivated ${run.deactivated}, rescored ${run.rescored}`);
+    }
+  } catch (err) {
+    console.log("❌ [lifecycle] run failed:", err.message);
+  } finally {
+    scheduleNext(minutes);
+  }
+};
+
+// Run now, then every policy.intervalMinutes (re-read after each run)
+const startLifecycleJob = () => {
+  timer = setTimeout(tick, 0);
+};
+
+const stopLifecycleJob = () => {
+  clearTimeout(timer);
+  timer = null;
+};
+
+module.exports = {
+  DEFAULT_POLICY,
+  getLifecyclePolicy,
+  updateLifecyclePolicy,
+  ttlFor,
+  ageThreat,
+  runLifecycle,
+  startLifecycleJob,
+  stopLifecycleJob,
+};
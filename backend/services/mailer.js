@@ -0,0 +1,64 @@
+// ============================================
+// services/mailer.js
+// ============================================
+// Outgoing email. The transport is pluggable:
+//   MAIL_TRANSPORT=smtp     (default) SMTP_HOST, SMTP_PORT, SMTP_SECURE,
+//                           SMTP_USER, SMTP_PASS; point SMTP_HOST at a local
+//                           sink (e.g. MailHog on port 1025) during development
+//   MAIL_TRANSPORT=console  print messages to stdout instead of sending them
+// Other transports can be installed with setTransport({ send(message) }).
+const nodemailer = require("nodemailer");
+
+let transporter = null;
+
+const getTransporter = () => {
+  if (!transporter) {
+    if (!process.env.SMTP_HOST) throw new Error("SMTP_HOST is not configured");
+
+    transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: Number(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === "true",
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined,
+    });
+  }
+  return transporter;
+};
+
+const transports = {
+  smtp: {
+    send: async (message) => getTransporter().sendMail(message),
+  },
+  console: {
+    send: async ({ to, subject, text }) => {
+      console.log(`📧 To: ${to}\n   Subject: ${subject}\n\n${text}\n`);
+    },
+  },
+};
+
+let customTransport = null;
+
+// Replace the configured transport (pass null to go back to MAIL_TRANSPORT)
+const setTransport = (transport) => {
+  customTransport = transport;
+};
+
+// Always returns a promise: a missing or misconfigured transport rejects
+// rather than throwing, so callers can send in the background with .catch()
+const sendMail = async ({ to, subject, text, html }) => {
+  const name = process.env.MAIL_TRANSPORT || "smtp";
+  const transport = customTransport || transports[name];
+  if (!transport) throw new Error(`Unknown MAIL_TRANSPORT "${name}"`);
+
+  return transport.send({
+    from: process.env.SMTP_FROM || "ThreatView <alerts@threatview.local>",
+    to,
+    subject,
+    text,
+    html,
+  });
+};
+
+module.exports = { sendMail, setTransport };
@@ -0,0 +1,324 @@
+// ============================================
+// services/misp.js
+// ============================================
+// MISP interoperability. parseMispEvents() turns MISP event JSON into threat
+// records for the dedup pipeline (attributes keep their MISP uuids in
+// sourceId, so importing an event again only refreshes it). buildMispEvent()
+// exports threats as one MISP event; its threatview:* and galaxy tags let a
+// re-import restore severity, category and malware family.
+const Threat = require("../models/threat.js");
+const { detectIoCType, HASH_TYPES } = require("../utils/ioc.js");
+const { guessCategory, toDate } = require("../ingestion/helpers.js");
+const { uuidv5 } = require("./stix.js");
+
+const SEVERITIES = Threat.schema.path("severity").enumValues;
+const CATEGORIES = Threat.schema.path("category").enumValues;
+
+// Invalid MISP input (reported as 400)
+class MispError extends Error {}
+
+// MISP attribute type -> Threat type. Composite "a|b" types are split below.
+const TYPE_MAP = {
+  "ip-src": "IP",
+  "ip-dst": "IP",
+  "ip-src|port": "IP",
+  "ip-dst|port": "IP",
+  domain: "Domain",
+  hostname: "Domain",
+  "domain|ip": "Domain",
+  "hostname|port": "Domain",
+  url: "URL",
+  email: "Email",
+  "email-src": "Email",
+  "email-dst": "Email",
+  md5: "FileHash",
+  sha1: "FileHash",
+  sha256: "FileHash",
+  "filename|md5": "FileHash",
+  "filename|sha1": "FileHash",
+  "filename|sha256": "FileHash",
+};
+
+// Galaxies whose clusters name a malware family
+const MALWARE_GALAXIES = ["malpedia", "ransomware", "botnet", "rat", "banker", "stealer", "backdoor", "mitre-malware"];
+
+// Event threat_level_id ("1" high .. "4" undefined) <-> severity
+const LEVEL_SEVERITY = { 1: "High", 2: "Medium", 3: "Low", 4: "Medium" };
+const SEVERITY_LEVEL = { Critical: "1", High: "1", Medium: "2", Low: "3", Info: "3" };
+
+const GALAXY_TAG = /^misp-galaxy:([^=]+)="(.+)"$/;
+const THREATVIEW_TAG = /^threatview:(severity|category)="(.+)"$/;
+
+// MISP mixes unix-second strings ("1700000000") with ISO dates
+const mispDate = (value) =>
+  /^\d+$/.test(String(value || "")) ? new Date(Number(value) * 1000) : toDate(value);
+
+const unixTime = (date) => String(Math.floor(new Date(date || Date.now()).getTime() / 1000));
+
+// Plain tags, galaxy clusters and threatview:* tags of an event or attribute
+const classify = ({ Tag = [], Galaxy = [] }) => {
+  const clusters = new Map();
+  const tags = [];
+  const own = {};
+
+  for (const galaxy of Galaxy) {
+    for (const cluster of galaxy.GalaxyCluster || []) {
+      const type = cluster.type || galaxy.type;
+      clusters.set(`${type}:${cluster.value}`, { type, value: cluster.value });
+    }
+  }
+
+  for (const { name } of Tag) {
+    const galaxy = GALAXY_TAG.exec(name || "");
+    const threatview = THREATVIEW_TAG.exec(name || "");
+
+    if (galaxy) clusters.set(`${galaxy[1]}:${galaxy[2]}`, { type: galaxy[1], value: galaxy[2] });
+    else if (threatview) own[threatview[1]] ||= threatview[2];
+    else if (name) tags.push(name);
+  }
+
+  const family = [...clusters.values()].find((c) => MALWARE_GALAXIES.includes(c.type));
+  const others = [...clusters.values()].filter((c) => c !== family);
+
+  // Cluster types double as category keywords ("ransomware", "botnet", "rat")
+  const labels = [...tags, ...others.map((c) => c.value), ...[...clusters.values()].map((c) => c.type)];
+  if (others.some((c) => c.type === "threat-actor")) labels.push("apt");
+
+  return {
+    tags: [...tags, ...others.map((c) => c.value)],
+    malwareFamily: family?.value,
+    severity: SEVERITIES.includes(own.severity) ? own.severity : undefined,
+    category: CATEGORIES.includes(own.category)
+      ? own.category
+      : guessCategory(labels, family ? "Malware" : "Other"),
+  };
+};
+
+// Latest positive sighting, and whether a false-positive (type "1") or
+// expiration (type "2") sighting came after it
+const readSightings = (sightings) => {
+  let seen;
+  let retracted;
+
+  for (const sighting of sightings) {
+    const date = mispDate(sighting.date_sighting);
+    if (!date) continue;
+
+    if (String(sighting.type ?? "0") === "0") {
+      if (!seen || date > seen) seen = date;
+    } else if (!retracted || date > retracted) {
+      retracted = date;
+    }
+  }
+
+  return { lastSeen: seen, retracted: Boolean(retracted && (!seen || retracted > seen)) };
+};
+
+// { type, value } for an attribute, or null when it isn't a usable indicator.
+// "domain|ip" values also give the IP the domain resolves to.
+const readIndicator = (attribute) => {
+  const type = TYPE_MAP[attribute.type];
+  if (!type || !attribute.value) return null;
+
+  const [first, second] = String(attribute.value).split("|");
+  const value = attribute.type.startsWith("filename|") ? second : first;
+
+  const detected = detectIoCType(value);
+  if (!detected || detected.kind === "cidr" || detected.type !== type) return null;
+
+  const resolvesTo = attribute.type === "domain|ip" && detectIoCType(second)?.type === "IP" ? second : undefined;
+  return { type, value, resolvesTo };
+};
+
+// Accepts { Event }, [{ Event }], a restSearch { response: [...] } or a bare event
+const toEvents = (raw) => {
+  let body = raw;
+  if (typeof raw === "string") {
+    try {
+      body = JSON.parse(raw);
+    } catch {
+      throw new MispError("MISP import must be JSON");
+    }
+  }
+
+  const items = Array.isArray(body) ? body : Array.isArray(body?.response) ? body.response : [body];
+  const events = items.map((item) => item?.Event || item);
+
+  if (events.some((event) => !event || !(event.uuid || event.id) || event.info === undefined)) {
+    throw new MispError("Expected MISP event JSON: { Event: { uuid, info, Attribute: [...] } }");
+  }
+  return events;
+};
+
+// Event and object attributes, each with the IPs its object says it resolves to
+const eventAttributes = (event) => {
+  const entries = (event.Attribute || []).map((attribute) => ({ attribute, objectIPs: [] }));
+
+  for (const object of event.Object || []) {
+    const attributes = object.Attribute || [];
+    const objectIPs = attributes
+      .map(readIndicator)
+      .filter((indicator) => indicator?.type === "IP")
+      .map(({ type, value }) => ({ type, value }));
+
+    for (const attribute of attributes) entries.push({ attribute, objectIPs });
+  }
+
+  return entries;
+};
+
+/**
+ * Parse MISP event JSON into threat records (one per supported attribute,
+ * including attributes inside objects). Attribute type picks the Threat
+ * type; tags become tags, malware galaxies the malwareFamily, and sightings
+ * set lastSeen (or deactivate the IoC, stored or new, after a false-positive
+ * or expiration sighting).
+ * Throws MispError when the input isn't MISP event JSON.
+ */
+const parseMispEvents = (raw) => {
+  const threats = [];
+
+  for (const event of toEvents(raw)) {
+    const eventKey = event.uuid || event.id;
+    const eventLabels = { Tag: event.Tag || [], Galaxy: event.Galaxy || [] };
+    const eventDate = mispDate(event.timestamp) || toDate(event.date);
+    const eventSightings = event.Sighting || [];
+    const references = (event.Attribute || [])
+      .filter((a) => a.type === "link" && /^https?:\/\//.test(a.value || ""))
+      .map((a) => ({ url: a.value, title: event.info }));
+
+    for (const { attribute, objectIPs } of eventAttributes(event)) {
+      if (attribute.deleted === true) continue;
+
+      const indicator = readIndicator(attribute);
+      if (!indicator) continue;
+
+      const labels = classify({
+        Tag: [...(attribute.Tag || []), ...eventLabels.Tag],
+        Galaxy: [...(attribute.Galaxy || []), ...eventLabels.Galaxy],
+      });
+      const sightings = readSightings([
+        ...(attribute.Sighting || []),
+        ...eventSightings.filter((s) => s.attribute_uuid && s.attribute_uuid === attribute.uuid),
+      ]);
+
+      const firstSeen = toDate(attribute.first_seen) || mispDate(attribute.timestamp) || eventDate;
+      const lastSeen = [sightings.lastSeen, toDate(attribute.last_seen), mispDate(attribute.timestamp)]
+        .filter(Boolean)
+        .sort((a, b) => b - a)[0];
+
+      const relationships = [
+        ...(indicator.resolvesTo ? [{ type: "resolves-to", to: { type: "IP", value: indicator.resolvesTo } }] : []),
+        ...(indicator.type === "Domain" || indicator.type === "URL"
+          ? objectIPs.map((ip) => ({ type: "resolves-to", to: ip }))
+          : []),
+      ];
+
+      threats.push({
+        source: "MISP",
+        sourceId: `${eventKey}:${attribute.uuid || `${attribute.type}:${indicator.value}`}`,
+        type: indicator.type,
+        value: indicator.value,
+        severity: labels.severity || LEVEL_SEVERITY[event.threat_level_id] || "Medium",
+        // to_ids=false marks context the publisher doesn't want alerted on
+        confidence: attribute.to_ids === false ? 40 : 70,
+        category: labels.category,
+        malwareFamily: labels.malwareFamily,
+        tags: labels.tags,
+        dateDetected: firstSeen,
+        firstSeen,
+        lastSeen: lastSeen || firstSeen,
+        isActive: !sightings.retracted,
+        // Withdraws the IoC even when it is already stored (see mergeThreat)
+        retracted: sightings.retracted,
+        description: attribute.comment || event.info,
+        references,
+        rawData: {
+          event: { uuid: event.uuid, id: event.id, info: event.info, orgc: event.Orgc?.name },
+          attribute,
+        },
+        relationships,
+      });
+    }
+  }
+
+  return threats;
+};
+
+// Threat -> MISP attribute type, or null when the value doesn't fit its type
+const attributeType = (threat) => {
+  switch (threat.type) {
+    case "IP":
+      return "ip-dst";
+    case "Domain":
+      return "domain";
+    case "URL":
+      return "url";
+    case "Email":
+      return "email";
+    default: {
+      const kind = detectIoCType(threat.value)?.kind;
+      return HASH_TYPES.includes(threat.type) && ["md5", "sha1", "sha256"].includes(kind) ? kind : null;
+    }
+  }
+};
+
+const toAttribute = (threat) => {
+  const type = attributeType(threat);
+  if (!type) return null;
+
+  const tags = [
+    ...(threat.tags || []),
+    `threatview:severity="${threat.severity}"`,
+    ...(threat.category ? [`threatview:category="${threat.category}"`] : []),
+    ...(threat.malwareFamily ? [`misp-galaxy:malpedia="${threat.malwareFamily}"`] : []),
+  ];
+
+  return {
+    uuid: uuidv5(`misp-attribute:${threat._id}`),
+    type,
+    category: ["md5", "sha1", "sha256"].includes(type) ? "Payload delivery" : "Network activity",
+    value: threat.value,
+    to_ids: threat.isActive !== false,
+    comment: threat.description || "",
+    timestamp: unixTime(threat.updatedAt || threat.lastSeen),
+    first_seen: new Date(threat.firstSeen || threat.dateDetected).toISOString(),
+    last_seen: new Date(threat.lastSeen || threat.dateDetected).toISOString(),
+    Tag: tags.map((name) => ({ name })),
+    Sighting: (threat.sightings || []).map((s) => ({
+      type: "0",
+      source: s.source,
+      date_sighting: unixTime(s.lastSeen),
+    })),
+  };
+};
+
+/**
+ * Export threats as a single MISP event: { Event: { ..., Attribute } }.
+ * `key` identifies the export (e.g. the user and filter), so polling the same
+ * export yields the same event uuid and MISP updates it instead of adding one.
+ */
+const buildMispEvent = (threats, { info = "ThreatView threat export", key = "default" } = {}) => {
+  const levels = threats.map((t) => SEVERITY_LEVEL[t.severity]).filter(Boolean);
+
+  return {
+    Event: {
+      uuid: uuidv5(`misp-event:${key}`),
+      info,
+      date: new Date().toISOString().slice(0, 10),
+      threat_level_id: levels.length ? levels.sort()[0] : "4",
+      analysis: "2",
+      distribution: "0",
+      published: false,
+      timestamp: unixTime(),
+      Orgc: { name: "ThreatView" },
+      Attribute: threats.map(toAttribute).filter(Boolean),
+    },
+  };
+};
+
+module.exports = {
+  MispError,
+  parseMispEvents,
+  buildMispEvent,
+};
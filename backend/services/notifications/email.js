@@ -0,0 +1,29 @@
+// ============================================
+// services/notifications/email.js
+// ============================================
+// Email transport for triggered alerts.
+const { sendMail } = require("../mailer.js");
+
+const send = async ({ alert, threat, recipient }) => {
+  if (!recipient) throw new Error("Alert owner has no email address");
+
+  const lines = [
+    `Alert "${alert.name}" was triggered.`,
+    "",
+    `Indicator:  ${threat.type} ${threat.value}`,
+    `Severity:   ${threat.severity}`,
+    `Source:     ${threat.source}`,
+    threat.category ? `Category:   ${threat.category}` : null,
+    threat.malwareFamily ? `Malware:    ${threat.malwareFamily}` : null,
+    threat.country ? `Country:    ${threat.country}` : null,
+    `Detected:   ${new Date(threat.dateDetected).toISOString()}`,
+  ];
+
+  await sendMail({
+    to: recipient,
+    subject: `[ThreatView] ${threat.severity} alert: ${alert.name}`,
+    text: lines.filter((l) => l !== null).join("\n"),
+  });
+};
+
+module.exports = { send };
@@ -0,0 +1,105 @@
+// ============================================
+// services/notifications/index.js
+// ============================================
+// Delivers triggered alerts over the alert's deliveryMethod. Each channel is
+// retried with exponential backoff; a channel that never succeeds is written
+// to the DeadLetter collection. The outcome is stored on the alert's
+// recentMatches entry for the threat.
+const Alert = require("../../models/alert.js");
+const User = require("../../models/user.js");
+const DeadLetter = require("../../models/deadLetter.js");
+const email = require("./email.js");
+const webhook = require("./webhook.js");
+
+const MAX_ATTEMPTS = Number(process.env.NOTIFY_MAX_ATTEMPTS) || 5;
+const BASE_DELAY_MS = Number(process.env.NOTIFY_BASE_DELAY_MS) || 1000;
+
+const transports = { email, webhook };
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const channelsFor = (alert) =>
+  alert.deliveryMethod === "both" ? ["email", "webhook"] : [alert.deliveryMethod];
+
+const buildPayload = (alert, threat) => ({
+  event: "alert.triggered",
+  triggeredAt: new Date().toISOString(),
+  alert: { id: alert._id, name: alert.name },
+  threat: {
+    id: threat._id,
+    type: threat.type,
+    value: threat.value,
+    severity: threat.severity,
+    confidence: threat.confidence,
+    source: threat.source,
+    category: threat.category,
+    malwareFamily: threat.malwareFamily,
+    country: threat.country,
+    tags: threat.tags,
+    dateDetected: threat.dateDetected,
+  },
+});
+
+// Try one channel up to MAX_ATTEMPTS times (1s, 2s, 4s, ... between tries)
+const deliverWithRetry = async (channel, message) => {
+  let lastError;
+
+  for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+    try {
+      await transports[channel].send(message);
+      return { channel, delivered: true, attempts: attempt };
+    } catch (err) {
+      lastError = err;
+      if (attempt < MAX_ATTEMPTS) await sleep(BASE_DELAY_MS * 2 ** (attempt - 1));
+    }
+  }
+
+  await DeadLetter.create({
+    alertId: message.alert._id,
+    threatId: message.threat._id,
+    channel,
+    payload: message.payload,
+    attempts: MAX_ATTEMPTS,
+    lastError: lastError.message,
+  });
+
+  return { channel, delivered: false, attempts: MAX_ATTEMPTS, error: lastError.message };
+};
+
+/**
+ * Send a triggered alert on every configured channel and record the result
+ * on the matching recentMatches entry.
+ */
+const dispatchAlert = async (alert, threat) => {
+  const owner = alert.userId ? await User.findById(alert.userId).select("email") : null;
+  const message = {
+    alert,
+    threat,
+    recipient: owner?.email,
+    payload: buildPayload(alert, threat),
+  };
+
+  const results = await Promise.all(
+    channelsFor(alert).map((channel) => deliverWithRetry(channel, message))
+  );
+  const failures = results.filter((r) => !r.delivered);
+
+  await Alert.updateOne(
+    { _id: alert._id, "recentMatches.threatId": threat._id },
+    {
+      $set: {
+        "recentMatches.$.notified": failures.length === 0,
+        "recentMatches.$.deliveryStatus": failures.length === 0 ? "delivered" : "failed",
+        "recentMatches.$.deliveredAt": new Date(),
+        "recentMatches.$.deliveryError": failures.map((f) => `${f.channel}: ${f.error}`).join("; ") || null,
+      },
+    }
+  );
+
+  return results;
+};
+
+module.exports = {
+  dispatchAlert,
+  buildPayload,
+};
@@ -0,0 +1,126 @@
+// ============================================
+// services/notifications/webhook.js
+// ============================================
+// HTTP webhook transport. Each request is signed so receivers can check it
+// came from ThreatView:
+//   X-ThreatView-Timestamp: <unix seconds>
+//   X-ThreatView-Signature: sha256=<hex HMAC-SHA256 of "<timestamp>.<body>">
+// using the alert's webhookSecret as the key.
+//
+// Webhook URLs are user input the server makes requests to, so they must be
+// https and resolve only to public addresses. The check runs when an alert
+// is saved and again on every delivery, against the address actually
+// connected to, so a DNS change can't point a saved webhook inward.
+//
+// For local receivers in development and tests, WEBHOOK_ALLOW_HOSTS lists
+// hosts exempt from both rules (e.g. "localhost,127.0.0.1"). It is empty by
+// default and should stay empty in production.
+const crypto = require("crypto");
+const dns = require("dns");
+const net = require("net");
+const axios = require("axios");
+
+// A webhook URL the server won't call (reported as 400)
+class WebhookError extends Error {}
+
+// Private, loopback, link-local, shared, multicast and reserved ranges
+const BLOCKED = new net.BlockList();
+for (const [network, prefix] of [
+  ["0.0.0.0", 8], ["10.0.0.0", 8], ["100.64.0.0", 10], ["127.0.0.0", 8], ["169.254.0.0", 16],
+  ["172.16.0.0", 12], ["192.0.0.0", 24], ["192.168.0.0", 16], ["198.18.0.0", 15], ["224.0.0.0", 4], ["240.0.0.0", 4],
+]) {
+  BLOCKED.addSubnet(network, prefix, "ipv4");
+}
+for (const [network, prefix] of [["::", 128], ["::1", 128], ["fc00::", 7], ["fe80::", 10], ["ff00::", 8]]) {
+  BLOCKED.addSubnet(network, prefix, "ipv6");
+}
+
+// Hosts named in WEBHOOK_ALLOW_HOSTS (read on each call so it can't go stale)
+const isAllowedHost = (host) =>
+  (process.env.WEBHOOK_ALLOW_HOSTS || "")
+    .split(",")
+    .map((h) => h.trim().toLowerCase().replace(/^\[|\]$/g, ""))
+    .filter(Boolean)
+    .includes(host.toLowerCase());
+
+const isPublicAddress = (address) => {
+  // IPv4-mapped IPv6 (::ffff:10.0.0.1) is checked as the IPv4 address
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) return isPublicAddress(mapped[1]);
+
+  const family = net.isIP(address);
+  return family !== 0 && !BLOCKED.check(address, family === 4 ? "ipv4" : "ipv6");
+};
+
+/**
+ * Check that a webhook URL is one the server may call: https, and a host
+ * that is (or resolves only to) public addresses, unless the host is in
+ * WEBHOOK_ALLOW_HOSTS (then http is fine too). Throws WebhookError.
+ */
+const checkWebhookUrl = async (value) => {
+  let url;
+  try {
+    url = new URL(value);
+  } catch {
+    throw new WebhookError("webhookUrl must be a valid URL");
+  }
+
+  const host = url.hostname.replace(/^\[|\]$/g, "");
+  if (isAllowedHost(host) && ["http:", "https:"].includes(url.protocol)) return;
+  if (url.protocol !== "https:") throw new WebhookError("webhookUrl must use https");
+
+  let addresses = [host];
+  if (!net.isIP(host)) {
+    try {
+      addresses = (await dns.promises.lookup(host, { all: true })).map((a) => a.address);
+    } catch {
+      throw new WebhookError(`webhookUrl host ${host} does not resolve`);
+    }
+  }
+
+  if (!addresses.every(isPublicAddress)) {
+    throw new WebhookError("webhookUrl must not point at a private, loopback or link-local address");
+  }
+};
+
+// dns.lookup that refuses non-public answers, so the connection goes to an
+// address that passed the check
+const publicLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, options, (err, address, family) => {
+    if (err) return callback(err);
+    if (isAllowedHost(hostname)) return callback(null, address, family);
+
+    const addresses = Array.isArray(address) ? address.map((a) => a.address) : [address];
+    if (!addresses.every(isPublicAddress)) {
+      return callback(new WebhookError(`${hostname} resolves to a non-public address`));
+    }
+    callback(null, address, family);
+  });
+};
+
+const sign = (secret, timestamp, body) =>
+  crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+
+const send = async ({ alert, payload }) => {
+  if (!alert.webhookUrl) throw new Error("Alert has no webhookUrl");
+  await checkWebhookUrl(alert.webhookUrl);
+
+  const body = JSON.stringify(payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+
+  await axios.post(alert.webhookUrl, body, {
+    timeout: 10000,
+    // A redirect could lead anywhere, including inside the network
+    maxRedirects: 0,
+    lookup: publicLookup,
+    headers: {
+      "Content-Type": "application/json",
+      "User-Agent": "ThreatView-Webhook/1.0",
+      "X-ThreatView-Event": payload.event,
+      "X-ThreatView-Timestamp": String(timestamp),
+      "X-ThreatView-Signature": `sha256=${sign(alert.webhookSecret, timestamp, body)}`,
+    },
+  });
+};
+
+module.exports = { send, sign, WebhookError, checkWebhookUrl, isPublicAddress };
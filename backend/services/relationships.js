@@ -0,0 +1,144 @@
+// ============================================
+// services/relationships.js
+// ============================================
+// Links between indicators (see models/relationship.js): recording them as
+// feeds are ingested, and walking the graph around one indicator.
+const Relationship = require("../models/relationship.js");
+const Threat = require("../models/threat.js");
+const { normalizeIoC, HASH_TYPES } = require("../utils/ioc.js");
+const { feedScope } = require("./threatQuery.js");
+
+const MAX_DEPTH = 3;
+const MAX_EDGES = 300;
+
+// { type, value } -> graph node; both hash types become "FileHash"
+const toNode = ({ type, value }) => {
+  if (type === "MalwareFamily") return { type, value: String(value || "").trim() };
+  return {
+    type: HASH_TYPES.includes(type) ? "FileHash" : type,
+    value: normalizeIoC(type, value),
+  };
+};
+
+const nodeKey = (node) => `${node.type}:${node.value}`;
+
+const endpointFilter = (end, node) => ({ [`${end}.type`]: node.type, [`${end}.value`]: node.value });
+
+/**
+ * Record that `from` -[type]-> `to` (idempotent). Re-reporting a link adds
+ * the source and widens its firstSeen / lastSeen window.
+ */
+const linkIndicators = async (from, type, to, { source, seenAt = new Date() } = {}) => {
+  const a = toNode(from);
+  const b = toNode(to);
+  if (!a.value || !b.value || nodeKey(a) === nodeKey(b)) return null;
+
+  return Relationship.updateOne(
+    { ...endpointFilter("from", a), type, ...endpointFilter("to", b) },
+    {
+      $min: { firstSeen: seenAt },
+      $max: { lastSeen: seenAt },
+      ...(source && { $addToSet: { sources: source } }),
+    },
+    { upsert: true }
+  );
+};
+
+/**
+ * Store the relationships implied by one ingested record: its malware family,
+ * plus any `data.relationships` the connector derived from the feed:
+ *   [{ type, to: { type, value }, from?: { type, value } }]   (from defaults to the threat)
+ */
+const recordRelationships = async (threat, data) => {
+  const self = { type: threat.type, value: threat.value };
+  const options = { source: data.source, seenAt: data.lastSeen || data.dateDetected || new Date() };
+  const links = [...(data.relationships || [])];
+
+  if (data.malwareFamily) {
+    links.push({ type: "belongs-to-family", to: { type: "MalwareFamily", value: data.malwareFamily } });
+  }
+
+  for (const link of links) {
+    await linkIndicators(link.from || self, link.type, link.to, options);
+  }
+};
+
+// Threat summaries for indicator nodes, keyed by nodeKey
+const threatsForNodes = async (nodes, feeds) => {
+  const byType = {};
+  for (const node of nodes) {
+    if (node.type !== "MalwareFamily") (byType[node.type] ||= []).push(node.value);
+  }
+
+  const clauses = Object.entries(byType).map(([type, values]) => ({
+    type: type === "FileHash" ? { $in: HASH_TYPES } : type,
+    value: { $in: values },
+  }));
+  if (clauses.length === 0) return new Map();
+
+  const threats = await Threat.find({ $or: clauses, ...feedScope(feeds) })
+    .select("type value severity category source isActive verified");
+
+  return new Map(threats.map((t) => [nodeKey(toNode(t)), t]));
+};
+
+/**
+ * Breadth-first walk from `start` ({ type, value }) up to `depth` hops
+ * (max 3), following links in both directions. Resolves to:
+ *   { nodes: [{ id, type, value, depth, threat }], edges: [{ id, source, target, type, sources }], truncated }
+ * Only links reported by `feeds` are followed.
+ */
+const getNeighborhood = async (start, { depth = 1, feeds } = {}) => {
+  const maxDepth = Math.min(Math.max(parseInt(depth, 10) || 1, 1), MAX_DEPTH);
+  const root = toNode(start);
+  const nodes = new Map([[nodeKey(root), { ...root, depth: 0 }]]);
+  const edges = new Map();
+  let frontier = [root];
+  let truncated = false;
+
+  for (let hop = 1; hop <= maxDepth && frontier.length && !truncated; hop++) {
+    const relationships = await Relationship.find({
+      $or: frontier.flatMap((node) => [endpointFilter("from", node), endpointFilter("to", node)]),
+      ...(feeds && { sources: { $in: feeds } }),
+    }).limit(MAX_EDGES + 1);
+
+    const next = [];
+    for (const rel of relationships) {
+      if (edges.has(String(rel._id))) continue;
+      if (edges.size >= MAX_EDGES) {
+        truncated = true;
+        break;
+      }
+
+      edges.set(String(rel._id), {
+        id: String(rel._id),
+        source: nodeKey(rel.from),
+        target: nodeKey(rel.to),
+        type: rel.type,
+        sources: rel.sources,
+      });
+
+      for (const end of [rel.from, rel.to]) {
+        const key = nodeKey(end);
+        if (nodes.has(key)) continue;
+        nodes.set(key, { type: end.type, value: end.value, depth: hop });
+        next.push(end);
+      }
+    }
+    frontier = next;
+  }
+
+  const threats = await threatsForNodes([...nodes.values()], feeds);
+
+  return {
+    nodes: [...nodes.entries()].map(([id, node]) => ({ id, ...node, threat: threats.get(id) || null })),
+    edges: [...edges.values()],
+    truncated,
+  };
+};
+
+module.exports = {
+  linkIndicators,
+  recordRelationships,
+  getNeighborhood,
+};
@@ -0,0 +1,152 @@
+// ============================================
+// services/riskScore.js
+// ============================================
+// Composite 0-100 risk score for an indicator. Severity and confidence come
+// from whichever source wrote the record; the risk score instead weighs
+// everything we know about the IoC: how reliable its sources are, how many
+// independent sources agree, how often and how recently it was seen, what
+// kind of threat it is, and what analysts said about it. Each factor is
+// stored with its points so the UI can explain the total.
+//
+// Threats are scored on every save (see models/threat.js); the lifecycle job
+// re-scores older threats as their recency fades (see services/lifecycle.js).
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// How far we trust a source's reports, 0-1
+const SOURCE_RELIABILITY = {
+  MalwareBazaar: 0.9,
+  MISP: 0.85,
+  URLhaus: 0.85,
+  AbuseIPDB: 0.8,
+  PhishTank: 0.75,
+  AlienVault: 0.6,
+  Manual: 0.5,
+};
+
+// How dangerous a category is, 0-1 (uncategorized threats count as Other)
+const CATEGORY_WEIGHT = {
+  Ransomware: 1,
+  APT: 1,
+  C2: 0.95,
+  Malware: 0.85,
+  Botnet: 0.8,
+  Phishing: 0.75,
+  Other: 0.4,
+  Scanning: 0.35,
+  Spam: 0.3,
+};
+
+// Maximum points per factor; they add up to 100
+const MAX_POINTS = {
+  reliability: 25,
+  corroboration: 15,
+  activity: 10,
+  recency: 20,
+  category: 15,
+  verification: 10,
+  reports: 5,
+};
+
+// Each additional independent source is worth this much, up to the max
+const POINTS_PER_SOURCE = 5;
+// hitCount at which activity scores full points (log scale)
+const FULL_ACTIVITY_HITS = 100;
+// Recency points halve every this many days since lastSeen
+const RECENCY_HALF_LIFE_DAYS = 14;
+const POINTS_PER_REPORT = 1;
+
+const round1 = (n) => Math.round(n * 10) / 10;
+const plural = (n, word) => `${n} ${word}${n === 1 ? "" : "s"}`;
+
+const reportingSources = (threat) =>
+  [...new Set([threat.source, ...(threat.sightings || []).map((s) => s.source)].filter(Boolean))];
+
+const reliabilityFactor = (sources) => {
+  const best = sources.reduce(
+    (top, source) => ((SOURCE_RELIABILITY[source] ?? 0) > (SOURCE_RELIABILITY[top] ?? 0) ? source : top),
+    sources[0]
+  );
+  const reliability = SOURCE_RELIABILITY[best] ?? 0;
+  return {
+    points: MAX_POINTS.reliability * reliability,
+    detail: best ? `Most reliable source: ${best} (${Math.round(reliability * 100)}%)` : "No known source",
+  };
+};
+
+const corroborationFactor = (sources) => ({
+  points: Math.min(Math.max(sources.length - 1, 0) * POINTS_PER_SOURCE, MAX_POINTS.corroboration),
+  detail: `Reported by ${plural(sources.length, "independent source")}`,
+});
+
+const activityFactor = (hitCount = 1) => ({
+  points: MAX_POINTS.activity * Math.min(Math.log10(Math.max(hitCount, 1)) / Math.log10(FULL_ACTIVITY_HITS), 1),
+  detail: `Seen ${plural(hitCount, "time")}`,
+});
+
+const recencyFactor = (lastSeen, now) => {
+  const days = lastSeen ? Math.max((now - lastSeen) / DAY_MS, 0) : Infinity;
+  return {
+    points: MAX_POINTS.recency * 0.5 ** (days / RECENCY_HALF_LIFE_DAYS),
+    detail:
+      days === Infinity
+        ? "Never seen"
+        : days < 1
+          ? "Last seen within a day"
+          : `Last seen ${plural(Math.floor(days), "day")} ago`,
+  };
+};
+
+const categoryFactor = (category) => ({
+  points: MAX_POINTS.category * CATEGORY_WEIGHT[category || "Other"],
+  detail: category ? `Category: ${category}` : "Uncategorized",
+});
+
+const verificationFactor = (verified) => ({
+  points: verified ? MAX_POINTS.verification : 0,
+  detail: verified ? "Verified by an analyst" : "Not verified",
+});
+
+// One vote per user, however many times they reported it
+const reportsFactor = (reportedBy = []) => {
+  const users = new Set(reportedBy.map((r) => String(r.userId)));
+  return {
+    points: Math.min(users.size * POINTS_PER_REPORT, MAX_POINTS.reports),
+    detail: `Reported by ${plural(users.size, "analyst")}`,
+  };
+};
+
+/**
+ * Score a threat (a document or plain object) at `now`:
+ *   { riskScore, riskFactors: [{ factor, points, max, detail }] }
+ * riskScore is the rounded sum of the factors' points.
+ */
+const scoreThreat = (threat, now = new Date()) => {
+  const sources = reportingSources(threat);
+  const factors = {
+    reliability: reliabilityFactor(sources),
+    corroboration: corroborationFactor(sources),
+    activity: activityFactor(threat.hitCount),
+    recency: recencyFactor(threat.lastSeen, now),
+    category: categoryFactor(threat.category),
+    verification: verificationFactor(threat.verified),
+    reports: reportsFactor(threat.reportedBy),
+  };
+
+  const riskFactors = Object.entries(factors).map(([factor, { points, detail }]) => ({
+    factor,
+    points: round1(points),
+    max: MAX_POINTS[factor],
+    detail,
+  }));
+  const total = Object.values(factors).reduce((sum, { points }) => sum + points, 0);
+
+  return { riskScore: Math.min(Math.round(total), 100), riskFactors };
+};
+
+module.exports = {
+  SOURCE_RELIABILITY,
+  CATEGORY_WEIGHT,
+  MAX_POINTS,
+  scoreThreat,
+};
@@ -0,0 +1,64 @@
+// ============================================
+// services/settings.js
+// ============================================
+// Instance-wide settings (see models/setting.js). Reads are served from an
+// in-memory copy refreshed every CACHE_MS, since some settings are checked
+// on every request.
+const Setting = require("../models/setting.js");
+
+// Every known setting and its value when nothing has been saved
+const DEFAULTS = {
+  // Users without 2FA must enroll before using the API
+  require2FA: false,
+};
+
+const CACHE_MS = 30 * 1000;
+
+// Invalid setting value (reported as 400)
+class SettingsError extends Error {}
+
+let cache = null;
+let loadedAt = 0;
+
+const getSettings = async () => {
+  if (!cache || Date.now() - loadedAt > CACHE_MS) {
+    const saved = await Setting.find({ key: { $in: Object.keys(DEFAULTS) } });
+    cache = { ...DEFAULTS, ...Object.fromEntries(saved.map((s) => [s.key, s.value])) };
+    loadedAt = Date.now();
+  }
+  return cache;
+};
+
+const getSetting = async (key) => (await getSettings())[key];
+
+// Save known keys from `changes` (unknown keys are ignored); resolves to all settings
+const updateSettings = async (changes, userId) => {
+  const keys = Object.keys(changes).filter((key) => key in DEFAULTS);
+
+  for (const key of keys) {
+    if (typeof changes[key] !== typeof DEFAULTS[key]) {
+      throw new SettingsError(`${key} must be a ${typeof DEFAULTS[key]}`);
+    }
+  }
+
+  await Promise.all(
+    keys.map((key) =>
+      Setting.updateOne(
+        { key },
+        { value: changes[key], updatedBy: userId },
+        { upsert: true }
+      )
+    )
+  );
+
+  cache = null;
+  return getSettings();
+};
+
+module.exports = {
+  DEFAULTS,
+  SettingsError,
+  getSettings,
+  getSetting,
+  updateSettings,
+};
@@ -0,0 +1,236 @@
+// ============================================
+// services/stix.js
+// ============================================
+// STIX 2.1 export. Threats become indicator SDOs with STIX patterns, malware
+// families become malware SDOs linked by "indicates" relationships, stored
+// indicator relationships become relationship SROs, and saved reports become
+// report SDOs. IDs are UUIDv5s derived from our own ids, so exporting the
+// same data twice yields the same STIX ids.
+const crypto = require("crypto");
+const Relationship = require("../models/relationship.js");
+const { detectIoCType, HASH_TYPES } = require("../utils/ioc.js");
+
+// Namespace for ThreatView's UUIDv5 ids
+const NAMESPACE = "6f1c9a1e-3b4d-5e8f-9a0b-7c2d4e6f8a10";
+
+const uuidv5 = (name) => {
+  const hash = crypto
+    .createHash("sha1")
+    .update(Buffer.from(NAMESPACE.replace(/-/g, ""), "hex"))
+    .update(String(name))
+    .digest();
+
+  hash[6] = (hash[6] & 0x0f) | 0x50;
+  hash[8] = (hash[8] & 0x3f) | 0x80;
+
+  const hex = hash.subarray(0, 16).toString("hex");
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+};
+
+const stixId = (type, key) => `${type}--${uuidv5(`${type}:${key}`)}`;
+
+// Every exported object is created_by this identity
+const IDENTITY_ID = stixId("identity", "threatview");
+
+const timestamp = (date) => new Date(date || Date.now()).toISOString();
+
+// Quote a value for a STIX pattern string literal
+const quote = (value) => `'${String(value).replace(/\\/g, "\\\\").replace(/'/g, "\\'")}'`;
+
+const HASH_PATHS = { md5: "file:hashes.MD5", sha1: "file:hashes.'SHA-1'", sha256: "file:hashes.'SHA-256'" };
+
+// Threat -> STIX pattern, or null for values that don't fit their type
+const patternFor = (threat) => {
+  const detected = detectIoCType(threat.value);
+
+  switch (threat.type) {
+    case "IP":
+      if (!detected || detected.type !== "IP") return null;
+      return `[${threat.value.includes(":") ? "ipv6-addr" : "ipv4-addr"}:value = ${quote(threat.value)}]`;
+    case "Domain":
+      return `[domain-name:value = ${quote(threat.value)}]`;
+    case "URL":
+      return `[url:value = ${quote(threat.value)}]`;
+    case "Email":
+      return `[email-addr:value = ${quote(threat.value)}]`;
+    default:
+      if (HASH_TYPES.includes(threat.type) && HASH_PATHS[detected?.kind]) {
+        return `[${HASH_PATHS[detected.kind]} = ${quote(threat.value)}]`;
+      }
+      return null;
+  }
+};
+
+// Threat category -> indicator_types (STIX open vocabulary)
+const INDICATOR_TYPES = {
+  Malware: "malicious-activity",
+  Ransomware: "malicious-activity",
+  C2: "malicious-activity",
+  Botnet: "malicious-activity",
+  APT: "malicious-activity",
+  Phishing: "malicious-activity",
+  Scanning: "anomalous-activity",
+  Spam: "anomalous-activity",
+};
+
+// Fixed version for objects that never change (the identity, malware families)
+const EPOCH = "2024-01-01T00:00:00.000Z";
+
+const identity = () => ({
+  type: "identity",
+  spec_version: "2.1",
+  id: IDENTITY_ID,
+  created: EPOCH,
+  modified: EPOCH,
+  name: "ThreatView",
+  identity_class: "system",
+});
+
+const common = (type, key, doc) => ({
+  type,
+  spec_version: "2.1",
+  id: stixId(type, key),
+  created: timestamp(doc.createdAt),
+  modified: timestamp(doc.updatedAt || doc.createdAt),
+  created_by_ref: IDENTITY_ID,
+});
+
+const toIndicator = (threat) => {
+  const pattern = patternFor(threat);
+  if (!pattern) return null;
+
+  const validFrom = timestamp(threat.firstSeen || threat.dateDetected);
+  const indicator = {
+    ...common("indicator", threat._id, threat),
+    name: threat.value,
+    description: threat.description || undefined,
+    indicator_types: [INDICATOR_TYPES[threat.category] || "unknown"],
+    pattern,
+    pattern_type: "stix",
+    pattern_version: "2.1",
+    valid_from: validFrom,
+    confidence: Math.round(threat.confidence ?? 50),
+    // Severity and classification travel as labels
+    labels: [
+      `severity:${threat.severity.toLowerCase()}`,
+      threat.category && `category:${threat.category.toLowerCase()}`,
+      `source:${threat.source.toLowerCase()}`,
+      ...(threat.tags || []),
+    ].filter(Boolean),
+    external_references: (threat.references || [])
+      .filter((ref) => ref.url)
+      .map((ref) => ({ source_name: ref.title || "reference", url: ref.url })),
+  };
+
+  // An inactive IoC stops being valid when it was last seen
+  if (!threat.isActive && threat.lastSeen && timestamp(threat.lastSeen) > validFrom) {
+    indicator.valid_until = timestamp(threat.lastSeen);
+  }
+  if (indicator.external_references.length === 0) delete indicator.external_references;
+  if (!indicator.description) delete indicator.description;
+
+  return indicator;
+};
+
+// Malware objects carry only a name, so every export gives them the same version
+const toMalware = (name) => ({
+  ...common("malware", name.toLowerCase(), { createdAt: EPOCH }),
+  name,
+  is_family: true,
+});
+
+const toRelationship = (relationshipType, sourceRef, targetRef, doc, key) => ({
+  ...common("relationship", key, doc),
+  relationship_type: relationshipType,
+  source_ref: sourceRef,
+  target_ref: targetRef,
+});
+
+const toReport = (report, objectRefs) => ({
+  ...common("report", report._id, report),
+  name: report.title,
+  description: report.summary
+    ? `Total threats: ${report.summary.totalThreats ?? 0}, active: ${report.summary.activeThreats ?? 0}, ` +
+      `alerts: ${report.summary.totalAlerts ?? 0} (critical: ${report.summary.criticalAlerts ?? 0})`
+    : undefined,
+  report_types: ["threat-report"],
+  published: timestamp(report.createdAt),
+  object_refs: objectRefs,
+});
+
+/**
+ * The STIX objects for one threat: its indicator and, when it has a malware
+ * family, the malware object and the "indicates" relationship. Empty when the
+ * value can't be expressed as a pattern.
+ */
+const threatObjects = (threat) => {
+  const indicator = toIndicator(threat);
+  if (!indicator) return [];
+  if (!threat.malwareFamily) return [indicator];
+
+  const family = threat.malwareFamily.toLowerCase();
+  const malware = toMalware(threat.malwareFamily);
+  return [
+    indicator,
+    malware,
+    toRelationship("indicates", indicator.id, malware.id, threat, `${threat._id}:indicates:${family}`),
+  ];
+};
+
+const nodeKey = (type, value) => `${HASH_TYPES.includes(type) ? "FileHash" : type}:${value}`;
+
+/**
+ * Build a STIX 2.1 bundle from threats (and optionally saved reports).
+ * Each report refers to the indicators for its own threatIds; a report with
+ * none of them in the bundle is left out, since STIX reports must refer to
+ * at least one object.
+ */
+const buildStixBundle = async (threats, { reports = [] } = {}) => {
+  const objects = [identity()];
+  const seen = new Set();
+  const indicatorByNode = new Map();
+  const indicatorByThreat = new Map();
+
+  for (const threat of threats) {
+    const [indicator, ...related] = threatObjects(threat);
+    if (!indicator) continue;
+
+    objects.push(indicator, ...related.filter((o) => !seen.has(o.id) && seen.add(o.id)));
+    indicatorByNode.set(nodeKey(threat.type, threat.value), { indicator, threat });
+    indicatorByThreat.set(String(threat._id), indicator.id);
+  }
+
+  // Stored links where both ends were exported
+  const values = [...indicatorByNode.values()].map(({ threat }) => threat.value);
+  const links = values.length
+    ? await Relationship.find({ type: { $ne: "belongs-to-family" }, "from.value": { $in: values } })
+    : [];
+
+  for (const link of links) {
+    const from = indicatorByNode.get(nodeKey(link.from.type, link.from.value));
+    const to = indicatorByNode.get(nodeKey(link.to.type, link.to.value));
+    if (from && to) {
+      objects.push(toRelationship(link.type, from.indicator.id, to.indicator.id, link, link._id));
+    }
+  }
+
+  for (const report of reports) {
+    const refs = (report.threatIds || []).map((id) => indicatorByThreat.get(String(id))).filter(Boolean);
+    if (refs.length) objects.push(toReport(report, refs));
+  }
+
+  return {
+    type: "bundle",
+    id: `bundle--${crypto.randomUUID()}`,
+    objects: objects.map((o) => JSON.parse(JSON.stringify(o))),
+  };
+};
+
+module.exports = {
+  buildStixBundle,
+  identity,
+  patternFor,
+  threatObjects,
+  toIndicator,
+  uuidv5,
+};
@@ -0,0 +1,131 @@
+// ============================================
+// services/taxii.js
+// ============================================
+// Read-only TAXII 2.1 collections. Each collection is a saved threat filter
+// (models/threatCollection.js) whose objects are the STIX indicators,
+// malware families and "indicates" relationships from services/stix.js.
+// A threat's updatedAt is its date_added, so `added_after` polling picks up
+// new threats and threats that changed since the last poll.
+const Threat = require("../models/threat.js");
+const { FILTER_PARAMS, buildThreatFilter, QueryError } = require("./threatQuery.js");
+const { threatObjects } = require("./stix.js");
+
+const TAXII_MEDIA_TYPE = "application/taxii+json;version=2.1";
+const STIX_MEDIA_TYPE = "application/stix+json;version=2.1";
+
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 1000;
+
+// Invalid TAXII request parameters (reported as 400)
+class TaxiiError extends Error {}
+
+// "a,b" -> ["a", "b"]; undefined -> []
+const toList = (value) =>
+  value === undefined ? [] : String(value).split(",").map((v) => v.trim()).filter(Boolean);
+
+/**
+ * Validate a collection's saved filter: only GET /api/threats filter params
+ * with non-empty string values. Throws QueryError; resolves to the clean filter.
+ */
+const cleanCollectionFilter = (filter = {}) => {
+  if (typeof filter !== "object" || Array.isArray(filter)) throw new QueryError("filter must be an object");
+
+  const clean = {};
+  for (const [param, value] of Object.entries(filter)) {
+    if (!FILTER_PARAMS.includes(param)) {
+      throw new QueryError(`Unknown filter "${param}". Use: ${FILTER_PARAMS.join(", ")}`);
+    }
+    if (value !== undefined && value !== null && String(value).trim()) clean[param] = String(value).trim();
+  }
+
+  buildThreatFilter(clean);
+  return clean;
+};
+
+// TAXII collection resource
+const toCollectionResource = (collection) => ({
+  id: collection.taxiiId,
+  title: collection.title,
+  ...(collection.description && { description: collection.description }),
+  can_read: true,
+  can_write: false,
+  media_types: [STIX_MEDIA_TYPE],
+});
+
+const encodeNext = (threat) =>
+  Buffer.from(JSON.stringify({ v: threat.updatedAt, id: String(threat._id) })).toString("base64url");
+
+const decodeNext = (next) => {
+  try {
+    const { v, id } = JSON.parse(Buffer.from(String(next), "base64url").toString());
+    const value = new Date(v);
+    if (isNaN(value) || !id) throw new Error();
+    return { value, id };
+  } catch {
+    throw new TaxiiError("Invalid next parameter");
+  }
+};
+
+/**
+ * One page of a collection's objects, oldest date_added first:
+ *   { entries: [{ object, dateAdded }], more, next }
+ * Query: added_after, limit (max 1000), next, match[type], match[id].
+ * A threat's objects are never split across pages, so a page holds at most
+ * `limit` objects unless a single threat has more.
+ */
+const listCollectionObjects = async (collection, query = {}, { feeds } = {}) => {
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+  const filter = buildThreatFilter(Object.fromEntries(collection.filter || []), { feeds });
+  const conditions = [];
+
+  if (query.added_after) {
+    const addedAfter = new Date(query.added_after);
+    if (isNaN(addedAfter)) throw new TaxiiError("Invalid added_after timestamp");
+    conditions.push({ updatedAt: { $gt: addedAfter } });
+  }
+  if (query.next) {
+    const { value, id } = decodeNext(query.next);
+    conditions.push({ $or: [{ updatedAt: { $gt: value } }, { updatedAt: value, _id: { $gt: id } }] });
+  }
+
+  const threats = await Threat.find(conditions.length ? { ...filter, $and: [...(filter.$and || []), ...conditions] } : filter)
+    .select("-rawData")
+    .sort({ updatedAt: 1, _id: 1 })
+    .limit(limit + 1);
+
+  // The simple query parser keeps "match[type]" as a literal key
+  const types = toList(query["match[type]"] ?? query.match?.type);
+  const ids = toList(query["match[id]"] ?? query.match?.id);
+  const matches = (object) =>
+    (types.length === 0 || types.includes(object.type)) && (ids.length === 0 || ids.includes(object.id));
+
+  const entries = [];
+  const seen = new Set();
+  let more = threats.length > limit;
+  let last;
+
+  for (const threat of threats.slice(0, limit)) {
+    const objects = threatObjects(threat).filter((o) => matches(o) && !seen.has(o.id));
+    if (entries.length > 0 && entries.length + objects.length > limit) {
+      more = true;
+      break;
+    }
+
+    for (const object of objects) {
+      seen.add(object.id);
+      entries.push({ object, dateAdded: threat.updatedAt });
+    }
+    last = threat;
+  }
+
+  return { entries, more, next: more && last ? encodeNext(last) : undefined };
+};
+
+module.exports = {
+  TAXII_MEDIA_TYPE,
+  STIX_MEDIA_TYPE,
+  TaxiiError,
+  cleanCollectionFilter,
+  toCollectionResource,
+  listCollectionObjects,
+};
@@ -0,0 +1,156 @@
+// ============================================
+// services/threatPipeline.js
+// ============================================
+// Single write path for threat intel. Every feed record, import or manual
+// submission goes through upsertThreat() so one IoC maps onto one Threat
+// document, with each reporting source kept as a sighting.
+const Threat = require("../models/threat.js");
+const { normalizeIoC, iocFilter } = require("../utils/ioc.js");
+const { evaluateThreat, evaluateRiskIncrease } = require("./alertEngine.js");
+const { recordRelationships } = require("./relationships.js");
+
+const SEVERITY_RANK = { Info: 0, Low: 1, Medium: 2, High: 3, Critical: 4 };
+
+// MongoDB duplicate key error (the unique Threat.iocKey index)
+const DUPLICATE_KEY = 11000;
+
+// Fields copied from a new sighting only when the stored threat has none
+const FILL_IF_EMPTY = ["category", "malwareFamily", "country", "city", "asn", "asnName", "description", "rawData"];
+
+const unionTags = (current, incoming = []) => {
+  const seen = new Set(current.map((t) => t.toLowerCase()));
+  const added = incoming.filter((t) => t && !seen.has(t.toLowerCase()) && seen.add(t.toLowerCase()));
+  return [...current, ...added];
+};
+
+const unionReferences = (current, incoming = []) => {
+  const urls = new Set(current.map((r) => r.url));
+  const added = incoming.filter((r) => r && r.url && !urls.has(r.url) && urls.add(r.url));
+  return [...current, ...added];
+};
+
+// Fold a new report of the same IoC into the stored document
+const mergeThreat = (threat, data) => {
+  threat.tags = unionTags(threat.tags, data.tags);
+  threat.references = unionReferences(threat.references, data.references);
+
+  if (SEVERITY_RANK[data.severity] > SEVERITY_RANK[threat.severity]) {
+    threat.severity = data.severity;
+  }
+  // Seeing the IoC after its lastSeen undoes aging (see services/lifecycle.js)
+  const seenAt = data.lastSeen || data.dateDetected || new Date();
+  if (threat.baseConfidence !== undefined && seenAt > threat.lastSeen) {
+    threat.confidence = threat.baseConfidence;
+  }
+  if (data.confidence > threat.confidence) {
+    threat.confidence = data.confidence;
+  }
+  if (threat.confidence >= (threat.baseConfidence ?? 0)) {
+    threat.baseConfidence = undefined;
+  }
+  if (data.firstSeen && data.firstSeen < threat.firstSeen) {
+    threat.firstSeen = data.firstSeen;
+  }
+  if (data.verified) {
+    threat.verified = true;
+  }
+  if (data.reportedBy?.length) {
+    threat.reportedBy.push(...data.reportedBy);
+  }
+  // A fresh report from any source means the IoC is live again, unless the
+  // source is withdrawing it (a MISP false-positive or expiration sighting).
+  // A source merely reporting it offline (isActive: false) changes nothing.
+  if (data.retracted) {
+    threat.isActive = false;
+  } else if (data.isActive !== false) {
+    threat.isActive = true;
+  }
+
+  for (const field of FILL_IF_EMPTY) {
+    if (!threat[field] && data[field]) threat[field] = data[field];
+  }
+};
+
+// Run alerts for a changed threat. Alert failures never fail the write itself.
+const notifyAlerts = async (threat) => {
+  try {
+    await evaluateThreat(threat);
+  } catch (err) {
+    console.log("❌ Alert evaluation failed:", err.message);
+  }
+};
+
+// Store links to other indicators. Like alerts, never fails the write.
+const linkRelated = async (threat, data) => {
+  try {
+    await recordRelationships(threat, data);
+  } catch (err) {
+    console.log("❌ Relationship update failed:", err.message);
+  }
+};
+
+/**
+ * Insert a threat or merge it into the existing document for the same
+ * { type, value }. Resolves to { threat, status } where status is:
+ *  - "created":   first time this IoC was seen
+ *  - "merged":    a new source record reported it (hitCount bumped)
+ *  - "refreshed": the same source record was ingested again
+ * `data.reportedBy` entries (manual submissions) are always appended, and
+ * `data.relationships` (see services/relationships.js) are recorded.
+ * Concurrent writers of a new IoC can't create it twice: the loser of the
+ * insert race merges into the winner's document instead.
+ */
+const upsertThreat = async (data, { retried = false } = {}) => {
+  const value = normalizeIoC(data.type, data.value);
+  const seenAt = data.lastSeen || data.dateDetected || new Date();
+  const sighting = {
+    source: data.source,
+    sourceId: data.sourceId,
+    firstSeen: data.firstSeen || seenAt,
+    lastSeen: seenAt,
+  };
+
+  const threat = await Threat.findOne(iocFilter(data.type, value));
+  const previousScore = threat?.riskScore;
+
+  if (!threat) {
+    let created;
+    try {
+      created = await Threat.create({ ...data, value, sightings: [sighting] });
+    } catch (err) {
+      if (err.code !== DUPLICATE_KEY || retried) throw err;
+      return upsertThreat(data, { retried: true });
+    }
+    await linkRelated(created, data);
+    await notifyAlerts(created);
+    return { threat: created, status: "created" };
+  }
+
+  mergeThreat(threat, data);
+
+  const known = threat.sightings.find(
+    (s) => s.source === data.source && s.sourceId === data.sourceId
+  );
+
+  // Re-ingesting the same feed record only moves its lastSeen forward
+  if (known) {
+    if (seenAt > known.lastSeen) known.lastSeen = seenAt;
+    if (seenAt > threat.lastSeen) threat.lastSeen = seenAt;
+    await threat.save();
+    await linkRelated(threat, data);
+    // Not news for most alerts, but the score may have reached a minRiskScore
+    await evaluateRiskIncrease(threat, previousScore);
+    return { threat, status: "refreshed" };
+  }
+
+  threat.sightings.push(sighting);
+  await threat.markAsSeen(seenAt);
+  await linkRelated(threat, data);
+  await notifyAlerts(threat);
+  return { threat, status: "merged" };
+};
+
+module.exports = {
+  upsertThreat,
+  mergeThreat,
+};
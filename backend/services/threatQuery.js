@@ -0,0 +1,173 @@
+// ============================================
+// services/threatQuery.js
+// ============================================
+// Turns query-string filters into Threat queries. Shared by the threats list
+// and every export that is "filtered the same way as the threats list".
+const Threat = require("../models/threat.js");
+
+const LIST_FILTERS = {
+  type: "type",
+  severity: "severity",
+  category: "category",
+  country: "country",
+  malwareFamily: "malwareFamily",
+  tags: "tags",
+};
+
+// Every query param buildThreatFilter() understands
+const FILTER_PARAMS = [...Object.keys(LIST_FILTERS), "source", "isActive", "from", "to", "q"];
+
+const SORTABLE = ["dateDetected", "lastSeen", "firstSeen", "createdAt", "confidence", "riskScore", "hitCount"];
+const DATE_FIELDS = ["dateDetected", "lastSeen", "firstSeen", "createdAt"];
+
+// Invalid client input (reported as 400 rather than 500)
+class QueryError extends Error {}
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 500;
+
+// "a,b" or ["a", "b"] -> ["a", "b"]
+const toList = (value) =>
+  (Array.isArray(value) ? value : String(value).split(","))
+    .map((v) => v.trim())
+    .filter(Boolean);
+
+/**
+ * Threats reported by any of `sources`: the source that first reported them
+ * or any later sighting. This is the one meaning of "from these feeds", used
+ * by the source filter, tier scoping and alert source conditions alike.
+ */
+const reportedByAny = (sources) => ({
+  $or: [{ source: { $in: sources } }, { "sightings.source": { $in: sources } }],
+});
+
+// reportedByAny() for a loaded threat
+const isReportedByAny = (threat, sources) =>
+  [threat.source, ...(threat.sightings || []).map((s) => s.source)].some((source) => sources.includes(source));
+
+// Filter clause limiting a query to the threats the caller's tier can see
+const feedScope = (feeds) => (feeds ? { $and: [reportedByAny(feeds)] } : {});
+
+/**
+ * Build a Mongo filter from request query params:
+ *   type, severity, source, category, country, malwareFamily, tags  (comma lists)
+ *   isActive=true|false, from / to (dateDetected range), q (full-text search)
+ * `options.feeds` restricts results to threats reported by a feed the
+ * caller's tier includes; requested sources outside it match nothing.
+ * Source conditions go in `$and`, so callers adding clauses must append to it.
+ */
+const buildThreatFilter = (query = {}, { feeds } = {}) => {
+  const filter = {};
+
+  for (const [param, field] of Object.entries(LIST_FILTERS)) {
+    if (query[param] === undefined || query[param] === "") continue;
+    const values = toList(query[param]);
+    filter[field] = values.length === 1 ? values[0] : { $in: values };
+  }
+
+  if (query.source !== undefined && query.source !== "") {
+    const requested = toList(query.source);
+    filter.$and = [reportedByAny(feeds ? requested.filter((source) => feeds.includes(source)) : requested)];
+  } else if (feeds) {
+    filter.$and = [reportedByAny(feeds)];
+  }
+
+  if (query.isActive === "true" || query.isActive === "false") {
+    filter.isActive = query.isActive === "true";
+  }
+
+  if (query.from || query.to) {
+    filter.dateDetected = {};
+    if (query.from) filter.dateDetected.$gte = new Date(query.from);
+    if (query.to) filter.dateDetected.$lte = new Date(query.to);
+
+    if (Object.values(filter.dateDetected).some((d) => isNaN(d))) {
+      throw new QueryError("Invalid from/to date");
+    }
+  }
+
+  if (query.q) {
+    filter.$text = { $search: String(query.q) };
+  }
+
+  return filter;
+};
+
+// "-dateDetected" -> { field: "dateDetected", direction: -1 }
+const parseSort = (sort = "-dateDetected") => {
+  // A repeated ?sort= arrives as an array
+  if (typeof sort !== "string") throw new QueryError("sort must be a single field");
+
+  const direction = sort.startsWith("-") ? -1 : 1;
+  const field = sort.replace(/^[-+]/, "");
+
+  if (!SORTABLE.includes(field)) {
+    throw new QueryError(`Cannot sort by "${field}". Use one of: ${SORTABLE.join(", ")}`);
+  }
+  return { field, direction };
+};
+
+const encodeCursor = (doc, field) =>
+  Buffer.from(JSON.stringify({ v: doc[field], id: String(doc._id) })).toString("base64url");
+
+const decodeCursor = (cursor, field) => {
+  try {
+    const { v, id } = JSON.parse(Buffer.from(cursor, "base64url").toString());
+    return { value: DATE_FIELDS.includes(field) ? new Date(v) : v, id };
+  } catch {
+    throw new QueryError("Invalid cursor");
+  }
+};
+
+// Keyset condition for "rows after the cursor" in the given sort order
+const afterCursor = ({ value, id }, { field, direction }) => {
+  const op = direction === -1 ? "$lt" : "$gt";
+  return {
+    $or: [{ [field]: { [op]: value } }, { [field]: value, _id: { [op]: id } }],
+  };
+};
+
+/**
+ * Cursor-paginated threat list. Resolves to the response envelope:
+ *   { data, total, limit, sort, nextCursor }
+ * `nextCursor` is null on the last page.
+ */
+const listThreats = async (query = {}, options = {}) => {
+  const filter = buildThreatFilter(query, options);
+  const sort = parseSort(query.sort);
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+
+  const pageFilter = query.cursor
+    ? { ...filter, $and: [...(filter.$and || []), afterCursor(decodeCursor(query.cursor, sort.field), sort)] }
+    : filter;
+
+  const [total, rows] = await Promise.all([
+    Threat.countDocuments(filter),
+    Threat.find(pageFilter)
+      .select("-rawData")
+      .sort({ [sort.field]: sort.direction, _id: sort.direction })
+      .limit(limit + 1),
+  ]);
+
+  const hasMore = rows.length > limit;
+  const data = hasMore ? rows.slice(0, limit) : rows;
+
+  return {
+    data,
+    total,
+    limit,
+    sort: `${sort.direction === -1 ? "-" : ""}${sort.field}`,
+    nextCursor: hasMore ? encodeCursor(data[data.length - 1], sort.field) : null,
+  };
+};
+
+module.exports = {
+  FILTER_PARAMS,
+  reportedByAny,
+  isReportedByAny,
+  feedScope,
+  buildThreatFilter,
+  listThreats,
+  parseSort,
+  QueryError,
+};
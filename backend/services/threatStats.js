@@ -0,0 +1,194 @@
+// ============================================
+// services/threatStats.js
+// ============================================
+// Dashboard statistics and time-series trends, computed with aggregation
+// pipelines over Threat.
+const Threat = require("../models/threat.js");
+const Alert = require("../models/alert.js");
+const { buildThreatFilter, reportedByAny, QueryError } = require("./threatQuery.js");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SEVERITY_ORDER = ["Critical", "High", "Medium", "Low", "Info"];
+const TOP_N = 10;
+
+// { $group } stage counting documents per value of `field`, largest first
+const countBy = (field, limit) => {
+  const stages = [
+    { $match: { [field]: { $nin: [null, ""] } } },
+    { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+    { $sort: { count: -1, _id: 1 } },
+  ];
+  if (limit) stages.push({ $limit: limit });
+  stages.push({ $project: { _id: 0, name: "$_id", count: 1 } });
+  return stages;
+};
+
+const countWhere = (match) => [{ $match: match }, { $count: "count" }];
+
+const firstCount = (facet) => facet[0]?.count || 0;
+
+// Threats per reporting source, counting sightings as well as the source that
+// first reported them; limited to `feeds` when given
+const countBySource = (feeds) => [
+  { $project: { sources: { $setUnion: [["$source"], { $ifNull: ["$sightings.source", []] }] } } },
+  { $unwind: "$sources" },
+  ...(feeds ? [{ $match: { sources: { $in: feeds } } }] : []),
+  { $group: { _id: "$sources", count: { $sum: 1 } } },
+  { $sort: { count: -1, _id: 1 } },
+  { $project: { _id: 0, name: "$_id", count: 1 } },
+];
+
+// Percentage change, or null when there is nothing to compare against
+const percentChange = (current, previous) =>
+  previous === 0 ? null : Math.round(((current - previous) / previous) * 1000) / 10;
+
+/**
+ * Dashboard numbers. Threat counts cover the threats reported by `feeds` (the
+ * caller's tier; all threats when omitted) and alert counts `userId`'s own
+ * alerts.
+ */
+const getDashboardStats = async ({ userId, feeds } = {}) => {
+  const now = Date.now();
+  const startOfToday = new Date(new Date(now).setUTCHours(0, 0, 0, 0));
+  const weekAgo = new Date(now - 7 * DAY_MS);
+  const twoWeeksAgo = new Date(now - 14 * DAY_MS);
+
+  const [[facets], activeAlerts, alertsTriggeredToday] = await Promise.all([
+    Threat.aggregate([
+      ...(feeds ? [{ $match: reportedByAny(feeds) }] : []),
+      {
+        $facet: {
+          total: [{ $count: "count" }],
+          active: countWhere({ isActive: true }),
+          bySeverity: countBy("severity"),
+          byCategory: countBy("category"),
+          bySource: countBySource(feeds),
+          topMalwareFamilies: countBy("malwareFamily", TOP_N),
+          topCountries: countBy("country", TOP_N),
+          countries: [
+            { $match: { country: { $nin: [null, ""] } } },
+            { $group: { _id: "$country" } },
+            { $count: "count" },
+          ],
+          thisWeek: countWhere({ dateDetected: { $gte: weekAgo } }),
+          lastWeek: countWhere({ dateDetected: { $gte: twoWeeksAgo, $lt: weekAgo } }),
+          newToday: countWhere({ dateDetected: { $gte: startOfToday } }),
+          criticalToday: countWhere({ dateDetected: { $gte: startOfToday }, severity: "Critical" }),
+        },
+      },
+    ]),
+    Alert.countDocuments({ userId, isActive: true }),
+    Alert.countDocuments({ userId, lastTriggered: { $gte: startOfToday } }),
+  ]);
+
+  const thisWeek = firstCount(facets.thisWeek);
+  const lastWeek = firstCount(facets.lastWeek);
+
+  return {
+    totalThreats: firstCount(facets.total),
+    activeThreats: firstCount(facets.active),
+    bySeverity: SEVERITY_ORDER.map((name) => ({
+      name,
+      count: facets.bySeverity.find((s) => s.name === name)?.count || 0,
+    })),
+    byCategory: facets.byCategory,
+    bySource: facets.bySource,
+    topMalwareFamilies: facets.topMalwareFamilies,
+    topCountries: facets.topCountries,
+    countries: firstCount(facets.countries),
+    weekOverWeek: { thisWeek, lastWeek, changePct: percentChange(thisWeek, lastWeek) },
+    newToday: { total: firstCount(facets.newToday), critical: firstCount(facets.criticalToday) },
+    alerts: { active: activeAlerts, triggeredToday: alertsTriggeredToday },
+  };
+};
+
+// Trend bucket sizes, with the window used when no `from` is given
+const INTERVALS = {
+  hour: { ms: 60 * 60 * 1000, defaultRange: 2 * DAY_MS },
+  day: { ms: DAY_MS, defaultRange: 30 * DAY_MS },
+  week: { ms: 7 * DAY_MS, defaultRange: 12 * 7 * DAY_MS },
+};
+const TREND_GROUPS = ["severity", "source", "category", "malwareFamily"];
+const MAX_BUCKETS = 1000;
+const MAX_SERIES = 8;
+
+// Same alignment as $dateTrunc in UTC (weeks start on Monday)
+const truncate = (date, interval) => {
+  const d = new Date(date);
+  if (interval === "hour") d.setUTCMinutes(0, 0, 0);
+  else d.setUTCHours(0, 0, 0, 0);
+  if (interval === "week") d.setUTCDate(d.getUTCDate() - ((d.getUTCDay() + 6) % 7));
+  return d;
+};
+
+/**
+ * Threat counts bucketed by hour/day/week over [from, to], optionally split
+ * by severity, source, category or malwareFamily. Every bucket in the range is
+ * returned (zero-filled) so charts don't skip quiet periods. Any threats-list
+ * filter (type, severity, q, ...) and the caller's feed scope also apply.
+ *
+ * Resolves to { interval, groupBy, from, to, series, buckets } where each
+ * bucket is { date, total, <series key>: count, ... }.
+ */
+const getThreatTrends = async (query = {}, options = {}) => {
+  const interval = query.interval || "day";
+  const groupBy = query.groupBy || null;
+
+  if (!INTERVALS[interval]) throw new QueryError(`interval must be one of: ${Object.keys(INTERVALS).join(", ")}`);
+  if (groupBy && !TREND_GROUPS.includes(groupBy)) {
+    throw new QueryError(`groupBy must be one of: ${TREND_GROUPS.join(", ")}`);
+  }
+
+  const to = query.to ? new Date(query.to) : new Date();
+  const from = query.from ? new Date(query.from) : new Date(to - INTERVALS[interval].defaultRange);
+  if (isNaN(from) || isNaN(to) || from > to) throw new QueryError("Invalid from/to range");
+  if ((to - from) / INTERVALS[interval].ms > MAX_BUCKETS) {
+    throw new QueryError(`Range too large for ${interval} buckets (max ${MAX_BUCKETS})`);
+  }
+
+  const filter = buildThreatFilter({ ...query, from: from.toISOString(), to: to.toISOString() }, options);
+
+  const rows = await Threat.aggregate([
+    { $match: filter },
+    {
+      $group: {
+        _id: {
+          bucket: { $dateTrunc: { date: "$dateDetected", unit: interval, startOfWeek: "monday" } },
+          key: groupBy ? { $ifNull: [`$${groupBy}`, "Unknown"] } : "total",
+        },
+        count: { $sum: 1 },
+      },
+    },
+  ]);
+
+  // Keep the chart readable: the biggest series by volume, the rest as "Other"
+  const totals = {};
+  rows.forEach((r) => (totals[r._id.key] = (totals[r._id.key] || 0) + r.count));
+  const ranked = Object.keys(totals).sort((a, b) => totals[b] - totals[a]);
+  const series = groupBy
+    ? ranked.length > MAX_SERIES ? [...ranked.slice(0, MAX_SERIES - 1), "Other"] : ranked
+    : [];
+  const seriesKey = (key) => (!groupBy ? null : series.includes(key) ? key : "Other");
+
+  const buckets = new Map();
+  for (let t = truncate(from, interval); t <= to; t = new Date(t.getTime() + INTERVALS[interval].ms)) {
+    const bucket = { date: t.toISOString(), total: 0 };
+    series.forEach((key) => (bucket[key] = 0));
+    buckets.set(bucket.date, bucket);
+  }
+
+  for (const row of rows) {
+    const bucket = buckets.get(row._id.bucket.toISOString());
+    if (!bucket) continue;
+    bucket.total += row.count;
+    const key = seriesKey(row._id.key);
+    if (key) bucket[key] += row.count;
+  }
+
+  return { interval, groupBy, from, to, series, buckets: [...buckets.values()] };
+};
+
+module.exports = {
+  getDashboardStats,
+  getThreatTrends,
+};
@@ -0,0 +1,122 @@
+// ============================================
+// services/threatSubmission.js
+// ============================================
+// Analyst-reported IoCs. Submissions go through the same dedup pipeline as
+// feed data: reporting a known indicator adds a reportedBy entry (and a
+// "Manual" sighting per analyst) instead of a second document.
+const Threat = require("../models/threat.js");
+const { detectIoCType, refang, HASH_TYPES } = require("../utils/ioc.js");
+const { upsertThreat } = require("./threatPipeline.js");
+
+const TYPES = Threat.schema.path("type").enumValues;
+const SEVERITIES = Threat.schema.path("severity").enumValues;
+const CATEGORIES = Threat.schema.path("category").enumValues;
+
+// Fields an analyst may set on submission or edit afterwards
+const EDITABLE = ["severity", "confidence", "category", "malwareFamily", "tags", "references", "description", "country"];
+
+// Invalid submission (reported as 400)
+class SubmissionError extends Error {}
+
+const sameType = (a, b) => a === b || (HASH_TYPES.includes(a) && HASH_TYPES.includes(b));
+
+// "a, b" or ["a", "b"] -> ["a", "b"]
+const toList = (value) =>
+  (Array.isArray(value) ? value : String(value).split(","))
+    .map((v) => String(v).trim())
+    .filter(Boolean);
+
+// References are rendered as links, so only web URLs are accepted
+const REFERENCE_PROTOCOLS = ["http:", "https:"];
+
+// Accepts ["https://..."] or [{ url, title }]
+const toReferences = (value) =>
+  (Array.isArray(value) ? value : [value]).map((ref) => {
+    const url = typeof ref === "string" ? ref : ref?.url;
+    let protocol;
+    try {
+      ({ protocol } = new URL(url));
+    } catch {
+      throw new SubmissionError(`Invalid reference URL: ${url}`);
+    }
+    if (!REFERENCE_PROTOCOLS.includes(protocol)) {
+      throw new SubmissionError(`Reference URLs must use http or https: ${url}`);
+    }
+    return { url, title: typeof ref === "string" ? undefined : ref.title };
+  });
+
+// Validate the EDITABLE fields present in `body`; resolves to the clean subset
+const editableFields = (body = {}) => {
+  const fields = {};
+
+  if (body.severity !== undefined) {
+    if (!SEVERITIES.includes(body.severity)) {
+      throw new SubmissionError(`severity must be one of: ${SEVERITIES.join(", ")}`);
+    }
+    fields.severity = body.severity;
+  }
+  if (body.category !== undefined) {
+    if (!CATEGORIES.includes(body.category)) {
+      throw new SubmissionError(`category must be one of: ${CATEGORIES.join(", ")}`);
+    }
+    fields.category = body.category;
+  }
+  if (body.confidence !== undefined) {
+    const confidence = Number(body.confidence);
+    if (!Number.isFinite(confidence) || confidence < 0 || confidence > 100) {
+      throw new SubmissionError("confidence must be between 0 and 100");
+    }
+    fields.confidence = confidence;
+  }
+  if (body.tags !== undefined) fields.tags = toList(body.tags);
+  if (body.references !== undefined) fields.references = toReferences(body.references);
+
+  for (const field of ["malwareFamily", "description", "country"]) {
+    if (body[field] !== undefined) fields[field] = String(body[field]).trim() || undefined;
+  }
+
+  return fields;
+};
+
+/**
+ * Submit an IoC on behalf of `user`. Body: { value, type?, severity,
+ * confidence, category, malwareFamily, tags, references, description, notes }.
+ * The type is detected from the value when omitted. Resolves to upsertThreat's
+ * { threat, status }.
+ */
+const submitThreat = async (body = {}, user) => {
+  const value = refang(String(body.value || "").trim());
+  if (!value) throw new SubmissionError("value is required");
+
+  const detected = detectIoCType(value);
+  if (!detected || detected.kind === "cidr") {
+    throw new SubmissionError(`"${value}" is not a recognised indicator`);
+  }
+  if (body.type && !TYPES.includes(body.type)) {
+    throw new SubmissionError(`type must be one of: ${TYPES.join(", ")}`);
+  }
+  if (body.type && !sameType(body.type, detected.type)) {
+    throw new SubmissionError(`"${value}" looks like ${detected.type}, not ${body.type}`);
+  }
+
+  const now = new Date();
+  return upsertThreat({
+    severity: "Medium",
+    category: "Other",
+    ...editableFields(body),
+    type: body.type || detected.type,
+    value,
+    source: "Manual",
+    // One Manual sighting per analyst; reporting again refreshes it
+    sourceId: `user:${user._id}`,
+    dateDetected: now,
+    reportedBy: [{ userId: user._id, timestamp: now, notes: body.notes ? String(body.notes) : undefined }],
+  });
+};
+
+module.exports = {
+  SubmissionError,
+  EDITABLE,
+  editableFields,
+  submitThreat,
+};
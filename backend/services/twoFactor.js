@@ -0,0 +1,114 @@
+// ============================================
+// services/twoFactor.js
+// ============================================
+// TOTP enrollment, second-factor checks and one-time recovery codes.
+// Secrets and recovery code hashes are select:false on the User model, so
+// everything here loads the user itself.
+const QRCode = require("qrcode");
+const User = require("../models/user.js");
+const { generateSecret, verifyTotp, otpauthUri } = require("../utils/totp.js");
+const { randomToken, hashToken } = require("../utils/tokens.js");
+
+const SECRET_FIELDS =
+  "+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodeHashes +twoFactor.lastUsedStep";
+const RECOVERY_CODE_COUNT = 10;
+
+// Enrollment/usage mistakes (reported as 400)
+class TwoFactorError extends Error {}
+
+const loadUser = (userId) => User.findById(userId).select(SECRET_FIELDS);
+
+const normalizeRecoveryCode = (code) => String(code || "").trim().toLowerCase();
+
+// Replace the user's recovery codes; resolves to the plaintext codes
+const issueRecoveryCodes = async (user) => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () =>
+    randomToken(4).replace(/^(.{4})/, "$1-")
+  );
+  user.twoFactor.recoveryCodeHashes = codes.map(hashToken);
+  await user.save();
+  return codes;
+};
+
+// Accept a TOTP code at most once, even inside its validity window
+const acceptTotp = async (user, secret, code) => {
+  const step = verifyTotp(secret, code);
+  if (step === null || step <= (user.twoFactor.lastUsedStep ?? -1)) return false;
+
+  user.twoFactor.lastUsedStep = step;
+  await user.save();
+  return true;
+};
+
+// Step 1: new pending secret plus what an authenticator app needs to add it
+const beginSetup = async (userId) => {
+  const user = await loadUser(userId);
+  if (user.twoFactor.enabled) throw new TwoFactorError("Two-factor authentication is already enabled");
+
+  const secret = generateSecret();
+  user.twoFactor.pendingSecret = secret;
+  await user.save();
+
+  const otpauthUrl = otpauthUri({ secret, account: user.email });
+  return { secret, otpauthUrl, qrCode: await QRCode.toDataURL(otpauthUrl) };
+};
+
+// Step 2: confirm a code from the app; resolves to the new recovery codes
+const confirmSetup = async (userId, code) => {
+  const user = await loadUser(userId);
+  const secret = user.twoFactor.pendingSecret;
+  if (!secret) throw new TwoFactorError("Start two-factor setup first");
+  if (!(await acceptTotp(user, secret, code))) throw new TwoFactorError("Invalid authentication code");
+
+  user.twoFactor.enabled = true;
+  user.twoFactor.enabledAt = new Date();
+  user.twoFactor.secret = secret;
+  user.twoFactor.pendingSecret = undefined;
+  return issueRecoveryCodes(user);
+};
+
+/**
+ * Check a second factor: `code` from the authenticator app, or an unused
+ * `recoveryCode` (which is then spent). Resolves to true/false.
+ */
+const checkSecondFactor = async (userId, { code, recoveryCode } = {}) => {
+  const user = await loadUser(userId);
+  if (!user?.twoFactor.enabled) return false;
+
+  if (recoveryCode) {
+    const index = user.twoFactor.recoveryCodeHashes.indexOf(hashToken(normalizeRecoveryCode(recoveryCode)));
+    if (index === -1) return false;
+
+    user.twoFactor.recoveryCodeHashes.splice(index, 1);
+    await user.save();
+    return true;
+  }
+
+  return acceptTotp(user, user.twoFactor.secret, code);
+};
+
+const regenerateRecoveryCodes = async (userId) => issueRecoveryCodes(await loadUser(userId));
+
+const disable = (userId) =>
+  User.updateOne(
+    { _id: userId },
+    {
+      $set: { "twoFactor.enabled": false },
+      $unset: {
+        "twoFactor.enabledAt": 1,
+        "twoFactor.secret": 1,
+        "twoFactor.pendingSecret": 1,
+        "twoFactor.recoveryCodeHashes": 1,
+        "twoFactor.lastUsedStep": 1,
+      },
+    }
+  );
+
+module.exports = {
+  TwoFactorError,
+  beginSetup,
+  confirmSetup,
+  checkSecondFactor,
+  regenerateRecoveryCodes,
+  disable,
+};
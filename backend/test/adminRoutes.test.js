@@ -0,0 +1,69 @@
+// ============================================
+// test/adminRoutes.test.js
+// ============================================
+process.env.JWT_SECRET ||= "test-secret";
+
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const express = require("express");
+const User = require("../models/user.js");
+const Alert = require("../models/alert.js");
+const adminRoutes = require("../routes/adminRoutes.js");
+const { requireOwnership } = require("../middleware/auth.js");
+
+const admin = new User({ email: "admin@example.com", password: "x", name: "Admin", role: "admin" });
+
+let server;
+let baseUrl;
+
+before(async () => {
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.user = admin;
+    next();
+  });
+  app.use("/api/admin", adminRoutes);
+  app.get("/owned/:id", requireOwnership(Alert), (req, res) => res.json(req.resource));
+  server = app.listen(0);
+  await new Promise((resolve) => server.once("listening", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => server.close());
+
+const request = (method, path, body) =>
+  fetch(`${baseUrl}${path}`, {
+    method,
+    headers: { "Content-Type": "application/json" },
+    body: body && JSON.stringify(body),
+  });
+
+describe("admin user routes with a malformed id", () => {
+  it("answer 404 without querying", async (t) => {
+    const update = t.mock.method(User, "findByIdAndUpdate", () => {
+      throw new Error("should not be called");
+    });
+
+    for (const [path, body] of [
+      ["/api/admin/users/not-an-id/role", { role: "viewer" }],
+      ["/api/admin/users/not-an-id/status", { disabled: true }],
+      ["/api/admin/users/not-an-id/tier", { tier: "Pro" }],
+    ]) {
+      const res = await request("PUT", path, body);
+      assert.equal(res.status, 404, path);
+    }
+    assert.equal(update.mock.callCount(), 0);
+  });
+});
+
+describe("requireOwnership", () => {
+  it("answers 404 for a malformed id", async (t) => {
+    const find = t.mock.method(Alert, "findById", async () => null);
+
+    const res = await request("GET", "/owned/not-an-id");
+
+    assert.equal(res.status, 404);
+    assert.equal(find.mock.callCount(), 0);
+  });
+});
@@ -0,0 +1,112 @@
+// ============================================
+// test/alertEngine.test.js
+// ============================================
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const Alert = require("../models/alert.js");
+const Threat = require("../models/threat.js");
+const { evaluateThreat, evaluateRiskIncrease, conditionsFilter } = require("../services/alertEngine.js");
+
+const userId = new mongoose.Types.ObjectId();
+
+const threat = (overrides = {}) =>
+  new Threat({
+    source: "AlienVault",
+    type: "IP",
+    value: "203.0.113.9",
+    severity: "High",
+    sightings: [{ source: "AlienVault" }, { source: "AbuseIPDB" }],
+    ...overrides,
+  });
+
+describe("Alert.shouldTrigger sources", () => {
+  it("matches a source that reported the threat after the first one", () => {
+    const alert = new Alert({ userId, name: "abuse", conditions: { sources: ["AbuseIPDB"] } });
+    assert.equal(alert.shouldTrigger(threat()), true);
+  });
+
+  it("does not match sources that never reported it", () => {
+    const alert = new Alert({ userId, name: "phish", conditions: { sources: ["PhishTank"] } });
+    assert.equal(alert.shouldTrigger(threat()), false);
+  });
+});
+
+describe("conditionsFilter sources", () => {
+  it("matches the primary source or any sighting", () => {
+    const filter = conditionsFilter({ sources: ["AbuseIPDB"], keywords: ["scan"] });
+
+    assert.deepEqual(filter.$and, [
+      { $or: [{ source: { $in: ["AbuseIPDB"] } }, { "sightings.source": { $in: ["AbuseIPDB"] } }] },
+    ]);
+    // The keyword $or is kept alongside
+    assert.equal(filter.$or.length, 3);
+  });
+});
+
+describe("Alert.recordTrigger", () => {
+  it("pushes the match atomically, newest first and capped at 10", async (t) => {
+    const alert = new Alert({ userId, name: "any", cooldownMinutes: 5 });
+    const threatId = new mongoose.Types.ObjectId();
+    const updateOne = t.mock.method(Alert, "updateOne", async () => ({ matchedCount: 1, modifiedCount: 1 }));
+
+    assert.equal(await alert.recordTrigger(threatId), true);
+
+    const [filter, update] = updateOne.mock.calls[0].arguments;
+    assert.equal(filter._id, alert._id);
+    assert.deepEqual(filter["recentMatches.threatId"], { $ne: threatId });
+    assert.deepEqual(update.$inc, { triggerCount: 1 });
+    assert.equal(update.$push.recentMatches.$position, 0);
+    assert.equal(update.$push.recentMatches.$slice, 10);
+    assert.equal(update.$push.recentMatches.$each[0].deliveryStatus, "pending");
+    assert.ok(update.$set.nextTriggerAllowed > update.$set.lastTriggered);
+  });
+
+  it("only matches an alert that is out of cooldown", async (t) => {
+    const alert = new Alert({ userId, name: "any", cooldownMinutes: 5 });
+    const updateOne = t.mock.method(Alert, "updateOne", async () => ({ matchedCount: 0, modifiedCount: 0 }));
+
+    // Another evaluation started the cooldown after this one loaded the alert
+    assert.equal(await alert.recordTrigger(new mongoose.Types.ObjectId()), false);
+
+    const [filter, update] = updateOne.mock.calls[0].arguments;
+    assert.deepEqual(filter.$or, [{ nextTriggerAllowed: null }, { nextTriggerAllowed: { $lte: update.$set.lastTriggered } }]);
+  });
+});
+
+describe("evaluateThreat", () => {
+  it("does not fire when another evaluation already recorded the threat", async (t) => {
+    const alert = new Alert({ userId, name: "any" });
+    t.mock.method(Alert, "find", () => ({ select: async () => [alert] }));
+    t.mock.method(Alert, "updateOne", async () => ({ matchedCount: 0, modifiedCount: 0 }));
+
+    assert.deepEqual(await evaluateThreat(threat()), []);
+  });
+});
+
+describe("evaluateRiskIncrease", () => {
+  it("runs the alerts whose minRiskScore the new score just reached", async (t) => {
+    const alert = new Alert({ userId, name: "risky", conditions: { minRiskScore: 60 } });
+    const find = t.mock.method(Alert, "find", () => ({ select: async () => [alert] }));
+    t.mock.method(Alert, "updateOne", async () => ({ matchedCount: 1, modifiedCount: 1 }));
+
+    const rescored = threat({ riskScore: 65 });
+    assert.deepEqual(await evaluateRiskIncrease(rescored, 55), [alert]);
+    assert.deepEqual(find.mock.calls[0].arguments[0]["conditions.minRiskScore"], { $gt: 55, $lte: 65 });
+  });
+
+  it("does nothing when the score didn't go up", async (t) => {
+    const find = t.mock.method(Alert, "find", () => ({ select: async () => [] }));
+
+    assert.deepEqual(await evaluateRiskIncrease(threat({ riskScore: 40 }), 40), []);
+    assert.equal(find.mock.callCount(), 0);
+  });
+
+  it("logs alert failures instead of throwing", async (t) => {
+    t.mock.method(Alert, "find", () => ({ select: async () => { throw new Error("connection lost"); } }));
+    const log = t.mock.method(console, "log", () => {});
+
+    assert.deepEqual(await evaluateRiskIncrease(threat({ riskScore: 80 }), 10), []);
+    assert.match(log.mock.calls[0].arguments.join(" "), /connection lost/);
+  });
+});
@@ -0,0 +1,182 @@
+// ============================================
+// test/authRoutes.test.js
+// ============================================
+process.env.JWT_SECRET ||= "test-secret";
+
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const express = require("express");
+const bcrypt = require("bcryptjs");
+const User = require("../models/user.js");
+const Session = require("../models/session.js");
+const authRoutes = require("../routes/authRoutes.js");
+
+let server;
+let baseUrl;
+
+const post = async (path, body) => {
+  const res = await fetch(`${baseUrl}/api/auth${path}`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body),
+  });
+  return { status: res.status, body: await res.json() };
+};
+
+before(async () => {
+  const app = express();
+  app.use(express.json());
+  app.use("/api/auth", authRoutes);
+  server = app.listen(0);
+  await new Promise((resolve) => server.once("listening", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => server.close());
+
+// Keep sessions in memory for the duration of test `t`; resolves to the array
+const stubSessions = (t) => {
+  const sessions = [];
+  t.mock.method(Session, "create", async (data) => {
+    const session = new Session(data);
+    sessions.push(session);
+    return session;
+  });
+  t.mock.method(Session, "findById", async (id) => sessions.find((s) => s._id.equals(id)) || null);
+  t.mock.method(Session.prototype, "save", async function () {
+    return this;
+  });
+  return sessions;
+};
+
+// Fields a response must never carry about the account
+const PRIVATE_FIELDS = ["password", "failedLogins", "lockedUntil", "twoFactor", "inviteTokenHash"];
+
+describe("account emails without SMTP configured", () => {
+  beforeEach(() => {
+    delete process.env.SMTP_HOST;
+    delete process.env.MAIL_TRANSPORT;
+  });
+
+  it("still registers the user and logs the failed email", async (t) => {
+    t.mock.method(User, "findOne", async () => null);
+    t.mock.method(User, "create", async (data) => new User(data));
+    const log = t.mock.method(console, "log", () => {});
+
+    const { status, body } = await post("/register", { email: "new@example.com", password: "secret1", name: "New" });
+
+    assert.equal(status, 200);
+    assert.equal(body.user.email, "new@example.com");
+    assert.match(log.mock.calls.map((c) => c.arguments.join(" ")).join("\n"), /Verification email failed: SMTP_HOST/);
+  });
+
+  it("answers forgot-password the same whether or not the account exists", async (t) => {
+    const user = new User({ email: "known@example.com", password: "secret1", name: "Known" });
+    t.mock.method(console, "log", () => {});
+
+    t.mock.method(User, "findOne", async () => user);
+    const known = await post("/forgot-password", { email: "known@example.com" });
+
+    t.mock.method(User, "findOne", async () => null);
+    const unknown = await post("/forgot-password", { email: "unknown@example.com" });
+
+    assert.equal(known.status, 200);
+    assert.deepEqual(known, unknown);
+  });
+});
+
+describe("POST /accept-invite", () => {
+  const invited = (fields = {}) =>
+    new User({
+      email: "invited@example.com",
+      password: "placeholder",
+      name: "Invited",
+      role: "analyst",
+      inviteTokenHash: "hash",
+      inviteExpires: new Date(Date.now() + 60000),
+      ...fields,
+    });
+
+  it("returns only the public account fields", async (t) => {
+    stubSessions(t);
+    t.mock.method(User, "findOne", async () => invited());
+    t.mock.method(User.prototype, "save", async function () {
+      return this;
+    });
+
+    const { status, body } = await post("/accept-invite", { token: "abc", password: "secret1" });
+
+    assert.equal(status, 200);
+    assert.deepEqual(Object.keys(body.user).sort(), ["_id", "email", "name", "role", "tier"]);
+    for (const field of PRIVATE_FIELDS) assert.equal(body.user[field], undefined, field);
+  });
+
+  it("refuses invitations for disabled accounts", async (t) => {
+    stubSessions(t);
+    t.mock.method(User, "findOne", async () => invited({ disabled: true }));
+    const save = t.mock.method(User.prototype, "save", async function () {
+      return this;
+    });
+
+    const { status } = await post("/accept-invite", { token: "abc", password: "secret1" });
+
+    assert.equal(status, 403);
+    assert.equal(save.mock.callCount(), 0);
+  });
+});
+
+describe("login sessions", () => {
+  const member = () =>
+    new User({
+      email: "member@example.com",
+      password: bcrypt.hashSync("secret1", 4),
+      name: "Member",
+      emailVerified: true,
+      failedLogins: 2,
+    });
+
+  const login = async (t) => {
+    t.mock.method(User, "findOne", async () => member());
+    t.mock.method(User.prototype, "save", async function () {
+      return this;
+    });
+    return post("/login", { email: "member@example.com", password: "secret1" });
+  };
+
+  it("returns tokens and only the public account fields", async (t) => {
+    stubSessions(t);
+
+    const { status, body } = await login(t);
+
+    assert.equal(status, 200);
+    assert.ok(body.token && body.refreshToken);
+    assert.deepEqual(Object.keys(body.user).sort(), ["_id", "email", "name", "role", "tier"]);
+    for (const field of PRIVATE_FIELDS) assert.equal(body.user[field], undefined, field);
+  });
+
+  it("rotates the refresh token on every use", async (t) => {
+    const sessions = stubSessions(t);
+    const { body: first } = await login(t);
+
+    const { status, body: second } = await post("/refresh", { refreshToken: first.refreshToken });
+
+    assert.equal(status, 200);
+    assert.notEqual(second.refreshToken, first.refreshToken);
+    assert.equal(second.refreshToken.split(".")[0], first.refreshToken.split(".")[0]);
+    assert.equal((await post("/refresh", { refreshToken: second.refreshToken })).status, 200);
+    assert.equal(sessions.length, 1);
+  });
+
+  it("revokes the session when a rotated token is reused", async (t) => {
+    const sessions = stubSessions(t);
+    const { body: first } = await login(t);
+    const { body: second } = await post("/refresh", { refreshToken: first.refreshToken });
+
+    const reuse = await post("/refresh", { refreshToken: first.refreshToken });
+
+    assert.equal(reuse.status, 401);
+    assert.ok(sessions[0].revokedAt);
+    // The current token died with the session
+    assert.equal((await post("/refresh", { refreshToken: second.refreshToken })).status, 401);
+  });
+});
@@ -0,0 +1,139 @@
+// ============================================
+// test/blocklist.test.js
+// ============================================
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const Threat = require("../models/threat.js");
+const { BLOCKLIST_LIMIT, FORMATS, getBlocklistVersion, renderBlocklist } = require("../services/blocklist.js");
+
+// Threat.find() chain resolving to `docs`, capped at the requested limit
+const stubFind = (t, docs) =>
+  t.mock.method(Threat, "find", () => {
+    const query = {
+      select: () => query,
+      sort: () => query,
+      limit: (n) => ({ lean: async () => docs.slice(0, n) }),
+    };
+    return query;
+  });
+
+const rpzEntries = (threats) =>
+  FORMATS.rpz.render(threats, {}).split("\n").filter((line) => line.endsWith(".rpz-ip CNAME ."));
+
+describe("rpz format", () => {
+  it("writes addresses as full-length prefixes", () => {
+    assert.deepEqual(
+      rpzEntries([
+        { type: "IP", value: "192.0.2.10" },
+        { type: "IP", value: "2001:db8::1" },
+      ]),
+      ["32.10.2.0.192.rpz-ip CNAME .", "128.1.zz.db8.2001.rpz-ip CNAME ."]
+    );
+  });
+
+  it("writes CIDRs as their prefix length and network address", () => {
+    assert.deepEqual(
+      rpzEntries([
+        { type: "IP", value: "198.51.100.77/24" },
+        { type: "IP", value: "10.0.0.0/8" },
+        { type: "IP", value: "2001:db8:abcd:12ff::/48" },
+      ]),
+      [
+        "24.0.100.51.198.rpz-ip CNAME .",
+        "8.0.0.0.10.rpz-ip CNAME .",
+        "48.zz.abcd.db8.2001.rpz-ip CNAME .",
+      ]
+    );
+  });
+});
+
+describe("renderBlocklist", () => {
+  it("lists everything when under the limit", async (t) => {
+    stubFind(t, [{ type: "IP", value: "192.0.2.10" }]);
+
+    const { body, truncated } = await renderBlocklist("ip.txt", {});
+
+    assert.equal(truncated, false);
+    assert.doesNotMatch(body, /Truncated/);
+  });
+
+  it("says so when more threats match than it can list", async (t) => {
+    const docs = Array.from({ length: BLOCKLIST_LIMIT + 1 }, (_, i) => ({ type: "Domain", value: `d${i}.example` }));
+    stubFind(t, docs);
+
+    const { body, truncated } = await renderBlocklist("domain.txt", {});
+
+    assert.equal(truncated, true);
+    assert.match(body, new RegExp(`^# Entries: ${BLOCKLIST_LIMIT}$`, "m"));
+    assert.match(body, /^# Truncated: /m);
+    assert.doesNotMatch(body, new RegExp(`d${BLOCKLIST_LIMIT}\\.example`));
+  });
+});
+
+describe("sensor rules", () => {
+  const hostile = { type: "Domain", value: 'evil.example"; pcre:"/x/; sid:1;\\', severity: "High" };
+
+  // Every rule must still be one line of balanced quotes ending in "rev:1;)"
+  const assertWellFormed = (body) => {
+    for (const rule of body.split("\n").filter((line) => line.startsWith("alert"))) {
+      assert.match(rule, /rev:1;\)$/);
+      assert.equal(rule.split('"').length % 2, 1, rule);
+    }
+  };
+
+  it("hex-escapes quotes, semicolons and backslashes in Suricata content", () => {
+    const body = FORMATS["suricata.rules"].render([hostile], {});
+
+    assert.match(body, /content:"evil\.example\|22\|\|3b\| pcre:\|22\|\/x\/\|3b\| sid:1\|3b\|\|5c\|";/);
+    assertWellFormed(body);
+  });
+
+  it("hex-escapes them in Snort DNS labels", () => {
+    const body = FORMATS["snort.rules"].render([hostile], {});
+
+    assert.doesNotMatch(body, /pcre:"/);
+    assertWellFormed(body);
+  });
+
+  it("skips IP entries that aren't addresses", () => {
+    const body = FORMATS["suricata.rules"].render(
+      [
+        { type: "IP", value: "192.0.2.10", severity: "High" },
+        { type: "IP", value: "1.2.3.4] any -> any any (msg:\"x\"; sid:1;) #", severity: "High" },
+      ],
+      {}
+    );
+
+    assert.match(body, /^# Entries: 1$/m);
+    assert.equal(body.split("\n").filter((line) => line.startsWith("alert")).length, 2);
+    assertWellFormed(body);
+  });
+});
+
+describe("getBlocklistVersion", () => {
+  const doc = (id, updatedAt) => ({ _id: id, updatedAt: new Date(updatedAt) });
+
+  it("keeps the ETag while the list is unchanged", async (t) => {
+    const docs = [doc("a1", "2026-01-01"), doc("b2", "2026-01-02")];
+    stubFind(t, docs);
+
+    const first = await getBlocklistVersion("ip.txt", {});
+    const second = await getBlocklistVersion("ip.txt", {});
+
+    assert.equal(first.etag, second.etag);
+    assert.deepEqual(first.lastModified, new Date("2026-01-02"));
+  });
+
+  it("changes the ETag when one entry expires as another is added", async (t) => {
+    const docs = [doc("a1", "2026-01-01"), doc("b2", "2026-01-02")];
+    stubFind(t, docs);
+    const before = await getBlocklistVersion("ip.txt", {});
+
+    // Same count and same newest updatedAt, different entries
+    docs[0] = doc("c3", "2026-01-01");
+    const after = await getBlocklistVersion("ip.txt", {});
+
+    assert.notEqual(before.etag, after.etag);
+    assert.deepEqual(before.lastModified, after.lastModified);
+  });
+});
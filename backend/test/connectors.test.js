@@ -0,0 +1,171 @@
+// ============================================
+// test/connectors.test.js
+// ============================================
+// Feed connector parsers against recorded samples in fixtures/feeds.
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+const { getConnector, fetchFeed } = require("../ingestion/index.js");
+
+const parseFixture = async (name, file) => {
+  const connector = getConnector(name);
+  return connector.parse(await fetchFeed(connector, { file: path.join(__dirname, "fixtures/feeds", file) }));
+};
+
+const byValue = (threats, value) => threats.find((t) => t.value === value);
+
+describe("urlhaus connector", () => {
+  it("parses CSV rows, skipping the comment header", async () => {
+    const threats = await parseFixture("urlhaus", "urlhaus.csv");
+
+    assert.equal(threats.length, 3);
+    assert.ok(threats.every((t) => t.source === "URLhaus" && t.type === "URL"));
+  });
+
+  it("maps status, family and category from the row", async () => {
+    const threats = await parseFixture("urlhaus", "urlhaus.csv");
+    const mozi = byValue(threats, "http://182.117.68.41:48362/bin.sh");
+
+    assert.equal(mozi.sourceId, "3301845");
+    assert.equal(mozi.severity, "High");
+    assert.equal(mozi.isActive, true);
+    assert.equal(mozi.malwareFamily, "Mozi");
+    assert.equal(mozi.category, "Botnet");
+    assert.deepEqual(mozi.firstSeen, new Date("2026-10-19T17:58:04Z"));
+    assert.deepEqual(mozi.relationships, [{ type: "resolves-to", to: { type: "IP", value: "182.117.68.41" } }]);
+
+    const offline = byValue(threats, "https://cdn-update.example-files.com/invoice.zip");
+    assert.equal(offline.isActive, false);
+    assert.equal(offline.severity, "Medium");
+    assert.equal(offline.malwareFamily, "AgentTesla");
+    assert.deepEqual(offline.relationships, []);
+
+    // Payload-type tags are not malware families
+    assert.equal(byValue(threats, "http://dl.badhost.example/payload.exe").malwareFamily, undefined);
+  });
+});
+
+describe("phishtank connector", () => {
+  it("parses verified and unverified entries, skipping ones without a URL", async () => {
+    const threats = await parseFixture("phishtank", "phishtank.json");
+
+    assert.equal(threats.length, 2);
+
+    const verified = byValue(threats, "https://secure-login.paypa1-account.example/signin");
+    assert.equal(verified.sourceId, "8473621");
+    assert.equal(verified.category, "Phishing");
+    assert.equal(verified.severity, "High");
+    assert.equal(verified.confidence, 90);
+    assert.equal(verified.verified, true);
+    assert.deepEqual(verified.tags, ["phishing", "PayPal"]);
+    assert.equal(verified.country, "US");
+
+    const unverified = byValue(threats, "http://198.51.100.7/webmail/login.php");
+    assert.equal(unverified.verified, false);
+    assert.equal(unverified.confidence, 60);
+    assert.deepEqual(unverified.tags, ["phishing"]);
+  });
+
+  it("links the URL and its domain to the hosting IP", async () => {
+    const threats = await parseFixture("phishtank", "phishtank.json");
+    const verified = byValue(threats, "https://secure-login.paypa1-account.example/signin");
+
+    assert.deepEqual(verified.relationships, [
+      { type: "resolves-to", to: { type: "IP", value: "203.0.113.45" } },
+      {
+        from: { type: "Domain", value: "secure-login.paypa1-account.example" },
+        type: "resolves-to",
+        to: { type: "IP", value: "203.0.113.45" },
+      },
+    ]);
+  });
+});
+
+describe("abuseipdb connector", () => {
+  it("maps abuse confidence onto severity and confidence", async () => {
+    const threats = await parseFixture("abuseipdb", "abuseipdb.json");
+
+    assert.equal(threats.length, 2);
+
+    const critical = byValue(threats, "192.0.2.10");
+    assert.equal(critical.type, "IP");
+    assert.equal(critical.severity, "Critical");
+    assert.equal(critical.confidence, 100);
+    assert.equal(critical.country, "CN");
+    assert.deepEqual(critical.lastSeen, new Date("2026-10-19T17:59:01Z"));
+
+    assert.equal(byValue(threats, "2001:db8::1").severity, "High");
+  });
+});
+
+describe("alienvault connector", () => {
+  it("turns each supported pulse indicator into a threat", async () => {
+    const threats = await parseFixture("alienvault", "alienvault.json");
+
+    // The CVE indicator has no Threat type
+    assert.equal(threats.length, 4);
+    assert.ok(threats.every((t) => t.source === "AlienVault"));
+    assert.equal(byValue(threats, "CVE-2026-0001"), undefined);
+
+    const hash = byValue(threats, "e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855");
+    assert.equal(hash.type, "FileHash");
+    assert.equal(hash.sourceId, "6710a1b2c3d4e5f601234567:4100002");
+    assert.equal(hash.malwareFamily, "Emotet");
+    assert.equal(hash.description, "Loader DLL");
+    assert.equal(byValue(threats, "c2.example-mal.net").isActive, false);
+  });
+
+  it("keeps only http(s) references and adds the pulse link", async () => {
+    const threats = await parseFixture("alienvault", "alienvault.json");
+
+    assert.deepEqual(
+      byValue(threats, "c2.example-mal.net").references.map((r) => r.url),
+      ["https://blog.example.org/emotet-october", "https://otx.alienvault.com/pulse/6710a1b2c3d4e5f601234567"]
+    );
+  });
+
+  it("links indicators of the same pulse", async () => {
+    const threats = await parseFixture("alienvault", "alienvault.json");
+
+    assert.deepEqual(byValue(threats, "http://invoices.example-mal.net/doc.php").relationships, [
+      {
+        type: "downloads",
+        to: { type: "FileHash", value: "e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855" },
+      },
+    ]);
+  });
+
+  it("treats pulses with an adversary as high-severity APT activity", async () => {
+    const threats = await parseFixture("alienvault", "alienvault.json");
+    const apt = byValue(threats, "198.51.100.23");
+
+    assert.equal(apt.type, "IP");
+    assert.equal(apt.severity, "High");
+    assert.equal(apt.category, "APT");
+  });
+});
+
+describe("malwarebazaar connector", () => {
+  it("parses recent samples as SHA-256 file hashes", async () => {
+    const threats = await parseFixture("malwarebazaar", "malwarebazaar.json");
+
+    assert.equal(threats.length, 2);
+
+    const signed = byValue(threats, "9f86d081884c7d659a2feaa0c55ad015a3bf4f1b2b0b822cd15d6c15b0f00a08");
+    assert.equal(signed.type, "FileHash");
+    assert.equal(signed.severity, "High");
+    assert.equal(signed.malwareFamily, "AgentTesla");
+    assert.equal(signed.category, "Malware");
+    assert.equal(signed.country, "FR");
+    assert.deepEqual(signed.firstSeen, new Date("2026-10-19T16:44:02Z"));
+
+    const unsigned = byValue(threats, "60303ae22b998861bce3b28f33eec1be758a213c86c93c076dbe9f558c11c752");
+    assert.equal(unsigned.severity, "Medium");
+    assert.equal(unsigned.malwareFamily, undefined);
+    assert.deepEqual(unsigned.tags, []);
+  });
+
+  it("returns nothing when the query failed", () => {
+    assert.deepEqual(getConnector("malwarebazaar").parse({ query_status: "no_results" }), []);
+  });
+});
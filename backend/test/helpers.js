@@ -0,0 +1,40 @@
+// ============================================
+// test/helpers.js
+// ============================================
+// Stand-ins for MongoDB so the write path can be tested without a database.
+const Threat = require("../models/threat.js");
+const Alert = require("../models/alert.js");
+const Relationship = require("../models/relationship.js");
+
+// Does a stored threat match a { type, value } filter from utils/ioc.js iocFilter()?
+const matches = (doc, filter) =>
+  (filter.type?.$in ? filter.type.$in.includes(doc.type) : doc.type === filter.type) && doc.value === filter.value;
+
+/**
+ * Keep threats in memory for the duration of test `t`: Threat.findOne,
+ * Threat.create and document saves use an array instead of the database,
+ * relationship writes are dropped and no alerts are active. Resolves to the
+ * array, which tests can inspect.
+ */
+const stubThreatStore = (t) => {
+  const docs = [];
+
+  t.mock.method(Threat, "findOne", async (filter) => docs.find((doc) => matches(doc, filter)) || null);
+  t.mock.method(Threat, "create", async (data) => {
+    const doc = new Threat(data);
+    docs.push(doc);
+    return doc;
+  });
+  t.mock.method(Threat.prototype, "save", async function () {
+    if (!docs.includes(this)) docs.push(this);
+    return this;
+  });
+  t.mock.method(Relationship, "updateOne", async () => ({}));
+  t.mock.method(Alert, "find", () => ({ select: async () => [] }));
+
+  return docs;
+};
+
+module.exports = {
+  stubThreatStore,
+};
@@ -0,0 +1,89 @@
+// ============================================
+// test/ioc.test.js
+// ============================================
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { refang, detectIoCType, extractIoCs } = require("../utils/ioc.js");
+
+const MD5 = "d41d8cd98f00b204e9800998ecf8427e";
+const SHA1 = "da39a3ee5e6b4b0d3255bfef95601890afd80709";
+const SHA256 = "e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855";
+
+describe("refang", () => {
+  const cases = [
+    ["hxxp://evil[.]com/path", "http://evil.com/path"],
+    ["hXXps://evil[.]com", "https://evil.com"],
+    ["hxxp[://]evil[.]com", "http://evil.com"],
+    ["fxp://files[.]example", "ftp://files.example"],
+    ["evil(dot)com", "evil.com"],
+    ["evil[dot]com", "evil.com"],
+    ["evil{.}com", "evil.com"],
+    ["evil(.)com", "evil.com"],
+    ["198[.]51[.]100[.]7", "198.51.100.7"],
+    ["2001[:]db8[:][:]1", "2001:db8::1"],
+    ["user[at]evil[.]com", "user@evil.com"],
+    ["user(@)evil.com", "user@evil.com"],
+    ["already.clean", "already.clean"],
+  ];
+
+  for (const [input, expected] of cases) {
+    it(`${input} -> ${expected}`, () => assert.equal(refang(input), expected));
+  }
+});
+
+describe("detectIoCType", () => {
+  const cases = [
+    ["192.0.2.1", { type: "IP", kind: "ipv4" }],
+    ["2001:db8::1", { type: "IP", kind: "ipv6" }],
+    ["::ffff:192.0.2.1", { type: "IP", kind: "ipv6" }],
+    ["10.0.0.0/8", { type: "IP", kind: "cidr" }],
+    ["2001:db8::/32", { type: "IP", kind: "cidr" }],
+    ["10.0.0.0/33", null],
+    ["2001:db8::/129", null],
+    [MD5, { type: "FileHash", kind: "md5" }],
+    [SHA1.toUpperCase(), { type: "FileHash", kind: "sha1" }],
+    [SHA256, { type: "FileHash", kind: "sha256" }],
+    [`${MD5}ab`, null],
+    ["https://evil.example/login?x=1", { type: "URL", kind: "url" }],
+    ["user@evil.example", { type: "Email", kind: "email" }],
+    ["evil.example", { type: "Domain", kind: "domain" }],
+    ["evil.example.", { type: "Domain", kind: "domain" }],
+    ["localhost", null],
+    ["not an ioc", null],
+    ["   ", null],
+    [undefined, null],
+  ];
+
+  for (const [input, expected] of cases) {
+    it(`${JSON.stringify(input)}`, () => assert.deepEqual(detectIoCType(input), expected));
+  }
+});
+
+describe("extractIoCs", () => {
+  it("refangs, trims punctuation, skips CIDRs and drops duplicates", () => {
+    const text = [
+      "Seen hxxp://evil[.]com/a and 198[.]51[.]100[.]7, plus EVIL[.]com.",
+      `Hash: ${MD5.toUpperCase()}; also 10.0.0.0/8 and (evil[.]com) again`,
+      "IPv6 2001:DB8::1 and user[at]evil(dot)com",
+    ].join("\n");
+
+    assert.deepEqual(extractIoCs(text), [
+      { input: "http://evil.com/a", type: "URL", kind: "url", value: "http://evil.com/a" },
+      { input: "198.51.100.7", type: "IP", kind: "ipv4", value: "198.51.100.7" },
+      { input: "EVIL.com", type: "Domain", kind: "domain", value: "evil.com" },
+      { input: MD5.toUpperCase(), type: "FileHash", kind: "md5", value: MD5 },
+      { input: "2001:DB8::1", type: "IP", kind: "ipv6", value: "2001:db8::1" },
+      { input: "user@evil.com", type: "Email", kind: "email", value: "user@evil.com" },
+    ]);
+  });
+
+  it("reads CSV rows and quoted fields", () => {
+    const values = extractIoCs(`indicator,type\n"192.0.2.5",ip\n${SHA256},sha256\n`).map((ioc) => ioc.value);
+
+    assert.deepEqual(values, ["192.0.2.5", SHA256]);
+  });
+
+  it("returns nothing for text without indicators", () => {
+    assert.deepEqual(extractIoCs("nothing to see here"), []);
+  });
+});
@@ -0,0 +1,70 @@
+// ============================================
+// test/iocRoutes.test.js
+// ============================================
+process.env.JWT_SECRET ||= "test-secret";
+
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const express = require("express");
+const User = require("../models/user.js");
+const Threat = require("../models/threat.js");
+const iocRoutes = require("../routes/iocRoutes.js");
+
+const viewer = new User({ email: "viewer@example.com", password: "x", name: "Viewer", role: "viewer" });
+
+let server;
+let baseUrl;
+
+before(async () => {
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.user = viewer;
+    next();
+  });
+  app.use("/api/ioc", iocRoutes);
+  server = app.listen(0);
+  await new Promise((resolve) => server.once("listening", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => server.close());
+
+const bulk = (body) =>
+  fetch(`${baseUrl}/api/ioc/bulk`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body),
+  });
+
+describe("POST /api/ioc/bulk", () => {
+  it("rejects indicators that aren't an array of strings", async () => {
+    for (const indicators of ["evil.example", { value: "evil.example" }, ["evil.example", 42]]) {
+      const res = await bulk({ indicators });
+      assert.equal(res.status, 400, JSON.stringify(indicators));
+      assert.equal((await res.json()).message, "indicators must be an array of strings");
+    }
+  });
+
+  it("rejects a text field that isn't a string", async () => {
+    const res = await bulk({ text: ["evil.example"] });
+
+    assert.equal(res.status, 400);
+  });
+
+  it("looks up an array of indicators", async (t) => {
+    t.mock.method(Threat, "find", () => ({ select: async () => [] }));
+
+    const res = await bulk({ indicators: ["evil[.]example", "192.0.2.1"] });
+
+    assert.equal(res.status, 200);
+    const { results } = await res.json();
+    assert.deepEqual(
+      results.map((r) => [r.indicator, r.verdict]),
+      [
+        ["evil.example", "unknown"],
+        ["192.0.2.1", "unknown"],
+      ]
+    );
+  });
+});
@@ -0,0 +1,165 @@
+// ============================================
+// test/lifecycle.test.js
+// ============================================
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const Threat = require("../models/threat.js");
+const Setting = require("../models/setting.js");
+const LifecycleRun = require("../models/lifecycleRun.js");
+const { DEFAULT_POLICY, ttlFor, ageThreat, runLifecycle } = require("../services/lifecycle.js");
+
+const NOW = new Date("2026-03-01T12:00:00Z");
+const daysAgo = (days, from = NOW) => new Date(from.getTime() - days * 24 * 60 * 60 * 1000);
+
+const policy = (overrides = {}) => ({ ...DEFAULT_POLICY, ...overrides });
+
+const threat = (fields) =>
+  new Threat({ source: "URLhaus", type: "IP", value: "192.0.2.1", severity: "High", confidence: 80, ...fields });
+
+describe("ttlFor", () => {
+  it("uses the type's TTL", () => {
+    assert.equal(ttlFor(threat({ type: "IP" }), policy()), 14);
+    assert.equal(ttlFor(threat({ type: "Domain", value: "evil.example" }), policy()), 60);
+  });
+
+  it("never expires types with a null TTL", () => {
+    const hash = threat({ type: "FileHash", value: "d41d8cd98f00b204e9800998ecf8427e", source: "AbuseIPDB" });
+    assert.equal(ttlFor(hash, policy({ sourceTtlDays: { AbuseIPDB: 3 } })), null);
+  });
+
+  it("prefers a source override", () => {
+    const ip = threat({ source: "AbuseIPDB" });
+    assert.equal(ttlFor(ip, policy({ sourceTtlDays: { AbuseIPDB: 3 } })), 3);
+  });
+
+  it("takes the most lenient TTL across reporting sources", () => {
+    const ip = threat({ source: "AbuseIPDB", sightings: [{ source: "URLhaus" }] });
+    assert.equal(ttlFor(ip, policy({ sourceTtlDays: { AbuseIPDB: 3 } })), 14);
+    assert.equal(ttlFor(ip, policy({ sourceTtlDays: { AbuseIPDB: 3, URLhaus: 30 } })), 30);
+  });
+});
+
+describe("ageThreat", () => {
+  it("halves confidence every half-life", () => {
+    assert.deepEqual(ageThreat(threat({ lastSeen: daysAgo(7) }), policy(), NOW), {
+      confidence: 40,
+      baseConfidence: 80,
+      deactivate: false,
+    });
+    assert.equal(ageThreat(threat({ lastSeen: daysAgo(14) }), policy(), NOW).confidence, 20);
+  });
+
+  it("decays from baseConfidence, not the already decayed value", () => {
+    const aged = threat({ confidence: 40, baseConfidence: 80, lastSeen: daysAgo(14) });
+    assert.deepEqual(ageThreat(aged, policy(), NOW), { confidence: 20, baseConfidence: 80, deactivate: false });
+  });
+
+  it("waits for a full step before moving confidence", () => {
+    // 80 * 0.5^(0.5 / 7) = 76: under CONFIDENCE_STEP away
+    assert.equal(ageThreat(threat({ lastSeen: daysAgo(0.5) }), policy(), NOW).confidence, 80);
+    // 80 * 0.5^(1 / 7) = 72
+    assert.equal(ageThreat(threat({ lastSeen: daysAgo(1) }), policy(), NOW).confidence, 72);
+  });
+
+  it("stops at minConfidence", () => {
+    assert.equal(ageThreat(threat({ lastSeen: daysAgo(60) }), policy(), NOW).confidence, 10);
+    assert.equal(ageThreat(threat({ lastSeen: daysAgo(13) }), policy({ minConfidence: 30 }), NOW).confidence, 30);
+  });
+
+  it("leaves types without a half-life alone", () => {
+    const hash = threat({ type: "FileHash", value: "d41d8cd98f00b204e9800998ecf8427e", lastSeen: daysAgo(400) });
+    assert.deepEqual(ageThreat(hash, policy(), NOW), { confidence: 80, baseConfidence: 80, deactivate: false });
+  });
+
+  it("deactivates threats past their TTL", () => {
+    assert.equal(ageThreat(threat({ lastSeen: daysAgo(13) }), policy(), NOW).deactivate, false);
+    assert.equal(ageThreat(threat({ lastSeen: daysAgo(15) }), policy(), NOW).deactivate, true);
+    assert.equal(
+      ageThreat(threat({ source: "AbuseIPDB", lastSeen: daysAgo(4) }), policy({ sourceTtlDays: { AbuseIPDB: 3 } }), NOW)
+        .deactivate,
+      true
+    );
+  });
+
+  it("keeps verified threats active unless keepVerified is off", () => {
+    const verified = threat({ verified: true, lastSeen: daysAgo(30) });
+    assert.equal(ageThreat(verified, policy(), NOW).deactivate, false);
+    assert.equal(ageThreat(verified, policy({ keepVerified: false }), NOW).deactivate, true);
+  });
+});
+
+describe("runLifecycle", () => {
+  // Threat.find(...).select(...).cursor() over `docs`
+  const stubCursor = (t, docs) =>
+    t.mock.method(Threat, "find", () => ({
+      select: () => ({
+        cursor: async function* () {
+          yield* docs;
+        },
+      }),
+    }));
+
+  const stubStore = (t) => {
+    t.mock.method(Setting, "findOne", async () => null);
+    t.mock.method(Threat, "findById", async () => null);
+    t.mock.method(LifecycleRun.prototype, "save", async function () {
+      return this;
+    });
+    return t.mock.method(Threat, "updateOne", async () => ({ matchedCount: 1 }));
+  };
+
+  it("decays, deactivates and rescores, and records the run", async (t) => {
+    const now = new Date();
+    const expired = threat({ value: "192.0.2.1", lastSeen: daysAgo(20, now) });
+    const decaying = threat({ value: "192.0.2.2", lastSeen: daysAgo(7, now) });
+    const hash = threat({ type: "FileHash", value: "d41d8cd98f00b204e9800998ecf8427e", lastSeen: daysAgo(400, now) });
+    stubCursor(t, [expired, decaying, hash]);
+    const update = stubStore(t);
+
+    const run = await runLifecycle({ trigger: "manual", userId: "65f000000000000000000001" });
+
+    assert.equal(run.trigger, "manual");
+    assert.equal(String(run.userId), "65f000000000000000000001");
+    assert.equal(run.scanned, 3);
+    assert.equal(run.decayed, 2);
+    assert.equal(run.deactivated, 1);
+    // Stored scores were 0, so all three are rescored
+    assert.equal(run.rescored, 3);
+    assert.equal(run.error, undefined);
+    assert.ok(run.finishedAt >= run.startedAt);
+    assert.deepEqual(
+      run.changes.map(({ value, action, from, to }) => [value, action, from, to]),
+      [
+        ["192.0.2.1", "decayed", 80, 11],
+        ["192.0.2.1", "deactivated", true, false],
+        ["192.0.2.2", "decayed", 80, 40],
+      ]
+    );
+
+    const byId = new Map(update.mock.calls.map(({ arguments: [filter, set, options] }) => [String(filter._id), { set, options }]));
+    assert.equal(byId.get(String(expired._id)).set.isActive, false);
+    assert.equal(byId.get(String(decaying._id)).set.confidence, 40);
+    // A score-only change doesn't bump updatedAt
+    assert.equal(byId.get(String(hash._id)).set.confidence, undefined);
+    assert.deepEqual(byId.get(String(hash._id)).options, { timestamps: false });
+  });
+
+  it("records an error that stops the run", async (t) => {
+    t.mock.method(Threat, "find", () => ({
+      select: () => ({
+        cursor: async function* () {
+          yield threat({ lastSeen: daysAgo(1, new Date()) });
+          throw new Error("cursor lost");
+        },
+      }),
+    }));
+    stubStore(t);
+
+    const run = await runLifecycle();
+
+    assert.equal(run.trigger, "schedule");
+    assert.equal(run.scanned, 1);
+    assert.equal(run.error, "cursor lost");
+    assert.ok(run.finishedAt);
+  });
+});
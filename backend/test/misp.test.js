@@ -0,0 +1,133 @@
+// ============================================
+// test/misp.test.js
+// ============================================
+// MISP import/export against recorded events in fixtures/misp.
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const Threat = require("../models/threat.js");
+const { parseMispEvents, buildMispEvent, MispError } = require("../services/misp.js");
+const { upsertThreat } = require("../services/threatPipeline.js");
+const { saveThreats } = require("../ingestion/index.js");
+const { stubThreatStore } = require("./helpers.js");
+const events = require("./fixtures/misp/events.json");
+
+const byValue = (threats, value) => threats.find((t) => t.value === value);
+
+describe("parseMispEvents", () => {
+  it("reads event and object attributes, skipping deleted and unsupported ones", () => {
+    const threats = parseMispEvents(events);
+
+    assert.equal(threats.length, 8);
+    assert.ok(threats.every((t) => t.source === "MISP"));
+    assert.equal(byValue(threats, "removed.example"), undefined);
+    assert.equal(
+      byValue(threats, "198.51.100.23").sourceId,
+      "7c2f4a10-93b1-4c5e-8a0d-2e6b1f9c3d41:1c7f3e62-5b8d-4a4a-8e2f-6d9b8c4a3f21"
+    );
+  });
+
+  it("maps tags, galaxies and threat level", () => {
+    const threats = parseMispEvents(events);
+
+    const url = byValue(threats, "http://emotet-drop.example/invoice.doc");
+    assert.equal(url.severity, "High");
+    assert.equal(url.malwareFamily, "Emotet");
+    assert.equal(url.category, "Malware");
+    assert.deepEqual(url.tags, ["tlp:green"]);
+    assert.deepEqual(url.references, [{ url: "https://analysis.example.org/emotet-wave", title: "Emotet distribution wave" }]);
+
+    const phishing = byValue(threats, "login-secure.example");
+    assert.equal(phishing.severity, "Low");
+    assert.equal(phishing.category, "APT");
+    assert.deepEqual(phishing.tags, ["APT28"]);
+  });
+
+  it("links domains to the IPs they resolve to", () => {
+    const threats = parseMispEvents(events);
+
+    assert.deepEqual(byValue(threats, "emotet-c2.example").relationships, [
+      { type: "resolves-to", to: { type: "IP", value: "198.51.100.24" } },
+    ]);
+    assert.deepEqual(byValue(threats, "paypa1-verify.example").relationships, [
+      { type: "resolves-to", to: { type: "IP", value: "203.0.113.77" } },
+    ]);
+  });
+
+  it("applies attribute and event sightings", () => {
+    const threats = parseMispEvents(events);
+
+    assert.deepEqual(byValue(threats, "http://emotet-drop.example/invoice.doc").lastSeen, new Date(1790100000 * 1000));
+    assert.deepEqual(byValue(threats, "login-secure.example").lastSeen, new Date(1790500000 * 1000));
+
+    const retracted = byValue(threats, "192.0.2.55");
+    assert.equal(retracted.isActive, false);
+    assert.equal(retracted.retracted, true);
+  });
+
+  it("rejects JSON that isn't a MISP event", () => {
+    assert.throws(() => parseMispEvents({ hello: "world" }), MispError);
+    assert.throws(() => parseMispEvents("not json"), MispError);
+  });
+});
+
+describe("MISP round trip", () => {
+  it("keeps severity, category and malware family", () => {
+    const threats = [
+      new Threat({ source: "URLhaus", type: "URL", value: "http://locker.example/a.exe", severity: "Critical",
+        category: "Ransomware", malwareFamily: "LockBit" }),
+      new Threat({ source: "AbuseIPDB", type: "IP", value: "198.51.100.80", severity: "Medium", category: "C2",
+        malwareFamily: "Cobalt Strike" }),
+      new Threat({ source: "PhishTank", type: "Domain", value: "phish.example", severity: "Low", category: "Phishing" }),
+    ];
+
+    const parsed = parseMispEvents(buildMispEvent(threats));
+
+    for (const threat of threats) {
+      const back = byValue(parsed, threat.value);
+      assert.equal(back.severity, threat.severity);
+      assert.equal(back.category, threat.category);
+      assert.equal(back.malwareFamily, threat.malwareFamily);
+    }
+  });
+
+  it("refreshes instead of creating when the same events are imported again", async (t) => {
+    const docs = stubThreatStore(t);
+
+    const first = await saveThreats(parseMispEvents(events));
+    const again = await saveThreats(parseMispEvents(events));
+
+    assert.deepEqual(first, { created: 8, merged: 0, refreshed: 0, failed: 0 });
+    assert.deepEqual(again, { created: 0, merged: 0, refreshed: 8, failed: 0 });
+    assert.equal(docs.length, 8);
+  });
+
+  it("refreshes an exported event when it comes back", async (t) => {
+    stubThreatStore(t);
+    const threat = new Threat({ source: "URLhaus", type: "URL", value: "http://locker.example/a.exe", severity: "High" });
+    const exported = buildMispEvent([threat]);
+
+    assert.equal((await saveThreats(parseMispEvents(exported))).created, 1);
+    assert.equal((await saveThreats(parseMispEvents(exported))).refreshed, 1);
+  });
+});
+
+describe("MISP retraction", () => {
+  it("deactivates a threat another source already reported", async (t) => {
+    const docs = stubThreatStore(t);
+    await upsertThreat({ source: "AbuseIPDB", sourceId: "192.0.2.55", type: "IP", value: "192.0.2.55", severity: "High" });
+
+    await saveThreats(parseMispEvents(events));
+
+    assert.equal(byValue(docs, "192.0.2.55").isActive, false);
+  });
+
+  it("is not triggered by a source reporting the IoC offline", async (t) => {
+    const docs = stubThreatStore(t);
+    const record = { source: "URLhaus", type: "URL", value: "http://evil.example/x", severity: "High" };
+    await upsertThreat({ ...record, sourceId: "1" });
+
+    await upsertThreat({ ...record, source: "PhishTank", sourceId: "2", isActive: false });
+
+    assert.equal(docs[0].isActive, true);
+  });
+});
@@ -0,0 +1,116 @@
+// ============================================
+// test/notifications.test.js
+// ============================================
+// Alert delivery against a local HTTP receiver.
+process.env.NOTIFY_MAX_ATTEMPTS = "3";
+process.env.NOTIFY_BASE_DELAY_MS = "5";
+process.env.WEBHOOK_ALLOW_HOSTS = "127.0.0.1";
+
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("http");
+const mongoose = require("mongoose");
+const Alert = require("../models/alert.js");
+const User = require("../models/user.js");
+const Threat = require("../models/threat.js");
+const DeadLetter = require("../models/deadLetter.js");
+const { dispatchAlert } = require("../services/notifications/index.js");
+const { sign } = require("../services/notifications/webhook.js");
+
+// Requests the receiver got, and the status codes it answers with in turn
+let received = [];
+let statuses = [];
+let server;
+let hookUrl;
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => {
+      received.push({ headers: req.headers, body });
+      res.writeHead(statuses.shift() || 200).end();
+    });
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  hookUrl = `http://127.0.0.1:${server.address().port}/hook`;
+});
+
+after(() => server.close());
+
+beforeEach(() => {
+  received = [];
+  statuses = [];
+});
+
+const setup = (t) => {
+  t.mock.method(User, "findById", () => ({ select: async () => null }));
+  return {
+    update: t.mock.method(Alert, "updateOne", async () => ({ modifiedCount: 1 })),
+    deadLetter: t.mock.method(DeadLetter, "create", async () => ({})),
+  };
+};
+
+const alert = () =>
+  new Alert({ userId: new mongoose.Types.ObjectId(), name: "hook", deliveryMethod: "webhook", webhookUrl: hookUrl });
+
+const threat = new Threat({ source: "URLhaus", type: "Domain", value: "evil.example", severity: "High" });
+
+describe("dispatchAlert webhook delivery", () => {
+  it("posts a signed payload and marks the match delivered", async (t) => {
+    const { update, deadLetter } = setup(t);
+    const hook = alert();
+
+    const [result] = await dispatchAlert(hook, threat);
+
+    assert.deepEqual(result, { channel: "webhook", delivered: true, attempts: 1 });
+    assert.equal(received.length, 1);
+
+    const { headers, body } = received[0];
+    assert.equal(headers["x-threatview-event"], "alert.triggered");
+    assert.equal(
+      headers["x-threatview-signature"],
+      `sha256=${sign(hook.webhookSecret, headers["x-threatview-timestamp"], body)}`
+    );
+    assert.equal(JSON.parse(body).threat.value, "evil.example");
+
+    const [filter, change] = update.mock.calls[0].arguments;
+    assert.deepEqual(filter, { _id: hook._id, "recentMatches.threatId": threat._id });
+    assert.equal(change.$set["recentMatches.$.notified"], true);
+    assert.equal(change.$set["recentMatches.$.deliveryStatus"], "delivered");
+    assert.equal(deadLetter.mock.callCount(), 0);
+  });
+
+  it("retries failed deliveries with backoff", async (t) => {
+    const { update } = setup(t);
+    statuses = [500, 503];
+
+    const [result] = await dispatchAlert(alert(), threat);
+
+    assert.deepEqual(result, { channel: "webhook", delivered: true, attempts: 3 });
+    assert.equal(received.length, 3);
+    assert.equal(update.mock.calls[0].arguments[1].$set["recentMatches.$.deliveryStatus"], "delivered");
+  });
+
+  it("dead-letters the message after the last attempt", async (t) => {
+    const { update, deadLetter } = setup(t);
+    statuses = [500, 500, 500];
+    const hook = alert();
+
+    const [result] = await dispatchAlert(hook, threat);
+
+    assert.equal(result.delivered, false);
+    assert.equal(received.length, 3);
+
+    const [letter] = deadLetter.mock.calls[0].arguments;
+    assert.equal(letter.alertId, hook._id);
+    assert.equal(letter.channel, "webhook");
+    assert.equal(letter.attempts, 3);
+    assert.match(letter.lastError, /500/);
+
+    const { $set } = update.mock.calls[0].arguments[1];
+    assert.equal($set["recentMatches.$.notified"], false);
+    assert.equal($set["recentMatches.$.deliveryStatus"], "failed");
+    assert.match($set["recentMatches.$.deliveryError"], /^webhook: /);
+  });
+});
@@ -0,0 +1,122 @@
+// ============================================
+// test/relationships.test.js
+// ============================================
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const Threat = require("../models/threat.js");
+const Relationship = require("../models/relationship.js");
+const { getNeighborhood } = require("../services/relationships.js");
+
+const domain = { type: "Domain", value: "evil.example" };
+const ip = { type: "IP", value: "192.0.2.1" };
+const url = { type: "URL", value: "http://evil.example/payload" };
+const sibling = { type: "Domain", value: "other.example" };
+const hash = { type: "FileHash", value: "d41d8cd98f00b204e9800998ecf8427e" };
+const family = { type: "MalwareFamily", value: "Emotet" };
+
+let nextId = 0;
+const link = (from, type, to, sources = ["URLhaus"]) => ({ _id: `rel${++nextId}`, from, type, to, sources });
+
+// evil.example is 1 hop from the IP and URL, 2 from other.example, 3 from the
+// hash and 4 from the family
+const GRAPH = [
+  link(domain, "resolves-to", ip),
+  link(url, "communicates-with", domain),
+  link(sibling, "resolves-to", ip),
+  link(sibling, "communicates-with", hash, ["AlienVault", "URLhaus"]),
+  link(hash, "belongs-to-family", family),
+];
+
+const matchesEnd = (rel, clause) =>
+  ["from", "to"].some((end) => clause[`${end}.type`] === rel[end].type && clause[`${end}.value`] === rel[end].value);
+
+// Relationship.find(filter).limit(n) over `rels`; Threat.find(...).select(...) resolves to `threats`
+const stubGraph = (t, rels, threats = []) => {
+  const find = t.mock.method(Relationship, "find", (filter) => ({
+    limit: async (n) =>
+      rels
+        .filter((rel) => filter.$or.some((clause) => matchesEnd(rel, clause)))
+        .filter((rel) => !filter.sources || rel.sources.some((s) => filter.sources.$in.includes(s)))
+        .slice(0, n),
+  }));
+  t.mock.method(Threat, "find", () => ({ select: async () => threats }));
+  return find;
+};
+
+const depths = ({ nodes }) => Object.fromEntries(nodes.map((n) => [n.id, n.depth]));
+
+describe("getNeighborhood", () => {
+  it("returns direct neighbours by default", async (t) => {
+    stubGraph(t, GRAPH);
+
+    const graph = await getNeighborhood(domain);
+
+    assert.deepEqual(depths(graph), {
+      "Domain:evil.example": 0,
+      "IP:192.0.2.1": 1,
+      "URL:http://evil.example/payload": 1,
+    });
+    assert.deepEqual(graph.edges.map((e) => e.type).sort(), ["communicates-with", "resolves-to"]);
+    assert.equal(graph.truncated, false);
+  });
+
+  it("walks one more hop per depth, in both directions", async (t) => {
+    stubGraph(t, GRAPH);
+
+    const two = await getNeighborhood(domain, { depth: 2 });
+    assert.equal(depths(two)["Domain:other.example"], 2);
+    assert.equal(depths(two)[`FileHash:${hash.value}`], undefined);
+
+    const three = await getNeighborhood(domain, { depth: "3" });
+    assert.equal(depths(three)[`FileHash:${hash.value}`], 3);
+    assert.equal(three.edges.length, 4);
+  });
+
+  it("caps the depth at 3 and falls back to 1 for junk", async (t) => {
+    const find = stubGraph(t, GRAPH);
+
+    const deep = await getNeighborhood(domain, { depth: 10 });
+    assert.equal(depths(deep)["MalwareFamily:Emotet"], undefined);
+    assert.equal(find.mock.callCount(), 3);
+
+    const junk = await getNeighborhood(domain, { depth: "lots" });
+    assert.equal(Math.max(...Object.values(depths(junk))), 1);
+  });
+
+  it("stops early when the frontier is empty", async (t) => {
+    const find = stubGraph(t, [link(domain, "resolves-to", ip)]);
+
+    await getNeighborhood(domain, { depth: 3 });
+
+    // Hop 2 finds nothing new, so hop 3 never queries
+    assert.equal(find.mock.callCount(), 2);
+  });
+
+  it("only follows links the given feeds reported", async (t) => {
+    stubGraph(t, [link(domain, "resolves-to", ip), link(url, "communicates-with", domain, ["AlienVault"])]);
+
+    const graph = await getNeighborhood(domain, { feeds: ["URLhaus"] });
+
+    assert.deepEqual(Object.keys(depths(graph)), ["Domain:evil.example", "IP:192.0.2.1"]);
+  });
+
+  it("attaches known threats to their nodes", async (t) => {
+    const threat = new Threat({ source: "URLhaus", type: "IP", value: "192.0.2.1", severity: "High" });
+    stubGraph(t, GRAPH, [threat]);
+
+    const { nodes } = await getNeighborhood({ type: "Domain", value: "EVIL.example." });
+
+    assert.equal(nodes.find((n) => n.id === "IP:192.0.2.1").threat, threat);
+    assert.equal(nodes.find((n) => n.id === "Domain:evil.example").threat, null);
+  });
+
+  it("marks the graph truncated past the edge limit", async (t) => {
+    const fanout = Array.from({ length: 301 }, (_, i) => link(domain, "resolves-to", { type: "IP", value: `10.0.${i >> 8}.${i & 255}` }));
+    stubGraph(t, fanout);
+
+    const graph = await getNeighborhood(domain, { depth: 2 });
+
+    assert.equal(graph.truncated, true);
+    assert.equal(graph.edges.length, 300);
+  });
+});
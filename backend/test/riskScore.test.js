@@ -0,0 +1,136 @@
+// ============================================
+// test/riskScore.test.js
+// ============================================
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const Threat = require("../models/threat.js");
+const { scoreThreat } = require("../services/riskScore.js");
+
+const NOW = new Date("2026-03-01T12:00:00Z");
+const daysAgo = (days) => new Date(NOW.getTime() - days * 24 * 60 * 60 * 1000);
+
+// factor -> [points, detail]
+const factorsOf = (threat) =>
+  Object.fromEntries(scoreThreat(threat, NOW).riskFactors.map((f) => [f.factor, [f.points, f.detail]]));
+
+describe("scoreThreat", () => {
+  const cases = [
+    {
+      name: "an empty record scores only the Other category",
+      threat: {},
+      riskScore: 6,
+      factors: {
+        reliability: [0, "No known source"],
+        corroboration: [0, "Reported by 0 independent sources"],
+        activity: [0, "Seen 1 time"],
+        recency: [0, "Never seen"],
+        category: [6, "Uncategorized"],
+        verification: [0, "Not verified"],
+        reports: [0, "Reported by 0 analysts"],
+      },
+    },
+    {
+      name: "a fully corroborated, verified, fresh ransomware IoC scores near the top",
+      threat: {
+        source: "MalwareBazaar",
+        sightings: ["URLhaus", "MISP", "AbuseIPDB", "PhishTank"].map((source) => ({ source })),
+        hitCount: 100,
+        lastSeen: NOW,
+        category: "Ransomware",
+        verified: true,
+        reportedBy: ["u1", "u2", "u3", "u4", "u5", "u6"].map((userId) => ({ userId })),
+      },
+      riskScore: 98,
+      factors: {
+        reliability: [22.5, "Most reliable source: MalwareBazaar (90%)"],
+        corroboration: [15, "Reported by 5 independent sources"],
+        activity: [10, "Seen 100 times"],
+        recency: [20, "Last seen within a day"],
+        category: [15, "Category: Ransomware"],
+        verification: [10, "Verified by an analyst"],
+        reports: [5, "Reported by 6 analysts"],
+      },
+    },
+    {
+      name: "reliability comes from the best reporting source",
+      threat: { source: "Manual", sightings: [{ source: "URLhaus" }, { source: "Manual" }] },
+      factors: {
+        reliability: [21.3, "Most reliable source: URLhaus (85%)"],
+        corroboration: [5, "Reported by 2 independent sources"],
+      },
+    },
+    {
+      name: "recency halves every 14 days",
+      threat: { lastSeen: daysAgo(14) },
+      factors: { recency: [10, "Last seen 14 days ago"] },
+    },
+    {
+      name: "recency keeps halving",
+      threat: { lastSeen: daysAgo(28) },
+      factors: { recency: [5, "Last seen 28 days ago"] },
+    },
+    {
+      name: "activity grows on a log scale",
+      threat: { hitCount: 10 },
+      factors: { activity: [5, "Seen 10 times"] },
+    },
+    {
+      name: "an analyst's repeated reports count once",
+      threat: { reportedBy: [{ userId: "u1" }, { userId: "u1" }, { userId: "u2" }] },
+      factors: { reports: [2, "Reported by 2 analysts"] },
+    },
+  ];
+
+  for (const { name, threat, riskScore, factors } of cases) {
+    it(name, () => {
+      const scored = factorsOf(threat);
+      for (const [factor, expected] of Object.entries(factors)) {
+        assert.deepEqual(scored[factor], expected, factor);
+      }
+      if (riskScore !== undefined) assert.equal(scoreThreat(threat, NOW).riskScore, riskScore);
+    });
+  }
+
+  it("reports every factor with its maximum, adding up to 100", () => {
+    const { riskFactors } = scoreThreat({}, NOW);
+    assert.equal(
+      riskFactors.reduce((sum, f) => sum + f.max, 0),
+      100
+    );
+  });
+});
+
+describe("Threat pre-save scoring", () => {
+  // A threat as loaded from the database, already scored
+  const storedThreat = async () => {
+    const threat = new Threat({ source: "URLhaus", type: "Domain", value: "evil.example", severity: "High", lastSeen: new Date() });
+    await threat.validate();
+    Object.assign(threat, scoreThreat(threat));
+    return Threat.hydrate({ ...threat.toObject(), updatedAt: new Date("2026-01-01") });
+  };
+
+  it("leaves an unchanged threat unmodified", async (t) => {
+    const threat = await storedThreat();
+    t.mock.method(Threat.collection, "findOne", async () => ({ _id: threat._id }));
+    const update = t.mock.method(Threat.collection, "updateOne", async () => ({ matchedCount: 1, modifiedCount: 1 }));
+
+    await threat.save();
+
+    assert.equal(update.mock.callCount(), 0);
+    assert.deepEqual(threat.updatedAt, new Date("2026-01-01"));
+  });
+
+  it("rescores when an input changes", async (t) => {
+    const threat = await storedThreat();
+    const before = threat.riskScore;
+    const update = t.mock.method(Threat.collection, "updateOne", async () => ({ matchedCount: 1, modifiedCount: 1 }));
+
+    threat.verified = true;
+    await threat.save();
+
+    assert.equal(threat.riskScore, before + 10);
+    const [, { $set }] = update.mock.calls[0].arguments;
+    assert.equal($set.riskScore, before + 10);
+    assert.ok($set.riskFactors.some((f) => f.factor === "verification" && f.points === 10));
+  });
+});
@@ -0,0 +1,101 @@
+// ============================================
+// test/stix.test.js
+// ============================================
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const mongoose = require("mongoose");
+const Ajv2020 = require("ajv/dist/2020");
+const addFormats = require("ajv-formats");
+const Threat = require("../models/threat.js");
+const Relationship = require("../models/relationship.js");
+const Report = require("../models/report.js");
+const { buildStixBundle } = require("../services/stix.js");
+
+const SCHEMA_DIR = path.join(__dirname, "fixtures", "stix-schemas");
+
+// Every schema under fixtures/stix-schemas, compiled around bundle.json
+const bundleValidator = () => {
+  const ajv = new Ajv2020({ allErrors: true, allowMatchingProperties: true });
+  addFormats(ajv);
+  for (const dir of ["common", "sdos", "sros"]) {
+    for (const file of fs.readdirSync(path.join(SCHEMA_DIR, dir))) {
+      ajv.addSchema(JSON.parse(fs.readFileSync(path.join(SCHEMA_DIR, dir, file), "utf8")));
+    }
+  }
+  return ajv.getSchema(
+    "http://raw.githubusercontent.com/oasis-open/cti-stix2-json-schemas/stix2.1/schemas/common/bundle.json"
+  );
+};
+
+const threat = (fields) =>
+  new Threat({
+    source: "URLhaus",
+    severity: "High",
+    dateDetected: new Date("2026-10-01T00:00:00Z"),
+    createdAt: new Date("2026-10-01T00:00:00Z"),
+    updatedAt: new Date("2026-10-02T00:00:00Z"),
+    ...fields,
+  });
+
+const fixtures = () => {
+  const url = threat({
+    type: "URL",
+    value: "http://evil.example/payload.exe",
+    category: "Malware",
+    malwareFamily: "Emotet",
+    references: [{ url: "https://urlhaus.abuse.ch/url/1/", title: "URLhaus" }],
+  });
+  const ip = threat({ type: "IP", value: "203.0.113.9", severity: "Critical", category: "C2", isActive: false,
+    lastSeen: new Date("2026-10-05T00:00:00Z") });
+  const hash = threat({ type: "FileHash", value: "44d88612fea8a8f36de82e1278abb02f", tags: ["eicar"] });
+  const link = new Relationship({
+    type: "communicates-with",
+    from: { type: "URL", value: url.value },
+    to: { type: "IP", value: ip.value },
+    sources: ["URLhaus"],
+  });
+  const report = new Report({
+    title: "Weekly report",
+    summary: { totalThreats: 3, activeThreats: 2, totalAlerts: 1, criticalAlerts: 1 },
+    threatIds: [ip._id, new mongoose.Types.ObjectId()],
+    createdAt: new Date("2026-10-06T00:00:00Z"),
+  });
+  return { threats: [url, ip, hash], link, report };
+};
+
+describe("buildStixBundle", () => {
+  it("produces a bundle that passes the STIX 2.1 schemas", async (t) => {
+    const { threats, link, report } = fixtures();
+    t.mock.method(Relationship, "find", async () => [link]);
+
+    const bundle = await buildStixBundle(threats, { reports: [report] });
+    const validate = bundleValidator();
+
+    assert.ok(validate(bundle), JSON.stringify(validate.errors, null, 2));
+    assert.deepEqual(bundle.objects.map((o) => o.type).sort(), [
+      "identity", "indicator", "indicator", "indicator", "malware", "relationship", "relationship", "report",
+    ]);
+  });
+
+  it("refers each report to the indicators for its own threats", async (t) => {
+    const { threats, report } = fixtures();
+    t.mock.method(Relationship, "find", async () => []);
+
+    const { objects } = await buildStixBundle(threats, { reports: [report] });
+    const ipIndicator = objects.find((o) => o.type === "indicator" && o.name === "203.0.113.9");
+
+    assert.deepEqual(objects.find((o) => o.type === "report").object_refs, [ipIndicator.id]);
+  });
+
+  it("leaves out reports with none of their threats in the bundle", async (t) => {
+    const { threats, report } = fixtures();
+    t.mock.method(Relationship, "find", async () => []);
+    report.threatIds = [new mongoose.Types.ObjectId()];
+
+    const { objects } = await buildStixBundle(threats, { reports: [report] });
+
+    assert.equal(objects.some((o) => o.type === "report"), false);
+  });
+});
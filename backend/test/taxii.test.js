@@ -0,0 +1,185 @@
+// ============================================
+// test/taxii.test.js
+// ============================================
+process.env.JWT_SECRET ||= "test-secret";
+
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const express = require("express");
+const User = require("../models/user.js");
+const Threat = require("../models/threat.js");
+const ThreatCollection = require("../models/threatCollection.js");
+const taxiiRoutes = require("../routes/taxiiRoutes.js");
+const { TAXII_MEDIA_TYPE, TaxiiError, listCollectionObjects } = require("../services/taxii.js");
+
+const day = (n) => new Date(Date.UTC(2026, 2, n));
+
+const threat = (value, updatedAt, fields = {}) => {
+  const doc = new Threat({ source: "URLhaus", type: "IP", value, severity: "High", ...fields });
+  doc.updatedAt = updatedAt;
+  return doc;
+};
+
+// Enough of Mongo's query language for the filters the TAXII service builds
+const valueAt = (doc, path) => (path === "sightings.source" ? doc.sightings.map((s) => s.source) : doc.get(path));
+const test = (actual, condition) => {
+  if (condition instanceof Date) return actual?.getTime() === condition.getTime();
+  if (condition?.$gt !== undefined) {
+    return actual instanceof Date ? actual > condition.$gt : String(actual) > String(condition.$gt);
+  }
+  if (condition?.$in) return [].concat(actual).some((v) => condition.$in.includes(v));
+  return String(actual) === String(condition);
+};
+const matchesFilter = (doc, filter) =>
+  Object.entries(filter).every(([key, condition]) =>
+    key === "$and"
+      ? condition.every((c) => matchesFilter(doc, c))
+      : key === "$or"
+        ? condition.some((c) => matchesFilter(doc, c))
+        : test(valueAt(doc, key), condition)
+  );
+
+// Threat.find(filter).select().sort().limit(n) over `docs`, oldest updatedAt first
+const stubThreats = (t, docs) =>
+  t.mock.method(Threat, "find", (filter) => {
+    const query = {
+      select: () => query,
+      sort: () => query,
+      limit: async (n) =>
+        docs
+          .filter((doc) => matchesFilter(doc, filter))
+          .sort((a, b) => a.updatedAt - b.updatedAt || String(a._id).localeCompare(String(b._id)))
+          .slice(0, n),
+    };
+    return query;
+  });
+
+const collection = new ThreatCollection({ title: "Everything" });
+
+// Walk every page, returning the indicator values in order
+const pageThrough = async (query, options) => {
+  const values = [];
+  let next;
+  do {
+    const page = await listCollectionObjects(collection, { ...query, next }, options);
+    values.push(page.entries.map((e) => e.object.pattern.match(/'(.*)'/)[1]));
+    next = page.next;
+    assert.equal(page.more, Boolean(next));
+  } while (next);
+  return values;
+};
+
+describe("listCollectionObjects", () => {
+  const docs = [1, 2, 3, 4, 5].map((n) => threat(`192.0.2.${n}`, day(n)));
+
+  it("pages through a collection oldest first", async (t) => {
+    stubThreats(t, docs);
+
+    assert.deepEqual(await pageThrough({ limit: "2" }), [
+      ["192.0.2.1", "192.0.2.2"],
+      ["192.0.2.3", "192.0.2.4"],
+      ["192.0.2.5"],
+    ]);
+  });
+
+  it("only returns threats added (or changed) after added_after", async (t) => {
+    stubThreats(t, docs);
+
+    assert.deepEqual(await pageThrough({ added_after: day(3).toISOString(), limit: "1" }), [
+      ["192.0.2.4"],
+      ["192.0.2.5"],
+    ]);
+  });
+
+  it("carries on from the same threat when several share a timestamp", async (t) => {
+    stubThreats(t, [threat("192.0.2.10", day(1)), threat("192.0.2.11", day(1)), threat("192.0.2.12", day(1))]);
+
+    assert.deepEqual(await pageThrough({ limit: "2" }), [["192.0.2.10", "192.0.2.11"], ["192.0.2.12"]]);
+  });
+
+  it("keeps a threat's objects on one page", async (t) => {
+    stubThreats(t, [threat("192.0.2.1", day(1)), threat("192.0.2.2", day(2), { malwareFamily: "Emotet" })]);
+
+    const first = await listCollectionObjects(collection, { limit: "2" });
+    assert.deepEqual(first.entries.map((e) => e.object.type), ["indicator"]);
+    assert.equal(first.more, true);
+
+    const second = await listCollectionObjects(collection, { limit: "2", next: first.next });
+    assert.deepEqual(second.entries.map((e) => e.object.type), ["indicator", "malware", "relationship"]);
+    assert.equal(second.more, false);
+    assert.equal(second.next, undefined);
+  });
+
+  it("leaves out threats the feeds didn't report", async (t) => {
+    stubThreats(t, [...docs, threat("198.51.100.1", day(2), { source: "AlienVault" })]);
+
+    const { entries } = await listCollectionObjects(collection, {}, { feeds: ["URLhaus"] });
+
+    assert.equal(entries.length, 5);
+  });
+
+  it("rejects a bad added_after or next", async (t) => {
+    stubThreats(t, docs);
+
+    await assert.rejects(listCollectionObjects(collection, { added_after: "yesterday" }), TaxiiError);
+    await assert.rejects(listCollectionObjects(collection, { next: "not-a-cursor" }), TaxiiError);
+  });
+});
+
+describe("TAXII objects route", () => {
+  const viewer = new User({ email: "viewer@example.com", password: "x", name: "Viewer", role: "viewer", tier: "Free" });
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    const app = express();
+    app.use((req, res, next) => {
+      req.user = viewer;
+      next();
+    });
+    app.use("/taxii2", taxiiRoutes);
+    server = app.listen(0);
+    await new Promise((resolve) => server.once("listening", resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => server.close());
+
+  const get = (path, accept = TAXII_MEDIA_TYPE) => fetch(`${baseUrl}${path}`, { headers: { Accept: accept } });
+  const objectsPath = (query) => `/taxii2/api/collections/${collection.taxiiId}/objects/?${new URLSearchParams(query)}`;
+
+  it("returns an envelope with more, next and date-added headers", async (t) => {
+    t.mock.method(ThreatCollection, "findOne", async () => collection);
+    stubThreats(t, [1, 2, 3].map((n) => threat(`192.0.2.${n}`, day(n))));
+
+    const res = await get(objectsPath({ added_after: day(1).toISOString(), limit: "1" }));
+    const envelope = await res.json();
+
+    assert.equal(res.status, 200);
+    assert.match(res.headers.get("content-type"), /^application\/taxii\+json;.*version=2\.1/);
+    assert.equal(res.headers.get("x-taxii-date-added-first"), day(2).toISOString());
+    assert.equal(res.headers.get("x-taxii-date-added-last"), day(2).toISOString());
+    assert.equal(envelope.more, true);
+    assert.equal(envelope.objects.length, 1);
+
+    const rest = await (await get(objectsPath({ added_after: day(1).toISOString(), limit: "1", next: envelope.next }))).json();
+    assert.equal(rest.more, false);
+    assert.equal(rest.next, undefined);
+    assert.match(rest.objects[0].pattern, /192\.0\.2\.3/);
+  });
+
+  it("answers a bad added_after with a TAXII error", async (t) => {
+    t.mock.method(ThreatCollection, "findOne", async () => collection);
+
+    const res = await get(objectsPath({ added_after: "yesterday" }));
+
+    assert.equal(res.status, 400);
+    assert.equal((await res.json()).http_status, "400");
+  });
+
+  it("refuses clients that don't accept TAXII", async () => {
+    const res = await get(objectsPath({}), "text/html");
+
+    assert.equal(res.status, 406);
+  });
+});
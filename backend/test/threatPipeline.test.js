@@ -0,0 +1,90 @@
+// ============================================
+// test/threatPipeline.test.js
+// ============================================
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const Threat = require("../models/threat.js");
+const { upsertThreat } = require("../services/threatPipeline.js");
+const { saveThreats } = require("../ingestion/index.js");
+const { iocKey } = require("../utils/ioc.js");
+const { stubThreatStore } = require("./helpers.js");
+
+const record = (overrides = {}) => ({
+  source: "URLhaus",
+  sourceId: "1",
+  type: "URL",
+  value: "http://evil.example/payload",
+  severity: "Medium",
+  lastSeen: new Date("2026-10-01T00:00:00Z"),
+  ...overrides,
+});
+
+describe("iocKey", () => {
+  it("keys both hash types the same and normalizes the value", () => {
+    assert.equal(iocKey("Hash", "ABCDEF"), "FileHash:abcdef");
+    assert.equal(iocKey("FileHash", "abcdef"), "FileHash:abcdef");
+    assert.equal(iocKey("Domain", "Evil.Example."), "Domain:evil.example");
+  });
+
+  it("is set on the threat when it is validated", async () => {
+    const threat = new Threat({ source: "Manual", type: "Hash", value: "ABCDEF" });
+    await threat.validate();
+    assert.equal(threat.iocKey, "FileHash:abcdef");
+  });
+});
+
+describe("upsertThreat", () => {
+  it("creates, merges and refreshes one document per IoC", async (t) => {
+    const docs = stubThreatStore(t);
+
+    assert.equal((await upsertThreat(record())).status, "created");
+    assert.equal((await upsertThreat(record({ source: "AlienVault", sourceId: "p:1" }))).status, "merged");
+    assert.equal((await upsertThreat(record())).status, "refreshed");
+
+    assert.equal(docs.length, 1);
+    assert.equal(docs[0].hitCount, 2);
+    assert.deepEqual(docs[0].sightings.map((s) => s.source), ["URLhaus", "AlienVault"]);
+  });
+
+  it("merges into the other writer's document when it loses the insert race", async (t) => {
+    const docs = stubThreatStore(t);
+    const winner = new Threat({ ...record({ source: "AlienVault", sourceId: "p:1" }), sightings: [] });
+
+    // Both writers missed the lookup; the other one inserted first
+    t.mock.method(Threat, "create", async () => {
+      docs.push(winner);
+      throw Object.assign(new Error("E11000 duplicate key error"), { code: 11000 });
+    });
+
+    const { threat, status } = await upsertThreat(record());
+
+    assert.equal(status, "merged");
+    assert.equal(threat, winner);
+    assert.equal(docs.length, 1);
+    assert.deepEqual(winner.sightings.map((s) => s.source), ["URLhaus"]);
+  });
+
+  it("passes other write errors through", async (t) => {
+    stubThreatStore(t);
+    t.mock.method(Threat, "create", async () => {
+      throw new Error("connection lost");
+    });
+
+    await assert.rejects(upsertThreat(record()), /connection lost/);
+  });
+});
+
+describe("saveThreats", () => {
+  it("counts and logs records that fail to save", async (t) => {
+    stubThreatStore(t);
+    t.mock.method(Threat, "create", async () => {
+      throw new Error("validation failed");
+    });
+    const log = t.mock.method(console, "log", () => {});
+
+    const counts = await saveThreats([record()]);
+
+    assert.deepEqual(counts, { created: 0, merged: 0, refreshed: 0, failed: 1 });
+    assert.match(log.mock.calls[0].arguments.join(" "), /URLhaus URL http:\/\/evil\.example\/payload.*validation failed/);
+  });
+});
@@ -0,0 +1,44 @@
+// ============================================
+// test/threatQuery.test.js
+// ============================================
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { parseSort, buildThreatFilter, isReportedByAny, QueryError } = require("../services/threatQuery.js");
+
+describe("parseSort", () => {
+  it("parses a field with an optional direction", () => {
+    assert.deepEqual(parseSort(), { field: "dateDetected", direction: -1 });
+    assert.deepEqual(parseSort("riskScore"), { field: "riskScore", direction: 1 });
+    assert.deepEqual(parseSort("-hitCount"), { field: "hitCount", direction: -1 });
+  });
+
+  it("rejects unknown fields", () => {
+    assert.throws(() => parseSort("-password"), QueryError);
+  });
+
+  it("rejects a repeated sort parameter", () => {
+    assert.throws(() => parseSort(["-lastSeen", "hitCount"]), QueryError);
+  });
+});
+
+describe("feed scoping", () => {
+  const reportedBy = (sources) => [
+    { $or: [{ source: { $in: sources } }, { "sightings.source": { $in: sources } }] },
+  ];
+
+  it("limits threats to those any of the tier's feeds reported", () => {
+    assert.deepEqual(buildThreatFilter({}, { feeds: ["URLhaus"] }).$and, reportedBy(["URLhaus"]));
+  });
+
+  it("drops requested sources outside the tier", () => {
+    const filter = buildThreatFilter({ source: "URLhaus,AlienVault" }, { feeds: ["URLhaus"] });
+    assert.deepEqual(filter.$and, reportedBy(["URLhaus"]));
+    assert.equal(filter.source, undefined);
+  });
+
+  it("counts sightings when checking a loaded threat", () => {
+    const threat = { source: "AlienVault", sightings: [{ source: "AlienVault" }, { source: "URLhaus" }] };
+    assert.equal(isReportedByAny(threat, ["URLhaus"]), true);
+    assert.equal(isReportedByAny(threat, ["PhishTank"]), false);
+  });
+});
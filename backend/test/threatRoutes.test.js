@@ -0,0 +1,72 @@
+// ============================================
+// test/threatRoutes.test.js
+// ============================================
+process.env.JWT_SECRET ||= "test-secret";
+
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const express = require("express");
+const User = require("../models/user.js");
+const Threat = require("../models/threat.js");
+const threatRoutes = require("../routes/threatRoutes.js");
+
+// Free tier: AlienVault is not one of its feeds
+const analyst = new User({ email: "analyst@example.com", password: "x", name: "Analyst", role: "analyst", tier: "Free" });
+
+let server;
+let baseUrl;
+
+before(async () => {
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.user = analyst;
+    next();
+  });
+  app.use("/api/threats", threatRoutes);
+  server = app.listen(0);
+  await new Promise((resolve) => server.once("listening", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => server.close());
+
+const request = (method, path, body) =>
+  fetch(`${baseUrl}${path}`, {
+    method,
+    headers: { "Content-Type": "application/json" },
+    body: body && JSON.stringify(body),
+  });
+
+describe("threat updates outside the user's tier", () => {
+  it("answer 404 without saving", async (t) => {
+    const threat = new Threat({ source: "AlienVault", type: "IP", value: "203.0.113.9", severity: "High" });
+    t.mock.method(Threat, "findById", async () => threat);
+    const save = t.mock.method(Threat.prototype, "save", async function () {
+      return this;
+    });
+
+    for (const [path, body] of [
+      [`/api/threats/${threat._id}`, { severity: "Low" }],
+      [`/api/threats/${threat._id}/status`, { isActive: false }],
+    ]) {
+      const res = await request("PUT", path, body);
+      assert.equal(res.status, 404, path);
+    }
+    assert.equal(save.mock.callCount(), 0);
+    assert.equal(threat.severity, "High");
+  });
+
+  it("still apply to threats a tier feed reported", async (t) => {
+    const threat = new Threat({ source: "URLhaus", type: "IP", value: "203.0.113.10", severity: "High" });
+    t.mock.method(Threat, "findById", async () => threat);
+    t.mock.method(Threat.prototype, "save", async function () {
+      return this;
+    });
+
+    const res = await request("PUT", `/api/threats/${threat._id}`, { severity: "Low" });
+
+    assert.equal(res.status, 200);
+    assert.equal(threat.severity, "Low");
+  });
+});
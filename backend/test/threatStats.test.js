@@ -0,0 +1,126 @@
+// ============================================
+// test/threatStats.test.js
+// ============================================
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const Threat = require("../models/threat.js");
+const Alert = require("../models/alert.js");
+const { getDashboardStats, getThreatTrends } = require("../services/threatStats.js");
+const { QueryError } = require("../services/threatQuery.js");
+
+const emptyFacets = [{
+  total: [], active: [], bySeverity: [], byCategory: [], bySource: [], topMalwareFamilies: [],
+  topCountries: [], countries: [], thisWeek: [], lastWeek: [], newToday: [], criticalToday: [],
+}];
+
+describe("getDashboardStats", () => {
+  it("only counts the user's own alerts", async (t) => {
+    const userId = new mongoose.Types.ObjectId();
+    t.mock.method(Threat, "aggregate", async () => emptyFacets);
+    const count = t.mock.method(Alert, "countDocuments", async () => 2);
+
+    const stats = await getDashboardStats({ userId });
+
+    assert.deepEqual(stats.alerts, { active: 2, triggeredToday: 2 });
+    for (const call of count.mock.calls) assert.equal(call.arguments[0].userId, userId);
+  });
+});
+
+describe("getDashboardStats feeds", () => {
+  it("only counts threats the tier's feeds reported", async (t) => {
+    const aggregate = t.mock.method(Threat, "aggregate", async () => emptyFacets);
+    t.mock.method(Alert, "countDocuments", async () => 0);
+
+    await getDashboardStats({ feeds: ["URLhaus"] });
+
+    const [match, { $facet }] = aggregate.mock.calls[0].arguments[0];
+    assert.deepEqual(match.$match.$or, [{ source: { $in: ["URLhaus"] } }, { "sightings.source": { $in: ["URLhaus"] } }]);
+    assert.deepEqual($facet.bySource.find((stage) => stage.$match).$match, { sources: { $in: ["URLhaus"] } });
+  });
+});
+
+describe("getThreatTrends", () => {
+  // An aggregation row: { _id: { bucket, key }, count }
+  const row = (bucket, count, key = "total") => ({ _id: { bucket: new Date(bucket), key }, count });
+
+  it("zero-fills every bucket in the range", async (t) => {
+    t.mock.method(Threat, "aggregate", async () => [
+      row("2026-03-02T00:00:00Z", 3),
+      row("2026-03-04T00:00:00Z", 1),
+      // Outside the range: ignored
+      row("2026-02-20T00:00:00Z", 7),
+    ]);
+
+    const { series, buckets } = await getThreatTrends({ from: "2026-03-01T10:00:00Z", to: "2026-03-05T09:00:00Z" });
+
+    assert.deepEqual(series, []);
+    assert.deepEqual(buckets, [
+      { date: "2026-03-01T00:00:00.000Z", total: 0 },
+      { date: "2026-03-02T00:00:00.000Z", total: 3 },
+      { date: "2026-03-03T00:00:00.000Z", total: 0 },
+      { date: "2026-03-04T00:00:00.000Z", total: 1 },
+      { date: "2026-03-05T00:00:00.000Z", total: 0 },
+    ]);
+  });
+
+  it("zero-fills each series of a grouped trend", async (t) => {
+    t.mock.method(Threat, "aggregate", async () => [
+      row("2026-03-01T00:00:00Z", 2, "High"),
+      row("2026-03-03T00:00:00Z", 1, "Low"),
+    ]);
+
+    const { series, buckets } = await getThreatTrends({
+      from: "2026-03-01T00:00:00Z",
+      to: "2026-03-03T00:00:00Z",
+      groupBy: "severity",
+    });
+
+    assert.deepEqual(series, ["High", "Low"]);
+    assert.deepEqual(buckets, [
+      { date: "2026-03-01T00:00:00.000Z", total: 2, High: 2, Low: 0 },
+      { date: "2026-03-02T00:00:00.000Z", total: 0, High: 0, Low: 0 },
+      { date: "2026-03-03T00:00:00.000Z", total: 1, High: 0, Low: 1 },
+    ]);
+  });
+
+  it("folds the smallest series into Other", async (t) => {
+    const sources = ["s1", "s2", "s3", "s4", "s5", "s6", "s7", "s8", "s9"];
+    t.mock.method(Threat, "aggregate", async () =>
+      sources.map((source, i) => row("2026-03-01T00:00:00Z", sources.length - i, source))
+    );
+
+    const { series, buckets } = await getThreatTrends({
+      from: "2026-03-01T00:00:00Z",
+      to: "2026-03-01T12:00:00Z",
+      groupBy: "source",
+    });
+
+    assert.deepEqual(series, ["s1", "s2", "s3", "s4", "s5", "s6", "s7", "Other"]);
+    assert.equal(buckets[0].Other, 2 + 1);
+    assert.equal(buckets[0].total, 45);
+  });
+
+  it("starts weekly buckets on Monday and hourly buckets on the hour", async (t) => {
+    t.mock.method(Threat, "aggregate", async () => []);
+
+    const weekly = await getThreatTrends({ interval: "week", from: "2026-03-04T15:00:00Z", to: "2026-03-16T00:00:00Z" });
+    assert.deepEqual(
+      weekly.buckets.map((b) => b.date),
+      ["2026-03-02T00:00:00.000Z", "2026-03-09T00:00:00.000Z", "2026-03-16T00:00:00.000Z"]
+    );
+
+    const hourly = await getThreatTrends({ interval: "hour", from: "2026-03-04T15:30:00Z", to: "2026-03-04T17:00:00Z" });
+    assert.deepEqual(
+      hourly.buckets.map((b) => b.date),
+      ["2026-03-04T15:00:00.000Z", "2026-03-04T16:00:00.000Z", "2026-03-04T17:00:00.000Z"]
+    );
+  });
+
+  it("rejects bad intervals, groupings and ranges", async () => {
+    await assert.rejects(getThreatTrends({ interval: "month" }), QueryError);
+    await assert.rejects(getThreatTrends({ groupBy: "country" }), QueryError);
+    await assert.rejects(getThreatTrends({ from: "2026-03-05", to: "2026-03-01" }), QueryError);
+    await assert.rejects(getThreatTrends({ interval: "hour", from: "2026-01-01", to: "2026-03-01" }), /Range too large/);
+  });
+});
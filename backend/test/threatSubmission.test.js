@@ -0,0 +1,21 @@
+// ============================================
+// test/threatSubmission.test.js
+// ============================================
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { editableFields, SubmissionError } = require("../services/threatSubmission.js");
+
+describe("editableFields references", () => {
+  it("accepts http and https URLs", () => {
+    const { references } = editableFields({
+      references: ["https://example.com/report", { url: "http://example.com/a", title: "A" }],
+    });
+    assert.deepEqual(references.map((r) => r.url), ["https://example.com/report", "http://example.com/a"]);
+  });
+
+  it("rejects URLs that aren't web links", () => {
+    for (const url of ["javascript:alert(1)", "data:text/html,<script>alert(1)</script>", "file:///etc/passwd"]) {
+      assert.throws(() => editableFields({ references: [url] }), SubmissionError);
+    }
+  });
+});
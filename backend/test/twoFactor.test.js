@@ -0,0 +1,120 @@
+// ============================================
+// test/twoFactor.test.js
+// ============================================
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const User = require("../models/user.js");
+const { codeForStep, currentStep, verifyTotp } = require("../utils/totp.js");
+const { confirmSetup, checkSecondFactor, TwoFactorError } = require("../services/twoFactor.js");
+const { hashToken } = require("../utils/tokens.js");
+
+// RFC 6238 appendix B: the SHA-1 seed "12345678901234567890", base32 encoded
+const RFC_SECRET = "GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ";
+
+// [unix time, 8-digit code from the RFC]; we issue its last 6 digits
+const RFC_VECTORS = [
+  [59, "94287082"],
+  [1111111109, "07081804"],
+  [1111111111, "14050471"],
+  [1234567890, "89005924"],
+  [2000000000, "69279037"],
+  [20000000000, "65353130"],
+];
+
+describe("TOTP", () => {
+  for (const [seconds, code] of RFC_VECTORS) {
+    it(`matches the RFC 6238 SHA-1 vector at T=${seconds}`, () => {
+      const step = currentStep(seconds * 1000);
+      assert.equal(codeForStep(RFC_SECRET, step), code.slice(-6));
+      assert.equal(verifyTotp(RFC_SECRET, code.slice(-6), { time: seconds * 1000 }), step);
+    });
+  }
+
+  it("accepts codes one step either side by default", () => {
+    const time = 1111111111 * 1000;
+    const step = currentStep(time);
+
+    assert.equal(verifyTotp(RFC_SECRET, codeForStep(RFC_SECRET, step - 1), { time }), step - 1);
+    assert.equal(verifyTotp(RFC_SECRET, codeForStep(RFC_SECRET, step + 1), { time }), step + 1);
+    assert.equal(verifyTotp(RFC_SECRET, codeForStep(RFC_SECRET, step - 2), { time }), null);
+    assert.equal(verifyTotp(RFC_SECRET, codeForStep(RFC_SECRET, step - 1), { time, window: 0 }), null);
+  });
+
+  it("ignores spaces and rejects anything but six digits", () => {
+    const time = 59 * 1000;
+
+    assert.equal(verifyTotp(RFC_SECRET, "287 082", { time }), currentStep(time));
+    for (const code of ["28708", "2870822", "abcdef", "", undefined]) {
+      assert.equal(verifyTotp(RFC_SECRET, code, { time }), null, String(code));
+    }
+  });
+});
+
+describe("twoFactor service", () => {
+  // User.findById(...).select(...) resolving to `user`; saves are counted
+  const stubUser = (t, twoFactor) => {
+    const user = new User({ email: "analyst@example.com", password: "x", name: "Analyst", twoFactor });
+    t.mock.method(User, "findById", () => ({ select: async () => user }));
+    const save = t.mock.method(user, "save", async () => user);
+    return { user, save };
+  };
+
+  const codeAt = (offset = 0) => codeForStep(RFC_SECRET, currentStep() + offset);
+
+  it("accepts a code once, then refuses to replay it", async (t) => {
+    const { user } = stubUser(t, { enabled: true, secret: RFC_SECRET });
+    const code = codeAt();
+
+    assert.equal(await checkSecondFactor(user._id, { code }), true);
+    assert.equal(user.twoFactor.lastUsedStep, verifyTotp(RFC_SECRET, code));
+    assert.equal(await checkSecondFactor(user._id, { code }), false);
+  });
+
+  it("refuses an older code from the window once a newer one was used", async (t) => {
+    const { user } = stubUser(t, { enabled: true, secret: RFC_SECRET });
+
+    assert.equal(await checkSecondFactor(user._id, { code: codeAt(1) }), true);
+    assert.equal(await checkSecondFactor(user._id, { code: codeAt(0) }), false);
+  });
+
+  it("refuses codes outside the window and users without two-factor", async (t) => {
+    const { user } = stubUser(t, { enabled: true, secret: RFC_SECRET });
+    assert.equal(await checkSecondFactor(user._id, { code: codeAt(-3) }), false);
+
+    const { user: plain } = stubUser(t, { enabled: false });
+    assert.equal(await checkSecondFactor(plain._id, { code: codeAt() }), false);
+  });
+
+  it("spends a recovery code", async (t) => {
+    const { user, save } = stubUser(t, {
+      enabled: true,
+      secret: RFC_SECRET,
+      recoveryCodeHashes: [hashToken("abcd-1234"), hashToken("efgh-5678")],
+    });
+
+    assert.equal(await checkSecondFactor(user._id, { recoveryCode: " ABCD-1234 " }), true);
+    assert.equal(save.mock.callCount(), 1);
+    assert.deepEqual([...user.twoFactor.recoveryCodeHashes], [hashToken("efgh-5678")]);
+    assert.equal(await checkSecondFactor(user._id, { recoveryCode: "abcd-1234" }), false);
+  });
+
+  it("confirms setup with a pending secret and the code becomes used", async (t) => {
+    const { user } = stubUser(t, { pendingSecret: RFC_SECRET });
+    const code = codeAt();
+
+    const recoveryCodes = await confirmSetup(user._id, code);
+
+    assert.equal(recoveryCodes.length, 10);
+    assert.equal(user.twoFactor.enabled, true);
+    assert.equal(user.twoFactor.secret, RFC_SECRET);
+    assert.equal(user.twoFactor.pendingSecret, undefined);
+    assert.equal(await checkSecondFactor(user._id, { code }), false);
+  });
+
+  it("rejects a wrong setup code", async (t) => {
+    const { user } = stubUser(t, { pendingSecret: RFC_SECRET });
+
+    await assert.rejects(confirmSetup(user._id, codeAt(-3)), TwoFactorError);
+    assert.equal(user.twoFactor.enabled, false);
+  });
+});
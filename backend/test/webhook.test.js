@@ -0,0 +1,60 @@
+// ============================================
+// test/webhook.test.js
+// ============================================
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { WebhookError, checkWebhookUrl, isPublicAddress } = require("../services/notifications/webhook.js");
+
+describe("isPublicAddress", () => {
+  it("rejects private, loopback, link-local and mapped addresses", () => {
+    for (const address of [
+      "10.1.2.3", "172.16.0.1", "192.168.1.1", "127.0.0.1", "169.254.169.254", "100.64.0.1", "0.0.0.0",
+      "::1", "::", "fd00::1", "fe80::1", "::ffff:10.0.0.1", "::ffff:127.0.0.1",
+    ]) {
+      assert.equal(isPublicAddress(address), false, address);
+    }
+  });
+
+  it("accepts public addresses", () => {
+    for (const address of ["93.184.216.34", "8.8.8.8", "2606:4700:4700::1111", "::ffff:8.8.8.8"]) {
+      assert.equal(isPublicAddress(address), true, address);
+    }
+  });
+});
+
+describe("checkWebhookUrl", () => {
+  it("requires https", async () => {
+    await assert.rejects(checkWebhookUrl("http://93.184.216.34/hook"), WebhookError);
+    await assert.rejects(checkWebhookUrl("not a url"), WebhookError);
+  });
+
+  it("rejects internal hosts", async () => {
+    for (const url of [
+      "https://127.0.0.1/hook",
+      "https://169.254.169.254/latest/meta-data",
+      "https://[::1]/hook",
+      "https://10.0.0.5:8443/hook",
+      "https://localhost/hook",
+    ]) {
+      await assert.rejects(checkWebhookUrl(url), WebhookError, url);
+    }
+  });
+
+  it("accepts https URLs on public addresses", async () => {
+    await checkWebhookUrl("https://93.184.216.34/hook");
+    await checkWebhookUrl("https://[2606:4700:4700::1111]/hook");
+  });
+});
+
+describe("WEBHOOK_ALLOW_HOSTS", () => {
+  it("lets listed hosts through over http or https", async (t) => {
+    t.after(() => delete process.env.WEBHOOK_ALLOW_HOSTS);
+    await assert.rejects(checkWebhookUrl("http://127.0.0.1:9000/hook"), WebhookError);
+
+    process.env.WEBHOOK_ALLOW_HOSTS = "localhost, 127.0.0.1";
+    await checkWebhookUrl("http://127.0.0.1:9000/hook");
+    await checkWebhookUrl("https://localhost/hook");
+    await assert.rejects(checkWebhookUrl("http://10.0.0.5/hook"), WebhookError);
+    await assert.rejects(checkWebhookUrl("ftp://127.0.0.1/hook"), WebhookError);
+  });
+});
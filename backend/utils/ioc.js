@@ -0,0 +1,152 @@
+// ============================================
+// utils/ioc.js
+// ============================================
+// Indicator (IoC) helpers shared by ingestion, search and manual submission.
+const net = require("net");
+
+// Types that hold a file hash. Feeds are inconsistent about which one they use,
+// so lookups treat them as the same indicator space.
+const HASH_TYPES = ["Hash", "FileHash"];
+
+const normalizeIP = (value) => {
+  // IPv4: drop leading zeros in each octet ("010.001.002.003" -> "10.1.2.3")
+  if (/^\d{1,3}(\.\d{1,3}){3}$/.test(value)) {
+    return value.split(".").map((octet) => String(Number(octet))).join(".");
+  }
+  return value.toLowerCase();
+};
+
+const normalizeDomain = (value) => value.toLowerCase().replace(/\.$/, "");
+
+const normalizeURL = (value) => {
+  try {
+    // WHATWG URL lower-cases scheme and host, drops default ports and
+    // percent-encodes the path; the fragment never reaches the server.
+    const url = new URL(value);
+    url.hash = "";
+    url.hostname = normalizeDomain(url.hostname);
+    return url.toString();
+  } catch {
+    return value;
+  }
+};
+
+// Canonical form of an indicator value so the same IoC from different feeds
+// maps onto one Threat document.
+const normalizeIoC = (type, value) => {
+  const trimmed = String(value || "").trim();
+
+  switch (type) {
+    case "IP":
+      return normalizeIP(trimmed);
+    case "Domain":
+      return normalizeDomain(trimmed);
+    case "URL":
+      return normalizeURL(trimmed);
+    case "Email":
+    case "Hash":
+    case "FileHash":
+      return trimmed.toLowerCase();
+    default:
+      return trimmed;
+  }
+};
+
+// Mongo filter matching an indicator regardless of which hash type it was stored under
+const iocFilter = (type, value) => ({
+  type: HASH_TYPES.includes(type) ? { $in: HASH_TYPES } : type,
+  value: normalizeIoC(type, value),
+});
+
+/**
+ * Unique key for an indicator: "<type>:<normalized value>", with both hash
+ * types keyed as FileHash. Stored on Threat.iocKey, whose unique index is
+ * what guarantees one document per IoC.
+ */
+const iocKey = (type, value) =>
+  `${HASH_TYPES.includes(type) ? "FileHash" : type}:${normalizeIoC(type, value)}`;
+
+const DOMAIN_RE = /^(?=.{1,253}$)(?:[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z][a-z0-9-]{0,62}$/i;
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[a-z]{2,}$/i;
+const HASH_KINDS = { 32: "md5", 40: "sha1", 64: "sha256" };
+
+/**
+ * Work out what kind of indicator a raw string is.
+ * Returns { type, kind } where type is a Threat type ("IP", "Domain", "URL",
+ * "Email", "FileHash") and kind is the finer format ("ipv4", "ipv6", "cidr",
+ * "md5", "sha1", "sha256", ...), or null when the string isn't an IoC.
+ */
+const detectIoCType = (raw) => {
+  const value = String(raw || "").trim();
+  if (!value) return null;
+
+  const ipVersion = net.isIP(value);
+  if (ipVersion) return { type: "IP", kind: `ipv${ipVersion}` };
+
+  const [address, prefix, ...rest] = value.split("/");
+  if (rest.length === 0 && /^\d{1,3}$/.test(prefix || "") && net.isIP(address)) {
+    const max = net.isIP(address) === 4 ? 32 : 128;
+    if (Number(prefix) <= max) return { type: "IP", kind: "cidr" };
+  }
+
+  if (/^[a-f0-9]+$/i.test(value) && HASH_KINDS[value.length]) {
+    return { type: "FileHash", kind: HASH_KINDS[value.length] };
+  }
+
+  if (/^[a-z][a-z0-9+.-]*:\/\//i.test(value)) {
+    try {
+      new URL(value);
+      return { type: "URL", kind: "url" };
+    } catch {
+      return null;
+    }
+  }
+
+  if (EMAIL_RE.test(value)) return { type: "Email", kind: "email" };
+  if (DOMAIN_RE.test(value.replace(/\.$/, ""))) return { type: "Domain", kind: "domain" };
+
+  return null;
+};
+
+// Undo common "defanging" so shared indicators can be looked up:
+//   hxxp://evil[.]com -> http://evil.com, user[at]evil(.)com -> user@evil.com
+const refang = (text) =>
+  String(text)
+    .replace(/\bhxxp(s?)/gi, "http$1")
+    .replace(/\bfxp\b/gi, "ftp")
+    .replace(/\[:\/\/\]/g, "://")
+    .replace(/\[(?:\.|dot)\]|\((?:\.|dot)\)|\{(?:\.|dot)\}/gi, ".")
+    .replace(/\[:\]/g, ":")
+    .replace(/\[(?:@|at)\]|\((?:@|at)\)/gi, "@");
+
+/**
+ * Pull every indicator out of free text (newline lists, CSV, pasted reports).
+ * Text is refanged first; duplicates are dropped after normalization.
+ * Returns [{ input, type, kind, value }] in order of first appearance.
+ */
+const extractIoCs = (text) => {
+  const found = new Map();
+
+  for (const token of refang(text).split(/[\s,;|"'<>]+/)) {
+    // Trim sentence punctuation and brackets around the token
+    const input = token.replace(/^[([{]+|[)\]}.:!?]+$/g, "");
+    const detected = detectIoCType(input);
+    if (!detected || detected.kind === "cidr") continue;
+
+    const value = normalizeIoC(detected.type, input);
+    const key = `${detected.type}:${value}`;
+    if (!found.has(key)) found.set(key, { input, ...detected, value });
+  }
+
+  return [...found.values()];
+};
+
+module.exports = {
+  HASH_TYPES,
+  normalizeIoC,
+  iocFilter,
+  iocKey,
+  detectIoCType,
+  refang,
+  extractIoCs,
+};
@@ -0,0 +1,12 @@
+// ============================================
+// utils/tokens.js
+// ============================================
+// Random opaque tokens. Only the SHA-256 hash is ever stored, so a database
+// leak doesn't expose usable tokens.
+const crypto = require("crypto");
+
+const randomToken = (bytes = 32) => crypto.randomBytes(bytes).toString("hex");
+
+const hashToken = (token) => crypto.createHash("sha256").update(String(token)).digest("hex");
+
+module.exports = { randomToken, hashToken };
@@ -3,7 +3,7 @@
 // ============================================
 import axios from 'axios';
 
-const API_BASE_URL = 'http://localhost:5000/api';
+export const API_BASE_URL = 'http://localhost:5000/api';
 
 // Create axios instance with default config
 const api = axios.create({
@@ -25,13 +25,53 @@ api.interceptors.request.use(
   (error) => Promise.reject(error)
 );
 
-// Response interceptor for error handling
+const clearSession = () => {
+  localStorage.removeItem('token');
+  localStorage.removeItem('refreshToken');
+  window.location.href = '/login';
+};
+
+// One refresh in flight at a time; concurrent 401s wait for the same result
+let refreshPromise = null;
+
+const refreshAccessToken = () => {
+  if (!refreshPromise) {
+    refreshPromise = axios
+      .post(`${API_BASE_URL}/auth/refresh`, { refreshToken: localStorage.getItem('refreshToken') })
+      .then(({ data }) => {
+        localStorage.setItem('token', data.token);
+        localStorage.setItem('refreshToken', data.refreshToken);
+        return data.token;
+      })
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+  return refreshPromise;
+};
+
+// Response interceptor: on 401, refresh the access token once and retry
 api.interceptors.response.use(
   (response) => response,
-  (error) => {
-    if (error.response?.status === 401) {
-      localStorage.removeItem('token');
-      window.location.href = '/login';
+  async (error) => {
+    const original = error.config;
+    const isAuthCall = /\/auth\/(login|login\/2fa|register|refresh)$/.test(original?.url || '');
+
+    if (error.response?.status === 401 && original && !original._retried && !isAuthCall) {
+      if (!localStorage.getItem('refreshToken')) {
+        clearSession();
+        return Promise.reject(error);
+      }
+
+      original._retried = true;
+      try {
+        const token = await refreshAccessToken();
+        original.headers.Authorization = `Bearer ${token}`;
+        return api(original);
+      } catch (refreshError) {
+        clearSession();
+        return Promise.reject(refreshError);
+      }
     }
     return Promise.reject(error);
   }
@@ -40,15 +80,54 @@ api.interceptors.response.use(
 // Auth API
 export const authAPI = {
   login: (credentials) => api.post('/auth/login', credentials),
+  loginTwoFactor: (data) => api.post('/auth/login/2fa', data),
   register: (userData) => api.post('/auth/register', userData),
   getCurrentUser: () => api.get('/auth/me'),
+  logout: () => api.post('/auth/logout'),
+  logoutAll: () => api.post('/auth/logout-all'),
+  getSessions: () => api.get('/auth/sessions'),
+  revokeSession: (id) => api.delete(`/auth/sessions/${id}`),
+  getUsage: () => api.get('/auth/usage'),
+  verifyEmail: (token) => api.post('/auth/verify-email', { token }),
+  resendVerification: (email) => api.post('/auth/resend-verification', { email }),
+  forgotPassword: (email) => api.post('/auth/forgot-password', { email }),
+  resetPassword: (token, password) => api.post('/auth/reset-password', { token, password }),
+  acceptInvite: (token, password) => api.post('/auth/accept-invite', { token, password }),
+  setupTwoFactor: () => api.post('/auth/2fa/setup'),
+  enableTwoFactor: (code) => api.post('/auth/2fa/enable', { code }),
+  disableTwoFactor: (data) => api.post('/auth/2fa/disable', data),
+  regenerateRecoveryCodes: (code) => api.post('/auth/2fa/recovery-codes', { code }),
+};
+
+// Admin API
+export const adminAPI = {
+  getSettings: () => api.get('/admin/settings'),
+  updateSettings: (settings) => api.put('/admin/settings', settings),
+  getCollections: () => api.get('/admin/collections'),
+  createCollection: (collection) => api.post('/admin/collections', collection),
+  deleteCollection: (id) => api.delete(`/admin/collections/${id}`),
+  getLifecycle: () => api.get('/admin/lifecycle'),
+  updateLifecycle: (policy) => api.put('/admin/lifecycle', policy),
+  runLifecycle: () => api.post('/admin/lifecycle/run'),
+  getLifecycleRuns: (limit) => api.get('/admin/lifecycle/runs', { params: { limit } }),
 };
 
 // Threats API
 export const threatsAPI = {
   getAll: (params) => api.get('/threats', { params }),
+  getById: (id) => api.get(`/threats/${id}`),
+  getGraph: (id, depth) => api.get(`/threats/${id}/graph`, { params: { depth } }),
+  getIndicatorGraph: (params) => api.get('/threats/graph', { params }),
+  exportStix: (params) => api.get('/threats/export/stix', { params, responseType: 'blob' }),
+  exportMisp: (params) => api.get('/threats/export/misp', { params, responseType: 'blob' }),
+  importMisp: (event) => api.post('/threats/import/misp', event),
   search: (value) => api.get('/ioc/search', { params: { value } }),
+  bulkSearch: (text) => api.post('/ioc/bulk', text, { headers: { 'Content-Type': 'text/plain' } }),
   getStats: () => api.get('/threats/stats'),
+  getTrends: (params) => api.get('/threats/trends', { params }),
+  report: (threatData) => api.post('/threats', threatData),
+  update: (id, threatData) => api.put(`/threats/${id}`, threatData),
+  setStatus: (id, status) => api.put(`/threats/${id}/status`, status),
 };
 
 // Alerts API
@@ -56,9 +135,17 @@ export const alertsAPI = {
   getAll: () => api.get('/alerts'),
   create: (alertData) => api.post('/alerts', alertData),
   update: (id, alertData) => api.put(`/alerts/${id}`, alertData),
+  rotateSecret: (id) => api.post(`/alerts/${id}/rotate-secret`),
   delete: (id) => api.delete(`/alerts/${id}`),
 };
 
+// API keys API
+export const apiKeysAPI = {
+  getAll: () => api.get('/keys'),
+  create: (keyData) => api.post('/keys', keyData),
+  revoke: (id) => api.delete(`/keys/${id}`),
+};
+
 // Reports API
 export const reportsAPI = {
   generate: (params) => api.get('/reports/generate', { params }),
@@ -73,17 +160,27 @@ export default api;
 // store/useThreatStore.js
 // ============================================
 import { create } from 'zustand';
-import { authAPI, threatsAPI, alertsAPI } from '../services/api';
+import { authAPI, threatsAPI, alertsAPI, apiKeysAPI } from '../services/api';
 
 const useThreatStore = create((set, get) => ({
   // User state
   user: null,
+  usage: null,
+  sessions: [],
+  apiKeys: [],
+  twoFactorChallenge: null,
   token: localStorage.getItem('token'),
   
   // Threats state
   threats: [],
+  threatsTotal: 0,
+  threatsCursor: null,
   threatStats: null,
+  selectedThreat: null,
+  threatTrends: null,
   searchResults: null,
+  searchMeta: null,
+  bulkResults: null,
   
   // Alerts state
   alerts: [],
@@ -91,39 +188,144 @@ const useThreatStore = create((set, get) => ({
   // UI state
   loading: false,
   error: null,
+  errorCode: null,
   
   // Auth actions
   login: async (credentials) => {
-    set({ loading: true, error: null });
+    set({ loading: true, error: null, errorCode: null });
     try {
       const response = await authAPI.login(credentials);
-      const { token, user } = response.data;
+      if (response.data.twoFactorRequired) {
+        // Password accepted; Login now asks for the authenticator code
+        set({ twoFactorChallenge: response.data.challengeToken, loading: false });
+        return false;
+      }
+      const { token, refreshToken, user } = response.data;
       localStorage.setItem('token', token);
+      localStorage.setItem('refreshToken', refreshToken);
       set({ token, user, loading: false });
       return true;
     } catch (error) {
-      set({ error: error.response?.data?.message || 'Login failed', loading: false });
+      set({
+        error: error.response?.data?.message || 'Login failed',
+        errorCode: error.response?.data?.code || null,
+        loading: false,
+      });
+      return false;
+    }
+  },
+  
+  // Second login step: { code } or { recoveryCode }
+  verifyTwoFactor: async (factor) => {
+    set({ loading: true, error: null });
+    try {
+      const response = await authAPI.loginTwoFactor({ challengeToken: get().twoFactorChallenge, ...factor });
+      const { token, refreshToken, user } = response.data;
+      localStorage.setItem('token', token);
+      localStorage.setItem('refreshToken', refreshToken);
+      set({ token, user, twoFactorChallenge: null, loading: false });
+      return true;
+    } catch (error) {
+      // An expired challenge means starting over from the password step
+      const expired = error.response?.status === 401;
+      set({
+        error: error.response?.data?.message || 'Verification failed',
+        twoFactorChallenge: expired ? null : get().twoFactorChallenge,
+        loading: false,
+      });
       return false;
     }
   },
   
+  cancelTwoFactor: () => set({ twoFactorChallenge: null, error: null }),
+  
+  // New accounts must verify their email before logging in; resolves to the
+  // server's confirmation message, or null on failure
   register: async (userData) => {
     set({ loading: true, error: null });
     try {
       const response = await authAPI.register(userData);
-      const { token, user } = response.data;
+      set({ loading: false });
+      return response.data.message;
+    } catch (error) {
+      set({ error: error.response?.data?.message || 'Registration failed', loading: false });
+      return null;
+    }
+  },
+  
+  // Invited users choose a password and are logged straight in
+  acceptInvite: async (inviteToken, password) => {
+    set({ loading: true, error: null });
+    try {
+      const response = await authAPI.acceptInvite(inviteToken, password);
+      const { token, refreshToken, user } = response.data;
       localStorage.setItem('token', token);
+      localStorage.setItem('refreshToken', refreshToken);
       set({ token, user, loading: false });
       return true;
     } catch (error) {
-      set({ error: error.response?.data?.message || 'Registration failed', loading: false });
+      set({ error: error.response?.data?.message || 'Could not accept invitation', loading: false });
       return false;
     }
   },
   
-  logout: () => {
+  logout: async ({ everywhere = false } = {}) => {
+    try {
+      await (everywhere ? authAPI.logoutAll() : authAPI.logout());
+    } catch (error) {
+      console.error('Failed to revoke session:', error);
+    }
     localStorage.removeItem('token');
-    set({ token: null, user: null, threats: [], alerts: [] });
+    localStorage.removeItem('refreshToken');
+    set({ token: null, user: null, threats: [], alerts: [], sessions: [], apiKeys: [] });
+  },
+  
+  fetchSessions: async () => {
+    try {
+      const response = await authAPI.getSessions();
+      set({ sessions: response.data });
+    } catch (error) {
+      console.error('Failed to fetch sessions:', error);
+    }
+  },
+  
+  revokeSession: async (id) => {
+    try {
+      await authAPI.revokeSession(id);
+      set((state) => ({ sessions: state.sessions.filter(s => s._id !== id) }));
+    } catch (error) {
+      set({ error: error.response?.data?.message || 'Failed to revoke session' });
+    }
+  },
+  
+  fetchApiKeys: async () => {
+    try {
+      const response = await apiKeysAPI.getAll();
+      set({ apiKeys: response.data });
+    } catch (error) {
+      console.error('Failed to fetch API keys:', error);
+    }
+  },
+  
+  // Resolves to the plaintext key, which the server only returns once
+  createApiKey: async (keyData) => {
+    try {
+      const response = await apiKeysAPI.create(keyData);
+      set((state) => ({ apiKeys: [response.data.apiKey, ...state.apiKeys], error: null }));
+      return response.data.key;
+    } catch (error) {
+      set({ error: error.response?.data?.message || 'Failed to create API key' });
+      return null;
+    }
+  },
+  
+  revokeApiKey: async (id) => {
+    try {
+      await apiKeysAPI.revoke(id);
+      set((state) => ({ apiKeys: state.apiKeys.filter(k => k._id !== id) }));
+    } catch (error) {
+      set({ error: error.response?.data?.message || 'Failed to revoke API key' });
+    }
   },
   
   fetchCurrentUser: async () => {
@@ -135,12 +337,22 @@ const useThreatStore = create((set, get) => ({
     }
   },
   
+  fetchUsage: async () => {
+    try {
+      const response = await authAPI.getUsage();
+      set({ usage: response.data });
+    } catch (error) {
+      console.error('Failed to fetch usage:', error);
+    }
+  },
+  
   // Threat actions
   fetchThreats: async (filters = {}) => {
     set({ loading: true, error: null });
     try {
       const response = await threatsAPI.getAll(filters);
-      set({ threats: response.data, loading: false });
+      const { data, total, nextCursor } = response.data;
+      set({ threats: data, threatsTotal: total, threatsCursor: nextCursor, loading: false });
     } catch (error) {
       set({ error: error.response?.data?.message || 'Failed to fetch threats', loading: false });
     }
@@ -150,12 +362,62 @@ const useThreatStore = create((set, get) => ({
     set({ loading: true, error: null });
     try {
       const response = await threatsAPI.search(value);
-      set({ searchResults: response.data, loading: false });
+      const { results, ...searchMeta } = response.data;
+      set({ searchResults: results, searchMeta, loading: false });
     } catch (error) {
       set({ error: error.response?.data?.message || 'Search failed', loading: false });
     }
   },
   
+  fetchThreat: async (id) => {
+    set({ loading: true, error: null, selectedThreat: null });
+    try {
+      const response = await threatsAPI.getById(id);
+      set({ selectedThreat: response.data, loading: false });
+    } catch (error) {
+      set({ error: error.response?.data?.message || 'Failed to fetch threat', loading: false });
+    }
+  },
+  
+  // Resolves to the server response ({ message, status, threat }) or null
+  reportThreat: async (threatData) => {
+    set({ loading: true, error: null });
+    try {
+      const response = await threatsAPI.report(threatData);
+      set({ loading: false });
+      return response.data;
+    } catch (error) {
+      set({ error: error.response?.data?.message || 'Failed to report IoC', loading: false });
+      return null;
+    }
+  },
+  
+  // { verified } and/or { isActive }; patches every loaded copy of the threat
+  updateThreatStatus: async (id, status) => {
+    try {
+      const response = await threatsAPI.setStatus(id, status);
+      const { verified, isActive } = response.data.threat;
+      const patch = (t) => (t._id === id ? { ...t, verified, isActive } : t);
+      set((state) => ({
+        threats: state.threats.map(patch),
+        searchResults: state.searchResults?.map(patch) || null,
+        selectedThreat: state.selectedThreat && patch(state.selectedThreat),
+      }));
+    } catch (error) {
+      set({ error: error.response?.data?.message || 'Failed to update threat' });
+    }
+  },
+  
+  bulkSearchIoC: async (text) => {
+    set({ loading: true, error: null });
+    try {
+      const response = await threatsAPI.bulkSearch(text);
+      set({ bulkResults: response.data, loading: false });
+    } catch (error) {
+      set({ error: error.response?.data?.message || 'Bulk lookup failed', loading: false });
+    }
+  },
+  
   fetchThreatStats: async () => {
     try {
       const response = await threatsAPI.getStats();
@@ -165,6 +427,15 @@ const useThreatStore = create((set, get) => ({
     }
   },
   
+  fetchThreatTrends: async (params = {}) => {
+    try {
+      const response = await threatsAPI.getTrends(params);
+      set({ threatTrends: response.data });
+    } catch (error) {
+      console.error('Failed to fetch trends:', error);
+    }
+  },
+  
   // Alert actions
   fetchAlerts: async () => {
     set({ loading: true, error: null });
@@ -181,13 +452,14 @@ const useThreatStore = create((set, get) => ({
     try {
       const response = await alertsAPI.create(alertData);
       set((state) => ({ 
-        alerts: [...state.alerts, response.data], 
+        alerts: [...state.alerts, response.data.alert], 
         loading: false 
       }));
-      return true;
+      // { alert, webhookSecret }: the secret is only returned once
+      return response.data;
     } catch (error) {
       set({ error: error.response?.data?.message || 'Failed to create alert', loading: false });
-      return false;
+      return null;
     }
   },
   
@@ -203,7 +475,7 @@ const useThreatStore = create((set, get) => ({
   },
   
   // Clear error
-  clearError: () => set({ error: null }),
+  clearError: () => set({ error: null, errorCode: null }),
 }));
 
 export default useThreatStore;
@@ -213,15 +485,15 @@ export default useThreatStore;
 // components/Navbar.jsx
 // ============================================
 import React from 'react';
-import { useNavigate } from 'react-router-dom';
+import { Link, useNavigate } from 'react-router-dom';
 import useThreatStore from '../store/useThreatStore';
 
 const Navbar = () => {
   const { user, logout } = useThreatStore();
   const navigate = useNavigate();
 
-  const handleLogout = () => {
-    logout();
+  const handleLogout = async () => {
+    await logout();
     navigate('/login');
   };
 
@@ -249,9 +521,9 @@ const Navbar = () => {
               <span className={`px-3 py-1 rounded-full text-xs font-semibold text-white ${getTierBadgeColor(user.tier)}`}>
                 {user.tier}
               </span>
-              <span className="text-gray-300 text-sm">
-                {user.firstName} {user.lastName}
-              </span>
+              <Link to="/profile" className="text-gray-300 hover:text-white text-sm">
+                {user.name}
+              </Link>
               <button
                 onClick={handleLogout}
                 className="px-4 py-2 bg-gray-800 hover:bg-gray-700 text-white rounded-lg text-sm transition"
@@ -274,16 +546,21 @@ export default Navbar;
 // ============================================
 import React from 'react';
 import { Link, useLocation } from 'react-router-dom';
+import useThreatStore from '../store/useThreatStore';
 
 const Sidebar = () => {
   const location = useLocation();
+  const { user } = useThreatStore();
   
+  // `permission` must be in the role permissions the server sends with /auth/me
   const menuItems = [
-    { path: '/dashboard', label: 'Dashboard', icon: '📊' },
-    { path: '/search', label: 'IoC Search', icon: '🔍' },
-    { path: '/alerts', label: 'Alerts', icon: '🔔' },
-    { path: '/reports', label: 'Reports', icon: '📄' },
-  ];
+    { path: '/dashboard', label: 'Dashboard', icon: '📊', permission: 'threats:read' },
+    { path: '/search', label: 'IoC Search', icon: '🔍', permission: 'threats:read' },
+    { path: '/report', label: 'Report IoC', icon: '🚩', permission: 'threats:write' },
+    { path: '/alerts', label: 'Alerts', icon: '🔔', permission: 'alerts:manage' },
+    { path: '/reports', label: 'Reports', icon: '📄', permission: 'reports:read' },
+    { path: '/settings', label: 'Settings', icon: '⚙️', permission: 'threats:read' },
+  ].filter((item) => user?.permissions?.includes(item.permission));
 
   return (
     <aside className="w-64 bg-gray-900 border-r border-gray-800 min-h-screen p-4">
@@ -314,10 +591,12 @@ export default Sidebar;
 // components/ThreatChart.jsx
 // ============================================
 import React from 'react';
-import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, PieChart, Pie, Cell } from 'recharts';
+import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, PieChart, Pie, Cell, AreaChart, Area, Legend } from 'recharts';
 
 const COLORS = ['#ef4444', '#f59e0b', '#eab308', '#22c55e', '#3b82f6'];
 
+const TREND_COLORS = ['#ef4444', '#f59e0b', '#eab308', '#22c55e', '#3b82f6', '#8b5cf6', '#ec4899', '#6b7280'];
+
 export const SeverityChart = ({ data }) => {
   return (
     <div className="bg-gray-800 rounded-lg p-6">
@@ -368,6 +647,68 @@ export const MalwareFamilyChart = ({ data }) => {
 };
 
 
+export const TrendChart = ({ data, interval, groupBy, onIntervalChange, onGroupByChange }) => {
+  const series = data?.series?.length ? data.series : ['total'];
+  const formatBucket = (date) => interval === 'hour'
+    ? new Date(date).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+    : new Date(date).toLocaleDateString();
+
+  return (
+    <div className="bg-gray-800 rounded-lg p-6">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-lg font-semibold text-white">Threat Volume</h3>
+        <div className="flex space-x-2">
+          <select
+            value={groupBy}
+            onChange={(e) => onGroupByChange(e.target.value)}
+            className="px-3 py-1 bg-gray-900 border border-gray-700 rounded-lg text-white text-sm"
+          >
+            <option value="">All threats</option>
+            <option value="severity">By severity</option>
+            <option value="source">By source</option>
+            <option value="category">By category</option>
+            <option value="malwareFamily">By malware family</option>
+          </select>
+          <select
+            value={interval}
+            onChange={(e) => onIntervalChange(e.target.value)}
+            className="px-3 py-1 bg-gray-900 border border-gray-700 rounded-lg text-white text-sm"
+          >
+            <option value="hour">Hourly (48h)</option>
+            <option value="day">Daily (30d)</option>
+            <option value="week">Weekly (12w)</option>
+          </select>
+        </div>
+      </div>
+      <ResponsiveContainer width="100%" height={300}>
+        <AreaChart data={data?.buckets || []}>
+          <CartesianGrid strokeDasharray="3 3" stroke="#374151" />
+          <XAxis dataKey="date" stroke="#9ca3af" tickFormatter={formatBucket} />
+          <YAxis stroke="#9ca3af" allowDecimals={false} />
+          <Tooltip
+            contentStyle={{ backgroundColor: '#1f2937', border: 'none', borderRadius: '8px' }}
+            labelStyle={{ color: '#fff' }}
+            labelFormatter={formatBucket}
+          />
+          {series.length > 1 && <Legend />}
+          {series.map((key, index) => (
+            <Area
+              key={key}
+              type="monotone"
+              dataKey={key}
+              stackId="trend"
+              stroke={TREND_COLORS[index % TREND_COLORS.length]}
+              fill={TREND_COLORS[index % TREND_COLORS.length]}
+              fillOpacity={0.4}
+            />
+          ))}
+        </AreaChart>
+      </ResponsiveContainer>
+    </div>
+  );
+};
+
+
 // ============================================
 // components/WorldMap.jsx
 // ============================================
@@ -406,13 +747,293 @@ const WorldMap = ({ threatsByCountry = [] }) => {
 export default WorldMap;
 
 
+// ============================================
+// components/ThreatActions.jsx
+// ============================================
+import React from 'react';
+import useThreatStore from '../store/useThreatStore';
+
+// Verify / deactivate buttons, shown to users with threats:verify
+const ThreatActions = ({ threat }) => {
+  const { user, updateThreatStatus } = useThreatStore();
+
+  if (!user?.permissions?.includes('threats:verify')) return null;
+
+  return (
+    <div className="flex space-x-2">
+      <button
+        onClick={() => updateThreatStatus(threat._id, { verified: !threat.verified })}
+        className={`px-3 py-1 rounded text-xs font-semibold transition ${
+          threat.verified
+            ? 'bg-green-700 hover:bg-green-600 text-white'
+            : 'bg-gray-700 hover:bg-gray-600 text-gray-200'
+        }`}
+      >
+        {threat.verified ? '✓ Verified' : 'Verify'}
+      </button>
+      <button
+        onClick={() => updateThreatStatus(threat._id, { isActive: !threat.isActive })}
+        className="px-3 py-1 rounded text-xs font-semibold bg-gray-700 hover:bg-gray-600 text-gray-200 transition"
+      >
+        {threat.isActive ? 'Deactivate' : 'Reactivate'}
+      </button>
+    </div>
+  );
+};
+
+export default ThreatActions;
+
+
+// ============================================
+// components/RiskScore.jsx
+// ============================================
+import React from 'react';
+
+// Labels for the factors stored in threat.riskFactors (see backend services/riskScore.js)
+const FACTOR_LABELS = {
+  reliability: 'Source reliability',
+  corroboration: 'Independent sources',
+  activity: 'Activity',
+  recency: 'Recency',
+  category: 'Category',
+  verification: 'Analyst verification',
+  reports: 'Analyst reports',
+};
+
+const riskColor = (score) =>
+  score >= 80 ? 'bg-red-900 text-red-300' :
+  score >= 60 ? 'bg-orange-900 text-orange-300' :
+  score >= 40 ? 'bg-yellow-900 text-yellow-300' :
+  'bg-gray-700 text-gray-300';
+
+export const RiskBadge = ({ score }) => (
+  <span className={`px-2 py-1 rounded text-xs font-semibold ${riskColor(score ?? 0)}`}>{score ?? 0}</span>
+);
+
+// "Why is this 87?": each factor's points out of its maximum
+export const RiskBreakdown = ({ threat }) => (
+  <div className="bg-gray-800 rounded-lg p-6">
+    <div className="flex items-center space-x-3 mb-1">
+      <h3 className="text-lg font-semibold text-white">Risk Score</h3>
+      <RiskBadge score={threat.riskScore} />
+    </div>
+    <p className="text-gray-400 text-sm mb-4">
+      The sum of the factors below, out of 100. It is recomputed whenever the threat is reported again, and
+      recency fades as time passes without a sighting.
+    </p>
+    {threat.riskFactors?.length > 0 ? (
+      <div className="space-y-3">
+        {threat.riskFactors.map((f) => (
+          <div key={f.factor}>
+            <div className="flex justify-between text-sm">
+              <span className="text-gray-200">{FACTOR_LABELS[f.factor] || f.factor}</span>
+              <span className="text-gray-400">{f.points} / {f.max}</span>
+            </div>
+            <div className="h-2 bg-gray-700 rounded mt-1">
+              <div className="h-2 bg-red-600 rounded" style={{ width: `${(f.points / f.max) * 100}%` }} />
+            </div>
+            <div className="text-gray-500 text-xs mt-1">{f.detail}</div>
+          </div>
+        ))}
+      </div>
+    ) : (
+      <p className="text-gray-400 text-sm">Not scored yet</p>
+    )}
+  </div>
+);
+
+
+// ============================================
+// components/RelationshipGraph.jsx
+// ============================================
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+
+const WIDTH = 800;
+const HEIGHT = 500;
+
+const NODE_COLORS = {
+  IP: '#3b82f6',
+  Domain: '#a855f7',
+  URL: '#f97316',
+  Email: '#14b8a6',
+  FileHash: '#ef4444',
+  MalwareFamily: '#eab308',
+};
+
+const truncate = (text, max = 24) => (text.length > max ? `${text.slice(0, max - 1)}…` : text);
+
+// Simple force-directed layout: nodes repel, edges pull, everything drifts to the centre
+const layoutGraph = (nodes, edges) => {
+  const positions = {};
+  nodes.forEach((node, i) => {
+    const angle = (2 * Math.PI * i) / nodes.length;
+    const radius = node.depth * 120;
+    positions[node.id] = { x: WIDTH / 2 + radius * Math.cos(angle), y: HEIGHT / 2 + radius * Math.sin(angle) };
+  });
+
+  for (let iteration = 0; iteration < 200; iteration++) {
+    const forces = Object.fromEntries(nodes.map(n => [n.id, { x: 0, y: 0 }]));
+
+    for (let i = 0; i < nodes.length; i++) {
+      for (let j = i + 1; j < nodes.length; j++) {
+        const a = positions[nodes[i].id];
+        const b = positions[nodes[j].id];
+        const dx = a.x - b.x || 0.1;
+        const dy = a.y - b.y || 0.1;
+        const distSq = Math.max(dx * dx + dy * dy, 100);
+        const push = 4000 / distSq;
+        forces[nodes[i].id].x += dx * push / Math.sqrt(distSq);
+        forces[nodes[i].id].y += dy * push / Math.sqrt(distSq);
+        forces[nodes[j].id].x -= dx * push / Math.sqrt(distSq);
+        forces[nodes[j].id].y -= dy * push / Math.sqrt(distSq);
+      }
+    }
+
+    for (const edge of edges) {
+      const a = positions[edge.source];
+      const b = positions[edge.target];
+      const dx = b.x - a.x;
+      const dy = b.y - a.y;
+      forces[edge.source].x += dx * 0.02;
+      forces[edge.source].y += dy * 0.02;
+      forces[edge.target].x -= dx * 0.02;
+      forces[edge.target].y -= dy * 0.02;
+    }
+
+    for (const node of nodes) {
+      const p = positions[node.id];
+      p.x = Math.min(WIDTH - 20, Math.max(20, p.x + forces[node.id].x + (WIDTH / 2 - p.x) * 0.01));
+      p.y = Math.min(HEIGHT - 20, Math.max(20, p.y + forces[node.id].y + (HEIGHT / 2 - p.y) * 0.01));
+    }
+  }
+
+  return positions;
+};
+
+// Interactive neighborhood graph. Drag nodes to rearrange; click one to select it.
+const RelationshipGraph = ({ graph, onSelect }) => {
+  const svgRef = useRef(null);
+  const [positions, setPositions] = useState({});
+  const [dragging, setDragging] = useState(null);
+  const [hovered, setHovered] = useState(null);
+  const moved = useRef(false);
+
+  const initial = useMemo(() => layoutGraph(graph.nodes, graph.edges), [graph]);
+  useEffect(() => setPositions(initial), [initial]);
+
+  // Mouse position in SVG coordinates
+  const pointFor = (e) => {
+    const rect = svgRef.current.getBoundingClientRect();
+    return {
+      x: ((e.clientX - rect.left) / rect.width) * WIDTH,
+      y: ((e.clientY - rect.top) / rect.height) * HEIGHT,
+    };
+  };
+
+  const handleMouseMove = (e) => {
+    if (!dragging) return;
+    moved.current = true;
+    setPositions((current) => ({ ...current, [dragging]: pointFor(e) }));
+  };
+
+  const handleMouseUp = (node) => {
+    if (dragging && !moved.current && node) onSelect?.(node);
+    setDragging(null);
+  };
+
+  if (graph.nodes.length <= 1) {
+    return <p className="text-gray-400 text-sm">No related indicators yet.</p>;
+  }
+
+  return (
+    <div>
+      <svg
+        ref={svgRef}
+        viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+        className="w-full bg-gray-900 rounded-lg select-none"
+        onMouseMove={handleMouseMove}
+        onMouseUp={() => handleMouseUp(null)}
+        onMouseLeave={() => setDragging(null)}
+      >
+        {graph.edges.map(edge => {
+          const a = positions[edge.source];
+          const b = positions[edge.target];
+          if (!a || !b) return null;
+          return (
+            <g key={edge.id}>
+              <line x1={a.x} y1={a.y} x2={b.x} y2={b.y} stroke="#4b5563" strokeWidth="1.5" />
+              {(hovered === edge.source || hovered === edge.target) && (
+                <text x={(a.x + b.x) / 2} y={(a.y + b.y) / 2} fill="#9ca3af" fontSize="10" textAnchor="middle">
+                  {edge.type}
+                </text>
+              )}
+            </g>
+          );
+        })}
+        {graph.nodes.map(node => {
+          const p = positions[node.id];
+          if (!p) return null;
+          return (
+            <g
+              key={node.id}
+              transform={`translate(${p.x}, ${p.y})`}
+              className="cursor-pointer"
+              onMouseDown={(e) => {
+                e.stopPropagation();
+                moved.current = false;
+                setDragging(node.id);
+              }}
+              onMouseUp={(e) => {
+                e.stopPropagation();
+                handleMouseUp(node);
+              }}
+              onMouseEnter={() => setHovered(node.id)}
+              onMouseLeave={() => setHovered(null)}
+            >
+              <circle
+                r={node.depth === 0 ? 12 : 8}
+                fill={NODE_COLORS[node.type] || '#6b7280'}
+                stroke={node.threat ? '#f9fafb' : 'none'}
+                strokeWidth="2"
+              />
+              <text y="-14" fill="#e5e7eb" fontSize="11" textAnchor="middle">
+                {hovered === node.id ? node.value : truncate(node.value)}
+              </text>
+            </g>
+          );
+        })}
+      </svg>
+      <div className="flex flex-wrap gap-4 mt-3 text-xs text-gray-400">
+        {Object.entries(NODE_COLORS).map(([type, color]) => (
+          <span key={type} className="flex items-center space-x-1">
+            <span className="inline-block w-3 h-3 rounded-full" style={{ backgroundColor: color }} />
+            <span>{type}</span>
+          </span>
+        ))}
+        <span>White ring = known threat</span>
+        {graph.truncated && <span className="text-yellow-400">Graph truncated</span>}
+      </div>
+    </div>
+  );
+};
+
+export default RelationshipGraph;
+
+
 // ============================================
 // components/AlertCard.jsx
 // ============================================
 import React from 'react';
 
-const AlertCard = ({ alert, onDelete }) => {
+const deliveryColors = {
+  delivered: 'text-green-400',
+  failed: 'text-red-400',
+  pending: 'text-yellow-400',
+};
+
+const AlertCard = ({ alert, onDelete, onRotateSecret }) => {
   const statusColor = alert.isActive ? 'bg-green-600' : 'bg-gray-600';
+  const lastMatch = alert.recentMatches?.[0];
 
   return (
     <div className="bg-gray-800 rounded-lg p-4 border border-gray-700">
@@ -443,6 +1064,34 @@ const AlertCard = ({ alert, onDelete }) => {
           <span className="text-gray-500">Triggers:</span>
           <span className="text-gray-300 ml-2">{alert.triggerCount}</span>
         </div>
+        <div>
+          <span className="text-gray-500">Delivery:</span>
+          <span className="text-gray-300 ml-2">{alert.deliveryMethod}</span>
+        </div>
+        {alert.deliveryMethod !== 'email' && onRotateSecret && (
+          <div>
+            <button onClick={() => onRotateSecret(alert)} className="text-gray-400 hover:text-white">
+              Rotate webhook secret
+            </button>
+          </div>
+        )}
+        {alert.conditions.minRiskScore > 0 && (
+          <div>
+            <span className="text-gray-500">Risk:</span>
+            <span className="text-gray-300 ml-2">≥ {alert.conditions.minRiskScore}</span>
+          </div>
+        )}
+        {lastMatch && (
+          <div>
+            <span className="text-gray-500">Last:</span>
+            <span
+              className={`ml-2 ${deliveryColors[lastMatch.deliveryStatus] || 'text-gray-300'}`}
+              title={lastMatch.deliveryError || ''}
+            >
+              {lastMatch.deliveryStatus || (lastMatch.notified ? 'delivered' : 'pending')}
+            </span>
+          </div>
+        )}
       </div>
       
       {alert.conditions.severity?.length > 0 && (
@@ -465,11 +1114,13 @@ export default AlertCard;
 // pages/Login.jsx
 // ============================================
 import React, { useState, useEffect } from 'react';
-import { useNavigate } from 'react-router-dom';
+import { Link, useNavigate } from 'react-router-dom';
 import useThreatStore from '../store/useThreatStore';
+import { authAPI } from '../services/api';
 
 const Login = () => {
   const [isLogin, setIsLogin] = useState(true);
+  const [notice, setNotice] = useState(null);
   const [formData, setFormData] = useState({
     email: '',
     password: '',
@@ -478,7 +1129,11 @@ const Login = () => {
     company: '',
   });
   
-  const { login, register, loading, error, token, clearError } = useThreatStore();
+  const {
+    login, register, verifyTwoFactor, cancelTwoFactor, twoFactorChallenge,
+    loading, error, errorCode, token, clearError,
+  } = useThreatStore();
+  const [factor, setFactor] = useState({ useRecoveryCode: false, value: '' });
   const navigate = useNavigate();
 
   useEffect(() => {
@@ -493,15 +1148,35 @@ const Login = () => {
 
   const handleSubmit = async (e) => {
     e.preventDefault();
-    const success = isLogin 
-      ? await login({ email: formData.email, password: formData.password })
-      : await register(formData);
-    
-    if (success) {
-      navigate('/dashboard');
+    setNotice(null);
+
+    if (isLogin) {
+      const success = await login({ email: formData.email, password: formData.password });
+      if (success) navigate('/dashboard');
+      return;
+    }
+
+    const message = await register({ ...formData, name: `${formData.firstName} ${formData.lastName}`.trim() });
+    if (message) {
+      setNotice(message);
+      setIsLogin(true);
     }
   };
 
+  const handleTwoFactorSubmit = async (e) => {
+    e.preventDefault();
+    const success = await verifyTwoFactor(
+      factor.useRecoveryCode ? { recoveryCode: factor.value } : { code: factor.value }
+    );
+    if (success) navigate('/dashboard');
+  };
+
+  const handleResendVerification = async () => {
+    const response = await authAPI.resendVerification(formData.email);
+    clearError();
+    setNotice(response.data.message);
+  };
+
   return (
     <div className="min-h-screen bg-gray-950 flex items-center justify-center px-4">
       <div className="max-w-md w-full">
@@ -513,137 +1188,474 @@ const Login = () => {
           <p className="text-gray-400">Threat Intelligence Dashboard</p>
         </div>
 
-        <div className="bg-gray-900 rounded-xl p-8 border border-gray-800">
-          <div className="flex space-x-2 mb-6">
-            <button
-              onClick={() => setIsLogin(true)}
-              className={`flex-1 py-2 rounded-lg font-semibold transition ${
-                isLogin ? 'bg-red-600 text-white' : 'bg-gray-800 text-gray-400'
-              }`}
-            >
-              Login
-            </button>
-            <button
-              onClick={() => setIsLogin(false)}
-              className={`flex-1 py-2 rounded-lg font-semibold transition ${
-                !isLogin ? 'bg-red-600 text-white' : 'bg-gray-800 text-gray-400'
-              }`}
-            >
-              Register
-            </button>
-          </div>
+        {twoFactorChallenge ? (
+          <div className="bg-gray-900 rounded-xl p-8 border border-gray-800">
+            <h2 className="text-xl font-semibold text-white mb-2">Two-factor authentication</h2>
+            <p className="text-gray-400 text-sm mb-6">
+              {factor.useRecoveryCode
+                ? 'Enter one of your recovery codes. Each code works once.'
+                : 'Enter the 6-digit code from your authenticator app.'}
+            </p>
+
+            {error && (
+              <div className="mb-4 p-3 bg-red-900/30 border border-red-800 rounded-lg text-red-400 text-sm">
+                {error}
+              </div>
+            )}
+
+            <form onSubmit={handleTwoFactorSubmit} className="space-y-4">
+              <input
+                type="text"
+                inputMode={factor.useRecoveryCode ? 'text' : 'numeric'}
+                autoComplete="one-time-code"
+                placeholder={factor.useRecoveryCode ? 'xxxx-xxxx' : '123456'}
+                value={factor.value}
+                onChange={(e) => setFactor({ ...factor, value: e.target.value })}
+                className="w-full px-4 py-3 bg-gray-800 border border-gray-700 rounded-lg text-white placeholder-gray-500 focus:outline-none focus:border-red-600 font-mono tracking-widest"
+                autoFocus
+                required
+              />
+              <button
+                type="submit"
+                disabled={loading}
+                className="w-full py-3 bg-red-600 hover:bg-red-700 text-white font-semibold rounded-lg transition disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {loading ? 'Verifying...' : 'Verify'}
+              </button>
+            </form>
 
-          {error && (
-            <div className="mb-4 p-3 bg-red-900/30 border border-red-800 rounded-lg text-red-400 text-sm">
-              {error}
+            <div className="mt-4 flex justify-between text-sm">
+              <button
+                onClick={() => setFactor({ useRecoveryCode: !factor.useRecoveryCode, value: '' })}
+                className="text-gray-400 hover:text-white"
+              >
+                {factor.useRecoveryCode ? 'Use authenticator code' : 'Use a recovery code'}
+              </button>
+              <button onClick={cancelTwoFactor} className="text-gray-400 hover:text-white">
+                Back to login
+              </button>
+            </div>
+          </div>
+        ) : (
+          <div className="bg-gray-900 rounded-xl p-8 border border-gray-800">
+            <div className="flex space-x-2 mb-6">
+              <button
+                onClick={() => setIsLogin(true)}
+                className={`flex-1 py-2 rounded-lg font-semibold transition ${
+                  isLogin ? 'bg-red-600 text-white' : 'bg-gray-800 text-gray-400'
+                }`}
+              >
+                Login
+              </button>
+              <button
+                onClick={() => setIsLogin(false)}
+                className={`flex-1 py-2 rounded-lg font-semibold transition ${
+                  !isLogin ? 'bg-red-600 text-white' : 'bg-gray-800 text-gray-400'
+                }`}
+              >
+                Register
+              </button>
             </div>
-          )}
 
-          <form onSubmit={handleSubmit} className="space-y-4">
-            {!isLogin && (
-              <>
-                <div className="grid grid-cols-2 gap-4">
-                  <input
-                    type="text"
-                    placeholder="First Name"
-                    value={formData.firstName}
-                    onChange={(e) => setFormData({ ...formData, firstName: e.target.value })}
-                    className="w-full px-4 py-3 bg-gray-800 border border-gray-700 rounded-lg text-white placeholder-gray-500 focus:outline-none focus:border-red-600"
-                    required
-                  />
+            {notice && (
+              <div className="mb-4 p-3 bg-green-900/30 border border-green-800 rounded-lg text-green-400 text-sm">
+                {notice}
+              </div>
+            )}
+
+            {error && (
+              <div className="mb-4 p-3 bg-red-900/30 border border-red-800 rounded-lg text-red-400 text-sm">
+                {error}
+                {errorCode === 'EMAIL_NOT_VERIFIED' && (
+                  <button onClick={handleResendVerification} className="block mt-2 underline hover:text-red-300">
+                    Resend verification email
+                  </button>
+                )}
+              </div>
+            )}
+
+            <form onSubmit={handleSubmit} className="space-y-4">
+              {!isLogin && (
+                <>
+                  <div className="grid grid-cols-2 gap-4">
+                    <input
+                      type="text"
+                      placeholder="First Name"
+                      value={formData.firstName}
+                      onChange={(e) => setFormData({ ...formData, firstName: e.target.value })}
+                      className="w-full px-4 py-3 bg-gray-800 border border-gray-700 rounded-lg text-white placeholder-gray-500 focus:outline-none focus:border-red-600"
+                      required
+                    />
+                    <input
+                      type="text"
+                      placeholder="Last Name"
+                      value={formData.lastName}
+                      onChange={(e) => setFormData({ ...formData, lastName: e.target.value })}
+                      className="w-full px-4 py-3 bg-gray-800 border border-gray-700 rounded-lg text-white placeholder-gray-500 focus:outline-none focus:border-red-600"
+                      required
+                    />
+                  </div>
                   <input
                     type="text"
-                    placeholder="Last Name"
-                    value={formData.lastName}
-                    onChange={(e) => setFormData({ ...formData, lastName: e.target.value })}
+                    placeholder="Company (Optional)"
+                    value={formData.company}
+                    onChange={(e) => setFormData({ ...formData, company: e.target.value })}
                     className="w-full px-4 py-3 bg-gray-800 border border-gray-700 rounded-lg text-white placeholder-gray-500 focus:outline-none focus:border-red-600"
-                    required
                   />
-                </div>
-                <input
-                  type="text"
-                  placeholder="Company (Optional)"
-                  value={formData.company}
-                  onChange={(e) => setFormData({ ...formData, company: e.target.value })}
-                  className="w-full px-4 py-3 bg-gray-800 border border-gray-700 rounded-lg text-white placeholder-gray-500 focus:outline-none focus:border-red-600"
-                />
-              </>
-            )}
+                </>
+              )}
             
-            <input
+              <input
+                type="email"
+                placeholder="Email"
+                value={formData.email}
+                onChange={(e) => setFormData({ ...formData, email: e.target.value })}
+                className="w-full px-4 py-3 bg-gray-800 border border-gray-700 rounded-lg text-white placeholder-gray-500 focus:outline-none focus:border-red-600"
+                required
+              />
+            
+              <input
+                type="password"
+                placeholder="Password"
+                value={formData.password}
+                onChange={(e) => setFormData({ ...formData, password: e.target.value })}
+                className="w-full px-4 py-3 bg-gray-800 border border-gray-700 rounded-lg text-white placeholder-gray-500 focus:outline-none focus:border-red-600"
+                required
+              />
+
+              <button
+                type="submit"
+                disabled={loading}
+                className="w-full py-3 bg-red-600 hover:bg-red-700 text-white font-semibold rounded-lg transition disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {loading ? 'Processing...' : (isLogin ? 'Login' : 'Create Account')}
+              </button>
+            </form>
+
+            {isLogin && (
+              <div className="mt-4 text-center">
+                <Link to="/forgot-password" className="text-sm text-gray-400 hover:text-white">
+                  Forgot your password?
+                </Link>
+              </div>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Login;
+
+
+// ============================================
+// pages/ForgotPassword.jsx
+// ============================================
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { authAPI } from '../services/api';
+
+const ForgotPassword = () => {
+  const [email, setEmail] = useState('');
+  const [message, setMessage] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    try {
+      const response = await authAPI.forgotPassword(email);
+      setMessage(response.data.message);
+    } catch (error) {
+      setMessage(error.response?.data?.message || 'Something went wrong, please try again');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-950 flex items-center justify-center px-4">
+      <div className="max-w-md w-full bg-gray-900 rounded-xl p-8 border border-gray-800">
+        <h1 className="text-2xl font-bold text-white mb-2">Reset your password</h1>
+        <p className="text-gray-400 text-sm mb-6">We'll email you a link to choose a new password.</p>
+
+        {message ? (
+          <p className="p-3 bg-green-900/30 border border-green-800 rounded-lg text-green-400 text-sm">{message}</p>
+        ) : (
+          <form onSubmit={handleSubmit} className="space-y-4">
+            <input
               type="email"
               placeholder="Email"
-              value={formData.email}
-              onChange={(e) => setFormData({ ...formData, email: e.target.value })}
+              value={email}
+              onChange={(e) => setEmail(e.target.value)}
               className="w-full px-4 py-3 bg-gray-800 border border-gray-700 rounded-lg text-white placeholder-gray-500 focus:outline-none focus:border-red-600"
               required
             />
-            
+            <button
+              type="submit"
+              disabled={loading}
+              className="w-full py-3 bg-red-600 hover:bg-red-700 text-white font-semibold rounded-lg transition disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {loading ? 'Sending...' : 'Send reset link'}
+            </button>
+          </form>
+        )}
+
+        <Link to="/login" className="block mt-6 text-center text-sm text-gray-400 hover:text-white">
+          Back to login
+        </Link>
+      </div>
+    </div>
+  );
+};
+
+export default ForgotPassword;
+
+
+// ============================================
+// pages/ResetPassword.jsx
+// ============================================
+import React, { useState } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { authAPI } from '../services/api';
+
+const ResetPassword = () => {
+  const [searchParams] = useSearchParams();
+  const [password, setPassword] = useState('');
+  const [confirm, setConfirm] = useState('');
+  const [result, setResult] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (password !== confirm) {
+      setResult({ ok: false, message: 'Passwords do not match' });
+      return;
+    }
+
+    setLoading(true);
+    try {
+      const response = await authAPI.resetPassword(searchParams.get('token'), password);
+      setResult({ ok: true, message: response.data.message });
+    } catch (error) {
+      setResult({ ok: false, message: error.response?.data?.message || 'Password reset failed' });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-950 flex items-center justify-center px-4">
+      <div className="max-w-md w-full bg-gray-900 rounded-xl p-8 border border-gray-800">
+        <h1 className="text-2xl font-bold text-white mb-6">Choose a new password</h1>
+
+        {result && (
+          <p className={`mb-4 p-3 rounded-lg text-sm border ${
+            result.ok
+              ? 'bg-green-900/30 border-green-800 text-green-400'
+              : 'bg-red-900/30 border-red-800 text-red-400'
+          }`}>
+            {result.message}
+          </p>
+        )}
+
+        {!result?.ok && (
+          <form onSubmit={handleSubmit} className="space-y-4">
             <input
               type="password"
-              placeholder="Password"
-              value={formData.password}
-              onChange={(e) => setFormData({ ...formData, password: e.target.value })}
+              placeholder="New password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              minLength={6}
+              className="w-full px-4 py-3 bg-gray-800 border border-gray-700 rounded-lg text-white placeholder-gray-500 focus:outline-none focus:border-red-600"
+              required
+            />
+            <input
+              type="password"
+              placeholder="Confirm new password"
+              value={confirm}
+              onChange={(e) => setConfirm(e.target.value)}
               className="w-full px-4 py-3 bg-gray-800 border border-gray-700 rounded-lg text-white placeholder-gray-500 focus:outline-none focus:border-red-600"
               required
             />
-
             <button
               type="submit"
               disabled={loading}
               className="w-full py-3 bg-red-600 hover:bg-red-700 text-white font-semibold rounded-lg transition disabled:opacity-50 disabled:cursor-not-allowed"
             >
-              {loading ? 'Processing...' : (isLogin ? 'Login' : 'Create Account')}
+              {loading ? 'Saving...' : 'Update password'}
             </button>
           </form>
-        </div>
+        )}
+
+        <Link to="/login" className="block mt-6 text-center text-sm text-gray-400 hover:text-white">
+          Back to login
+        </Link>
       </div>
     </div>
   );
 };
 
-export default Login;
+export default ResetPassword;
+
+
+// ============================================
+// pages/AcceptInvite.jsx
+// ============================================
+import React, { useState } from 'react';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
+import useThreatStore from '../store/useThreatStore';
+
+const AcceptInvite = () => {
+  const [searchParams] = useSearchParams();
+  const navigate = useNavigate();
+  const { acceptInvite, loading, error } = useThreatStore();
+  const [password, setPassword] = useState('');
+  const [confirm, setConfirm] = useState('');
+  const [mismatch, setMismatch] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setMismatch(password !== confirm);
+    if (password !== confirm) return;
+
+    if (await acceptInvite(searchParams.get('token'), password)) {
+      navigate('/dashboard');
+    }
+  };
+
+  const message = mismatch ? 'Passwords do not match' : error;
+
+  return (
+    <div className="min-h-screen bg-gray-950 flex items-center justify-center px-4">
+      <div className="max-w-md w-full bg-gray-900 rounded-xl p-8 border border-gray-800">
+        <h1 className="text-2xl font-bold text-white mb-2">Welcome to ThreatView</h1>
+        <p className="text-gray-400 text-sm mb-6">Choose a password to finish setting up your account.</p>
+
+        {message && (
+          <p className="mb-4 p-3 rounded-lg text-sm border bg-red-900/30 border-red-800 text-red-400">
+            {message}
+          </p>
+        )}
+
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <input
+            type="password"
+            placeholder="Password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            minLength={6}
+            className="w-full px-4 py-3 bg-gray-800 border border-gray-700 rounded-lg text-white placeholder-gray-500 focus:outline-none focus:border-red-600"
+            required
+          />
+          <input
+            type="password"
+            placeholder="Confirm password"
+            value={confirm}
+            onChange={(e) => setConfirm(e.target.value)}
+            className="w-full px-4 py-3 bg-gray-800 border border-gray-700 rounded-lg text-white placeholder-gray-500 focus:outline-none focus:border-red-600"
+            required
+          />
+          <button
+            type="submit"
+            disabled={loading}
+            className="w-full py-3 bg-red-600 hover:bg-red-700 text-white font-semibold rounded-lg transition disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {loading ? 'Saving...' : 'Accept invitation'}
+          </button>
+        </form>
+
+        <Link to="/login" className="block mt-6 text-center text-sm text-gray-400 hover:text-white">
+          Back to login
+        </Link>
+      </div>
+    </div>
+  );
+};
+
+export default AcceptInvite;
+
+
+// ============================================
+// pages/VerifyEmail.jsx
+// ============================================
+import React, { useEffect, useState } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { authAPI } from '../services/api';
+
+const VerifyEmail = () => {
+  const [searchParams] = useSearchParams();
+  const [result, setResult] = useState(null);
+
+  useEffect(() => {
+    authAPI.verifyEmail(searchParams.get('token'))
+      .then((response) => setResult({ ok: true, message: response.data.message }))
+      .catch((error) => setResult({ ok: false, message: error.response?.data?.message || 'Verification failed' }));
+  }, [searchParams]);
+
+  return (
+    <div className="min-h-screen bg-gray-950 flex items-center justify-center px-4">
+      <div className="max-w-md w-full bg-gray-900 rounded-xl p-8 border border-gray-800 text-center">
+        <h1 className="text-2xl font-bold text-white mb-4">Email verification</h1>
+        <p className={result ? (result.ok ? 'text-green-400' : 'text-red-400') : 'text-gray-400'}>
+          {result ? result.message : 'Verifying...'}
+        </p>
+        <Link to="/login" className="block mt-6 text-sm text-gray-400 hover:text-white">
+          Go to login
+        </Link>
+      </div>
+    </div>
+  );
+};
+
+export default VerifyEmail;
 
 
 // ============================================
 // pages/Dashboard.jsx
 // ============================================
-import React, { useEffect } from 'react';
+import React, { useEffect, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
 import useThreatStore from '../store/useThreatStore';
-import { SeverityChart, MalwareFamilyChart } from '../components/ThreatChart';
+import { SeverityChart, MalwareFamilyChart, TrendChart } from '../components/ThreatChart';
 import WorldMap from '../components/WorldMap';
+import { RiskBadge } from '../components/RiskScore';
+
+// "US" -> 🇺🇸 (regional indicator symbols); anything else gets no flag
+const countryFlag = (code) =>
+  /^[A-Za-z]{2}$/.test(code || '')
+    ? String.fromCodePoint(...code.toUpperCase().split('').map(c => 0x1f1e6 + c.charCodeAt(0) - 65))
+    : undefined;
+
+const formatNumber = (n) => (n ?? 0).toLocaleString();
 
 const Dashboard = () => {
-  const { threats, threatStats, fetchThreats, fetchThreatStats, loading } = useThreatStore();
+  const { threats, threatStats, threatTrends, fetchThreats, fetchThreatStats, fetchThreatTrends, loading } = useThreatStore();
+  const [trendInterval, setTrendInterval] = useState('day');
+  const [trendGroupBy, setTrendGroupBy] = useState('severity');
+  const [threatSort, setThreatSort] = useState('-dateDetected');
+  const navigate = useNavigate();
 
   useEffect(() => {
-    fetchThreats({ limit: 10 });
     fetchThreatStats();
   }, []);
 
-  // Mock data for charts (replace with real data from threatStats)
-  const severityData = [
-    { name: 'Critical', count: 45 },
-    { name: 'High', count: 128 },
-    { name: 'Medium', count: 234 },
-    { name: 'Low', count: 89 },
-  ];
-
-  const malwareData = [
-    { name: 'Emotet', value: 89 },
-    { name: 'TrickBot', value: 67 },
-    { name: 'Qbot', value: 45 },
-    { name: 'IcedID', value: 34 },
-    { name: 'Other', value: 112 },
-  ];
-
-  const countryData = [
-    { name: 'Russia', count: 234, flag: '🇷🇺' },
-    { name: 'China', count: 189, flag: '🇨🇳' },
-    { name: 'USA', count: 145, flag: '🇺🇸' },
-    { name: 'Brazil', count: 98, flag: '🇧🇷' },
-    { name: 'India', count: 76, flag: '🇮🇳' },
-  ];
+  useEffect(() => {
+    fetchThreats({ limit: 10, sort: threatSort });
+  }, [threatSort]);
+
+  useEffect(() => {
+    fetchThreatTrends({ interval: trendInterval, groupBy: trendGroupBy || undefined });
+  }, [trendInterval, trendGroupBy]);
+
+  const severityData = threatStats?.bySeverity || [];
+
+  const malwareData = (threatStats?.topMalwareFamilies || []).map(m => ({ name: m.name, value: m.count }));
+
+  const countryData = (threatStats?.topCountries || []).map(c => ({ ...c, flag: countryFlag(c.name) }));
+
+  const weekChange = threatStats?.weekOverWeek?.changePct;
 
   return (
     <div className="p-6 space-y-6">
@@ -656,22 +1668,28 @@ const Dashboard = () => {
       <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
         <div className="bg-gray-800 rounded-lg p-6 border border-gray-700">
           <div className="text-gray-400 text-sm mb-1">Total Threats</div>
-          <div className="text-3xl font-bold text-white">2,847</div>
-          <div className="text-green-400 text-sm mt-2">↑ 12% from last week</div>
+          <div className="text-3xl font-bold text-white">{formatNumber(threatStats?.totalThreats)}</div>
+          <div className={`text-sm mt-2 ${weekChange > 0 ? 'text-red-400' : 'text-green-400'}`}>
+            {weekChange === null || weekChange === undefined
+              ? `${formatNumber(threatStats?.weekOverWeek?.thisWeek)} this week`
+              : `${weekChange >= 0 ? '↑' : '↓'} ${Math.abs(weekChange)}% from last week`}
+          </div>
         </div>
         <div className="bg-gray-800 rounded-lg p-6 border border-gray-700">
           <div className="text-gray-400 text-sm mb-1">Critical</div>
-          <div className="text-3xl font-bold text-red-400">45</div>
-          <div className="text-red-400 text-sm mt-2">↑ 8 new today</div>
+          <div className="text-3xl font-bold text-red-400">
+            {formatNumber(threatStats?.bySeverity?.find(s => s.name === 'Critical')?.count)}
+          </div>
+          <div className="text-red-400 text-sm mt-2">↑ {formatNumber(threatStats?.newToday?.critical)} new today</div>
         </div>
         <div className="bg-gray-800 rounded-lg p-6 border border-gray-700">
           <div className="text-gray-400 text-sm mb-1">Active Alerts</div>
-          <div className="text-3xl font-bold text-white">12</div>
-          <div className="text-gray-400 text-sm mt-2">3 triggered today</div>
+          <div className="text-3xl font-bold text-white">{formatNumber(threatStats?.alerts?.active)}</div>
+          <div className="text-gray-400 text-sm mt-2">{formatNumber(threatStats?.alerts?.triggeredToday)} triggered today</div>
         </div>
         <div className="bg-gray-800 rounded-lg p-6 border border-gray-700">
           <div className="text-gray-400 text-sm mb-1">Countries</div>
-          <div className="text-3xl font-bold text-white">87</div>
+          <div className="text-3xl font-bold text-white">{formatNumber(threatStats?.countries)}</div>
           <div className="text-gray-400 text-sm mt-2">Origins detected</div>
         </div>
       </div>
@@ -682,11 +1700,31 @@ const Dashboard = () => {
         <MalwareFamilyChart data={malwareData} />
       </div>
 
+      <TrendChart
+        data={threatTrends}
+        interval={trendInterval}
+        groupBy={trendGroupBy}
+        onIntervalChange={setTrendInterval}
+        onGroupByChange={setTrendGroupBy}
+      />
+
       <WorldMap threatsByCountry={countryData} />
 
       {/* Recent Threats Table */}
       <div className="bg-gray-800 rounded-lg p-6">
-        <h3 className="text-lg font-semibold text-white mb-4">Recent Threats</h3>
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-lg font-semibold text-white">
+            {threatSort === '-riskScore' ? 'Highest Risk Threats' : 'Recent Threats'}
+          </h3>
+          <select
+            value={threatSort}
+            onChange={(e) => setThreatSort(e.target.value)}
+            className="px-3 py-1 bg-gray-900 border border-gray-700 rounded text-white text-sm"
+          >
+            <option value="-dateDetected">Most recent</option>
+            <option value="-riskScore">Highest risk</option>
+          </select>
+        </div>
         <div className="overflow-x-auto">
           <table className="w-full">
             <thead className="border-b border-gray-700">
@@ -694,6 +1732,7 @@ const Dashboard = () => {
                 <th className="pb-3 font-semibold">Type</th>
                 <th className="pb-3 font-semibold">Value</th>
                 <th className="pb-3 font-semibold">Severity</th>
+                <th className="pb-3 font-semibold">Risk</th>
                 <th className="pb-3 font-semibold">Source</th>
                 <th className="pb-3 font-semibold">Country</th>
                 <th className="pb-3 font-semibold">Detected</th>
@@ -701,7 +1740,11 @@ const Dashboard = () => {
             </thead>
             <tbody className="text-gray-300 text-sm">
               {threats.slice(0, 10).map((threat, idx) => (
-                <tr key={idx} className="border-b border-gray-700 hover:bg-gray-750">
+                <tr
+                  key={idx}
+                  onClick={() => navigate(`/threats/${threat._id}`)}
+                  className="border-b border-gray-700 hover:bg-gray-750 cursor-pointer"
+                >
                   <td className="py-3">{threat.type}</td>
                   <td className="py-3 font-mono text-xs">{threat.value}</td>
                   <td className="py-3">
@@ -713,6 +1756,7 @@ const Dashboard = () => {
                       {threat.severity}
                     </span>
                   </td>
+                  <td className="py-3"><RiskBadge score={threat.riskScore} /></td>
                   <td className="py-3">{threat.source}</td>
                   <td className="py-3">{threat.country}</td>
                   <td className="py-3">{new Date(threat.dateDetected).toLocaleDateString()}</td>
@@ -733,11 +1777,143 @@ export default Dashboard;
 // pages/IoCSearch.jsx
 // ============================================
 import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
 import useThreatStore from '../store/useThreatStore';
+import ThreatActions from '../components/ThreatActions';
+
+const VERDICT_STYLES = {
+  malicious: 'bg-red-900 text-red-300',
+  suspicious: 'bg-yellow-900 text-yellow-300',
+  unknown: 'bg-gray-700 text-gray-300',
+};
+
+const csvCell = (value) => {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const exportBulkCSV = (results) => {
+  const header = ['indicator', 'type', 'verdict', 'severity', 'category', 'malwareFamily', 'sources', 'hitCount', 'lastSeen'];
+  const rows = results.map(r => [
+    r.indicator, r.type, r.verdict, r.severity, r.category, r.malwareFamily,
+    (r.sources || []).join(' '), r.hitCount, r.lastSeen,
+  ].map(csvCell).join(','));
+
+  const blob = new Blob([[header.join(','), ...rows].join('\n')], { type: 'text/csv' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `threatview-bulk-lookup-${Date.now()}.csv`;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+const BulkSearch = () => {
+  const [bulkText, setBulkText] = useState('');
+  const { bulkResults, bulkSearchIoC, loading } = useThreatStore();
+
+  const handleFile = (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => setBulkText(reader.result);
+    reader.readAsText(file);
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (bulkText.trim()) {
+      bulkSearchIoC(bulkText);
+    }
+  };
+
+  return (
+    <>
+      <form onSubmit={handleSubmit} className="bg-gray-800 rounded-lg p-6 space-y-4">
+        <textarea
+          placeholder="Paste indicators, one per line, CSV or free text (hxxp:// and [.] are fine)"
+          value={bulkText}
+          onChange={(e) => setBulkText(e.target.value)}
+          className="w-full h-48 px-4 py-3 bg-gray-900 border border-gray-700 rounded-lg text-white font-mono text-sm placeholder-gray-500 focus:outline-none focus:border-red-600"
+        />
+        <div className="flex items-center justify-between">
+          <input
+            type="file"
+            accept=".txt,.csv,text/plain,text/csv"
+            onChange={handleFile}
+            className="text-sm text-gray-400"
+          />
+          <button
+            type="submit"
+            disabled={loading}
+            className="px-8 py-3 bg-red-600 hover:bg-red-700 text-white font-semibold rounded-lg transition disabled:opacity-50"
+          >
+            {loading ? 'Looking up...' : 'Look Up All'}
+          </button>
+        </div>
+      </form>
+
+      {bulkResults && (
+        <div className="bg-gray-800 rounded-lg p-6">
+          <div className="flex items-center justify-between mb-4">
+            <div className="flex space-x-6 text-sm">
+              <div><span className="text-gray-400">Indicators:</span> <span className="text-white font-semibold">{bulkResults.total}</span></div>
+              <div><span className="text-gray-400">Hits:</span> <span className="text-red-400 font-semibold">{bulkResults.hits}</span></div>
+              <div><span className="text-gray-400">Misses:</span> <span className="text-green-400 font-semibold">{bulkResults.misses}</span></div>
+            </div>
+            <button
+              onClick={() => exportBulkCSV(bulkResults.results)}
+              disabled={bulkResults.total === 0}
+              className="px-4 py-2 bg-gray-700 hover:bg-gray-600 text-white rounded-lg text-sm transition disabled:opacity-50"
+            >
+              Export CSV
+            </button>
+          </div>
+          {bulkResults.truncated && (
+            <div className="mb-4 text-yellow-400 text-sm">Only the first {bulkResults.total} indicators were checked.</div>
+          )}
+          <div className="overflow-x-auto">
+            <table className="w-full">
+              <thead className="border-b border-gray-700">
+                <tr className="text-left text-gray-400 text-sm">
+                  <th className="pb-3 font-semibold">Indicator</th>
+                  <th className="pb-3 font-semibold">Type</th>
+                  <th className="pb-3 font-semibold">Verdict</th>
+                  <th className="pb-3 font-semibold">Severity</th>
+                  <th className="pb-3 font-semibold">Malware</th>
+                  <th className="pb-3 font-semibold">Sources</th>
+                </tr>
+              </thead>
+              <tbody className="text-gray-300 text-sm">
+                {bulkResults.results.map((row, idx) => (
+                  <tr key={idx} className="border-b border-gray-700">
+                    <td className="py-2 font-mono text-xs break-all">
+                      {row.threatIds?.length ? (
+                        <Link to={`/threats/${row.threatIds[0]}`} className="hover:text-white underline">{row.indicator}</Link>
+                      ) : row.indicator}
+                    </td>
+                    <td className="py-2">{row.type}</td>
+                    <td className="py-2">
+                      <span className={`px-2 py-1 rounded text-xs ${VERDICT_STYLES[row.verdict]}`}>{row.verdict}</span>
+                    </td>
+                    <td className="py-2">{row.severity || '-'}</td>
+                    <td className="py-2">{row.malwareFamily || '-'}</td>
+                    <td className="py-2">{(row.sources || []).join(', ') || '-'}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+    </>
+  );
+};
 
 const IoCSearch = () => {
+  const [mode, setMode] = useState('single');
   const [searchValue, setSearchValue] = useState('');
-  const { searchResults, searchIoC, loading } = useThreatStore();
+  const { searchResults, searchMeta, searchIoC, loading } = useThreatStore();
 
   const handleSearch = (e) => {
     e.preventDefault();
@@ -753,6 +1929,24 @@ const IoCSearch = () => {
         <p className="text-gray-400">Search for Indicators of Compromise</p>
       </div>
 
+      <div className="flex space-x-2">
+        {[['single', 'Single'], ['bulk', 'Bulk']].map(([key, label]) => (
+          <button
+            key={key}
+            onClick={() => setMode(key)}
+            className={`px-6 py-2 rounded-lg font-semibold transition ${
+              mode === key ? 'bg-red-600 text-white' : 'bg-gray-800 text-gray-400'
+            }`}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+
+      {mode === 'bulk' && <BulkSearch />}
+
+      {mode === 'single' && (
+      <>
       {/* Search Form */}
       <form onSubmit={handleSearch} className="bg-gray-800 rounded-lg p-6">
         <div className="flex space-x-4">
@@ -789,6 +1983,11 @@ const IoCSearch = () => {
             <div className="space-y-4">
               <h3 className="text-lg font-semibold text-white mb-4">
                 Found {searchResults.length} result(s)
+                {searchMeta?.type && (
+                  <span className="ml-3 text-sm font-normal text-gray-400">
+                    Detected as {searchMeta.type} ({searchMeta.kind})
+                  </span>
+                )}
               </h3>
               {searchResults.map((threat, idx) => (
                 <div key={idx} className="bg-gray-900 rounded-lg p-4 border border-gray-700">
@@ -804,14 +2003,29 @@ const IoCSearch = () => {
                         }`}>
                           {threat.severity}
                         </span>
+                        {threat.verified && (
+                          <span className="px-2 py-1 rounded text-xs bg-green-900 text-green-300">Verified</span>
+                        )}
+                        {!threat.isActive && (
+                          <span className="px-2 py-1 rounded text-xs bg-gray-700 text-gray-400">Inactive</span>
+                        )}
                       </div>
-                      <div className="font-mono text-gray-300 text-sm bg-gray-800 px-3 py-2 rounded inline-block">
+                      <Link
+                        to={`/threats/${threat._id}`}
+                        className="font-mono text-gray-300 hover:text-white text-sm bg-gray-800 px-3 py-2 rounded inline-block"
+                      >
                         {threat.value}
-                      </div>
+                      </Link>
                     </div>
                     <div className="text-right text-sm">
                       <div className="text-gray-400">Source</div>
                       <div className="text-white font-semibold">{threat.source}</div>
+                      {threat.matchType === 'text' && (
+                        <div className="text-gray-500 text-xs mt-1">text match</div>
+                      )}
+                      <div className="mt-2">
+                        <ThreatActions threat={threat} />
+                      </div>
                     </div>
                   </div>
                   
@@ -839,6 +2053,17 @@ const IoCSearch = () => {
                       <div className="text-gray-300">{new Date(threat.firstSeen).toLocaleDateString()}</div>
                     </div>
                   </div>
+
+                  {threat.sightings?.length > 0 && (
+                    <div className="mt-3 pt-3 border-t border-gray-700 text-sm">
+                      <div className="text-gray-500 mb-1">Sightings ({threat.hitCount})</div>
+                      {threat.sightings.map((s, i) => (
+                        <div key={i} className="text-gray-300">
+                          {s.source} · {new Date(s.firstSeen).toLocaleDateString()} – {new Date(s.lastSeen).toLocaleDateString()}
+                        </div>
+                      ))}
+                    </div>
+                  )}
                   
                   {threat.description && (
                     <div className="mt-3 pt-3 border-t border-gray-700">
@@ -861,6 +2086,8 @@ const IoCSearch = () => {
           )}
         </div>
       )}
+      </>
+      )}
     </div>
   );
 };
@@ -869,237 +2096,1565 @@ export default IoCSearch;
 
 
 // ============================================
-// pages/Alerts.jsx
+// pages/ThreatDetail.jsx
 // ============================================
 import React, { useEffect, useState } from 'react';
+import { Link, useNavigate, useParams } from 'react-router-dom';
 import useThreatStore from '../store/useThreatStore';
-import AlertCard from '../components/AlertCard';
+import { threatsAPI } from '../services/api';
+import ThreatActions from '../components/ThreatActions';
+import RelationshipGraph from '../components/RelationshipGraph';
+import { RiskBadge, RiskBreakdown } from '../components/RiskScore';
+
+const formatDate = (date) => (date ? new Date(date).toLocaleString() : '-');
+
+const Field = ({ label, children }) => (
+  <div>
+    <div className="text-gray-500 text-sm">{label}</div>
+    <div className="text-gray-200 break-words">{children ?? '-'}</div>
+  </div>
+);
 
-const Alerts = () => {
-  const { alerts, fetchAlerts, createAlert, deleteAlert, loading, user } = useThreatStore();
-  const [showCreateForm, setShowCreateForm] = useState(false);
-  const [formData, setFormData] = useState({
-    name: '',
-    description: '',
-    type: 'Any',
-    severity: [],
-    sources: [],
-    categories: [],
-  });
+// Relationship graph around the threat. Clicking a known threat opens it;
+// clicking anything else (e.g. a malware family) re-centres the graph on it.
+const ThreatGraph = ({ threatId }) => {
+  const navigate = useNavigate();
+  const [depth, setDepth] = useState(1);
+  const [center, setCenter] = useState(null);
+  const [graph, setGraph] = useState(null);
 
   useEffect(() => {
-    fetchAlerts();
-  }, []);
+    setCenter(null);
+  }, [threatId]);
 
-  const handleCreateAlert = async (e) => {
-    e.preventDefault();
-    const success = await createAlert({
-      ...formData,
-      conditions: {
-        type: formData.type,
-        severity: formData.severity,
-        sources: formData.sources,
-        categories: formData.categories,
-      },
+  useEffect(() => {
+    const request = center
+      ? threatsAPI.getIndicatorGraph({ type: center.type, value: center.value, depth })
+      : threatsAPI.getGraph(threatId, depth);
+    request.then((response) => setGraph(response.data)).catch(() => setGraph(null));
+  }, [threatId, center, depth]);
+
+  const handleSelect = (node) => {
+    if (node.threat && node.threat._id !== threatId) navigate(`/threats/${node.threat._id}`);
+    else if (!node.threat) setCenter(node);
+  };
+
+  return (
+    <div className="bg-gray-800 rounded-lg p-6">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-lg font-semibold text-white">
+          Related Indicators
+          {center && <span className="ml-2 text-sm font-normal text-gray-400">around {center.value}</span>}
+        </h3>
+        <div className="flex items-center space-x-3 text-sm">
+          {center && (
+            <button onClick={() => setCenter(null)} className="text-gray-400 hover:text-white">Reset</button>
+          )}
+          <select
+            value={depth}
+            onChange={(e) => setDepth(Number(e.target.value))}
+            className="px-3 py-1 bg-gray-900 border border-gray-700 rounded text-white"
+          >
+            {[1, 2, 3].map(d => <option key={d} value={d}>{d} hop{d > 1 ? 's' : ''}</option>)}
+          </select>
+        </div>
+      </div>
+      {graph ? <RelationshipGraph graph={graph} onSelect={handleSelect} /> : <p className="text-gray-400 text-sm">Loading...</p>}
+    </div>
+  );
+};
+
+const ThreatDetail = () => {
+  const { id } = useParams();
+  const { selectedThreat: threat, fetchThreat, loading, error } = useThreatStore();
+
+  useEffect(() => {
+    fetchThreat(id);
+  }, [id]);
+
+  if (loading && !threat) return <div className="p-6 text-gray-400">Loading...</div>;
+  if (!threat) {
+    return (
+      <div className="p-6">
+        <p className="text-red-400 mb-4">{error || 'Threat not found'}</p>
+        <Link to="/search" className="text-gray-400 hover:text-white">← Back to search</Link>
+      </div>
+    );
+  }
+
+  // Oldest first, so the timeline reads top to bottom
+  const sightings = [...(threat.sightings || [])].sort((a, b) => new Date(a.firstSeen) - new Date(b.firstSeen));
+
+  return (
+    <div className="p-6 space-y-6">
+      <div className="flex items-start justify-between">
+        <div>
+          <div className="flex items-center space-x-2 mb-2">
+            <h2 className="text-2xl font-bold text-white">{threat.type}</h2>
+            <span className={`px-2 py-1 rounded text-xs ${
+              threat.severity === 'Critical' ? 'bg-red-900 text-red-300' :
+              threat.severity === 'High' ? 'bg-orange-900 text-orange-300' :
+              threat.severity === 'Medium' ? 'bg-yellow-900 text-yellow-300' :
+              'bg-gray-700 text-gray-300'
+            }`}>
+              {threat.severity}
+            </span>
+            {threat.verified && <span className="px-2 py-1 rounded text-xs bg-green-900 text-green-300">Verified</span>}
+            {!threat.isActive && <span className="px-2 py-1 rounded text-xs bg-gray-700 text-gray-400">Inactive</span>}
+          </div>
+          <div className="font-mono text-gray-200 bg-gray-800 px-3 py-2 rounded inline-block break-all">{threat.value}</div>
+        </div>
+        <ThreatActions threat={threat} />
+      </div>
+
+      <div className="bg-gray-800 rounded-lg p-6 grid grid-cols-2 md:grid-cols-4 gap-6">
+        <Field label="Source">{threat.source}</Field>
+        <Field label="Source ID">{threat.sourceId}</Field>
+        <Field label="Category">{threat.category}</Field>
+        <Field label="Malware Family">{threat.malwareFamily}</Field>
+        <Field label="Confidence">
+          {threat.confidence}%
+          {threat.baseConfidence != null && (
+            <span className="text-gray-400 text-sm"> (aged from {threat.baseConfidence}%)</span>
+          )}
+        </Field>
+        <Field label="Hit Count">{threat.hitCount}</Field>
+        <Field label="Risk Score"><RiskBadge score={threat.riskScore} /></Field>
+        <Field label="Country">{threat.country}</Field>
+        <Field label="City">{threat.city}</Field>
+        <Field label="ASN">{threat.asn}</Field>
+        <Field label="ASN Name">{threat.asnName}</Field>
+        <Field label="Detected">{formatDate(threat.dateDetected)}</Field>
+        <Field label="First Seen">{formatDate(threat.firstSeen)}</Field>
+        <Field label="Last Seen">{formatDate(threat.lastSeen)}</Field>
+        <Field label="Added">{formatDate(threat.createdAt)}</Field>
+        <Field label="Updated">{formatDate(threat.updatedAt)}</Field>
+      </div>
+
+      <RiskBreakdown threat={threat} />
+
+      {threat.description && (
+        <div className="bg-gray-800 rounded-lg p-6">
+          <h3 className="text-lg font-semibold text-white mb-2">Description</h3>
+          <p className="text-gray-300">{threat.description}</p>
+        </div>
+      )}
+
+      {threat.tags?.length > 0 && (
+        <div className="flex flex-wrap gap-2">
+          {threat.tags.map((tag, i) => (
+            <span key={i} className="px-2 py-1 bg-gray-700 text-gray-300 rounded text-xs">{tag}</span>
+          ))}
+        </div>
+      )}
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+        <div className="bg-gray-800 rounded-lg p-6">
+          <h3 className="text-lg font-semibold text-white mb-4">Sightings</h3>
+          {sightings.length === 0 ? (
+            <p className="text-gray-400 text-sm">No sightings recorded.</p>
+          ) : (
+            <ol className="relative border-l border-gray-600 ml-2 space-y-4">
+              {sightings.map((s, i) => (
+                <li key={i} className="ml-4">
+                  <span className="absolute -left-1.5 mt-1.5 w-3 h-3 rounded-full bg-red-600" />
+                  <div className="text-white font-semibold">{s.source}</div>
+                  <div className="text-gray-400 text-sm">
+                    {formatDate(s.firstSeen)} – {formatDate(s.lastSeen)}
+                  </div>
+                  {s.sourceId && <div className="text-gray-500 text-xs font-mono">{s.sourceId}</div>}
+                </li>
+              ))}
+            </ol>
+          )}
+        </div>
+
+        <div className="bg-gray-800 rounded-lg p-6 space-y-6">
+          <div>
+            <h3 className="text-lg font-semibold text-white mb-4">References</h3>
+            {threat.references?.length ? (
+              <ul className="space-y-2">
+                {threat.references.map((ref, i) => (
+                  <li key={i}>
+                    {/* Only web links are clickable; anything else is shown as text */}
+                    {/^https?:\/\//i.test(ref.url || '') ? (
+                      <a href={ref.url} target="_blank" rel="noopener noreferrer" className="text-red-400 hover:text-red-300 break-all">
+                        {ref.title || ref.url}
+                      </a>
+                    ) : (
+                      <span className="text-gray-400 break-all">{ref.url}</span>
+                    )}
+                  </li>
+                ))}
+              </ul>
+            ) : (
+              <p className="text-gray-400 text-sm">No references.</p>
+            )}
+          </div>
+
+          <div>
+            <h3 className="text-lg font-semibold text-white mb-4">Analyst Reports</h3>
+            {threat.reportedBy?.length ? (
+              <ul className="space-y-3">
+                {threat.reportedBy.map((report, i) => (
+                  <li key={i} className="text-sm">
+                    <div className="text-white">
+                      {report.userId?.name || 'Unknown analyst'}
+                      <span className="ml-2 text-gray-500">{formatDate(report.timestamp)}</span>
+                    </div>
+                    {report.notes && <div className="text-gray-400">{report.notes}</div>}
+                  </li>
+                ))}
+              </ul>
+            ) : (
+              <p className="text-gray-400 text-sm">Not reported by any analyst.</p>
+            )}
+          </div>
+        </div>
+      </div>
+
+      <ThreatGraph threatId={threat._id} />
+
+      <details className="bg-gray-800 rounded-lg p-6">
+        <summary className="text-lg font-semibold text-white cursor-pointer">Raw source data</summary>
+        <pre className="mt-4 p-4 bg-gray-900 rounded text-xs text-gray-300 overflow-x-auto">
+          {threat.rawData ? JSON.stringify(threat.rawData, null, 2) : 'No raw data stored for this threat.'}
+        </pre>
+      </details>
+    </div>
+  );
+};
+
+export default ThreatDetail;
+
+
+// ============================================
+// pages/ReportIoC.jsx
+// ============================================
+import React, { useState } from 'react';
+import useThreatStore from '../store/useThreatStore';
+import { threatsAPI } from '../services/api';
+
+const SEVERITIES = ['Critical', 'High', 'Medium', 'Low', 'Info'];
+const CATEGORIES = ['Malware', 'Phishing', 'C2', 'Scanning', 'Spam', 'Botnet', 'Ransomware', 'APT', 'Other'];
+
+const EMPTY_FORM = {
+  value: '',
+  severity: 'Medium',
+  confidence: 50,
+  category: 'Other',
+  malwareFamily: '',
+  tags: '',
+  references: '',
+  description: '',
+  notes: '',
+};
+
+// Upload a MISP event JSON file; its attributes go through the same dedup as feeds
+const MispImport = () => {
+  const [importing, setImporting] = useState(false);
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState(null);
+
+  const handleFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    setImporting(true);
+    setResult(null);
+    setError(null);
+    try {
+      const response = await threatsAPI.importMisp(JSON.parse(await file.text()));
+      setResult(response.data);
+    } catch (err) {
+      setError(err.response?.data?.message || (err instanceof SyntaxError ? 'File is not valid JSON' : 'Import failed'));
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  return (
+    <div className="bg-gray-800 rounded-lg p-6 space-y-4">
+      <div>
+        <h3 className="text-lg font-semibold text-white">Import MISP Event</h3>
+        <p className="text-gray-400 text-sm">
+          Attributes, tags, galaxies and sightings are imported. Importing the same event again updates it.
+        </p>
+      </div>
+
+      <label className="inline-block px-4 py-2 bg-gray-700 hover:bg-gray-600 text-white rounded-lg text-sm transition cursor-pointer">
+        {importing ? 'Importing...' : 'Choose MISP JSON file'}
+        <input type="file" accept=".json,application/json" onChange={handleFile} disabled={importing} className="hidden" />
+      </label>
+
+      {result && (
+        <div className="p-4 bg-green-900/30 border border-green-800 rounded-lg text-green-400 text-sm">
+          {result.parsed} indicators: {result.created} new, {result.merged} merged, {result.refreshed} refreshed
+          {result.failed > 0 && `, ${result.failed} failed`}
+        </div>
+      )}
+      {error && (
+        <div className="p-4 bg-red-900/30 border border-red-800 rounded-lg text-red-400 text-sm">{error}</div>
+      )}
+    </div>
+  );
+};
+
+const ReportIoC = () => {
+  const { reportThreat, loading, error } = useThreatStore();
+  const [formData, setFormData] = useState(EMPTY_FORM);
+  const [result, setResult] = useState(null);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const data = await reportThreat({
+      ...formData,
+      // One reference URL per line; the type is detected from the value
+      references: formData.references.split('\n').map(r => r.trim()).filter(Boolean),
+    });
+    if (data) {
+      setResult(data);
+      setFormData(EMPTY_FORM);
+    }
+  };
+
+  const field = (name) => ({
+    value: formData[name],
+    onChange: (e) => setFormData({ ...formData, [name]: e.target.value }),
+    className: 'w-full px-4 py-2 bg-gray-900 border border-gray-700 rounded-lg text-white focus:outline-none focus:border-red-500',
+  });
+
+  return (
+    <div className="p-6 space-y-6">
+      <div>
+        <h2 className="text-2xl font-bold text-white mb-2">Report IoC</h2>
+        <p className="text-gray-400">
+          Submit an indicator you've observed. If it's already known, your report is added to the existing threat.
+        </p>
+      </div>
+
+      {result && (
+        <div className="p-4 bg-green-900/30 border border-green-800 rounded-lg text-green-400 text-sm">
+          {result.message}: <span className="font-mono">{result.threat.value}</span> ({result.threat.type})
+        </div>
+      )}
+      {error && (
+        <div className="p-4 bg-red-900/30 border border-red-800 rounded-lg text-red-400 text-sm">{error}</div>
+      )}
+
+      <form onSubmit={handleSubmit} className="bg-gray-800 rounded-lg p-6 space-y-4">
+        <div>
+          <label className="block text-gray-400 text-sm mb-2">Indicator</label>
+          <input type="text" placeholder="IP, domain, URL, email or file hash" required {...field('value')} />
+        </div>
+
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          <div>
+            <label className="block text-gray-400 text-sm mb-2">Severity</label>
+            <select {...field('severity')}>
+              {SEVERITIES.map(s => <option key={s} value={s}>{s}</option>)}
+            </select>
+          </div>
+          <div>
+            <label className="block text-gray-400 text-sm mb-2">Category</label>
+            <select {...field('category')}>
+              {CATEGORIES.map(c => <option key={c} value={c}>{c}</option>)}
+            </select>
+          </div>
+          <div>
+            <label className="block text-gray-400 text-sm mb-2">Confidence ({formData.confidence})</label>
+            <input type="range" min="0" max="100" {...field('confidence')} className="w-full mt-3" />
+          </div>
+        </div>
+
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <div>
+            <label className="block text-gray-400 text-sm mb-2">Malware Family</label>
+            <input type="text" placeholder="e.g. Emotet" {...field('malwareFamily')} />
+          </div>
+          <div>
+            <label className="block text-gray-400 text-sm mb-2">Tags</label>
+            <input type="text" placeholder="comma separated" {...field('tags')} />
+          </div>
+        </div>
+
+        <div>
+          <label className="block text-gray-400 text-sm mb-2">References</label>
+          <textarea rows={2} placeholder="One URL per line" {...field('references')} />
+        </div>
+
+        <div>
+          <label className="block text-gray-400 text-sm mb-2">Description</label>
+          <textarea rows={2} {...field('description')} />
+        </div>
+
+        <div>
+          <label className="block text-gray-400 text-sm mb-2">Analyst Notes</label>
+          <textarea rows={3} placeholder="How and where you observed it" {...field('notes')} />
+        </div>
+
+        <button
+          type="submit"
+          disabled={loading}
+          className="px-6 py-2 bg-red-600 hover:bg-red-700 text-white font-semibold rounded-lg transition disabled:opacity-50"
+        >
+          {loading ? 'Submitting...' : 'Submit Report'}
+        </button>
+      </form>
+
+      <MispImport />
+    </div>
+  );
+};
+
+export default ReportIoC;
+
+
+// ============================================
+// pages/Alerts.jsx
+// ============================================
+import React, { useEffect, useState } from 'react';
+import useThreatStore from '../store/useThreatStore';
+import { alertsAPI } from '../services/api';
+import AlertCard from '../components/AlertCard';
+
+const Alerts = () => {
+  const { alerts, fetchAlerts, createAlert, deleteAlert, loading, error, user, usage, fetchUsage } = useThreatStore();
+  const [showCreateForm, setShowCreateForm] = useState(false);
+  // { name, secret } of a webhook secret to show once
+  const [newSecret, setNewSecret] = useState(null);
+  const [formData, setFormData] = useState({
+    name: '',
+    description: '',
+    type: 'Any',
+    severity: [],
+    sources: [],
+    categories: [],
+    minRiskScore: 0,
+    deliveryMethod: 'email',
+    webhookUrl: '',
+  });
+
+  useEffect(() => {
+    fetchAlerts();
+    fetchUsage();
+  }, []);
+
+  const handleCreateAlert = async (e) => {
+    e.preventDefault();
+    const result = await createAlert({
+      ...formData,
+      conditions: {
+        type: formData.type,
+        severity: formData.severity,
+        sources: formData.sources,
+        categories: formData.categories,
+        minRiskScore: formData.minRiskScore || undefined,
+      },
+    });
+    
+    if (result) {
+      if (result.alert.deliveryMethod !== 'email') {
+        setNewSecret({ name: result.alert.name, secret: result.webhookSecret });
+      }
+      setShowCreateForm(false);
+      setFormData({
+        name: '',
+        description: '',
+        type: 'Any',
+        severity: [],
+        sources: [],
+        categories: [],
+        minRiskScore: 0,
+        deliveryMethod: 'email',
+        webhookUrl: '',
+      });
+    }
+  };
+
+  const handleRotateSecret = async (alert) => {
+    if (!window.confirm(`Rotate the webhook secret for "${alert.name}"? Receivers must switch to the new secret.`)) return;
+    const response = await alertsAPI.rotateSecret(alert._id);
+    setNewSecret({ name: alert.name, secret: response.data.webhookSecret });
+  };
+
+  const handleCheckboxChange = (field, value) => {
+    setFormData(prev => ({
+      ...prev,
+      [field]: prev[field].includes(value)
+        ? prev[field].filter(v => v !== value)
+        : [...prev[field], value]
+    }));
+  };
+
+  // Tier limits come from the server, which also enforces them
+  const maxAlerts = usage?.limits?.maxAlerts;
+  const alertLimit = maxAlerts === null || maxAlerts === undefined ? Infinity : maxAlerts;
+  const canCreateMore = alerts.length < alertLimit;
+
+  return (
+    <div className="p-6 space-y-6">
+      <div className="flex items-center justify-between">
+        <div>
+          <h2 className="text-2xl font-bold text-white mb-2">Alerts</h2>
+          <p className="text-gray-400">
+            Manage threat alerts ({alerts.length}/{alertLimit === Infinity ? '∞' : alertLimit} alerts)
+          </p>
+        </div>
+        <button
+          onClick={() => setShowCreateForm(true)}
+          disabled={!canCreateMore}
+          className="px-6 py-3 bg-red-600 hover:bg-red-700 text-white font-semibold rounded-lg transition disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          + Create Alert
+        </button>
+      </div>
+
+      {!canCreateMore && (
+        <div className="bg-yellow-900/30 border border-yellow-800 rounded-lg p-4">
+          <div className="text-yellow-400 font-semibold mb-1">Alert Limit Reached</div>
+          <div className="text-yellow-300 text-sm">
+            Upgrade to {user?.tier === 'Free' ? 'Pro' : 'Business'} to create more alerts
+          </div>
+        </div>
+      )}
+
+      {newSecret && (
+        <div className="bg-green-900/40 border border-green-700 rounded-lg p-4">
+          <p className="text-green-300 text-sm mb-2">
+            Webhook signing secret for "{newSecret.name}". Copy it now. It won't be shown again.
+          </p>
+          <div className="flex items-center space-x-3">
+            <code className="flex-1 bg-gray-900 text-white px-3 py-2 rounded font-mono text-sm break-all">{newSecret.secret}</code>
+            <button
+              onClick={() => navigator.clipboard.writeText(newSecret.secret)}
+              className="px-3 py-2 bg-gray-700 hover:bg-gray-600 text-white rounded text-sm"
+            >
+              Copy
+            </button>
+            <button onClick={() => setNewSecret(null)} className="text-gray-400 hover:text-white text-sm">
+              Dismiss
+            </button>
+          </div>
+        </div>
+      )}
+
+      {/* Create Alert Modal */}
+      {showCreateForm && (
+        <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4">
+          <div className="bg-gray-900 rounded-xl max-w-2xl w-full max-h-[90vh] overflow-y-auto p-6 border border-gray-800">
+            <div className="flex items-center justify-between mb-6">
+              <h3 className="text-xl font-bold text-white">Create New Alert</h3>
+              <button
+                onClick={() => setShowCreateForm(false)}
+                className="text-gray-400 hover:text-white text-2xl"
+              >
+                ×
+              </button>
+            </div>
+
+            <form onSubmit={handleCreateAlert} className="space-y-4">
+              <div>
+                <label className="block text-gray-300 text-sm font-semibold mb-2">
+                  Alert Name
+                </label>
+                <input
+                  type="text"
+                  value={formData.name}
+                  onChange={(e) => setFormData({ ...formData, name: e.target.value })}
+                  className="w-full px-4 py-2 bg-gray-800 border border-gray-700 rounded-lg text-white focus:outline-none focus:border-red-600"
+                  required
+                />
+              </div>
+
+              <div>
+                <label className="block text-gray-300 text-sm font-semibold mb-2">
+                  Description
+                </label>
+                <textarea
+                  value={formData.description}
+                  onChange={(e) => setFormData({ ...formData, description: e.target.value })}
+                  className="w-full px-4 py-2 bg-gray-800 border border-gray-700 rounded-lg text-white focus:outline-none focus:border-red-600 h-20"
+                />
+              </div>
+
+              <div>
+                <label className="block text-gray-300 text-sm font-semibold mb-2">
+                  IoC Type
+                </label>
+                <select
+                  value={formData.type}
+                  onChange={(e) => setFormData({ ...formData, type: e.target.value })}
+                  className="w-full px-4 py-2 bg-gray-800 border border-gray-700 rounded-lg text-white focus:outline-none focus:border-red-600"
+                >
+                  <option>Any</option>
+                  <option>IP</option>
+                  <option>Domain</option>
+                  <option>URL</option>
+                  <option>Hash</option>
+                  <option>Email</option>
+                </select>
+              </div>
+
+              <div>
+                <label className="block text-gray-300 text-sm font-semibold mb-2">
+                  Severity Levels
+                </label>
+                <div className="grid grid-cols-2 gap-2">
+                  {['Critical', 'High', 'Medium', 'Low'].map(sev => (
+                    <label key={sev} className="flex items-center space-x-2 text-gray-300">
+                      <input
+                        type="checkbox"
+                        checked={formData.severity.includes(sev)}
+                        onChange={() => handleCheckboxChange('severity', sev)}
+                        className="rounded bg-gray-800 border-gray-700"
+                      />
+                      <span>{sev}</span>
+                    </label>
+                  ))}
+                </div>
+              </div>
+
+              <div>
+                <label className="block text-gray-300 text-sm font-semibold mb-2">
+                  Sources
+                </label>
+                <div className="grid grid-cols-2 gap-2">
+                  {['AlienVault', 'PhishTank', 'AbuseIPDB', 'URLhaus'].map(src => (
+                    <label key={src} className="flex items-center space-x-2 text-gray-300">
+                      <input
+                        type="checkbox"
+                        checked={formData.sources.includes(src)}
+                        onChange={() => handleCheckboxChange('sources', src)}
+                        className="rounded bg-gray-800 border-gray-700"
+                      />
+                      <span>{src}</span>
+                    </label>
+                  ))}
+                </div>
+              </div>
+
+              <div>
+                <label className="block text-gray-300 text-sm font-semibold mb-2">
+                  Minimum Risk Score ({formData.minRiskScore || 'any'})
+                </label>
+                <input
+                  type="range"
+                  min="0"
+                  max="100"
+                  step="5"
+                  value={formData.minRiskScore}
+                  onChange={(e) => setFormData({ ...formData, minRiskScore: Number(e.target.value) })}
+                  className="w-full"
+                />
+              </div>
+
+              <div>
+                <label className="block text-gray-300 text-sm font-semibold mb-2">
+                  Delivery
+                </label>
+                <select
+                  value={formData.deliveryMethod}
+                  onChange={(e) => setFormData({ ...formData, deliveryMethod: e.target.value })}
+                  className="w-full px-4 py-2 bg-gray-800 border border-gray-700 rounded-lg text-white focus:outline-none focus:border-red-600"
+                >
+                  <option value="email">Email</option>
+                  <option value="webhook">Webhook</option>
+                  <option value="both">Email + Webhook</option>
+                </select>
+              </div>
+
+              {formData.deliveryMethod !== 'email' && (
+                <div>
+                  <label className="block text-gray-300 text-sm font-semibold mb-2">
+                    Webhook URL
+                  </label>
+                  <input
+                    type="url"
+                    value={formData.webhookUrl}
+                    onChange={(e) => setFormData({ ...formData, webhookUrl: e.target.value })}
+                    placeholder="https://hooks.example.com/threatview"
+                    className="w-full px-4 py-2 bg-gray-800 border border-gray-700 rounded-lg text-white focus:outline-none focus:border-red-600"
+                    required
+                  />
+                  <p className="text-gray-500 text-xs mt-1">
+                    Must be https on a public host. Requests are signed with a secret shown once after you create the alert.
+                  </p>
+                </div>
+              )}
+
+              {error && <p className="text-red-400 text-sm">{error}</p>}
+
+              <div className="flex space-x-3 pt-4">
+                <button
+                  type="submit"
+                  disabled={loading}
+                  className="flex-1 py-3 bg-red-600 hover:bg-red-700 text-white font-semibold rounded-lg transition disabled:opacity-50"
+                >
+                  {loading ? 'Creating...' : 'Create Alert'}
+                </button>
+                <button
+                  type="button"
+                  onClick={() => setShowCreateForm(false)}
+                  className="flex-1 py-3 bg-gray-800 hover:bg-gray-700 text-white font-semibold rounded-lg transition"
+                >
+                  Cancel
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+
+      {/* Alerts List */}
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+        {alerts.map(alert => (
+          <AlertCard key={alert._id} alert={alert} onDelete={deleteAlert} onRotateSecret={handleRotateSecret} />
+        ))}
+      </div>
+
+      {alerts.length === 0 && (
+        <div className="bg-gray-800 rounded-lg p-12 text-center">
+          <div className="text-6xl mb-4">🔔</div>
+          <div className="text-xl font-semibold text-white mb-2">No Alerts Yet</div>
+          <div className="text-gray-400 mb-4">Create your first alert to get notified about threats</div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Alerts;
+
+
+// ============================================
+// pages/Profile.jsx
+// ============================================
+import React, { useEffect, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import useThreatStore from '../store/useThreatStore';
+import { authAPI } from '../services/api';
+
+const TwoFactorSettings = () => {
+  const { user, fetchCurrentUser } = useThreatStore();
+  const [setup, setSetup] = useState(null);
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [form, setForm] = useState({ code: '', password: '' });
+  const [message, setMessage] = useState(null);
+
+  const enabled = user?.twoFactor?.enabled;
+
+  // Wrap an API call: show the server's error, clear the form on success
+  const run = async (request) => {
+    setMessage(null);
+    try {
+      const response = await request();
+      setForm({ code: '', password: '' });
+      return response.data;
+    } catch (error) {
+      setMessage(error.response?.data?.message || 'Request failed');
+      return null;
+    }
+  };
+
+  const handleStart = async () => {
+    const data = await run(() => authAPI.setupTwoFactor());
+    if (data) setSetup(data);
+  };
+
+  const handleEnable = async (e) => {
+    e.preventDefault();
+    const data = await run(() => authAPI.enableTwoFactor(form.code));
+    if (data) {
+      setSetup(null);
+      setRecoveryCodes(data.recoveryCodes);
+      fetchCurrentUser();
+    }
+  };
+
+  const handleRegenerate = async () => {
+    const data = await run(() => authAPI.regenerateRecoveryCodes(form.code));
+    if (data) setRecoveryCodes(data.recoveryCodes);
+  };
+
+  const handleDisable = async () => {
+    const data = await run(() => authAPI.disableTwoFactor({ code: form.code, password: form.password }));
+    if (data) {
+      setRecoveryCodes(null);
+      fetchCurrentUser();
+    }
+  };
+
+  const inputClass = 'px-4 py-2 bg-gray-900 border border-gray-700 rounded-lg text-white focus:outline-none focus:border-red-500';
+
+  return (
+    <div className="bg-gray-800 rounded-lg p-6 space-y-4">
+      <div className="flex items-center justify-between">
+        <h3 className="text-lg font-semibold text-white">Two-Factor Authentication</h3>
+        <span className={`px-2 py-1 rounded-full text-xs text-white ${enabled ? 'bg-green-600' : 'bg-gray-600'}`}>
+          {enabled ? 'Enabled' : 'Off'}
+        </span>
+      </div>
+
+      {user?.twoFactorSetupRequired && (
+        <p className="p-3 bg-yellow-900/30 border border-yellow-700 rounded-lg text-yellow-300 text-sm">
+          Your administrator requires two-factor authentication. Set it up to continue using ThreatView.
+        </p>
+      )}
+      {message && <p className="text-red-400 text-sm">{message}</p>}
+
+      {recoveryCodes && (
+        <div className="bg-gray-900 rounded-lg p-4 border border-gray-700">
+          <p className="text-gray-300 text-sm mb-3">
+            Save these recovery codes somewhere safe. Each one can be used once if you lose your authenticator.
+          </p>
+          <div className="grid grid-cols-2 gap-2 font-mono text-white">
+            {recoveryCodes.map(code => <span key={code}>{code}</span>)}
+          </div>
+        </div>
+      )}
+
+      {!enabled && !setup && (
+        <button onClick={handleStart} className="px-4 py-2 bg-red-600 hover:bg-red-700 text-white rounded-lg text-sm transition">
+          Set up two-factor authentication
+        </button>
+      )}
+
+      {setup && (
+        <form onSubmit={handleEnable} className="space-y-4">
+          <p className="text-gray-400 text-sm">
+            Scan this QR code with your authenticator app, or enter the key manually, then type the code it shows.
+          </p>
+          <img src={setup.qrCode} alt="Authenticator QR code" className="w-48 h-48 bg-white p-2 rounded" />
+          <code className="block text-gray-300 font-mono text-sm break-all">{setup.secret}</code>
+          <div className="flex space-x-3">
+            <input
+              type="text"
+              inputMode="numeric"
+              placeholder="123456"
+              value={form.code}
+              onChange={(e) => setForm({ ...form, code: e.target.value })}
+              className={inputClass}
+              required
+            />
+            <button type="submit" className="px-4 py-2 bg-red-600 hover:bg-red-700 text-white rounded-lg text-sm transition">
+              Verify and enable
+            </button>
+          </div>
+        </form>
+      )}
+
+      {enabled && (
+        <div className="flex flex-wrap gap-3">
+          <input
+            type="text"
+            inputMode="numeric"
+            placeholder="Authenticator code"
+            value={form.code}
+            onChange={(e) => setForm({ ...form, code: e.target.value })}
+            className={inputClass}
+          />
+          <button onClick={handleRegenerate} className="px-4 py-2 bg-gray-700 hover:bg-gray-600 text-white rounded-lg text-sm transition">
+            New recovery codes
+          </button>
+          <input
+            type="password"
+            placeholder="Password"
+            value={form.password}
+            onChange={(e) => setForm({ ...form, password: e.target.value })}
+            className={inputClass}
+          />
+          <button onClick={handleDisable} className="px-4 py-2 text-red-400 hover:text-red-300 text-sm">
+            Disable
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+const Profile = () => {
+  const { user, sessions, fetchSessions, revokeSession, logout } = useThreatStore();
+  const navigate = useNavigate();
+
+  useEffect(() => {
+    fetchSessions();
+  }, []);
+
+  const handleLogoutAll = async () => {
+    await logout({ everywhere: true });
+    navigate('/login');
+  };
+
+  return (
+    <div className="p-6 space-y-6">
+      <div>
+        <h2 className="text-2xl font-bold text-white mb-2">Profile</h2>
+        <p className="text-gray-400">{user?.email} · {user?.role} · {user?.tier}</p>
+      </div>
+
+      <TwoFactorSettings />
+
+      <div className="bg-gray-800 rounded-lg p-6">
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-lg font-semibold text-white">Active Sessions</h3>
+          <button
+            onClick={handleLogoutAll}
+            className="px-4 py-2 bg-red-600 hover:bg-red-700 text-white rounded-lg text-sm transition"
+          >
+            Log out all sessions
+          </button>
+        </div>
+        <div className="space-y-3">
+          {sessions.map(session => (
+            <div key={session._id} className="flex items-center justify-between bg-gray-900 rounded-lg p-4 border border-gray-700">
+              <div className="text-sm">
+                <div className="text-white">
+                  {session.userAgent || 'Unknown device'}
+                  {session.current && (
+                    <span className="ml-2 px-2 py-1 bg-green-600 text-white rounded-full text-xs">This device</span>
+                  )}
+                </div>
+                <div className="text-gray-400">
+                  {session.ip} · signed in {new Date(session.createdAt).toLocaleString()} · last active {new Date(session.lastUsedAt).toLocaleString()}
+                </div>
+              </div>
+              {!session.current && (
+                <button
+                  onClick={() => revokeSession(session._id)}
+                  className="text-red-400 hover:text-red-300 text-sm ml-4"
+                >
+                  Revoke
+                </button>
+              )}
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default Profile;
+
+
+// ============================================
+// pages/Settings.jsx
+// ============================================
+import React, { useEffect, useState } from 'react';
+import useThreatStore from '../store/useThreatStore';
+import { adminAPI, API_BASE_URL } from '../services/api';
+
+const BLOCKLISTS = [
+  { format: 'ip.txt', label: 'IP list' },
+  { format: 'domain.txt', label: 'Domain list' },
+  { format: 'url.txt', label: 'URL list' },
+  { format: 'csv', label: 'CSV (all types)' },
+  { format: 'hosts', label: 'Hosts file' },
+  { format: 'rpz', label: 'DNS RPZ zone' },
+  { format: 'suricata.rules', label: 'Suricata rules' },
+  { format: 'snort.rules', label: 'Snort rules' },
+];
+
+const SCOPES = [
+  { value: 'threats:read', label: 'Threats' },
+  { value: 'alerts:read', label: 'Alerts' },
+  { value: 'reports:read', label: 'Reports' },
+];
+
+// Instance-wide policies, for users with settings:manage
+const SecurityPolicy = () => {
+  const [settings, setSettings] = useState(null);
+  const [message, setMessage] = useState(null);
+
+  useEffect(() => {
+    adminAPI.getSettings().then((response) => setSettings(response.data)).catch(() => {});
+  }, []);
+
+  const handleToggle = async (e) => {
+    setMessage(null);
+    try {
+      const response = await adminAPI.updateSettings({ require2FA: e.target.checked });
+      setSettings(response.data.settings);
+    } catch (error) {
+      setMessage(error.response?.data?.message || 'Failed to update settings');
+    }
+  };
+
+  if (!settings) return null;
+
+  return (
+    <div className="bg-gray-800 rounded-lg p-6">
+      <h3 className="text-lg font-semibold text-white mb-4">Security Policy</h3>
+      {message && <p className="text-red-400 text-sm mb-3">{message}</p>}
+      <label className="flex items-center space-x-3 text-white">
+        <input type="checkbox" checked={settings.require2FA} onChange={handleToggle} />
+        <span>Require two-factor authentication for all users</span>
+      </label>
+    </div>
+  );
+};
+
+// Blocklist URLs for firewalls and sensors, which authenticate with an API key
+const BlocklistFeeds = () => {
+  const [minSeverity, setMinSeverity] = useState('High');
+
+  const urlFor = (format) =>
+    `${API_BASE_URL}/blocklists/${format}${minSeverity ? `?minSeverity=${minSeverity}` : ''}`;
+
+  return (
+    <div className="bg-gray-800 rounded-lg p-6">
+      <div className="flex items-center justify-between mb-2">
+        <h3 className="text-lg font-semibold text-white">Blocklist Feeds</h3>
+        <select
+          value={minSeverity}
+          onChange={(e) => setMinSeverity(e.target.value)}
+          className="px-3 py-1 bg-gray-900 border border-gray-700 rounded-lg text-white text-sm"
+        >
+          <option value="Critical">Critical only</option>
+          <option value="High">High and above</option>
+          <option value="Medium">Medium and above</option>
+          <option value="">All severities</option>
+        </select>
+      </div>
+      <p className="text-gray-400 text-sm mb-4">
+        Active indicators for firewalls, DNS resolvers and IDS sensors. Use a key with Threats access, in the
+        {' '}<code className="text-gray-300">X-API-Key</code> header or a <code className="text-gray-300">key</code> query parameter.
+        Prefer the header: a key in the URL ends up in proxy and server access logs.
+        Also filter by <code className="text-gray-300">minConfidence</code>, <code className="text-gray-300">category</code> and <code className="text-gray-300">source</code>.
+      </p>
+      <div className="space-y-2">
+        {BLOCKLISTS.map(({ format, label }) => (
+          <div key={format} className="flex items-center space-x-3 text-sm">
+            <span className="w-36 text-gray-300">{label}</span>
+            <code className="flex-1 bg-gray-900 text-gray-300 px-3 py-2 rounded font-mono break-all">{urlFor(format)}</code>
+            <button
+              onClick={() => navigator.clipboard.writeText(urlFor(format))}
+              className="px-3 py-2 bg-gray-700 hover:bg-gray-600 text-white rounded text-sm"
+            >
+              Copy
+            </button>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+const LIFECYCLE_TYPES = ['IP', 'Domain', 'URL', 'Email', 'FileHash'];
+const LIFECYCLE_SOURCES = ['AlienVault', 'PhishTank', 'AbuseIPDB', 'URLhaus', 'MalwareBazaar', 'MISP', 'Manual'];
+
+// Blank inputs mean "never" (null) for TTLs and half-lives
+const toDays = (value) => (value === '' || value == null ? null : Number(value));
+
+// Threat aging policy and audit, for users with settings:manage
+const ThreatLifecycle = () => {
+  const [policy, setPolicy] = useState(null);
+  const [runs, setRuns] = useState([]);
+  const [message, setMessage] = useState(null);
+  const [running, setRunning] = useState(false);
+
+  const load = () => {
+    adminAPI.getLifecycle().then((response) => setPolicy(response.data.policy)).catch(() => {});
+    adminAPI.getLifecycleRuns(5).then((response) => setRuns(response.data)).catch(() => {});
+  };
+
+  useEffect(() => {
+    load();
+  }, []);
+
+  const setDays = (map, key, value) =>
+    setPolicy((current) => ({ ...current, [map]: { ...current[map], [key]: value } }));
+
+  const handleSave = async () => {
+    setMessage(null);
+    try {
+      const response = await adminAPI.updateLifecycle({
+        enabled: policy.enabled,
+        keepVerified: policy.keepVerified,
+        minConfidence: Number(policy.minConfidence),
+        ttlDays: Object.fromEntries(LIFECYCLE_TYPES.map(t => [t, toDays(policy.ttlDays[t])])),
+        halfLifeDays: Object.fromEntries(LIFECYCLE_TYPES.map(t => [t, toDays(policy.halfLifeDays[t])])),
+        sourceTtlDays: Object.fromEntries(LIFECYCLE_SOURCES.map(s => [s, toDays(policy.sourceTtlDays[s])])),
+      });
+      setPolicy(response.data.policy);
+      setMessage({ ok: true, text: 'Policy saved' });
+    } catch (error) {
+      setMessage({ ok: false, text: error.response?.data?.message || 'Failed to save policy' });
+    }
+  };
+
+  const handleRun = async () => {
+    setRunning(true);
+    setMessage(null);
+    try {
+      const { data } = await adminAPI.runLifecycle();
+      setMessage({ ok: true, text: `Decayed ${data.run.decayed}, deactivated ${data.run.deactivated}, rescored ${data.run.rescored} of ${data.run.scanned} scanned` });
+      load();
+    } catch (error) {
+      setMessage({ ok: false, text: error.response?.data?.message || 'Lifecycle run failed' });
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  if (!policy) return null;
+
+  const input = 'w-20 px-2 py-1 bg-gray-900 border border-gray-700 rounded text-white text-sm';
+
+  return (
+    <div className="bg-gray-800 rounded-lg p-6 space-y-4">
+      <div>
+        <h3 className="text-lg font-semibold text-white">Threat Lifecycle</h3>
+        <p className="text-gray-400 text-sm">
+          Threats not seen within their TTL are deactivated, and confidence halves every half-life since they were
+          last seen. Leave a field blank for "never". Seeing a threat again restores it.
+        </p>
+      </div>
+
+      {message && <p className={`text-sm ${message.ok ? 'text-green-400' : 'text-red-400'}`}>{message.text}</p>}
+
+      <div className="flex flex-wrap gap-6 text-sm text-white">
+        <label className="flex items-center space-x-2">
+          <input type="checkbox" checked={policy.enabled} onChange={(e) => setPolicy({ ...policy, enabled: e.target.checked })} />
+          <span>Run every {policy.intervalMinutes} minutes</span>
+        </label>
+        <label className="flex items-center space-x-2">
+          <input type="checkbox" checked={policy.keepVerified} onChange={(e) => setPolicy({ ...policy, keepVerified: e.target.checked })} />
+          <span>Never deactivate verified threats</span>
+        </label>
+        <label className="flex items-center space-x-2">
+          <span>Minimum confidence</span>
+          <input type="number" min="0" max="100" value={policy.minConfidence} onChange={(e) => setPolicy({ ...policy, minConfidence: e.target.value })} className={input} />
+        </label>
+      </div>
+
+      <table className="text-sm">
+        <thead>
+          <tr className="text-gray-400 text-left">
+            <th className="pr-6 py-1">Type</th>
+            <th className="pr-6 py-1">TTL (days)</th>
+            <th className="py-1">Half-life (days)</th>
+          </tr>
+        </thead>
+        <tbody>
+          {LIFECYCLE_TYPES.map(type => (
+            <tr key={type} className="text-white">
+              <td className="pr-6 py-1">{type}</td>
+              <td className="pr-6 py-1">
+                <input type="number" min="1" value={policy.ttlDays[type] ?? ''} onChange={(e) => setDays('ttlDays', type, e.target.value)} className={input} />
+              </td>
+              <td className="py-1">
+                <input type="number" min="1" value={policy.halfLifeDays[type] ?? ''} onChange={(e) => setDays('halfLifeDays', type, e.target.value)} className={input} />
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <div>
+        <p className="text-gray-400 text-sm mb-2">Source TTL overrides (days)</p>
+        <div className="flex flex-wrap gap-4">
+          {LIFECYCLE_SOURCES.map(source => (
+            <label key={source} className="flex items-center space-x-2 text-sm text-white">
+              <span>{source}</span>
+              <input type="number" min="1" value={policy.sourceTtlDays[source] ?? ''} onChange={(e) => setDays('sourceTtlDays', source, e.target.value)} className={input} />
+            </label>
+          ))}
+        </div>
+      </div>
+
+      <div className="flex space-x-3">
+        <button onClick={handleSave} className="px-4 py-2 bg-red-600 hover:bg-red-700 text-white rounded-lg transition">
+          Save policy
+        </button>
+        <button
+          onClick={handleRun}
+          disabled={running}
+          className="px-4 py-2 bg-gray-700 hover:bg-gray-600 text-white rounded-lg transition disabled:opacity-50"
+        >
+          {running ? 'Running...' : 'Run now'}
+        </button>
+      </div>
+
+      {runs.length > 0 && (
+        <div>
+          <p className="text-gray-400 text-sm mb-2">Recent runs</p>
+          <div className="space-y-1 text-sm">
+            {runs.map(run => (
+              <div key={run._id} className="text-gray-300">
+                {new Date(run.startedAt).toLocaleString()} ({run.trigger}): scanned {run.scanned},
+                decayed {run.decayed}, deactivated {run.deactivated}, rescored {run.rescored ?? 0}
+                {run.error && <span className="text-red-400"> · {run.error}</span>}
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+const COLLECTION_FILTERS = [
+  { name: 'severity', label: 'Severity', options: ['Critical', 'High', 'Medium', 'Low', 'Info'] },
+  { name: 'category', label: 'Category', options: ['Malware', 'Phishing', 'C2', 'Scanning', 'Spam', 'Botnet', 'Ransomware', 'APT', 'Other'] },
+  { name: 'type', label: 'Type', options: ['IP', 'Domain', 'URL', 'Email', 'FileHash'] },
+  { name: 'isActive', label: 'Status', options: ['true', 'false'] },
+];
+
+const EMPTY_COLLECTION = { title: '', description: '', filter: {} };
+
+// TAXII collections are saved threat filters, for users with feeds:manage
+const TaxiiCollections = () => {
+  const [collections, setCollections] = useState([]);
+  const [formData, setFormData] = useState(EMPTY_COLLECTION);
+  const [message, setMessage] = useState(null);
+  const discoveryUrl = API_BASE_URL.replace(/\/api$/, '/taxii2/');
+
+  const load = () =>
+    adminAPI.getCollections().then((response) => setCollections(response.data)).catch(() => {});
+
+  useEffect(() => {
+    load();
+  }, []);
+
+  const setFilter = (name, value) =>
+    setFormData((data) => ({ ...data, filter: { ...data.filter, [name]: value || undefined } }));
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setMessage(null);
+    try {
+      await adminAPI.createCollection(formData);
+      setFormData(EMPTY_COLLECTION);
+      load();
+    } catch (error) {
+      setMessage(error.response?.data?.message || 'Failed to create collection');
+    }
+  };
+
+  const handleDelete = async (collection) => {
+    if (!window.confirm(`Delete "${collection.title}"? TAXII clients polling it will get errors.`)) return;
+    await adminAPI.deleteCollection(collection._id);
+    load();
+  };
+
+  return (
+    <div className="bg-gray-800 rounded-lg p-6 space-y-4">
+      <div>
+        <h3 className="text-lg font-semibold text-white">TAXII Collections</h3>
+        <p className="text-gray-400 text-sm">
+          TAXII 2.1 clients discover collections at <code className="text-gray-300">{discoveryUrl}</code> and
+          authenticate with an API key (Threats access) as the Basic auth password.
+        </p>
+      </div>
+
+      {collections.length > 0 && (
+        <div className="space-y-2">
+          {collections.map(collection => (
+            <div key={collection._id} className="flex items-center justify-between bg-gray-900 rounded-lg p-4 border border-gray-700 text-sm">
+              <div>
+                <div className="text-white">{collection.title}</div>
+                <div className="text-gray-400">
+                  <code className="font-mono">{collection.taxiiId}</code>
+                  {' · '}
+                  {Object.entries(collection.filter || {}).map(([k, v]) => `${k}=${v}`).join(', ') || 'all threats'}
+                </div>
+              </div>
+              <button onClick={() => handleDelete(collection)} className="text-red-400 hover:text-red-300 text-sm ml-4">
+                Delete
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <form onSubmit={handleSubmit} className="space-y-3">
+        {message && <p className="text-red-400 text-sm">{message}</p>}
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+          <input
+            type="text"
+            value={formData.title}
+            onChange={(e) => setFormData({ ...formData, title: e.target.value })}
+            placeholder="Title, e.g. Critical phishing"
+            required
+            className="px-4 py-2 bg-gray-900 border border-gray-700 rounded-lg text-white focus:outline-none focus:border-red-500"
+          />
+          <input
+            type="text"
+            value={formData.description}
+            onChange={(e) => setFormData({ ...formData, description: e.target.value })}
+            placeholder="Description (optional)"
+            className="px-4 py-2 bg-gray-900 border border-gray-700 rounded-lg text-white focus:outline-none focus:border-red-500"
+          />
+        </div>
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+          {COLLECTION_FILTERS.map(({ name, label, options }) => (
+            <select
+              key={name}
+              value={formData.filter[name] || ''}
+              onChange={(e) => setFilter(name, e.target.value)}
+              className="px-3 py-2 bg-gray-900 border border-gray-700 rounded-lg text-white text-sm"
+            >
+              <option value="">Any {label.toLowerCase()}</option>
+              {options.map(option => (
+                <option key={option} value={option}>
+                  {name === 'isActive' ? (option === 'true' ? 'Active only' : 'Inactive only') : option}
+                </option>
+              ))}
+            </select>
+          ))}
+        </div>
+        <button type="submit" className="px-4 py-2 bg-red-600 hover:bg-red-700 text-white rounded-lg transition">
+          Create collection
+        </button>
+      </form>
+    </div>
+  );
+};
+
+const Settings = () => {
+  const { user, apiKeys, fetchApiKeys, createApiKey, revokeApiKey, error } = useThreatStore();
+  const [formData, setFormData] = useState({ name: '', scopes: ['threats:read'], expiresInDays: '90' });
+  const [newKey, setNewKey] = useState(null);
+
+  useEffect(() => {
+    fetchApiKeys();
+  }, []);
+
+  const toggleScope = (scope) => {
+    setFormData((data) => ({
+      ...data,
+      scopes: data.scopes.includes(scope)
+        ? data.scopes.filter(s => s !== scope)
+        : [...data.scopes, scope],
+    }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const key = await createApiKey({
+      ...formData,
+      expiresInDays: Number(formData.expiresInDays) || undefined,
     });
-    
-    if (success) {
-      setShowCreateForm(false);
-      setFormData({
-        name: '',
-        description: '',
-        type: 'Any',
-        severity: [],
-        sources: [],
-        categories: [],
-      });
+    if (key) {
+      setNewKey(key);
+      setFormData({ name: '', scopes: ['threats:read'], expiresInDays: '90' });
     }
   };
 
-  const handleCheckboxChange = (field, value) => {
-    setFormData(prev => ({
-      ...prev,
-      [field]: prev[field].includes(value)
-        ? prev[field].filter(v => v !== value)
-        : [...prev[field], value]
-    }));
+  const handleRevoke = (key) => {
+    if (window.confirm(`Revoke "${key.name}"? Scripts using it will stop working.`)) {
+      revokeApiKey(key._id);
+    }
   };
 
-  // Check tier limits
-  const alertLimit = user?.tier === 'Free' ? 3 : user?.tier === 'Pro' ? 10 : Infinity;
-  const canCreateMore = alerts.length < alertLimit;
-
   return (
     <div className="p-6 space-y-6">
-      <div className="flex items-center justify-between">
-        <div>
-          <h2 className="text-2xl font-bold text-white mb-2">Alerts</h2>
-          <p className="text-gray-400">
-            Manage threat alerts ({alerts.length}/{alertLimit === Infinity ? '∞' : alertLimit} alerts)
-          </p>
-        </div>
-        <button
-          onClick={() => setShowCreateForm(true)}
-          disabled={!canCreateMore}
-          className="px-6 py-3 bg-red-600 hover:bg-red-700 text-white font-semibold rounded-lg transition disabled:opacity-50 disabled:cursor-not-allowed"
-        >
-          + Create Alert
-        </button>
+      <div>
+        <h2 className="text-2xl font-bold text-white mb-2">Settings</h2>
+        <p className="text-gray-400">
+          API keys give scripts read-only access. Send them in the <code className="text-gray-300">X-API-Key</code> header.
+        </p>
       </div>
 
-      {!canCreateMore && (
-        <div className="bg-yellow-900/30 border border-yellow-800 rounded-lg p-4">
-          <div className="text-yellow-400 font-semibold mb-1">Alert Limit Reached</div>
-          <div className="text-yellow-300 text-sm">
-            Upgrade to {user?.tier === 'Free' ? 'Pro' : 'Business'} to create more alerts
+      {user?.permissions?.includes('settings:manage') && <SecurityPolicy />}
+      {user?.permissions?.includes('settings:manage') && <ThreatLifecycle />}
+
+      {newKey && (
+        <div className="bg-green-900/40 border border-green-700 rounded-lg p-4">
+          <p className="text-green-300 text-sm mb-2">Copy this key now. It won't be shown again.</p>
+          <div className="flex items-center space-x-3">
+            <code className="flex-1 bg-gray-900 text-white px-3 py-2 rounded font-mono text-sm break-all">{newKey}</code>
+            <button
+              onClick={() => navigator.clipboard.writeText(newKey)}
+              className="px-3 py-2 bg-gray-700 hover:bg-gray-600 text-white rounded text-sm"
+            >
+              Copy
+            </button>
+            <button onClick={() => setNewKey(null)} className="text-gray-400 hover:text-white text-sm">
+              Dismiss
+            </button>
           </div>
         </div>
       )}
 
-      {/* Create Alert Modal */}
-      {showCreateForm && (
-        <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4">
-          <div className="bg-gray-900 rounded-xl max-w-2xl w-full max-h-[90vh] overflow-y-auto p-6 border border-gray-800">
-            <div className="flex items-center justify-between mb-6">
-              <h3 className="text-xl font-bold text-white">Create New Alert</h3>
-              <button
-                onClick={() => setShowCreateForm(false)}
-                className="text-gray-400 hover:text-white text-2xl"
-              >
-                ×
-              </button>
-            </div>
-
-            <form onSubmit={handleCreateAlert} className="space-y-4">
-              <div>
-                <label className="block text-gray-300 text-sm font-semibold mb-2">
-                  Alert Name
-                </label>
+      <form onSubmit={handleSubmit} className="bg-gray-800 rounded-lg p-6 space-y-4">
+        <h3 className="text-lg font-semibold text-white">Create API Key</h3>
+        {error && <p className="text-red-400 text-sm">{error}</p>}
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <div>
+            <label className="block text-gray-400 text-sm mb-2">Name</label>
+            <input
+              type="text"
+              value={formData.name}
+              onChange={(e) => setFormData({ ...formData, name: e.target.value })}
+              placeholder="e.g. SIEM export"
+              required
+              className="w-full px-4 py-2 bg-gray-900 border border-gray-700 rounded-lg text-white focus:outline-none focus:border-red-500"
+            />
+          </div>
+          <div>
+            <label className="block text-gray-400 text-sm mb-2">Expires</label>
+            <select
+              value={formData.expiresInDays}
+              onChange={(e) => setFormData({ ...formData, expiresInDays: e.target.value })}
+              className="w-full px-4 py-2 bg-gray-900 border border-gray-700 rounded-lg text-white focus:outline-none focus:border-red-500"
+            >
+              <option value="30">In 30 days</option>
+              <option value="90">In 90 days</option>
+              <option value="365">In 1 year</option>
+              <option value="">Never</option>
+            </select>
+          </div>
+        </div>
+        <div>
+          <label className="block text-gray-400 text-sm mb-2">Read access to</label>
+          <div className="flex space-x-4">
+            {SCOPES.map(scope => (
+              <label key={scope.value} className="flex items-center space-x-2 text-white">
                 <input
-                  type="text"
-                  value={formData.name}
-                  onChange={(e) => setFormData({ ...formData, name: e.target.value })}
-                  className="w-full px-4 py-2 bg-gray-800 border border-gray-700 rounded-lg text-white focus:outline-none focus:border-red-600"
-                  required
-                />
-              </div>
-
-              <div>
-                <label className="block text-gray-300 text-sm font-semibold mb-2">
-                  Description
-                </label>
-                <textarea
-                  value={formData.description}
-                  onChange={(e) => setFormData({ ...formData, description: e.target.value })}
-                  className="w-full px-4 py-2 bg-gray-800 border border-gray-700 rounded-lg text-white focus:outline-none focus:border-red-600 h-20"
+                  type="checkbox"
+                  checked={formData.scopes.includes(scope.value)}
+                  onChange={() => toggleScope(scope.value)}
                 />
-              </div>
-
-              <div>
-                <label className="block text-gray-300 text-sm font-semibold mb-2">
-                  IoC Type
-                </label>
-                <select
-                  value={formData.type}
-                  onChange={(e) => setFormData({ ...formData, type: e.target.value })}
-                  className="w-full px-4 py-2 bg-gray-800 border border-gray-700 rounded-lg text-white focus:outline-none focus:border-red-600"
-                >
-                  <option>Any</option>
-                  <option>IP</option>
-                  <option>Domain</option>
-                  <option>URL</option>
-                  <option>Hash</option>
-                  <option>Email</option>
-                </select>
-              </div>
-
-              <div>
-                <label className="block text-gray-300 text-sm font-semibold mb-2">
-                  Severity Levels
-                </label>
-                <div className="grid grid-cols-2 gap-2">
-                  {['Critical', 'High', 'Medium', 'Low'].map(sev => (
-                    <label key={sev} className="flex items-center space-x-2 text-gray-300">
-                      <input
-                        type="checkbox"
-                        checked={formData.severity.includes(sev)}
-                        onChange={() => handleCheckboxChange('severity', sev)}
-                        className="rounded bg-gray-800 border-gray-700"
-                      />
-                      <span>{sev}</span>
-                    </label>
-                  ))}
-                </div>
-              </div>
-
-              <div>
-                <label className="block text-gray-300 text-sm font-semibold mb-2">
-                  Sources
-                </label>
-                <div className="grid grid-cols-2 gap-2">
-                  {['AlienVault', 'PhishTank', 'AbuseIPDB', 'URLhaus'].map(src => (
-                    <label key={src} className="flex items-center space-x-2 text-gray-300">
-                      <input
-                        type="checkbox"
-                        checked={formData.sources.includes(src)}
-                        onChange={() => handleCheckboxChange('sources', src)}
-                        className="rounded bg-gray-800 border-gray-700"
-                      />
-                      <span>{src}</span>
-                    </label>
-                  ))}
-                </div>
-              </div>
-
-              <div className="flex space-x-3 pt-4">
-                <button
-                  type="submit"
-                  disabled={loading}
-                  className="flex-1 py-3 bg-red-600 hover:bg-red-700 text-white font-semibold rounded-lg transition disabled:opacity-50"
-                >
-                  {loading ? 'Creating...' : 'Create Alert'}
-                </button>
-                <button
-                  type="button"
-                  onClick={() => setShowCreateForm(false)}
-                  className="flex-1 py-3 bg-gray-800 hover:bg-gray-700 text-white font-semibold rounded-lg transition"
-                >
-                  Cancel
-                </button>
-              </div>
-            </form>
+                <span>{scope.label}</span>
+              </label>
+            ))}
           </div>
         </div>
-      )}
+        <button
+          type="submit"
+          disabled={formData.scopes.length === 0}
+          className="px-4 py-2 bg-red-600 hover:bg-red-700 disabled:opacity-50 text-white rounded-lg transition"
+        >
+          Create key
+        </button>
+      </form>
 
-      {/* Alerts List */}
-      <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
-        {alerts.map(alert => (
-          <AlertCard key={alert._id} alert={alert} onDelete={deleteAlert} />
-        ))}
+      <div className="bg-gray-800 rounded-lg p-6">
+        <h3 className="text-lg font-semibold text-white mb-4">API Keys</h3>
+        {apiKeys.length === 0 ? (
+          <p className="text-gray-400 text-sm">No API keys yet.</p>
+        ) : (
+          <div className="space-y-3">
+            {apiKeys.map(key => {
+              const expired = key.expiresAt && new Date(key.expiresAt) < new Date();
+              return (
+                <div key={key._id} className="flex items-center justify-between bg-gray-900 rounded-lg p-4 border border-gray-700">
+                  <div className="text-sm">
+                    <div className="text-white">
+                      {key.name}
+                      <code className="ml-2 text-gray-400 font-mono">{key.prefix}…</code>
+                      {expired && (
+                        <span className="ml-2 px-2 py-1 bg-gray-600 text-white rounded-full text-xs">Expired</span>
+                      )}
+                    </div>
+                    <div className="text-gray-400">
+                      {key.scopes.join(', ')}
+                      {' · '}expires {key.expiresAt ? new Date(key.expiresAt).toLocaleDateString() : 'never'}
+                      {' · '}last used {key.lastUsedAt ? new Date(key.lastUsedAt).toLocaleString() : 'never'}
+                    </div>
+                  </div>
+                  <button
+                    onClick={() => handleRevoke(key)}
+                    className="text-red-400 hover:text-red-300 text-sm ml-4"
+                  >
+                    Revoke
+                  </button>
+                </div>
+              );
+            })}
+          </div>
+        )}
       </div>
 
-      {alerts.length === 0 && (
-        <div className="bg-gray-800 rounded-lg p-12 text-center">
-          <div className="text-6xl mb-4">🔔</div>
-          <div className="text-xl font-semibold text-white mb-2">No Alerts Yet</div>
-          <div className="text-gray-400 mb-4">Create your first alert to get notified about threats</div>
-        </div>
-      )}
+      <BlocklistFeeds />
+
+      {user?.permissions?.includes('feeds:manage') && <TaxiiCollections />}
     </div>
   );
 };
 
-export default Alerts;
+export default Settings;
 
 
 // ============================================
 // pages/Reports.jsx
 // ============================================
 import React, { useState } from 'react';
-import { reportsAPI } from '../services/api';
+import { reportsAPI, threatsAPI } from '../services/api';
 import jsPDF from 'jspdf';
 
+// Save an axios blob response as a file
+const downloadBlob = (response, filename) => {
+  const url = URL.createObjectURL(response.data);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+// Threat data exports for other tools, filtered like the threats list
+const DataExports = () => {
+  const [activeOnly, setActiveOnly] = useState(true);
+  const [includeReports, setIncludeReports] = useState(false);
+  const [exporting, setExporting] = useState(null);
+
+  const runExport = async (format, request) => {
+    setExporting(format);
+    try {
+      const response = await request({ ...(activeOnly && { isActive: 'true' }) });
+      downloadBlob(response, `threatview-${format}-${Date.now()}.json`);
+    } catch (error) {
+      console.error(`Failed to export ${format}:`, error);
+      alert('Export failed. Please try again.');
+    } finally {
+      setExporting(null);
+    }
+  };
+
+  const exportStix = () =>
+    runExport('stix', (params) =>
+      threatsAPI.exportStix({ ...params, ...(includeReports && { includeReports: 'true' }) })
+    );
+  const exportMisp = () => runExport('misp', threatsAPI.exportMisp);
+
+  return (
+    <div className="bg-gray-800 rounded-lg p-6">
+      <h3 className="text-lg font-semibold text-white mb-4">Export Threat Data</h3>
+      <div className="flex flex-wrap items-center gap-6 mb-4 text-gray-300 text-sm">
+        <label className="flex items-center space-x-2">
+          <input type="checkbox" checked={activeOnly} onChange={(e) => setActiveOnly(e.target.checked)} />
+          <span>Active threats only</span>
+        </label>
+        <label className="flex items-center space-x-2">
+          <input type="checkbox" checked={includeReports} onChange={(e) => setIncludeReports(e.target.checked)} />
+          <span>Include saved reports (STIX)</span>
+        </label>
+      </div>
+      <div className="flex flex-wrap gap-3">
+        <button
+          onClick={exportStix}
+          disabled={Boolean(exporting)}
+          className="px-4 py-2 bg-gray-700 hover:bg-gray-600 text-white rounded-lg text-sm transition disabled:opacity-50"
+        >
+          {exporting === 'stix' ? 'Exporting...' : 'STIX 2.1 bundle'}
+        </button>
+        <button
+          onClick={exportMisp}
+          disabled={Boolean(exporting)}
+          className="px-4 py-2 bg-gray-700 hover:bg-gray-600 text-white rounded-lg text-sm transition disabled:opacity-50"
+        >
+          {exporting === 'misp' ? 'Exporting...' : 'MISP event'}
+        </button>
+      </div>
+    </div>
+  );
+};
+
 const Reports = () => {
   const [generating, setGenerating] = useState(false);
   const [reportType, setReportType] = useState('weekly');
@@ -1252,6 +3807,8 @@ const Reports = () => {
         </div>
       </div>
 
+      <DataExports />
+
       {/* Report Preview/Stats */}
       <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
         <div className="bg-gray-800 rounded-lg p-6">
@@ -1263,7 +3820,7 @@ const Reports = () => {
         <div className="bg-gray-800 rounded-lg p-6">
           <div className="text-gray-400 text-sm mb-2">Data Sources</div>
           <div className="text-2xl font-bold text-white mb-1">5 Feeds</div>
-          <div className="text-gray-400 text-sm">AlienVault, PhishTank, AbuseIPDB, URLhaus, MalwareBazaar</div>
+          <div className="text-gray-400 text-sm">AlienVault, PhishTank, AbuseIPDB, URLhaus, MalwareBazaar, MISP</div>
         </div>
         
         <div className="bg-gray-800 rounded-lg p-6">
@@ -1310,15 +3867,23 @@ export default Reports;
 // App.jsx
 // ============================================
 import React, { useEffect } from 'react';
-import { BrowserRouter, Routes, Route, Navigate } from 'react-router-dom';
+import { BrowserRouter, Routes, Route, Navigate, useLocation } from 'react-router-dom';
 import useThreatStore from './store/useThreatStore';
 import Navbar from './components/Navbar';
 import Sidebar from './components/Sidebar';
 import Login from './pages/Login';
+import ForgotPassword from './pages/ForgotPassword';
+import ResetPassword from './pages/ResetPassword';
+import AcceptInvite from './pages/AcceptInvite';
+import VerifyEmail from './pages/VerifyEmail';
 import Dashboard from './pages/Dashboard';
 import IoCSearch from './pages/IoCSearch';
+import ReportIoC from './pages/ReportIoC';
+import ThreatDetail from './pages/ThreatDetail';
 import Alerts from './pages/Alerts';
 import Reports from './pages/Reports';
+import Profile from './pages/Profile';
+import Settings from './pages/Settings';
 
 const ProtectedLayout = ({ children }) => {
   return (
@@ -1335,8 +3900,15 @@ const ProtectedLayout = ({ children }) => {
 };
 
 const ProtectedRoute = ({ children }) => {
-  const { token } = useThreatStore();
-  return token ? children : <Navigate to="/login" />;
+  const { token, user } = useThreatStore();
+  const location = useLocation();
+
+  if (!token) return <Navigate to="/login" />;
+  // Admins can require 2FA; until it's set up only the profile page works
+  if (user?.twoFactorSetupRequired && location.pathname !== '/profile') {
+    return <Navigate to="/profile" />;
+  }
+  return children;
 };
 
 function App() {
@@ -1352,6 +3924,10 @@ function App() {
     <BrowserRouter>
       <Routes>
         <Route path="/login" element={<Login />} />
+        <Route path="/forgot-password" element={<ForgotPassword />} />
+        <Route path="/reset-password" element={<ResetPassword />} />
+        <Route path="/accept-invite" element={<AcceptInvite />} />
+        <Route path="/verify-email" element={<VerifyEmail />} />
         <Route
           path="/dashboard"
           element={
@@ -1372,6 +3948,26 @@ function App() {
             </ProtectedRoute>
           }
         />
+        <Route
+          path="/threats/:id"
+          element={
+            <ProtectedRoute>
+              <ProtectedLayout>
+                <ThreatDetail />
+              </ProtectedLayout>
+            </ProtectedRoute>
+          }
+        />
+        <Route
+          path="/report"
+          element={
+            <ProtectedRoute>
+              <ProtectedLayout>
+                <ReportIoC />
+              </ProtectedLayout>
+            </ProtectedRoute>
+          }
+        />
         <Route
           path="/alerts"
           element={
@@ -1392,6 +3988,26 @@ function App() {
             </ProtectedRoute>
           }
         />
+        <Route
+          path="/profile"
+          element={
+            <ProtectedRoute>
+              <ProtectedLayout>
+                <Profile />
+              </ProtectedLayout>
+            </ProtectedRoute>
+          }
+        />
+        <Route
+          path="/settings"
+          element={
+            <ProtectedRoute>
+              <ProtectedLayout>
+                <Settings />
+              </ProtectedLayout>
+            </ProtectedRoute>
+          }
+        />
         <Route path="/" element={<Navigate to="/dashboard" />} />
       </Routes>
     </BrowserRouter>